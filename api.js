@@ -1,7 +1,27 @@
 // API utility functions for communicating with the backend server
 const API_BASE_URL = window.location.origin; // Use same origin as the page
 
-// Helper function for API calls
+const SERVER_CLOCK_OFFSET_KEY = 'serverClockOffset';
+
+// Milliseconds to add to Date.now() to get the server's time, from the Date header of the
+// last response (which is rounded down to the second)
+let serverClockOffset = Number(localStorage.getItem(SERVER_CLOCK_OFFSET_KEY)) || 0;
+
+function updateServerClock(response) {
+    const serverDate = Date.parse(response.headers.get('Date'));
+    if (!Number.isNaN(serverDate)) {
+        serverClockOffset = Math.round(serverDate + 500 - Date.now());
+        localStorage.setItem(SERVER_CLOCK_OFFSET_KEY, String(serverClockOffset));
+    }
+}
+
+function getServerTime() {
+    return Date.now() + serverClockOffset;
+}
+
+// Helper function for API calls. options.idempotencyKey is sent as the Idempotency-Key header.
+// Errors have the response status and body as error.status and error.data, or error.offline
+// when the server couldn't be reached.
 async function apiCall(endpoint, options = {}) {
     const url = `${API_BASE_URL}${endpoint}`;
     const defaultOptions = {
@@ -11,18 +31,29 @@ async function apiCall(endpoint, options = {}) {
         },
     };
 
-    const config = { ...defaultOptions, ...options };
+    const { idempotencyKey, ...requestOptions } = options;
+    const config = { ...defaultOptions, ...requestOptions };
+    if (idempotencyKey) {
+        config.headers = { ...config.headers, 'Idempotency-Key': idempotencyKey };
+    }
     
     if (config.body && typeof config.body === 'object') {
         config.body = JSON.stringify(config.body);
     }
 
     try {
-        const response = await fetch(url, config);
+        const response = await fetch(url, config).catch(error => {
+            error.offline = true;
+            throw error;
+        });
+        updateServerClock(response);
         const data = await response.json();
         
         if (!response.ok) {
-            throw new Error(data.error || 'API request failed');
+            const error = new Error(data.error || 'API request failed');
+            error.status = response.status;
+            error.data = data;
+            throw error;
         }
         
         return data;
@@ -32,6 +63,160 @@ async function apiCall(endpoint, options = {}) {
     }
 }
 
+// Offline outbox for calendar and points changes.
+// SyncOutbox.send() sends a change straight away when it can. When the browser is offline or
+// the server can't be reached, the change is queued in localStorage (syncOutbox_<username>)
+// and the caller gets { queued: true, syncId }. Queued changes are replayed in order when the
+// connection comes back, each with the Idempotency-Key it was first sent with, so a request
+// that did reach the server isn't applied twice. Updates and deletes carry changedAt (when
+// the change was made, on the server's clock), and the server rejects them if the task has
+// been changed since: the server's copy is the one kept.
+// Events on window:
+//   syncoutbox:change   - the queue changed; detail is { pending }
+//   syncoutbox:conflict - the server rejected a queued change; detail is { entry, error }
+//   syncoutbox:flushed  - queued changes were replayed; detail is { sent, rejected }
+const SYNC_RETRY_INTERVAL_MS = 30 * 1000;
+
+function createIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    // randomUUID is only available on HTTPS and localhost
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+const SyncOutbox = {
+    flushing: null,
+    started: false,
+
+    storageKey() {
+        const username = localStorage.getItem('currentUser');
+        return username ? `syncOutbox_${username}` : null;
+    },
+
+    // Queued changes, oldest first: [{ id, endpoint, method, body, queuedAt }]
+    getEntries() {
+        const key = this.storageKey();
+        try {
+            return (key && JSON.parse(localStorage.getItem(key))) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    saveEntries(entries) {
+        const key = this.storageKey();
+        if (!key) return;
+        if (entries.length) {
+            localStorage.setItem(key, JSON.stringify(entries));
+        } else {
+            localStorage.removeItem(key);
+        }
+        window.dispatchEvent(new CustomEvent('syncoutbox:change', { detail: { pending: entries.length } }));
+    },
+
+    pendingCount() {
+        return this.getEntries().length;
+    },
+
+    enqueue(entry) {
+        this.saveEntries([...this.getEntries(), entry]);
+    },
+
+    // Drop a queued change, e.g. when a task that was added offline is deleted again
+    remove(syncId) {
+        this.saveEntries(this.getEntries().filter(entry => entry.id !== syncId));
+    },
+
+    // options: { method, body, checkConflicts }. With checkConflicts, the change is sent (and
+    // any replay of it) with changedAt, in the body or the query string for DELETE.
+    async send(endpoint, { method, body, checkConflicts = false }) {
+        const id = createIdempotencyKey();
+        // A replay has to be the same request as the first try, since the server refuses
+        // an Idempotency-Key that comes back with a different body
+        let sentEndpoint = endpoint;
+        let sentBody = body;
+        if (checkConflicts && method === 'DELETE') {
+            sentEndpoint = `${endpoint}?changedAt=${getServerTime()}`;
+        } else if (checkConflicts) {
+            sentBody = { ...body, changedAt: getServerTime() };
+        }
+        const queue = () => {
+            this.enqueue({ id, endpoint: sentEndpoint, method, body: sentBody, queuedAt: Date.now() });
+            return { queued: true, syncId: id };
+        };
+
+        // Changes are applied in order, so nothing skips ahead of the queue
+        if (this.pendingCount() > 0) {
+            await this.flush();
+        }
+        if (navigator.onLine === false || this.pendingCount() > 0) {
+            return queue();
+        }
+
+        try {
+            return await apiCall(sentEndpoint, { method, body: sentBody, idempotencyKey: id });
+        } catch (error) {
+            if (error.offline) {
+                return queue();
+            }
+            throw error;
+        }
+    },
+
+    // Replay queued changes in order. Stops at the first one that can't be delivered yet
+    // (offline, server error, logged out); changes the server rejects are dropped.
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.replayEntries().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    },
+
+    async replayEntries() {
+        let sent = 0;
+        const rejected = [];
+
+        let entry;
+        while ((entry = this.getEntries()[0])) {
+            try {
+                await apiCall(entry.endpoint, { method: entry.method, body: entry.body, idempotencyKey: entry.id });
+                sent += 1;
+            } catch (error) {
+                const retryLater = error.offline || !error.status || error.status >= 500 || error.status === 401 ||
+                    (error.data && error.data.inProgress);
+                if (retryLater) {
+                    break;
+                }
+                rejected.push({ entry, error });
+                window.dispatchEvent(new CustomEvent('syncoutbox:conflict', { detail: { entry, error } }));
+            }
+            this.remove(entry.id);
+        }
+
+        if (sent > 0 || rejected.length > 0) {
+            window.dispatchEvent(new CustomEvent('syncoutbox:flushed', { detail: { sent, rejected } }));
+        }
+        return { sent, rejected, pending: this.pendingCount() };
+    },
+
+    // Replay when the browser comes back online, and retry every SYNC_RETRY_INTERVAL_MS
+    start() {
+        if (!this.started) {
+            this.started = true;
+            window.addEventListener('online', () => this.flush());
+            setInterval(() => {
+                if (this.pendingCount() > 0) {
+                    this.flush();
+                }
+            }, SYNC_RETRY_INTERVAL_MS);
+        }
+        return this.flush();
+    }
+};
+
 // Authentication API
 const AuthAPI = {
     async register(username, password) {
@@ -48,6 +233,14 @@ const AuthAPI = {
         });
     },
 
+    // Second login step: { code } from the authenticator app or { recoveryCode }
+    async verifyTwoFactor(factor) {
+        return await apiCall('/api/login/2fa', {
+            method: 'POST',
+            body: factor
+        });
+    },
+
     async logout() {
         return await apiCall('/api/logout', {
             method: 'POST'
@@ -65,10 +258,28 @@ const UserAPI = {
         return await apiCall('/api/user');
     },
 
-    async updateEmail(email, emailVerified) {
+    // Sets or clears the email; it stays unverified until EmailAPI.verifyCode succeeds
+    async updateEmail(email) {
         return await apiCall('/api/user/email', {
             method: 'PUT',
-            body: { email, emailVerified }
+            body: { email }
+        });
+    },
+
+    // preferences is { priorityPoints: boolean }
+    async updatePreferences(preferences) {
+        return await apiCall('/api/user/preferences', {
+            method: 'PUT',
+            body: preferences
+        });
+    },
+
+    // Restore an archive from /api/user/export (a parsed JSON object) into this account.
+    // With dryRun nothing is written; either way the report has counts, invalid and warnings.
+    async importData(archive, { dryRun = false } = {}) {
+        return await apiCall(`/api/user/import${dryRun ? '?dryRun=true' : ''}`, {
+            method: 'POST',
+            body: archive
         });
     },
 
@@ -81,27 +292,66 @@ const UserAPI = {
 
 // Calendar API
 const CalendarAPI = {
-    async getTasks() {
-        return await apiCall('/api/calendar/tasks');
+    // With a from/to date range, recurring tasks are expanded into their occurrences
+    async getTasks(from, to) {
+        const query = from && to ? `?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}` : '';
+        return await apiCall(`/api/calendar/tasks${query}`);
     },
 
-    async addTask(dateKey, description, time) {
-        return await apiCall('/api/calendar/tasks', {
+    // recurrence is an optional RRULE string, e.g. 'FREQ=WEEKLY;BYDAY=MO,WE';
+    // labels is { priority: 'low'|'medium'|'high', tags: [...] }
+    // Changes are sent through SyncOutbox, so they resolve to { queued: true } when offline
+    async addTask(dateKey, description, time, recurrence = null, notes = null, labels = {}) {
+        return await SyncOutbox.send('/api/calendar/tasks', {
             method: 'POST',
-            body: { dateKey, description, time }
+            body: { dateKey, description, time, recurrence, notes, priority: labels.priority, tags: labels.tags }
         });
     },
 
-    async updateTask(taskId, completed) {
-        return await apiCall(`/api/calendar/tasks/${taskId}`, {
+    // changes may include description, time, dateKey, notes, priority, tags and completed; returns { task }
+    async updateTask(taskId, changes) {
+        return await SyncOutbox.send(`/api/calendar/tasks/${taskId}`, {
             method: 'PUT',
-            body: { completed }
+            body: changes,
+            checkConflicts: true
         });
     },
 
     async deleteTask(taskId) {
-        return await apiCall(`/api/calendar/tasks/${taskId}`, {
-            method: 'DELETE'
+        return await SyncOutbox.send(`/api/calendar/tasks/${taskId}`, {
+            method: 'DELETE',
+            checkConflicts: true
+        });
+    },
+
+    // Upload the text of an .ics file; returns { imported, skipped, invalid }
+    async importICalendar(icsText) {
+        return await apiCall('/api/calendar/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/calendar' },
+            body: icsText
+        });
+    },
+
+    // Tags in use and their colours: [{ tag, color, taskCount }]
+    async getTags() {
+        return await apiCall('/api/calendar/tags');
+    },
+
+    // color is '#rrggbb', or null to remove the tag's colour
+    async setTagColor(tag, color) {
+        return await apiCall(`/api/calendar/tags/${encodeURIComponent(tag)}`, {
+            method: 'PUT',
+            body: { color }
+        });
+    },
+
+    // changes may include completed, skipped, dateKey and time for a single occurrence
+    async updateOccurrence(taskId, occurrenceDate, changes) {
+        return await SyncOutbox.send(`/api/calendar/tasks/${taskId}/occurrences/${occurrenceDate}`, {
+            method: 'PUT',
+            body: changes,
+            checkConflicts: true
         });
     }
 };
@@ -112,10 +362,23 @@ const PointsAPI = {
         return await apiCall('/api/points');
     },
 
-    async updatePoints(points) {
-        return await apiCall('/api/points', {
-            method: 'PUT',
-            body: { points }
+    async getLedger() {
+        return await apiCall('/api/points/ledger');
+    },
+
+    // type is 'task', 'day' or 'week'; referenceId is the task id, date key or week key
+    async award(type, referenceId) {
+        return await SyncOutbox.send('/api/points/award', {
+            method: 'POST',
+            body: { type, referenceId }
+        });
+    },
+
+    // upgrade is 'luck_multiplier' or 'spawn_interval'
+    async spend(upgrade) {
+        return await apiCall('/api/points/spend', {
+            method: 'POST',
+            body: { upgrade }
         });
     }
 };
@@ -124,13 +387,6 @@ const PointsAPI = {
 const ShopAPI = {
     async getPurchases() {
         return await apiCall('/api/shop/purchases');
-    },
-
-    async addPurchase(purchaseType, level) {
-        return await apiCall('/api/shop/purchases', {
-            method: 'POST',
-            body: { purchaseType, level }
-        });
     }
 };
 
@@ -140,10 +396,24 @@ const GameAPI = {
         return await apiCall('/api/game/data');
     },
 
-    async saveGameData(gameData) {
-        return await apiCall('/api/game/data', {
-            method: 'PUT',
-            body: gameData
+    // action is 'roll', 'fight', 'upgrade', 'sell', 'unsell', 'equip' or 'unequip';
+    // returns { result, state }
+    async performAction(action, params = {}) {
+        return await apiCall(`/api/game/actions/${action}`, {
+            method: 'POST',
+            body: params
+        });
+    },
+
+    // Earlier copies of the game kept by the server; returns { snapshots }
+    async getSnapshots() {
+        return await apiCall('/api/game/snapshots');
+    },
+
+    // Roll the game back to a snapshot; returns { state }
+    async restoreSnapshot(snapshotId) {
+        return await apiCall(`/api/game/snapshots/${snapshotId}/restore`, {
+            method: 'POST'
         });
     },
 
@@ -161,13 +431,15 @@ const GameAPI = {
 
 // Email Verification API
 const EmailAPI = {
-    async storeVerificationCode(email, code) {
+    // The server generates the code and emails it
+    async sendVerificationCode(email) {
         return await apiCall('/api/email/verification-code', {
             method: 'POST',
-            body: { email, code }
+            body: { email }
         });
     },
 
+    // Marks the email verified on success; returns { valid: false, error } for a wrong code
     async verifyCode(email, code) {
         return await apiCall('/api/email/verify', {
             method: 'POST',
@@ -176,6 +448,78 @@ const EmailAPI = {
     }
 };
 
+// Two-Factor Authentication API
+const TwoFactorAPI = {
+    async getStatus() {
+        return await apiCall('/api/2fa/status');
+    },
+
+    // Returns { secret, otpauthUri, qrSvg }; nothing is enforced until enable() succeeds
+    async setup() {
+        return await apiCall('/api/2fa/setup', {
+            method: 'POST'
+        });
+    },
+
+    // Returns { recoveryCodes }, which are only shown this once
+    async enable(code) {
+        return await apiCall('/api/2fa/enable', {
+            method: 'POST',
+            body: { code }
+        });
+    },
+
+    // factor is { code } or { recoveryCode }
+    async disable(password, factor) {
+        return await apiCall('/api/2fa/disable', {
+            method: 'POST',
+            body: { password, ...factor }
+        });
+    },
+
+    async regenerateRecoveryCodes(code) {
+        return await apiCall('/api/2fa/recovery-codes', {
+            method: 'POST',
+            body: { code }
+        });
+    }
+};
+
+// Session API
+const SessionAPI = {
+    async list() {
+        return await apiCall('/api/sessions');
+    },
+
+    // id is the one returned by list(), not the session cookie
+    async revoke(id) {
+        return await apiCall(`/api/sessions/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+    }
+};
+
+// API Token API (personal tokens for scripts; see the API Tokens section of README.md)
+const TokenAPI = {
+    async list() {
+        return await apiCall('/api/tokens');
+    },
+
+    // Returns { token, apiToken }; the token itself is only returned this once
+    async create(name, scopes) {
+        return await apiCall('/api/tokens', {
+            method: 'POST',
+            body: { name, scopes }
+        });
+    },
+
+    async revoke(id) {
+        return await apiCall(`/api/tokens/${id}`, {
+            method: 'DELETE'
+        });
+    }
+};
+
 // Password Reset API
 const PasswordResetAPI = {
     async requestReset(email) {
@@ -201,6 +545,7 @@ const PasswordResetAPI = {
 };
 
 // Export APIs
+window.SyncOutbox = SyncOutbox;
 window.AuthAPI = AuthAPI;
 window.UserAPI = UserAPI;
 window.CalendarAPI = CalendarAPI;
@@ -208,5 +553,8 @@ window.PointsAPI = PointsAPI;
 window.ShopAPI = ShopAPI;
 window.GameAPI = GameAPI;
 window.EmailAPI = EmailAPI;
+window.TwoFactorAPI = TwoFactorAPI;
+window.SessionAPI = SessionAPI;
+window.TokenAPI = TokenAPI;
 window.PasswordResetAPI = PasswordResetAPI;
 
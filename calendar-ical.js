@@ -0,0 +1,296 @@
+// ============================================
+// CALENDAR ICAL - iCalendar (.ics) import and export
+// ============================================
+
+// Tasks are exported as VTODO components (so completion status survives the
+// round trip); imports accept both VEVENT and VTODO.
+// Times are floating local times, the same as calendar_tasks. Imported times
+// with a TZID are taken as wall-clock times; UTC times are converted to the
+// server's local time. All-day entries are imported at 00:00.
+
+const { normalizeRecurrenceRule } = require('./calendar-recurrence');
+
+const ICAL_PRODUCT_ID = '-//RNG Calendar//Tasks//EN';
+const ICAL_UID_DOMAIN = 'rng-calendar';
+const ICAL_LINE_LENGTH = 75;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+    const parts = [];
+    let part = '';
+    for (const char of line) {
+        if (Buffer.byteLength(part + char) > ICAL_LINE_LENGTH) {
+            parts.push(part);
+            part = ' ';
+        }
+        part += char;
+    }
+    parts.push(part);
+    return parts.join('\r\n');
+}
+
+// "2025-03-04" + "09:30" -> "20250304T093000"
+function toICalDateTime(dateKey, time) {
+    return `${dateKey.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+function toICalTimestamp(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+        `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone suffix
+function parseSqliteTimestamp(value) {
+    const date = value ? new Date(value.replace(' ', 'T') + 'Z') : null;
+    return date && !isNaN(date) ? date : null;
+}
+
+function taskUid(taskId) {
+    return `task-${taskId}@${ICAL_UID_DOMAIN}`;
+}
+
+function buildTodo(lines, fields) {
+    lines.push('BEGIN:VTODO');
+    lines.push(`UID:${fields.uid}`);
+    lines.push(`DTSTAMP:${fields.stamp}`);
+    if (fields.created) lines.push(`CREATED:${fields.created}`);
+    if (fields.recurrenceId) lines.push(`RECURRENCE-ID:${fields.recurrenceId}`);
+    lines.push(`DTSTART:${fields.start}`);
+    lines.push(`SUMMARY:${escapeText(fields.summary)}`);
+    if (fields.rrule) lines.push(`RRULE:${fields.rrule}`);
+    fields.exdates.forEach(exdate => lines.push(`EXDATE:${exdate}`));
+    lines.push(`STATUS:${fields.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    if (fields.completed) lines.push('PERCENT-COMPLETE:100');
+    lines.push('END:VTODO');
+}
+
+// Build an .ics document from calendar_tasks rows and their calendar_task_exceptions rows.
+// Skipped occurrences become EXDATEs; completed or moved occurrences become
+// RECURRENCE-ID overrides of the series.
+function buildICalendar(tasks, exceptions = []) {
+    const stamp = toICalTimestamp(new Date());
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICAL_PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+
+    tasks.forEach(task => {
+        const taskExceptions = exceptions.filter(exception => exception.task_id === task.id);
+        const created = parseSqliteTimestamp(task.created_at);
+        const base = {
+            uid: taskUid(task.id),
+            stamp,
+            created: created ? toICalTimestamp(created) : null,
+            summary: task.description
+        };
+
+        buildTodo(lines, {
+            ...base,
+            start: toICalDateTime(task.date_key, task.time),
+            rrule: task.recurrence_rule || null,
+            exdates: taskExceptions
+                .filter(exception => exception.skipped)
+                .map(exception => toICalDateTime(exception.occurrence_date, task.time)),
+            completed: !!task.completed
+        });
+
+        if (!task.recurrence_rule) return;
+
+        taskExceptions.filter(exception => !exception.skipped).forEach(exception => {
+            buildTodo(lines, {
+                ...base,
+                recurrenceId: toICalDateTime(exception.occurrence_date, task.time),
+                start: toICalDateTime(exception.new_date_key || exception.occurrence_date, exception.new_time || task.time),
+                exdates: [],
+                completed: !!exception.completed
+            });
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Split an .ics document into content lines: { name, params, value }
+function parseContentLines(text) {
+    const unfolded = String(text).replace(/\r\n/g, '\n').replace(/\r/g, '\n').replace(/\n[ \t]/g, '');
+    const lines = [];
+
+    unfolded.split('\n').forEach((raw, index) => {
+        if (!raw.trim()) return;
+
+        // The value starts at the first colon that isn't inside a quoted parameter value
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < raw.length; i++) {
+            if (raw[i] === '"') inQuotes = !inQuotes;
+            if (raw[i] === ':' && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon === -1) return;
+
+        const [name, ...paramParts] = raw.slice(0, colon).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, value = ''] = part.split('=');
+            params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+        });
+
+        lines.push({ name: name.toUpperCase(), params, value: raw.slice(colon + 1), line: index + 1 });
+    });
+
+    return lines;
+}
+
+// Parse a DTSTART/DUE/RECURRENCE-ID value into { dateKey, time }, or null if invalid
+function parseICalDate(value, params = {}) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, , utc] = match;
+    if (params.VALUE === 'DATE' || hours === undefined) {
+        const date = new Date(Number(year), Number(month) - 1, Number(day));
+        if (date.getMonth() !== Number(month) - 1) return null;
+        return { dateKey: `${year}-${month}-${day}`, time: '00:00' };
+    }
+
+    const date = utc
+        ? new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)))
+        : new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes));
+    if (isNaN(date) || Number(hours) > 23 || Number(minutes) > 59) return null;
+
+    return {
+        dateKey: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        time: `${pad(date.getHours())}:${pad(date.getMinutes())}`
+    };
+}
+
+// Parse an .ics document into importable entries.
+// Returns { entries, invalid } where each entry is
+// { uid, summary, dateKey, time, completed, recurrence, exdates, recurrenceId }
+// and invalid lists { line, summary, reason } for components that can't be imported.
+function parseICalendar(text) {
+    if (!/^BEGIN:VCALENDAR/im.test(String(text))) {
+        throw new Error('File is not an iCalendar (.ics) document');
+    }
+
+    const entries = [];
+    const invalid = [];
+    const stack = [];
+    let current = null;
+
+    parseContentLines(text).forEach(({ name, params, value, line }) => {
+        if (name === 'BEGIN') {
+            const component = value.trim().toUpperCase();
+            stack.push(component);
+            // Only top-level events and to-dos are imported (not alarms or time zones inside them)
+            if ((component === 'VEVENT' || component === 'VTODO') && stack.length === 2 && stack[0] === 'VCALENDAR') {
+                current = { type: component, line, properties: {}, exdates: [] };
+            }
+            return;
+        }
+
+        if (name === 'END') {
+            const component = stack.pop();
+            if (current && stack.length === 1 && component === current.type) {
+                const result = toEntry(current);
+                if (result.error) {
+                    invalid.push({ line: current.line, summary: result.summary || null, reason: result.error });
+                } else {
+                    entries.push(result);
+                }
+                current = null;
+            }
+            return;
+        }
+
+        if (!current || stack.length !== 2) return;
+
+        if (name === 'EXDATE') {
+            value.split(',').forEach(exdate => current.exdates.push({ value: exdate, params }));
+        } else if (!current.properties[name]) {
+            current.properties[name] = { value, params };
+        }
+    });
+
+    return { entries, invalid };
+}
+
+function toEntry(component) {
+    const props = component.properties;
+    const summary = props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : '';
+
+    if (!summary) {
+        return { error: 'Missing SUMMARY' };
+    }
+    if (summary.length > MAX_DESCRIPTION_LENGTH) {
+        return { summary, error: `SUMMARY is longer than ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+
+    const startProp = props.DTSTART || (component.type === 'VTODO' ? props.DUE : null);
+    if (!startProp) {
+        return { summary, error: 'Missing DTSTART' };
+    }
+    const start = parseICalDate(startProp.value, startProp.params);
+    if (!start) {
+        return { summary, error: `Invalid date "${startProp.value}"` };
+    }
+
+    let recurrence = null;
+    if (props.RRULE) {
+        try {
+            recurrence = normalizeRecurrenceRule(props.RRULE.value);
+        } catch (error) {
+            return { summary, error: error.message };
+        }
+    }
+
+    let recurrenceId = null;
+    if (props['RECURRENCE-ID']) {
+        const parsed = parseICalDate(props['RECURRENCE-ID'].value, props['RECURRENCE-ID'].params);
+        if (!parsed) {
+            return { summary, error: `Invalid RECURRENCE-ID "${props['RECURRENCE-ID'].value}"` };
+        }
+        recurrenceId = parsed.dateKey;
+    }
+
+    const status = props.STATUS ? props.STATUS.value.trim().toUpperCase() : '';
+    if (status === 'CANCELLED') {
+        return { summary, error: 'Entry is cancelled' };
+    }
+
+    return {
+        uid: props.UID ? props.UID.value.trim() : null,
+        summary,
+        dateKey: start.dateKey,
+        time: start.time,
+        completed: status === 'COMPLETED' || !!props.COMPLETED,
+        recurrence,
+        exdates: component.exdates
+            .map(exdate => parseICalDate(exdate.value, exdate.params))
+            .filter(Boolean)
+            .map(exdate => exdate.dateKey),
+        recurrenceId
+    };
+}
+
+module.exports = {
+    buildICalendar,
+    parseICalendar
+};
@@ -0,0 +1,169 @@
+// ============================================
+// CALENDAR RECURRENCE - RRULE-style repeating tasks
+// ============================================
+
+// Supports the subset of RFC 5545 RRULE used by the calendar:
+//   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL=n, BYDAY=MO,TU,... (weekly only),
+//   and at most one of COUNT=n or UNTIL=YYYYMMDD
+// e.g. "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR" is "every weekday"
+
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const RECURRENCE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on generated dates so a bad rule can't loop forever
+const MAX_RECURRENCE_STEPS = 10000;
+
+function toDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function fromDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Parse an RRULE string into { freq, interval, byDay, count, until }.
+// Throws an Error with a user-facing message if the rule is invalid.
+function parseRecurrenceRule(rule) {
+    if (typeof rule !== 'string' || !rule.trim()) {
+        throw new Error('Recurrence rule is required');
+    }
+
+    const parts = {};
+    rule.trim().replace(/^RRULE:/i, '').split(';').forEach(part => {
+        const [key, value] = part.split('=');
+        if (key && value !== undefined) {
+            parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+        }
+    });
+
+    const freq = parts.FREQ;
+    if (!RECURRENCE_FREQUENCIES.includes(freq)) {
+        throw new Error('Recurrence frequency must be DAILY, WEEKLY or MONTHLY');
+    }
+
+    const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+        throw new Error('Recurrence interval must be between 1 and 365');
+    }
+
+    let byDay = null;
+    if (parts.BYDAY) {
+        if (freq !== 'WEEKLY') {
+            throw new Error('BYDAY is only supported for weekly recurrence');
+        }
+        byDay = parts.BYDAY.split(',');
+        if (byDay.some(day => !RECURRENCE_WEEKDAYS.includes(day))) {
+            throw new Error('BYDAY must list days as MO, TU, WE, TH, FR, SA or SU');
+        }
+    }
+
+    if (parts.COUNT && parts.UNTIL) {
+        throw new Error('Recurrence can end after a count or on a date, not both');
+    }
+
+    let count = null;
+    if (parts.COUNT) {
+        count = parseInt(parts.COUNT, 10);
+        if (!Number.isInteger(count) || count < 1 || count > 1000) {
+            throw new Error('Recurrence count must be between 1 and 1000');
+        }
+    }
+
+    let until = null;
+    if (parts.UNTIL) {
+        // Accept YYYYMMDD or a full UTC timestamp (YYYYMMDDTHHMMSSZ); only the date is used
+        const match = /^(\d{4})(\d{2})(\d{2})/.exec(parts.UNTIL);
+        if (!match) {
+            throw new Error('Recurrence end date must be in YYYYMMDD format');
+        }
+        until = `${match[1]}-${match[2]}-${match[3]}`;
+        if (toDateKey(fromDateKey(until)) !== until) {
+            throw new Error('Recurrence end date is not a real date');
+        }
+    }
+
+    return { freq, interval, byDay, count, until };
+}
+
+// Turn a parsed rule back into its canonical RRULE string
+function formatRecurrenceRule(parsed) {
+    const parts = [`FREQ=${parsed.freq}`];
+    if (parsed.interval && parsed.interval !== 1) parts.push(`INTERVAL=${parsed.interval}`);
+    if (parsed.byDay) parts.push(`BYDAY=${parsed.byDay.join(',')}`);
+    if (parsed.count) parts.push(`COUNT=${parsed.count}`);
+    if (parsed.until) parts.push(`UNTIL=${parsed.until.replace(/-/g, '')}`);
+    return parts.join(';');
+}
+
+// Validate a rule and return it in canonical form
+function normalizeRecurrenceRule(rule) {
+    return formatRecurrenceRule(parseRecurrenceRule(rule));
+}
+
+// Generate the series' dates in order, starting at startDateKey.
+// The callback returns false to stop early.
+function forEachRecurrenceDate(startDateKey, rule, callback) {
+    const parsed = typeof rule === 'string' ? parseRecurrenceRule(rule) : rule;
+    const start = fromDateKey(startDateKey);
+    let emitted = 0;
+
+    const emit = (date) => {
+        const dateKey = toDateKey(date);
+        if (dateKey < startDateKey) return true;
+        if (parsed.until && dateKey > parsed.until) return false;
+        emitted += 1;
+        if (callback(dateKey) === false) return false;
+        return !(parsed.count && emitted >= parsed.count);
+    };
+
+    for (let step = 0; step < MAX_RECURRENCE_STEPS; step++) {
+        if (parsed.freq === 'DAILY') {
+            const date = new Date(start);
+            date.setDate(start.getDate() + step * parsed.interval);
+            if (!emit(date)) return;
+        } else if (parsed.freq === 'WEEKLY') {
+            // Weeks run Monday-Sunday, starting with the week that contains the start date
+            const weekStart = new Date(start);
+            weekStart.setDate(start.getDate() - ((start.getDay() + 6) % 7) + step * 7 * parsed.interval);
+            const days = parsed.byDay || [RECURRENCE_WEEKDAYS[start.getDay()]];
+            const offsets = days.map(day => (RECURRENCE_WEEKDAYS.indexOf(day) + 6) % 7).sort((a, b) => a - b);
+            for (const offset of offsets) {
+                const date = new Date(weekStart);
+                date.setDate(weekStart.getDate() + offset);
+                if (!emit(date)) return;
+            }
+        } else if (parsed.freq === 'MONTHLY') {
+            // Months without the start's day of month (e.g. the 31st) are skipped
+            const date = new Date(start.getFullYear(), start.getMonth() + step * parsed.interval, start.getDate());
+            if (date.getDate() !== start.getDate()) continue;
+            if (!emit(date)) return;
+        }
+    }
+}
+
+// List the series' dates that fall between fromDateKey and toDateKey (inclusive)
+function expandRecurrence(startDateKey, rule, fromDateKey, toDateKey) {
+    const dates = [];
+    forEachRecurrenceDate(startDateKey, rule, (dateKey) => {
+        if (dateKey > toDateKey) return false;
+        if (dateKey >= fromDateKey) dates.push(dateKey);
+        return true;
+    });
+    return dates;
+}
+
+// Whether dateKey is one of the series' dates
+function isRecurrenceDate(startDateKey, rule, dateKey) {
+    return expandRecurrence(startDateKey, rule, dateKey, dateKey).length === 1;
+}
+
+module.exports = {
+    RECURRENCE_FREQUENCIES,
+    RECURRENCE_WEEKDAYS,
+    parseRecurrenceRule,
+    formatRecurrenceRule,
+    normalizeRecurrenceRule,
+    expandRecurrence,
+    isRecurrenceDate
+};
@@ -55,6 +55,80 @@ const WEAPON_TYPES = [
     ["Lance", 8, 10, 6, 250],
 ];
 
+// Armor and accessory types, in the same format as weapon types
+const ARMOR_TYPES = [
+    ["Helmet", 1, 0, 8, 0],
+    ["Chestplate", 2, 0, 15, 10],
+    ["Shield", 3, 1, 20, 50],
+    ["Power Armor", 4, 0, 30, 100],
+];
+
+const ACCESSORY_TYPES = [
+    ["Ring", 1, 2, 2, 0],
+    ["Amulet", 2, 3, 3, 20],
+    ["Charm", 3, 4, 4, 100],
+];
+
+// Item categories (an item's "Type") and their base types. Every item keeps its
+// base type's name in "Weapon", whatever its category.
+const ITEM_TYPES = {
+    Weapon: WEAPON_TYPES,
+    Armor: ARMOR_TYPES,
+    Accessory: ACCESSORY_TYPES,
+};
+
+// Equipment slots and the item category each one holds
+const EQUIPMENT_SLOTS = {
+    weapon: "Weapon",
+    armor: "Armor",
+    accessory1: "Accessory",
+    accessory2: "Accessory",
+};
+
+// Forging: spend money and sacrifice duplicates (items of the same base type) to
+// enchant an item (each level adds stat_bonus of its base Damage and Defense) or
+// re-roll its mold. The success chance drops for rarer items and higher enchant
+// levels; each sacrifice beyond the first adds sacrifice_bonus. Costs are multiples
+// of the item's price (enchant_cost per level being reached).
+const FORGE_CONFIG = {
+    max_level: 10,
+    stat_bonus: 0.1,
+    base_chance: 0.9,
+    rarity_penalty: 0.02,
+    level_penalty: 0.05,
+    sacrifice_bonus: 0.1,
+    min_chance: 0.1,
+    max_chance: 0.95,
+    max_sacrifices: 3,
+    enchant_cost: 2,
+    reforge_cost: 3,
+};
+
+// Items from before armor and accessories existed have no Type and are weapons
+function getItemType(item) {
+    return item.Type || "Weapon";
+}
+
+// Player health: max HP is 100 x level scale, and lost HP regenerates over time
+// (this fraction of max HP per second, including while the game is closed)
+const HEALTH_REGEN_RATE = 0.005;
+
+// Healing items: "Name", "Heal (fraction of max HP)", "Base Price" (scaled by level like enemy cash)
+const HEALING_ITEMS = [
+    ["Bandage", 0.25, 10],
+    ["Potion", 0.5, 25],
+    ["Elixir", 1, 60],
+];
+
+// What losing a fight costs: a fraction of the player's money and of their EXP toward
+// the next level (levels are never lost), plus seconds before they can re-enter the area.
+// Set a value to 0 to turn that part of the penalty off.
+const DEATH_PENALTY = {
+    money_loss: 0.1,
+    exp_loss: 0.25,
+    area_cooldown: 60,
+};
+
 // Helper function to determine tier
 function getTier(roll, tiers, luckMultiplier) {
     const totalRange = Math.floor(MAXIMUM_VALUE / (luckMultiplier > 0 ? luckMultiplier : 1));
@@ -88,8 +162,61 @@ function getTier(roll, tiers, luckMultiplier) {
     };
 }
 
+// Seedable random number generator (sfc32) used for all game rolls, so a seed plus
+// the same sequence of actions reproduces the same items and enemies.
+// The state is saved with the game so the sequence carries on across sessions.
+class GameRandom {
+    constructor(seed = GameRandom.randomSeed(), state = null) {
+        this.seed = seed >>> 0;
+        if (Array.isArray(state) && state.length === 4 && state.every(Number.isInteger)) {
+            this.state = state.map(word => word | 0);
+        } else {
+            // Expand the seed into the four state words with splitmix32, then warm up
+            let mix = this.seed;
+            this.state = [0, 0, 0, 0].map(() => {
+                mix = (mix + 0x9e3779b9) | 0;
+                let z = mix;
+                z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+                z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+                return (z ^ (z >>> 16)) | 0;
+            });
+            for (let i = 0; i < 12; i++) this.nextUint32();
+        }
+    }
+    
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+    
+    nextUint32() {
+        let [a, b, c, d] = this.state;
+        const t = (((a + b) | 0) + d) | 0;
+        d = (d + 1) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        c = (c + t) | 0;
+        this.state = [a, b, c, d];
+        return t >>> 0;
+    }
+    
+    // Float in [0, 1) with 53 bits of precision, like Math.random()
+    // (rolls go up to MAXIMUM_VALUE, so 32 bits wouldn't reach the rarest tiers)
+    next() {
+        return (this.nextUint32() * 0x200000 + (this.nextUint32() >>> 11)) / 0x20000000000000;
+    }
+    
+    getState() {
+        return [...this.state];
+    }
+}
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { RARITY_TIERS, MOLD_TIERS, WEAPON_TYPES, MAXIMUM_VALUE, getTier };
+    module.exports = {
+        RARITY_TIERS, MOLD_TIERS, WEAPON_TYPES, ARMOR_TYPES, ACCESSORY_TYPES, ITEM_TYPES,
+        EQUIPMENT_SLOTS, MAXIMUM_VALUE, getTier, getItemType, GameRandom,
+        HEALTH_REGEN_RATE, HEALING_ITEMS, DEATH_PENALTY, FORGE_CONFIG
+    };
 }
 
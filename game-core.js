@@ -2,7 +2,42 @@
 // GAME CORE - Main Game Logic
 // ============================================
 
-const GAME_DATA_SCHEMA_VERSION = 1;
+// The same GameCore runs on the server, which owns the game state and applies
+// actions (roll, fight, upgrade, sell); the browser copy only renders that state.
+
+// The config, enemy and migration names this file uses: required in Node, and in the
+// browser taken from those scripts, which are loaded first with <script> tags
+const coreImports = typeof module !== 'undefined' && module.exports
+    ? { ...require('./game-config'), ...require('./game-enemies'), ...require('./game-migrations') }
+    : {
+        MAXIMUM_VALUE, RARITY_TIERS, MOLD_TIERS, WEAPON_TYPES, ITEM_TYPES, EQUIPMENT_SLOTS, FORGE_CONFIG,
+        HEALTH_REGEN_RATE, HEALING_ITEMS, DEATH_PENALTY, getTier, getItemType, GameRandom,
+        AREAS, generateEnemy, removeExpiredEnemies, sortEnemiesByRarity, GAME_DATA_SCHEMA_VERSION, prepareGameData
+    };
+
+// Seconds between enemy spawns in each area, and how long sell area items wait before selling
+const ENEMY_SPAWN_INTERVAL = 5;
+const SELL_AREA_TIMER = 30;
+
+// Most items (or enemy waves) a single tick can catch up on while the game is open
+const MAX_TICK_CATCH_UP = 3;
+
+// Longer gaps between ticks count as time away: the items that would have spawned
+// are generated (and sold) in one go, for at most MAX_OFFLINE_SECONDS
+const OFFLINE_MIN_SECONDS = 60;
+const MAX_OFFLINE_SECONDS = 8 * 60 * 60;
+
+// A fight the player can't win or lose (no damage taken, tiny weapon vs. huge health)
+// ends in a retreat after this many rounds
+const MAX_COMBAT_ROUNDS = 1000;
+
+function getEmptyEquipment() {
+    const equipment = {};
+    Object.keys(coreImports.EQUIPMENT_SLOTS).forEach(slot => {
+        equipment[slot] = null;
+    });
+    return equipment;
+}
 
 function getDefaultGameData() {
     const defaultThreshold = (typeof gameSettings !== 'undefined' && gameSettings && typeof gameSettings.auto_sell_threshold === 'number')
@@ -10,7 +45,7 @@ function getDefaultGameData() {
         : 100;
 
     return {
-        player: { level: 1, exp: 0, equipped: null },
+        player: { level: 1, exp: 0, equipment: getEmptyEquipment(), health: null },
         money: 0,
         item_storage: [],
         recycled_ids: [],
@@ -19,7 +54,16 @@ function getDefaultGameData() {
         level_exp: 0,
         item_id_counter: 0,
         sell_area: [],
-        schema_version: GAME_DATA_SCHEMA_VERSION,
+        spawned_enemies: {},
+        enemy_id_counter: 0,
+        healing_items: {},
+        area_cooldowns: {},
+        last_item_time: null,
+        last_enemy_time: null,
+        last_active_time: null,
+        rng_seed: null,
+        rng_state: null,
+        schema_version: coreImports.GAME_DATA_SCHEMA_VERSION,
         auto_sell_threshold: defaultThreshold
     };
 }
@@ -28,22 +72,26 @@ const RARITY_COST_EXPONENT = 1.25;
 const RARITY_COST_DIVISOR = 160;
 
 function getRarityCostScaling(rarityName) {
-    if (!Array.isArray(RARITY_TIERS)) return 1;
-    const tierIndex = RARITY_TIERS.findIndex(r => r[0] === rarityName);
+    if (!Array.isArray(coreImports.RARITY_TIERS)) return 1;
+    const tierIndex = coreImports.RARITY_TIERS.findIndex(r => r[0] === rarityName);
     if (tierIndex < 0) return 1;
-    const rank = RARITY_TIERS.length - tierIndex;
+    const rank = coreImports.RARITY_TIERS.length - tierIndex;
     const scale = 1 + Math.pow(rank, RARITY_COST_EXPONENT) / RARITY_COST_DIVISOR;
     return Math.min(scale, 1.85);
 }
 
 class GameCore {
-    constructor(username) {
+    // rng is an optional GameRandom; saved games restore their own from rng_seed/rng_state
+    constructor(username, rng = null) {
         this.username = username;
+        this.rng = rng || new coreImports.GameRandom();
         this.player = {
             level: 1,
             exp: 0,
-            equipped: null
+            equipment: getEmptyEquipment(),
+            health: null
         };
+        this.player.health = this.getMaxHealth();
         this.money = 0;
         this.item_storage = [];
         this.recycled_ids = [];
@@ -51,6 +99,7 @@ class GameCore {
         this.luck_level = 1;
         this.level_exp = 0;
         this.item_id_counter = 0;
+        this.auto_sell_threshold = 100;
         
         // Multipliers
         this.mold_mult = 1;
@@ -65,33 +114,132 @@ class GameCore {
         
         // Enemy system
         this.spawned_enemies = {};
-        AREAS.forEach(area => {
+        coreImports.AREAS.forEach(area => {
             this.spawned_enemies[area[0]] = [];
         });
+        this.enemy_id_counter = 0;
         
         // Sell area
         this.sell_area = [];
         
+        // Healing items owned (by name), and when each area can be re-entered after a defeat
+        this.healing_items = {};
+        this.area_cooldowns = {};
+        
+        // Server times (seconds) of the last item and enemy spawns, and of the last tick
+        this.last_item_time = null;
+        this.last_enemy_time = null;
+        this.last_active_time = null;
+        
+        // Difference between the server clock and this browser's clock (seconds)
+        this.clock_offset = 0;
+        
+        // game_data revision this state came from (null before the game is first saved)
+        this.revision = null;
+        // Called with each state returned by an action (game-ui.js shares it with other tabs)
+        this.onStateChange = null;
+        
         // Intervals
         this.itemSpawnInterval = null;
-        this.enemySpawnInterval = null;
         this.sellAreaInterval = null;
         this.spawn_interval_level = 1; // Shop-purchased spawn interval level
         
         // Initialize
-        this.updateShopLuckMultiplier(); // Load shop multiplier first
-        this.updateSpawnInterval(); // Load spawn interval level
         this.recalculate();
     }
     
+    // All game rolls go through the seeded generator
+    random() {
+        return this.rng.next();
+    }
+    
+    // Current time in seconds on the server's clock
+    now() {
+        return Date.now() / 1000 + this.clock_offset;
+    }
+    
     getLevelScale() {
         return 1 + (this.player.level * 0.01);
     }
+    
+    // Combined damage and defense of everything equipped
+    getEquipmentStats() {
+        const stats = { damage: 0, defense: 0 };
+        Object.values(this.player.equipment).forEach(item => {
+            if (!item) return;
+            stats.damage += item.Damage;
+            stats.defense += item.Defense;
+        });
+        return stats;
+    }
+    
+    getMaxHealth() {
+        return 100 * this.getLevelScale();
+    }
+    
+    // Regenerate health for `seconds` of elapsed time
+    regenerateHealth(seconds) {
+        if (seconds <= 0) return;
+        const maxHealth = this.getMaxHealth();
+        this.player.health = Math.min(maxHealth, this.player.health + maxHealth * coreImports.HEALTH_REGEN_RATE * seconds);
+    }
+    
+    // Seconds until an area can be entered again after a defeat there (0 if it can)
+    getAreaCooldown(areaName, now = Date.now() / 1000) {
+        const until = this.area_cooldowns[areaName];
+        return until && until > now ? until - now : 0;
+    }
+    
+    getHealingPrice(itemName) {
+        const item = coreImports.HEALING_ITEMS.find(h => h[0] === itemName);
+        return item ? Math.round(item[2] * this.getLevelScale()) : null;
+    }
+    
+    buyHealingItem(itemName, amount) {
+        const price = this.getHealingPrice(itemName);
+        if (price === null) return { success: false, message: "Unknown healing item." };
+        if (amount <= 0) return { success: false, message: "Invalid amount." };
+        
+        const totalCost = price * amount;
+        if (this.money < totalCost) {
+            return { success: false, message: "Not enough money!" };
+        }
+        
+        this.money -= totalCost;
+        this.healing_items[itemName] = (this.healing_items[itemName] || 0) + amount;
+        return { success: true, message: `Bought ${amount} ${itemName}(s) for $${totalCost}!` };
+    }
+    
+    useHealingItem(itemName) {
+        const item = coreImports.HEALING_ITEMS.find(h => h[0] === itemName);
+        if (!item) return { success: false, message: "Unknown healing item." };
+        if (!this.healing_items[itemName]) return { success: false, message: `You don't have any ${itemName}s.` };
+        
+        const maxHealth = this.getMaxHealth();
+        if (this.player.health >= maxHealth) return { success: false, message: "You're already at full health." };
+        
+        const before = this.player.health;
+        this.player.health = Math.min(maxHealth, before + maxHealth * item[1]);
+        this.healing_items[itemName] -= 1;
+        if (this.healing_items[itemName] === 0) {
+            delete this.healing_items[itemName];
+        }
+        return { success: true, message: `Used a ${itemName} and recovered ${Math.round(this.player.health - before)} HP!` };
+    }
+
+    // Cost of upgrading from `level` to the next level
+    getMoldCost(level) {
+        return Math.round(Math.pow(level, 1.9)) + 3;
+    }
+
+    getLuckCost(level) {
+        return Math.round(Math.pow(level, 2.1)) + 4;
+    }
 
     // Recalculate costs and multipliers
     recalculate() {
-        this.mold_cost = Math.round(Math.pow(this.mold_level, 1.9)) + 3;
-        this.luck_cost = Math.round(Math.pow(this.luck_level, 2.4)) + 5;
+        this.mold_cost = this.getMoldCost(this.mold_level);
+        this.luck_cost = this.getLuckCost(this.luck_level);
         this.updateLuckMult();
     }
     
@@ -110,9 +258,6 @@ class GameCore {
         this.mold_mult = Number((Math.round(this.mold_mult * levelScale * 100) / 100).toFixed(2));
         this.enemy_luck_multiplier = Math.round((Math.pow(levelMult, 2.5) - 1 + 1) * 100) / 100;
         this.player_luck_multiplier = levelMult;
-        
-        // Ensure shop multiplier is loaded
-        this.updateShopLuckMultiplier();
     }
     
     // Check for level up
@@ -136,45 +281,16 @@ class GameCore {
         return Math.floor(baseExp * Math.pow(level, 1.05));
     }
     
-    // Update shop luck multiplier from localStorage
-    updateShopLuckMultiplier() {
-        try {
-            const saved = localStorage.getItem(`calendarPoints_${this.username}`);
-            if (saved) {
-                const pointsData = JSON.parse(saved);
-                this.shop_luck_multiplier = pointsData.shop_luck_multiplier_level || 1;
-            } else {
-                this.shop_luck_multiplier = 1;
-            }
-        } catch (e) {
-            this.shop_luck_multiplier = 1;
-        }
-    }
-    
-    // Update spawn interval level from localStorage
-    updateSpawnInterval() {
-        try {
-            const saved = localStorage.getItem(`calendarPoints_${this.username}`);
-            if (saved) {
-                const pointsData = JSON.parse(saved);
-                this.spawn_interval_level = pointsData.spawn_interval_level || 1;
-            } else {
-                this.spawn_interval_level = 1;
-            }
-        } catch (e) {
-            this.spawn_interval_level = 1;
-        }
+    // Apply shop upgrade levels (from the points summary: shop_luck_multiplier_level, spawn_interval_level)
+    setShopLevels(levels) {
+        const previousInterval = this.getSpawnIntervalValue();
+        this.shop_luck_multiplier = (levels && levels.shop_luck_multiplier_level) || 1;
+        this.spawn_interval_level = (levels && levels.spawn_interval_level) || 1;
         
         // If game loop is running, restart it with new interval
-        if (this.itemSpawnInterval) {
-            clearInterval(this.itemSpawnInterval);
-            const intervalMs = this.getSpawnIntervalValue() * 1000;
-            this.itemSpawnInterval = setInterval(() => {
-                this.itemGen();
-                if (typeof updateItemDisplay === 'function') {
-                    updateItemDisplay();
-                }
-            }, intervalMs);
+        if (this.itemSpawnInterval && this.getSpawnIntervalValue() !== previousInterval) {
+            this.stopGameLoops();
+            this.startGameLoops();
         }
     }
     
@@ -191,14 +307,14 @@ class GameCore {
         const effectiveLuckMultiplier = this.luck_multiplier * this.shop_luck_multiplier;
         const effectiveMoldMult = this.mold_mult * this.shop_luck_multiplier;
         
-        const maxRarityRoll = Math.floor(MAXIMUM_VALUE / Math.max(1, effectiveLuckMultiplier));
-        const maxMoldRoll = Math.floor(MAXIMUM_VALUE / Math.max(1, effectiveMoldMult));
+        const maxRarityRoll = Math.floor(coreImports.MAXIMUM_VALUE / Math.max(1, effectiveLuckMultiplier));
+        const maxMoldRoll = Math.floor(coreImports.MAXIMUM_VALUE / Math.max(1, effectiveMoldMult));
         
-        const rarityRoll = Math.floor(Math.random() * Math.max(1, maxRarityRoll)) + 1;
-        const moldRoll = Math.floor(Math.random() * Math.max(1, maxMoldRoll)) + 1;
+        const rarityRoll = Math.floor(this.random() * Math.max(1, maxRarityRoll)) + 1;
+        const moldRoll = Math.floor(this.random() * Math.max(1, maxMoldRoll)) + 1;
         
-        const rarityResult = getTier(rarityRoll, RARITY_TIERS, effectiveLuckMultiplier);
-        const moldResult = getTier(moldRoll, MOLD_TIERS, effectiveMoldMult);
+        const rarityResult = coreImports.getTier(rarityRoll, coreImports.RARITY_TIERS, effectiveLuckMultiplier);
+        const moldResult = coreImports.getTier(moldRoll, coreImports.MOLD_TIERS, effectiveMoldMult);
         
         const rarityPriceMultiplier = rarityResult.values[0];
         const rarityDamageMultiplier = rarityResult.values[1];
@@ -217,15 +333,18 @@ class GameCore {
         return { rarityResult, moldResult, combinedActual, rarity, moldInfo };
     }
     
-    // Get weapon
-    getWeapon() {
-        const availableWeapons = WEAPON_TYPES.filter(weapon => weapon[4] <= this.mold_level);
-        return availableWeapons[Math.floor(Math.random() * availableWeapons.length)];
+    // Pick the category and base type of a new item from those the mold level allows
+    getItemBase() {
+        const available = [];
+        Object.entries(coreImports.ITEM_TYPES).forEach(([type, bases]) => {
+            bases.filter(base => base[4] <= this.mold_level).forEach(base => available.push([type, base]));
+        });
+        return available[Math.floor(this.random() * available.length)];
     }
     
     // Generate item
-    itemGen() {
-        const weaponData = this.getWeapon();
+    itemGen(now = Date.now() / 1000) {
+        const [itemType, weaponData] = this.getItemBase();
         const weapon = weaponData[0];
         const weaponBaseDamage = weaponData[2];
         const weaponBaseDefense = weaponData[3];
@@ -255,16 +374,17 @@ class GameCore {
             Mold: String(moldInfo[1]),
             Rarity: String(rarity[1]),
             Price: price,
+            Type: itemType,
             Weapon: weapon,
             Damage: damage,
             Defense: defense,
         };
         
-        if (combinedActual < gameSettings.auto_sell_threshold) {
+        if (combinedActual < this.auto_sell_threshold) {
             this.sell_area.push({
                 item: itemInfo,
-                time_added: Date.now() / 1000,
-                timer: 30
+                time_added: now,
+                timer: SELL_AREA_TIMER
             });
         } else {
             this.item_storage.push(itemInfo);
@@ -275,19 +395,19 @@ class GameCore {
     
     // Enemy loot generation
     enemyLoot(enemy) {
-        const enemyRarityIndex = RARITY_TIERS.findIndex(r => r[0] === enemy.name);
-        const rarityData = enemyRarityIndex >= 0 ? RARITY_TIERS[enemyRarityIndex] : RARITY_TIERS[RARITY_TIERS.length - 1];
+        const enemyRarityIndex = coreImports.RARITY_TIERS.findIndex(r => r[0] === enemy.name);
+        const rarityData = enemyRarityIndex >= 0 ? coreImports.RARITY_TIERS[enemyRarityIndex] : coreImports.RARITY_TIERS[coreImports.RARITY_TIERS.length - 1];
         const [rarityName, enemyRng, priceMult, damageMult] = rarityData;
         
-        const availableWeapons = WEAPON_TYPES.filter(w => w[4] <= this.mold_level);
-        const weaponChoice = availableWeapons[Math.floor(Math.random() * availableWeapons.length)][0];
+        const availableWeapons = coreImports.WEAPON_TYPES.filter(w => w[4] <= this.mold_level);
+        const weaponChoice = availableWeapons[Math.floor(this.random() * availableWeapons.length)][0];
         
-        const damageBase = WEAPON_TYPES.find(w => w[0] === weaponChoice)[2];
-        const defenseBase = WEAPON_TYPES.find(w => w[0] === weaponChoice)[3];
+        const damageBase = coreImports.WEAPON_TYPES.find(w => w[0] === weaponChoice)[2];
+        const defenseBase = coreImports.WEAPON_TYPES.find(w => w[0] === weaponChoice)[3];
         
-        const maxMoldIndex = MAXIMUM_VALUE;
-        const moldIndex = Math.floor(Math.random() * Math.max(1, Math.floor(maxMoldIndex / ((this.mold_mult > 0 ? this.mold_mult : 1) * this.player_luck_multiplier))));
-        const moldResult = getTier(moldIndex, MOLD_TIERS, this.mold_mult);
+        const maxMoldIndex = coreImports.MAXIMUM_VALUE;
+        const moldIndex = Math.floor(this.random() * Math.max(1, Math.floor(maxMoldIndex / ((this.mold_mult > 0 ? this.mold_mult : 1) * this.player_luck_multiplier))));
+        const moldResult = coreImports.getTier(moldIndex, coreImports.MOLD_TIERS, this.mold_mult);
         const moldMultPrice = moldResult.values[0];
         
         let itemId;
@@ -305,6 +425,7 @@ class GameCore {
             Mold: moldResult.tier,
             Rarity: rarityName,
             Price: 5 * priceMult * moldMultPrice * costScale,
+            Type: "Weapon",
             Weapon: weaponChoice,
             Damage: damageBase * damageMult,
             Defense: defenseBase * (damageMult * 0.5),
@@ -312,60 +433,117 @@ class GameCore {
     }
     
     // Combat system
-    fightEnemy(areaName, enemy, dropItems) {
+    // Play out a fight against `enemy` round by round without changing any state.
+    // Combat has no randomness, so this is both the fight itself and the odds preview.
+    // Each round records the damage dealt and taken and both sides' remaining health.
+    simulateFight(enemy) {
         const levelScale = this.getLevelScale();
-        let playerHealth = 100 * levelScale;
+        const playerMaxHealth = this.getMaxHealth();
+        const playerStartHealth = Math.min(this.player.health, playerMaxHealth);
+        let playerHealth = playerStartHealth;
         let enemyHealth = enemy.health;
-        const weapon = this.player.equipped;
+        const stats = this.getEquipmentStats();
+        const rounds = [];
+        
+        const outcome = (victory) => ({
+            victory,
+            timedOut: !victory && playerHealth > 0,
+            playerMaxHealth,
+            enemyMaxHealth: enemy.health,
+            playerStartHealth,
+            playerHealth: Math.max(0, playerHealth),
+            enemyHealth: Math.max(0, enemyHealth),
+            rounds
+        });
         
-        while (playerHealth > 0 && enemyHealth > 0) {
-            const damageDealt = Math.floor(weapon.Damage);
+        while (rounds.length < MAX_COMBAT_ROUNDS) {
+            const damageDealt = Math.floor(stats.damage);
             enemyHealth -= damageDealt;
             
-            if (enemyHealth <= 0) {
-                const scaledCash = Math.round(enemy.cash * levelScale);
-                this.money += scaledCash;
-                this.player.exp += enemy.exp;
-                const levelsGained = this.checkLevelUp();
-                
-                // Remove enemy
-                const enemyIndex = this.spawned_enemies[areaName].findIndex(e => e === enemy);
-                if (enemyIndex >= 0) {
-                    this.spawned_enemies[areaName].splice(enemyIndex, 1);
-                }
-                
-                // Drop item if elite or champions hall
-                if (enemy.Elite || areaName === "Champions Hall") {
-                    const drop = this.enemyLoot(enemy);
-                    this.item_storage.push(drop);
-                    return { 
-                        victory: true, 
-                        exp: enemy.exp, 
-                        cash: scaledCash, 
-                        levelsGained,
-                        drop: drop 
-                    };
-                }
-                
-                return { 
-                    victory: true, 
-                    exp: enemy.exp, 
-                    cash: scaledCash, 
-                    levelsGained 
-                };
-            }
+            const round = {
+                round: rounds.length + 1,
+                damageDealt,
+                damageTaken: 0,
+                playerHealth: Math.max(0, playerHealth),
+                enemyHealth: Math.max(0, enemyHealth)
+            };
+            rounds.push(round);
+            
+            if (enemyHealth <= 0) return outcome(true);
             
             const enemyAttack = enemy.damage;
-            const weaponDefense = weapon ? weapon.Defense : 1;
-            const damageTaken = Math.max(0, Math.floor(enemyAttack / (weaponDefense * levelScale)));
+            const defense = stats.defense > 0 ? stats.defense : 1;
+            const damageTaken = Math.max(0, Math.floor(enemyAttack / (defense * levelScale)));
             playerHealth -= damageTaken;
+            round.damageTaken = damageTaken;
+            round.playerHealth = Math.max(0, playerHealth);
             
-            if (playerHealth <= 0) {
-                return { victory: false, message: `You were defeated by the ${enemy.name}!` };
-            }
+            if (playerHealth <= 0) return outcome(false);
+        }
+        
+        return outcome(false);
+    }
+    
+    // Fight an enemy. Damage taken carries over after the fight; a defeat leaves
+    // the player at 0 HP and applies DEATH_PENALTY.
+    fightEnemy(areaName, enemy, dropItems, now = Date.now() / 1000) {
+        const fight = this.simulateFight(enemy);
+        const combat = {
+            rounds: fight.rounds,
+            playerStartHealth: fight.playerStartHealth,
+            playerMaxHealth: fight.playerMaxHealth,
+            enemyMaxHealth: fight.enemyMaxHealth
+        };
+        this.player.health = fight.playerHealth;
+        
+        if (fight.timedOut) {
+            return { victory: false, message: `You couldn't defeat the ${enemy.name} in ${MAX_COMBAT_ROUNDS} rounds and retreated.`, ...combat };
+        }
+        
+        if (!fight.victory) {
+            const penalty = this.applyDeathPenalty(areaName, now);
+            return { victory: false, message: `You were defeated by the ${enemy.name}!`, penalty, ...combat };
+        }
+        
+        const scaledCash = Math.round(enemy.cash * this.getLevelScale());
+        this.money += scaledCash;
+        this.player.exp += enemy.exp;
+        const levelsGained = this.checkLevelUp();
+        
+        // Remove enemy
+        const enemyIndex = this.spawned_enemies[areaName].findIndex(e => e === enemy);
+        if (enemyIndex >= 0) {
+            this.spawned_enemies[areaName].splice(enemyIndex, 1);
         }
         
-        return { victory: false, message: "Combat ended unexpectedly." };
+        const result = { 
+            victory: true, 
+            exp: enemy.exp, 
+            cash: scaledCash, 
+            levelsGained,
+            ...combat
+        };
+        
+        // Drop item if elite or champions hall
+        if (enemy.Elite || areaName === "Champions Hall") {
+            const drop = this.enemyLoot(enemy);
+            this.item_storage.push(drop);
+            result.drop = drop;
+        }
+        
+        return result;
+    }
+    
+    // Take the configured share of money and EXP toward the next level, and lock the area for a while
+    applyDeathPenalty(areaName, now = Date.now() / 1000) {
+        const moneyLost = Number((this.money * coreImports.DEATH_PENALTY.money_loss).toFixed(2));
+        const expLost = this.player.exp * coreImports.DEATH_PENALTY.exp_loss;
+        this.money -= moneyLost;
+        this.player.exp -= expLost;
+        if (coreImports.DEATH_PENALTY.area_cooldown > 0) {
+            this.area_cooldowns[areaName] = now + coreImports.DEATH_PENALTY.area_cooldown;
+        }
+        return { money_lost: moneyLost, exp_lost: expLost, cooldown: coreImports.DEATH_PENALTY.area_cooldown };
     }
     
     // Upgrade system
@@ -373,23 +551,17 @@ class GameCore {
         if (amount <= 0) return { success: false, message: "Invalid amount." };
         
         let totalCost = 0;
-        let tempLevel = this.mold_level;
-        for (let i = 0; i < amount; i++) {
-            totalCost += Math.round(Math.pow(tempLevel, 1.9)) + 3;
-            tempLevel += 1;
+        for (let level = this.mold_level; level < this.mold_level + amount; level++) {
+            totalCost += this.getMoldCost(level);
         }
         
         if (this.money < totalCost) {
             return { success: false, message: "Not enough money!" };
         }
         
-        for (let i = 0; i < amount; i++) {
-            this.mold_level += 1;
-            this.money -= this.mold_cost;
-            this.mold_cost = Math.round(Math.pow(this.mold_level, 1.9)) + 3;
-        }
-        
-        this.updateLuckMult();
+        this.mold_level += amount;
+        this.money -= totalCost;
+        this.recalculate();
         return { success: true, message: `Upgraded mold level ${amount} times!` };
     }
     
@@ -397,169 +569,446 @@ class GameCore {
         if (amount <= 0) return { success: false, message: "Invalid amount." };
         
         let totalCost = 0;
-        let tempLevel = this.luck_level;
-        for (let i = 0; i < amount; i++) {
-            totalCost += Math.round(Math.pow(tempLevel, 2.1)) + 4;
-            tempLevel += 1;
+        for (let level = this.luck_level; level < this.luck_level + amount; level++) {
+            totalCost += this.getLuckCost(level);
         }
         
         if (this.money < totalCost) {
             return { success: false, message: "Not enough money!" };
         }
         
-        for (let i = 0; i < amount; i++) {
-            this.luck_level += 1;
-            this.money -= this.luck_cost;
-            this.luck_cost = Math.round(Math.pow(this.luck_level, 2.1)) + 4;
+        this.luck_level += amount;
+        this.money -= totalCost;
+        this.recalculate();
+        return { success: true, message: `Upgraded luck level ${amount} times!` };
+    }
+    
+    // Spawn an enemy in each area
+    spawnEnemies(now = Date.now() / 1000) {
+        coreImports.AREAS.forEach(area => {
+            // Apply shop luck multiplier to enemy generation
+            const effectiveEnemyLuck = this.enemy_luck_multiplier * this.shop_luck_multiplier;
+            const enemy = coreImports.generateEnemy(area, effectiveEnemyLuck, () => this.random());
+            enemy.id = this.enemy_id_counter;
+            enemy.spawn_time = now;
+            this.enemy_id_counter += 1;
+            this.spawned_enemies[area[0]].push(enemy);
+            this.spawned_enemies[area[0]] = coreImports.sortEnemiesByRarity(this.spawned_enemies[area[0]]);
+        });
+    }
+    
+    // Credit the time since the last tick if the player was away: generate the items
+    // that would have spawned and sell what would have sold. Enemies aren't spawned
+    // (they would have despawned). Returns a summary, or null if there was no time away.
+    applyOfflineProgress(now) {
+        if (this.last_active_time === null || now - this.last_active_time < OFFLINE_MIN_SECONDS) {
+            return null;
+        }
+        
+        const awaySeconds = now - this.last_active_time;
+        const creditedSeconds = Math.min(awaySeconds, MAX_OFFLINE_SECONDS);
+        const start = now - creditedSeconds;
+        const startLevel = this.player.level;
+        const storedBefore = this.item_storage.length;
+        
+        const itemInterval = this.getSpawnIntervalValue();
+        const itemCount = Math.floor(creditedSeconds / itemInterval);
+        let bestItem = null;
+        for (let i = 1; i <= itemCount; i++) {
+            const { itemInfo } = this.itemGen(start + i * itemInterval);
+            if (!bestItem || itemInfo.RNG > bestItem.RNG) {
+                bestItem = itemInfo;
+            }
         }
         
-        this.updateLuckMult();
-        return { success: true, message: `Upgraded luck level ${amount} times!` };
+        const sold = this.processSellArea(now);
+        this.last_item_time = now;
+        this.last_enemy_time = now;
+        
+        return {
+            away_seconds: awaySeconds,
+            credited_seconds: creditedSeconds,
+            capped: awaySeconds > MAX_OFFLINE_SECONDS,
+            items_found: itemCount,
+            items_stored: this.item_storage.length - storedBefore,
+            best_item: bestItem,
+            items_sold: sold.length,
+            money: sold.reduce((total, entry) => total + entry.money, 0),
+            exp: sold.reduce((total, entry) => total + entry.exp, 0),
+            levels_gained: this.player.level - startLevel
+        };
+    }
+    
+    // Advance the game to `now` (seconds): regenerate health, apply any time away, spawn
+    // the items and enemies that are due, sell finished sell area items and drop expired enemies
+    tick(now = Date.now() / 1000) {
+        if (this.last_active_time !== null) {
+            this.regenerateHealth(now - this.last_active_time);
+        }
+        Object.keys(this.area_cooldowns).forEach(areaName => {
+            if (this.area_cooldowns[areaName] <= now) delete this.area_cooldowns[areaName];
+        });
+        
+        const offline = this.applyOfflineProgress(now);
+        const items = [];
+        const itemInterval = this.getSpawnIntervalValue();
+        if (this.last_item_time === null || now < this.last_item_time) {
+            this.last_item_time = now;
+        }
+        const itemsDue = Math.floor((now - this.last_item_time) / itemInterval);
+        for (let i = 0; i < Math.min(itemsDue, MAX_TICK_CATCH_UP); i++) {
+            items.push(this.itemGen(now).itemInfo);
+        }
+        this.last_item_time = itemsDue > MAX_TICK_CATCH_UP ? now : this.last_item_time + itemsDue * itemInterval;
+        
+        if (this.last_enemy_time === null || now < this.last_enemy_time) {
+            this.last_enemy_time = now;
+        }
+        const wavesDue = Math.floor((now - this.last_enemy_time) / ENEMY_SPAWN_INTERVAL);
+        for (let i = 0; i < Math.min(wavesDue, MAX_TICK_CATCH_UP); i++) {
+            this.spawnEnemies(now);
+        }
+        this.last_enemy_time = wavesDue > MAX_TICK_CATCH_UP ? now : this.last_enemy_time + wavesDue * ENEMY_SPAWN_INTERVAL;
+        this.spawned_enemies = coreImports.removeExpiredEnemies(this.spawned_enemies, now);
+        
+        const sold = this.processSellArea(now);
+        this.last_active_time = now;
+        return { items, sold, offline };
+    }
+    
+    // Move a stored item to the sell area
+    sendToSellArea(itemId, now = Date.now() / 1000) {
+        const itemIndex = this.item_storage.findIndex(i => i.ID === itemId);
+        if (itemIndex < 0) return { success: false, message: "Item not found in storage." };
+        
+        const [item] = this.item_storage.splice(itemIndex, 1);
+        this.sell_area.push({
+            item: item,
+            time_added: now,
+            timer: SELL_AREA_TIMER
+        });
+        return { success: true, message: `Item sent to sell area. Will be sold in ${SELL_AREA_TIMER} seconds.`, item };
+    }
+    
+    // Take an item back out of the sell area
+    takeFromSellArea(itemId) {
+        const entryIndex = this.sell_area.findIndex(e => e.item.ID === itemId);
+        if (entryIndex < 0) return { success: false, message: "Item not found in sell area." };
+        
+        const [entry] = this.sell_area.splice(entryIndex, 1);
+        this.item_storage.push(entry.item);
+        return { success: true, message: "Item removed from sell area!", item: entry.item };
+    }
+    
+    // The slot an item goes in when none is chosen: the first empty slot for its
+    // category, otherwise the first slot (whose item is swapped out)
+    getEquipSlot(item) {
+        const slots = Object.keys(coreImports.EQUIPMENT_SLOTS).filter(slot => coreImports.EQUIPMENT_SLOTS[slot] === coreImports.getItemType(item));
+        return slots.find(slot => !this.player.equipment[slot]) || slots[0];
+    }
+    
+    // Equip a stored item (whatever was in the slot goes back to storage)
+    equipItem(itemId, slot = null) {
+        const itemIndex = this.item_storage.findIndex(i => i.ID === itemId);
+        if (itemIndex < 0) return { success: false, message: "Item not found in storage." };
+        
+        const item = this.item_storage[itemIndex];
+        const itemType = coreImports.getItemType(item);
+        if (slot === null) {
+            slot = this.getEquipSlot(item);
+        } else if (coreImports.EQUIPMENT_SLOTS[slot] !== itemType) {
+            return { success: false, message: `That slot can't hold ${itemType} items.` };
+        }
+        
+        this.item_storage.splice(itemIndex, 1);
+        if (this.player.equipment[slot]) {
+            this.item_storage.push(this.player.equipment[slot]);
+        }
+        this.player.equipment[slot] = item;
+        return { success: true, message: `Equipped ${item.Rarity} ${item.Mold} ${item.Weapon}!`, item, slot };
+    }
+    
+    unequipItem(slot = 'weapon') {
+        if (!Object.keys(coreImports.EQUIPMENT_SLOTS).includes(slot)) return { success: false, message: "Unknown equipment slot." };
+        const item = this.player.equipment[slot];
+        if (!item) return { success: false, message: "Nothing equipped in that slot." };
+        
+        this.item_storage.push(item);
+        this.player.equipment[slot] = null;
+        return { success: true, message: `${item.Weapon} unequipped!`, item };
+    }
+    
+    // Chance (0-1) that forging `item` succeeds with `sacrificeCount` duplicates
+    getForgeChance(item, mode, sacrificeCount) {
+        const tierIndex = coreImports.RARITY_TIERS.findIndex(r => r[0] === item.Rarity);
+        const rarityRank = tierIndex >= 0 ? coreImports.RARITY_TIERS.length - 1 - tierIndex : 0;
+        let chance = coreImports.FORGE_CONFIG.base_chance - rarityRank * coreImports.FORGE_CONFIG.rarity_penalty;
+        if (mode === 'enchant') {
+            chance -= (item.Enhancement || 0) * coreImports.FORGE_CONFIG.level_penalty;
+        }
+        chance += Math.max(0, sacrificeCount - 1) * coreImports.FORGE_CONFIG.sacrifice_bonus;
+        return Math.min(coreImports.FORGE_CONFIG.max_chance, Math.max(coreImports.FORGE_CONFIG.min_chance, chance));
+    }
+    
+    getForgeCost(item, mode) {
+        const multiplier = mode === 'enchant'
+            ? coreImports.FORGE_CONFIG.enchant_cost * ((item.Enhancement || 0) + 1)
+            : coreImports.FORGE_CONFIG.reforge_cost;
+        return Math.max(1, Math.round(item.Price * multiplier));
+    }
+    
+    // Storage items that can be sacrificed to forge `item` (same category and base type)
+    getForgeDuplicates(item) {
+        return this.item_storage.filter(i =>
+            i.ID !== item.ID && i.Weapon === item.Weapon && coreImports.getItemType(i) === coreImports.getItemType(item));
+    }
+    
+    // Enchant a stored item or re-roll its mold. Money and sacrifices are used up
+    // either way; on success the item is changed in place.
+    forgeItem(itemId, mode, sacrificeIds) {
+        const item = this.item_storage.find(i => i.ID === itemId);
+        if (!item) return { success: false, message: "Item not found in storage." };
+        if (mode === 'enchant' && (item.Enhancement || 0) >= coreImports.FORGE_CONFIG.max_level) {
+            return { success: false, message: "This item is already fully enchanted." };
+        }
+        
+        const duplicates = this.getForgeDuplicates(item);
+        const sacrifices = [...new Set(sacrificeIds)].map(id => duplicates.find(i => i.ID === id));
+        if (sacrifices.length === 0 || sacrifices.length > coreImports.FORGE_CONFIG.max_sacrifices) {
+            return { success: false, message: `Choose 1 to ${coreImports.FORGE_CONFIG.max_sacrifices} items to sacrifice.` };
+        }
+        if (sacrifices.some(sacrifice => !sacrifice)) {
+            return { success: false, message: `Only other stored ${item.Weapon}s can be sacrificed.` };
+        }
+        
+        const cost = this.getForgeCost(item, mode);
+        if (this.money < cost) {
+            return { success: false, message: "Not enough money!" };
+        }
+        
+        const chance = this.getForgeChance(item, mode, sacrifices.length);
+        this.money -= cost;
+        this.item_storage = this.item_storage.filter(i => !sacrifices.includes(i));
+        sacrifices.forEach(sacrifice => this.recycled_ids.push(sacrifice.ID));
+        
+        if (this.random() >= chance) {
+            return { success: true, forged: false, message: `The ${mode === 'enchant' ? 'enchantment' : 'reforge'} failed.`, item, cost, chance };
+        }
+        
+        if (mode === 'enchant') {
+            if (item.BaseDamage === undefined) {
+                item.BaseDamage = item.Damage;
+                item.BaseDefense = item.Defense;
+            }
+            item.Enhancement = (item.Enhancement || 0) + 1;
+            const bonus = 1 + coreImports.FORGE_CONFIG.stat_bonus * item.Enhancement;
+            item.Damage = Number((item.BaseDamage * bonus).toFixed(2));
+            item.Defense = Number((item.BaseDefense * bonus).toFixed(2));
+            return { success: true, forged: true, message: `Enchanted ${item.Weapon} to +${item.Enhancement}!`, item, cost, chance };
+        }
+        
+        // Re-roll the mold the same way new items roll theirs; the price follows the mold
+        const effectiveMoldMult = this.mold_mult * this.shop_luck_multiplier;
+        const maxMoldRoll = Math.floor(coreImports.MAXIMUM_VALUE / Math.max(1, effectiveMoldMult));
+        const moldRoll = Math.floor(this.random() * Math.max(1, maxMoldRoll)) + 1;
+        const moldResult = coreImports.getTier(moldRoll, coreImports.MOLD_TIERS, effectiveMoldMult);
+        const oldMold = coreImports.MOLD_TIERS.find(m => m[0] === item.Mold);
+        if (oldMold) {
+            item.Price = item.Price / oldMold[2] * moldResult.values[0];
+        }
+        const previousMold = item.Mold;
+        item.Mold = String(moldResult.tier);
+        return { success: true, forged: true, message: `Reforged ${previousMold} ${item.Weapon} into ${item.Mold}!`, item, cost, chance };
     }
     
     // Process sell area
-    processSellArea() {
-        const currentTime = Date.now() / 1000;
+    processSellArea(currentTime = Date.now() / 1000) {
         const soldItems = [];
-        let soldSomething = false;
+        const remaining = [];
         const levelScale = this.getLevelScale();
         
+        // Newest first; unsold entries are kept in their original order
         for (let i = this.sell_area.length - 1; i >= 0; i--) {
             const entry = this.sell_area[i];
             if (currentTime >= entry.time_added + entry.timer) {
                 const item = entry.item;
                 const expMult = this.rarityExpMult(item.Rarity) * this.moldExpMult(item.Mold);
                 const scaledPrice = Number((item.Price * levelScale).toFixed(2));
+                const exp = item.Price * expMult;
                 this.money += scaledPrice;
-                this.player.exp += item.Price * expMult;
+                this.player.exp += exp;
                 const levelsGained = this.checkLevelUp();
-                soldItems.push({ item, levelsGained });
+                soldItems.push({ item, levelsGained, money: scaledPrice, exp });
                 this.recycled_ids.push(item.ID);
-                this.sell_area.splice(i, 1);
-                soldSomething = true;
+            } else {
+                remaining.unshift(entry);
             }
         }
         
-        if (soldSomething) {
-            this.saveGame();
-        }
-        
+        this.sell_area = remaining;
         return soldItems;
     }
     
     // EXP multipliers
     rarityExpMult(rarityName) {
-        const rarity = RARITY_TIERS.find(r => r[0] === rarityName);
+        const rarity = coreImports.RARITY_TIERS.find(r => r[0] === rarityName);
         return rarity ? rarity[4] : 1;
     }
     
     moldExpMult(moldName) {
-        const mold = MOLD_TIERS.find(m => m[0] === moldName);
+        const mold = coreImports.MOLD_TIERS.find(m => m[0] === moldName);
         return mold ? mold[3] : 1;
     }
     
-    // Save game
-    saveGame() {
-        const key = `gameData_${this.username}`;
-        let existingData = {};
-        try {
-            existingData = JSON.parse(localStorage.getItem(key)) || {};
-        } catch (error) {
-            console.warn('Existing game data is invalid JSON; starting with fresh data.', error);
-        }
-
-        const mergedData = {
-            ...existingData,
+    // State to persist (the server stores this in game_data)
+    getSaveData() {
+        return {
             player: this.player,
             money: this.money,
             item_storage: this.item_storage,
             recycled_ids: this.recycled_ids,
             mold_level: this.mold_level,
             luck_level: this.luck_level,
-            auto_sell_threshold: (typeof gameSettings !== 'undefined' && gameSettings) ? gameSettings.auto_sell_threshold : 100,
+            auto_sell_threshold: this.auto_sell_threshold,
             level_exp: this.level_exp,
             item_id_counter: this.item_id_counter,
             sell_area: this.sell_area,
-            schema_version: GAME_DATA_SCHEMA_VERSION
+            spawned_enemies: this.spawned_enemies,
+            enemy_id_counter: this.enemy_id_counter,
+            healing_items: this.healing_items,
+            area_cooldowns: this.area_cooldowns,
+            last_item_time: this.last_item_time,
+            last_enemy_time: this.last_enemy_time,
+            last_active_time: this.last_active_time,
+            rng_seed: this.rng.seed,
+            rng_state: this.rng.getState(),
+            schema_version: coreImports.GAME_DATA_SCHEMA_VERSION
         };
-
-        localStorage.setItem(key, JSON.stringify(mergedData));
-        if (gameSettings) {
-            gameSettings.saveSettings(this.username);
+    }
+    
+    // Load saved state: older saves are migrated to the current schema_version (see
+    // game-migrations.js), and fields that fail validation fall back to their defaults.
+    // Returns the validation problems (empty when the save was valid).
+    loadState(saved) {
+        const defaultData = getDefaultGameData();
+        const { data: migrated, problems } = coreImports.prepareGameData(saved);
+        const data = { ...defaultData, ...migrated };
+        
+        this.player = { ...defaultData.player, ...data.player };
+        this.player.equipment = { ...getEmptyEquipment(), ...this.player.equipment };
+        this.money = data.money;
+        this.item_storage = data.item_storage;
+        this.recycled_ids = data.recycled_ids;
+        this.mold_level = data.mold_level;
+        this.luck_level = data.luck_level;
+        this.level_exp = data.level_exp;
+        this.item_id_counter = data.item_id_counter;
+        this.sell_area = data.sell_area;
+        this.enemy_id_counter = data.enemy_id_counter;
+        this.healing_items = data.healing_items;
+        this.area_cooldowns = data.area_cooldowns;
+        this.last_item_time = data.last_item_time;
+        this.last_enemy_time = data.last_enemy_time;
+        this.last_active_time = data.last_active_time;
+        this.auto_sell_threshold = data.auto_sell_threshold;
+        if (typeof data.rng_seed === 'number') {
+            this.rng = new coreImports.GameRandom(data.rng_seed, data.rng_state);
         }
-        return true;
+        
+        coreImports.AREAS.forEach(area => {
+            const enemies = data.spawned_enemies[area[0]];
+            this.spawned_enemies[area[0]] = Array.isArray(enemies) ? enemies : [];
+        });
+        
+        this.recalculate();
+        
+        // No health saved (a new game, or one from before health was tracked) means full health
+        if (typeof this.player.health !== 'number') {
+            this.player.health = this.getMaxHealth();
+        }
+        return problems;
     }
     
-    // Load game
-    loadGame() {
-        const key = `gameData_${this.username}`;
-        const saved = localStorage.getItem(key);
-        if (saved) {
-            try {
-                const parsed = JSON.parse(saved);
-                const defaultData = getDefaultGameData();
-                const data = { ...defaultData, ...parsed };
-
-                this.player = data.player || { level: 1, exp: 0, equipped: null };
-                this.money = typeof data.money === 'number' ? data.money : defaultData.money;
-                this.item_storage = Array.isArray(data.item_storage) ? data.item_storage : [];
-                this.recycled_ids = Array.isArray(data.recycled_ids) ? data.recycled_ids : [];
-                this.mold_level = typeof data.mold_level === 'number' ? data.mold_level : defaultData.mold_level;
-                this.luck_level = typeof data.luck_level === 'number' ? data.luck_level : defaultData.luck_level;
-                this.level_exp = typeof data.level_exp === 'number' ? data.level_exp : defaultData.level_exp;
-                this.item_id_counter = typeof data.item_id_counter === 'number' ? data.item_id_counter : defaultData.item_id_counter;
-                this.sell_area = Array.isArray(data.sell_area) ? data.sell_area : [];
-
-                if (gameSettings && typeof data.auto_sell_threshold === 'number') {
-                    gameSettings.auto_sell_threshold = data.auto_sell_threshold;
-                }
-
-                this.recalculate();
-                return true;
-            } catch (error) {
-                console.error('Failed to load saved game data:', error);
-            }
+    // Apply a state returned by the server (GET /api/game/data or an action)
+    applyServerState(state) {
+        const problems = this.loadState(state);
+        if (problems.length) {
+            console.warn('Ignored invalid fields in the game state from the server:', problems);
+        }
+        this.setShopLevels(state);
+        if (typeof state.server_time === 'number') {
+            this.clock_offset = state.server_time - Date.now() / 1000;
+        }
+        if (typeof state.revision === 'number') {
+            this.revision = state.revision;
+        }
+        if (gameSettings && typeof state.auto_sell_threshold === 'number') {
+            gameSettings.auto_sell_threshold = state.auto_sell_threshold;
+        }
+    }
+    
+    // Load game from the server
+    async loadGame() {
+        try {
+            this.applyServerState(await GameAPI.getGameData());
+            return true;
+        } catch (error) {
+            console.error('Failed to load game data:', error);
         }
         return false;
     }
     
+    // Run a game action on the server and apply the resulting state.
+    // Returns the action's result; throws with the server's message if it was rejected.
+    // Actions other than roll carry the revision of the state the player acted on. If the game
+    // has been saved since (e.g. in another tab), the server refuses them and the error has
+    // `conflict` set, with the server's current state as `serverState`.
+    async performAction(action, params = {}) {
+        const body = action === 'roll' ? params : { ...params, baseRevision: this.revision || 0 };
+        let response;
+        try {
+            response = await GameAPI.performAction(action, body);
+        } catch (error) {
+            if (error.data && error.data.conflict) {
+                error.conflict = true;
+                error.serverState = error.data.state || null;
+            }
+            throw error;
+        }
+        this.applyServerState(response.state);
+        if (this.onStateChange) {
+            this.onStateChange(response.state);
+        }
+        return response.result;
+    }
+    
     // Start game loops
     startGameLoops() {
-        // Item spawn loop (dynamic interval based on shop upgrade)
+        // Ask the server to advance the game once per item spawn (dynamic interval based on shop upgrade)
         const intervalMs = this.getSpawnIntervalValue() * 1000;
-        this.itemSpawnInterval = setInterval(() => {
-            this.itemGen();
+        this.itemSpawnInterval = setInterval(async () => {
+            try {
+                await this.performAction('roll');
+            } catch (error) {
+                console.error('Failed to advance game:', error);
+                return;
+            }
             if (typeof updateItemDisplay === 'function') {
                 updateItemDisplay();
             }
-        }, intervalMs);
-        
-        // Enemy spawn loop (every 5 seconds)
-        this.enemySpawnInterval = setInterval(() => {
-            AREAS.forEach(area => {
-                // Apply shop luck multiplier to enemy generation
-                const effectiveEnemyLuck = this.enemy_luck_multiplier * this.shop_luck_multiplier;
-                const enemy = generateEnemy(area, effectiveEnemyLuck);
-                this.spawned_enemies[area[0]].push(enemy);
-                this.spawned_enemies[area[0]] = sortEnemiesByRarity(this.spawned_enemies[area[0]]);
-            });
-            this.spawned_enemies = removeExpiredEnemies(this.spawned_enemies);
             if (typeof updateEnemyDisplay === 'function') {
                 updateEnemyDisplay();
             }
-        }, 5000);
+            if (typeof updateSellAreaDisplay === 'function') {
+                updateSellAreaDisplay();
+            }
+        }, intervalMs);
         
-        // Sell area processing (every 0.5 seconds)
+        // Keep the sell area countdown current
         this.sellAreaInterval = setInterval(() => {
-            const soldItems = this.processSellArea();
-            if (soldItems.length > 0 && typeof updateSellAreaDisplay === 'function') {
+            if (typeof updateSellAreaDisplay === 'function') {
                 updateSellAreaDisplay();
             }
-        }, 500);
-        
-        // Remove expired enemies periodically
-        setInterval(() => {
-            this.spawned_enemies = removeExpiredEnemies(this.spawned_enemies);
         }, 1000);
     }
     
@@ -569,10 +1018,6 @@ class GameCore {
             clearInterval(this.itemSpawnInterval);
             this.itemSpawnInterval = null;
         }
-        if (this.enemySpawnInterval) {
-            clearInterval(this.enemySpawnInterval);
-            this.enemySpawnInterval = null;
-        }
         if (this.sellAreaInterval) {
             clearInterval(this.sellAreaInterval);
             this.sellAreaInterval = null;
@@ -580,25 +1025,130 @@ class GameCore {
     }
 }
 
+// Only one tab runs the game loops at a time. Tabs with the game open agree over a
+// BroadcastChannel: a tab claims the lock and takes it unless the holder (or a claiming tab
+// with a lower id) answers within GAME_LOCK_CLAIM_MS. The holder repeats 'held' as a heartbeat;
+// the other tabs claim the lock when it's released or the heartbeat stops. Tabs also share
+// each new game state, so the others stay current without running the loops.
+const GAME_LOCK_CLAIM_MS = 300;
+const GAME_LOCK_HEARTBEAT_MS = 2000;
+const GAME_LOCK_TIMEOUT_MS = 5000;
+
+class GameLoopLock {
+    // callbacks: { onAcquire, onRelease, onState(state) }
+    constructor(username, callbacks) {
+        this.channelName = `rng-game-${username}`;
+        this.callbacks = callbacks;
+        this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        this.channel = null;
+        this.held = false;
+        this.claim = null; // { yielded } while waiting for answers to a claim
+        this.lastHeartbeat = 0;
+        this.watchInterval = null;
+    }
+    
+    start() {
+        if (this.held || this.channel) return;
+        if (typeof BroadcastChannel === 'undefined') {
+            // No other tabs to coordinate with
+            this.acquire();
+            return;
+        }
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+        this.requestLock();
+        this.watchInterval = setInterval(() => {
+            if (this.held) {
+                this.post('held');
+            } else if (!this.claim && Date.now() - this.lastHeartbeat > GAME_LOCK_TIMEOUT_MS) {
+                this.requestLock();
+            }
+        }, GAME_LOCK_HEARTBEAT_MS);
+    }
+    
+    // Release the lock (if held) and stop listening to other tabs
+    stop() {
+        if (this.held) {
+            this.held = false;
+            this.post('release');
+            this.callbacks.onRelease();
+        }
+        clearInterval(this.watchInterval);
+        this.watchInterval = null;
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        this.claim = null;
+    }
+    
+    // Send a new game state to the other tabs
+    shareState(state) {
+        this.post('state', { state });
+    }
+    
+    post(type, extra = {}) {
+        if (this.channel) {
+            this.channel.postMessage({ type, id: this.id, ...extra });
+        }
+    }
+    
+    requestLock() {
+        if (this.held || this.claim) return;
+        const claim = { yielded: false };
+        this.claim = claim;
+        this.post('claim');
+        setTimeout(() => {
+            if (this.claim !== claim) return; // Stopped meanwhile
+            this.claim = null;
+            if (claim.yielded) {
+                this.lastHeartbeat = Date.now();
+            } else {
+                this.acquire();
+            }
+        }, GAME_LOCK_CLAIM_MS);
+    }
+    
+    acquire() {
+        this.held = true;
+        this.post('held');
+        this.callbacks.onAcquire();
+    }
+    
+    handleMessage(message) {
+        if (!message || message.id === this.id) return;
+        
+        if (message.type === 'claim') {
+            if (this.held) {
+                this.post('held');
+            } else if (this.claim && message.id < this.id) {
+                this.claim.yielded = true;
+            }
+        } else if (message.type === 'held') {
+            this.lastHeartbeat = Date.now();
+            if (this.claim) {
+                this.claim.yielded = true;
+            }
+            // Two holders (e.g. a tab that was suspended): the lower id keeps the lock
+            if (this.held && message.id < this.id) {
+                this.held = false;
+                this.callbacks.onRelease();
+            }
+        } else if (message.type === 'release') {
+            this.requestLock();
+        } else if (message.type === 'state') {
+            this.callbacks.onState(message.state);
+        }
+    }
+}
+
 // Global game instance (will be initialized in game-ui.js)
 let gameCore = null;
 let gameSettings = null;
 
-// Verify dependencies are loaded
-if (typeof RARITY_TIERS === 'undefined') {
-    console.error('RARITY_TIERS not found! Make sure game-config.js is loaded before game-core.js');
-}
-if (typeof MOLD_TIERS === 'undefined') {
-    console.error('MOLD_TIERS not found! Make sure game-config.js is loaded before game-core.js');
-}
-if (typeof WEAPON_TYPES === 'undefined') {
-    console.error('WEAPON_TYPES not found! Make sure game-config.js is loaded before game-core.js');
-}
-if (typeof AREAS === 'undefined') {
-    console.error('AREAS not found! Make sure game-enemies.js is loaded before game-core.js');
-}
-if (typeof generateEnemy === 'undefined') {
-    console.error('generateEnemy function not found! Make sure game-enemies.js is loaded before game-core.js');
+// Export for use on the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameCore, getDefaultGameData, GAME_DATA_SCHEMA_VERSION: coreImports.GAME_DATA_SCHEMA_VERSION, SELL_AREA_TIMER };
 }
 
 // Verify GameCore class is defined and make it globally accessible
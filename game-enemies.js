@@ -2,6 +2,12 @@
 // GAME ENEMIES - Enemy System
 // ============================================
 
+// The game-config.js names this file uses: required in Node (the server's game simulation),
+// and in the browser taken from game-config.js, which is loaded first with a <script> tag
+const enemyImports = typeof module !== 'undefined' && module.exports
+    ? require('./game-config')
+    : { MAXIMUM_VALUE, getTier };
+
 // Enemy base stats
 const ENEMY_BASE_HEALTH = 50;
 const ENEMY_BASE_EXP = 20;
@@ -10,28 +16,28 @@ const ENEMY_BASE_DAMAGE = 5;
 
 // Stores: name, chance threshold, health multiplier, damage multiplier, EXP mult, Cash mult
 const ENEMY_RARITIES = [
-    ["Zenith", Math.floor(MAXIMUM_VALUE / 20000000), 10000, 500, 100, 120],
-    ["Universal", Math.floor(MAXIMUM_VALUE / 950000), 4000, 200, 50, 60],
-    ["Cosmic", Math.floor(MAXIMUM_VALUE / 650000), 1000, 150, 20, 25],
-    ["Divine", Math.floor(MAXIMUM_VALUE / 400000), 750, 100, 13, 16],
-    ["Mythical+2", Math.floor(MAXIMUM_VALUE / 120000), 500, 80, 10, 12],
-    ["Mythical+1", Math.floor(MAXIMUM_VALUE / 70000), 550, 65, 7.75, 9],
-    ["Mythical", Math.floor(MAXIMUM_VALUE / 25000), 300, 40, 6, 7],
-    ["Legendary+2", Math.floor(MAXIMUM_VALUE / 10000), 100, 27.25, 4.5, 6],
-    ["Legendary+1", Math.floor(MAXIMUM_VALUE / 5000), 75, 20, 4, 5],
-    ["Legendary", Math.floor(MAXIMUM_VALUE / 1250), 50, 15, 3.25, 4.5],
-    ["Epic+2", Math.floor(MAXIMUM_VALUE / 700), 35, 9, 2.5, 3.5],
-    ["Epic+1", Math.floor(MAXIMUM_VALUE / 275), 25, 6.75, 2.25, 3],
-    ["Epic", Math.floor(MAXIMUM_VALUE / 150), 17.75, 5, 2.1, 2.5],
-    ["Rare+2", Math.floor(MAXIMUM_VALUE / 100), 10, 4, 1.8, 2.2],
-    ["Rare+1", Math.floor(MAXIMUM_VALUE / 50), 8.6, 3.25, 1.65, 2],
-    ["Rare", Math.floor(MAXIMUM_VALUE / 45), 7, 2.5, 1.5, 1.8],
-    ["Uncommon+2", Math.floor(MAXIMUM_VALUE / 20), 5.5, 2, 1.2, 1.5],
-    ["Uncommon+1", Math.floor(MAXIMUM_VALUE / 10), 4.2, 1.7, 1.15, 1.3],
-    ["Uncommon", Math.floor(MAXIMUM_VALUE / 6), 3.75, 1.5, 1.1, 1.2],
-    ["Common+2", Math.floor(MAXIMUM_VALUE / 2), 2, 1.25, 1.05, 1.1],
-    ["Common+1", Math.floor(MAXIMUM_VALUE / 1.5), 1.875, 1.1, 1.03, 1.05],
-    ["Common", Math.floor(MAXIMUM_VALUE / 1), 1.5, 1, 1, 1.0],
+    ["Zenith", Math.floor(enemyImports.MAXIMUM_VALUE / 20000000), 10000, 500, 100, 120],
+    ["Universal", Math.floor(enemyImports.MAXIMUM_VALUE / 950000), 4000, 200, 50, 60],
+    ["Cosmic", Math.floor(enemyImports.MAXIMUM_VALUE / 650000), 1000, 150, 20, 25],
+    ["Divine", Math.floor(enemyImports.MAXIMUM_VALUE / 400000), 750, 100, 13, 16],
+    ["Mythical+2", Math.floor(enemyImports.MAXIMUM_VALUE / 120000), 500, 80, 10, 12],
+    ["Mythical+1", Math.floor(enemyImports.MAXIMUM_VALUE / 70000), 550, 65, 7.75, 9],
+    ["Mythical", Math.floor(enemyImports.MAXIMUM_VALUE / 25000), 300, 40, 6, 7],
+    ["Legendary+2", Math.floor(enemyImports.MAXIMUM_VALUE / 10000), 100, 27.25, 4.5, 6],
+    ["Legendary+1", Math.floor(enemyImports.MAXIMUM_VALUE / 5000), 75, 20, 4, 5],
+    ["Legendary", Math.floor(enemyImports.MAXIMUM_VALUE / 1250), 50, 15, 3.25, 4.5],
+    ["Epic+2", Math.floor(enemyImports.MAXIMUM_VALUE / 700), 35, 9, 2.5, 3.5],
+    ["Epic+1", Math.floor(enemyImports.MAXIMUM_VALUE / 275), 25, 6.75, 2.25, 3],
+    ["Epic", Math.floor(enemyImports.MAXIMUM_VALUE / 150), 17.75, 5, 2.1, 2.5],
+    ["Rare+2", Math.floor(enemyImports.MAXIMUM_VALUE / 100), 10, 4, 1.8, 2.2],
+    ["Rare+1", Math.floor(enemyImports.MAXIMUM_VALUE / 50), 8.6, 3.25, 1.65, 2],
+    ["Rare", Math.floor(enemyImports.MAXIMUM_VALUE / 45), 7, 2.5, 1.5, 1.8],
+    ["Uncommon+2", Math.floor(enemyImports.MAXIMUM_VALUE / 20), 5.5, 2, 1.2, 1.5],
+    ["Uncommon+1", Math.floor(enemyImports.MAXIMUM_VALUE / 10), 4.2, 1.7, 1.15, 1.3],
+    ["Uncommon", Math.floor(enemyImports.MAXIMUM_VALUE / 6), 3.75, 1.5, 1.1, 1.2],
+    ["Common+2", Math.floor(enemyImports.MAXIMUM_VALUE / 2), 2, 1.25, 1.05, 1.1],
+    ["Common+1", Math.floor(enemyImports.MAXIMUM_VALUE / 1.5), 1.875, 1.1, 1.03, 1.05],
+    ["Common", Math.floor(enemyImports.MAXIMUM_VALUE / 1), 1.5, 1, 1, 1.0],
 ];
 
 // Stores: name, luck multiplier, elite multiplier, level requirement, drop items on death
@@ -43,19 +49,20 @@ const AREAS = [
 ];
 
 // Enemy generation function
-function generateEnemy(areaChoice, enemyLuckMultiplier) {
+// `random` returns a float in [0, 1); pass a seeded generator's next() for reproducible enemies
+function generateEnemy(areaChoice, enemyLuckMultiplier, random = Math.random) {
     const [areaName, areaLuckMultiplier, areaEliteMultiplier, areaLevelRequirement, areaDropItems] = areaChoice;
     
     const luck = enemyLuckMultiplier * areaLuckMultiplier;
-    const maxRoll = Math.floor(MAXIMUM_VALUE / Math.max(1, luck));
+    const maxRoll = Math.floor(enemyImports.MAXIMUM_VALUE / Math.max(1, luck));
     const eliteMaxRoll = 1000;
     
-    const roll = Math.floor(Math.random() * Math.max(1, maxRoll)) + 1;
+    const roll = Math.floor(random() * Math.max(1, maxRoll)) + 1;
     const rng = maxRoll / roll;
     
-    const eliteRoll = Math.floor(Math.random() * Math.max(1, Math.floor(eliteMaxRoll / Math.max(1, areaEliteMultiplier)))) + 1;
+    const eliteRoll = Math.floor(random() * Math.max(1, Math.floor(eliteMaxRoll / Math.max(1, areaEliteMultiplier)))) + 1;
     
-    const enemyRarity = getTier(roll, ENEMY_RARITIES, luck);
+    const enemyRarity = enemyImports.getTier(roll, ENEMY_RARITIES, luck);
     const name = enemyRarity.tier;
     const [healthMultiplier, damageMultiplier, expMultiplier, cashMultiplier] = enemyRarity.values;
     
@@ -106,9 +113,7 @@ function generateEnemy(areaChoice, enemyLuckMultiplier) {
 }
 
 // Remove expired enemies
-function removeExpiredEnemies(spawnedEnemies) {
-    const currentTime = Date.now() / 1000;
-    
+function removeExpiredEnemies(spawnedEnemies, currentTime = Date.now() / 1000) {
     for (const area in spawnedEnemies) {
         spawnedEnemies[area] = spawnedEnemies[area].filter(enemy => {
             return (currentTime - enemy.spawn_time) <= enemy.despawn_timer;
@@ -0,0 +1,283 @@
+// ============================================
+// GAME MIGRATIONS - Save Format Upgrades and Validation
+// ============================================
+
+// Every save records the schema_version it was written with. On load (on the server
+// and in the browser) the save is upgraded one version at a time with the migrations
+// below, then every field is checked. Fields and entries that fail a check are left
+// out, so the game falls back to defaults for them; the server keeps a copy of the
+// original save (see game_data_quarantine in server.js) so nothing is lost for good.
+//
+// To change the save format, add a migration with the next version number to the end
+// of GAME_DATA_MIGRATIONS and update validateGameData to match.
+
+// The game-config.js names this file uses: required in Node, and in the browser taken
+// from game-config.js, which is loaded first with a <script> tag
+const migrationImports = typeof module !== 'undefined' && module.exports
+    ? require('./game-config')
+    : { ITEM_TYPES, FORGE_CONFIG, EQUIPMENT_SLOTS, HEALING_ITEMS, getItemType };
+
+const GAME_DATA_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Move the single equipped weapon into the equipment slots',
+        migrate(data) {
+            const player = data.player;
+            if (!player || typeof player !== 'object') return;
+            if ('equipped' in player) {
+                const equipment = player.equipment && typeof player.equipment === 'object' ? player.equipment : {};
+                if (!equipment.weapon) {
+                    equipment.weapon = player.equipped;
+                }
+                player.equipment = equipment;
+                delete player.equipped;
+            }
+        }
+    }
+];
+
+const GAME_DATA_SCHEMA_VERSION = GAME_DATA_MIGRATIONS[GAME_DATA_MIGRATIONS.length - 1].version;
+
+// Saves from before schema_version was checked are version 1
+function getSaveVersion(saved) {
+    return Number.isInteger(saved.schema_version) && saved.schema_version >= 1 ? saved.schema_version : 1;
+}
+
+// Upgrade a parsed save to the current version. Works on a copy; returns
+// { data, fromVersion, problems }. A save from a newer version is loaded as it is
+// and reported as a problem.
+function migrateGameData(saved) {
+    const data = JSON.parse(JSON.stringify(saved));
+    const fromVersion = getSaveVersion(data);
+    const problems = [];
+
+    if (fromVersion > GAME_DATA_SCHEMA_VERSION) {
+        problems.push(`schema_version ${fromVersion} is newer than this game (${GAME_DATA_SCHEMA_VERSION})`);
+    } else {
+        GAME_DATA_MIGRATIONS.forEach(migration => {
+            if (migration.version > fromVersion) {
+                migration.migrate(data);
+            }
+        });
+    }
+    data.schema_version = GAME_DATA_SCHEMA_VERSION;
+    return { data, fromVersion, problems };
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isCount = value => Number.isInteger(value) && value >= 0;
+const isTime = value => value === null || (typeof value === 'number' && Number.isFinite(value));
+const isName = value => typeof value === 'string' && value.length > 0;
+
+// Problems with one item, as "field must be ..." strings (empty when it's valid)
+function getItemProblems(item) {
+    if (!isPlainObject(item)) return ['must be an item'];
+
+    const problems = [];
+    if (!isCount(item.ID)) problems.push('ID must be a whole number of at least 0');
+    ['RNG', 'Price', 'Damage', 'Defense'].forEach(field => {
+        if (!isAmount(item[field])) problems.push(`${field} must be a number of at least 0`);
+    });
+    ['Mold', 'Rarity', 'Weapon'].forEach(field => {
+        if (!isName(item[field])) problems.push(`${field} must be a name`);
+    });
+    if (item.Type !== undefined && !Object.prototype.hasOwnProperty.call(migrationImports.ITEM_TYPES, item.Type)) {
+        problems.push(`Type must be one of ${Object.keys(migrationImports.ITEM_TYPES).join(', ')}`);
+    }
+    if (item.Enhancement !== undefined && !(isCount(item.Enhancement) && item.Enhancement <= migrationImports.FORGE_CONFIG.max_level)) {
+        problems.push(`Enhancement must be a whole number from 0 to ${migrationImports.FORGE_CONFIG.max_level}`);
+    }
+    ['BaseDamage', 'BaseDefense'].forEach(field => {
+        if (item[field] !== undefined && !isAmount(item[field])) problems.push(`${field} must be a number of at least 0`);
+    });
+    return problems;
+}
+
+function getEnemyProblems(enemy) {
+    if (!isPlainObject(enemy)) return ['must be an enemy'];
+
+    const problems = [];
+    if (!isName(enemy.name)) problems.push('name must be a name');
+    if (!isCount(enemy.id)) problems.push('id must be a whole number of at least 0');
+    ['health', 'damage', 'exp', 'cash', 'RNG', 'despawn_timer'].forEach(field => {
+        if (!isAmount(enemy[field])) problems.push(`${field} must be a number of at least 0`);
+    });
+    if (typeof enemy.spawn_time !== 'number' || !Number.isFinite(enemy.spawn_time)) {
+        problems.push('spawn_time must be a time');
+    }
+    return problems;
+}
+
+function getSellEntryProblems(entry) {
+    if (!isPlainObject(entry)) return ['must be a sell area entry'];
+
+    const problems = getItemProblems(entry.item).map(problem => `item ${problem}`);
+    if (typeof entry.time_added !== 'number' || !Number.isFinite(entry.time_added)) {
+        problems.push('time_added must be a time');
+    }
+    if (!isAmount(entry.timer)) problems.push('timer must be a number of at least 0');
+    return problems;
+}
+
+// Check every field of a migrated save. Invalid fields are removed from `data` and
+// invalid list entries are dropped from their list, so loading falls back to defaults
+// for them. Returns the problems found, e.g. "item_storage[3]: Price must be a number
+// of at least 0" (empty when the save is valid).
+function validateGameData(data) {
+    const problems = [];
+    const report = (path, messages) => messages.forEach(message => problems.push(`${path}: ${message}`));
+    const checkField = (field, valid, message) => {
+        if (field in data && !valid(data[field])) {
+            report(field, [message]);
+            delete data[field];
+        }
+    };
+    const filterList = (field, getProblems) => {
+        if (!(field in data)) return;
+        if (!Array.isArray(data[field])) {
+            report(field, ['must be a list']);
+            delete data[field];
+            return;
+        }
+        data[field] = data[field].filter((entry, index) => {
+            const entryProblems = getProblems(entry);
+            report(`${field}[${index}]`, entryProblems);
+            return entryProblems.length === 0;
+        });
+    };
+
+    if ('player' in data) {
+        const player = data.player;
+        if (!isPlainObject(player)) {
+            report('player', ['must be an object']);
+            delete data.player;
+        } else {
+            if ('level' in player && !(Number.isInteger(player.level) && player.level >= 1)) {
+                report('player.level', ['must be a whole number of at least 1']);
+                delete player.level;
+            }
+            if ('exp' in player && !isAmount(player.exp)) {
+                report('player.exp', ['must be a number of at least 0']);
+                delete player.exp;
+            }
+            if (player.health !== undefined && player.health !== null && !isAmount(player.health)) {
+                report('player.health', ['must be a number of at least 0']);
+                delete player.health;
+            }
+            if ('equipment' in player) {
+                if (!isPlainObject(player.equipment)) {
+                    report('player.equipment', ['must be an object']);
+                    delete player.equipment;
+                } else {
+                    Object.keys(player.equipment).forEach(slot => {
+                        const item = player.equipment[slot];
+                        let slotProblems = [];
+                        if (!Object.prototype.hasOwnProperty.call(migrationImports.EQUIPMENT_SLOTS, slot)) {
+                            slotProblems = ['is not an equipment slot'];
+                        } else if (item !== null) {
+                            slotProblems = getItemProblems(item);
+                            if (!slotProblems.length && migrationImports.getItemType(item) !== migrationImports.EQUIPMENT_SLOTS[slot]) {
+                                slotProblems = [`must hold an item of type ${migrationImports.EQUIPMENT_SLOTS[slot]}`];
+                            }
+                        }
+                        if (slotProblems.length) {
+                            report(`player.equipment.${slot}`, slotProblems);
+                            delete player.equipment[slot];
+                        }
+                    });
+                }
+            }
+        }
+    }
+
+    checkField('money', isAmount, 'must be a number of at least 0');
+    checkField('level_exp', isAmount, 'must be a number of at least 0');
+    checkField('item_id_counter', isCount, 'must be a whole number of at least 0');
+    checkField('enemy_id_counter', isCount, 'must be a whole number of at least 0');
+    checkField('mold_level', value => Number.isInteger(value) && value >= 1, 'must be a whole number of at least 1');
+    checkField('luck_level', value => Number.isInteger(value) && value >= 1, 'must be a whole number of at least 1');
+    checkField('auto_sell_threshold', value => isAmount(value) && value > 0, 'must be a number greater than 0');
+    checkField('last_item_time', isTime, 'must be a time or null');
+    checkField('last_enemy_time', isTime, 'must be a time or null');
+    checkField('last_active_time', isTime, 'must be a time or null');
+    checkField('rng_seed', value => value === null || isCount(value), 'must be a whole number or null');
+    checkField('rng_state', value => value === null || (Array.isArray(value) && value.length === 4 && value.every(Number.isInteger)),
+        'must be a list of 4 whole numbers or null');
+
+    filterList('item_storage', getItemProblems);
+    filterList('recycled_ids', id => isCount(id) ? [] : ['must be a whole number of at least 0']);
+    filterList('sell_area', getSellEntryProblems);
+
+    if ('spawned_enemies' in data) {
+        if (!isPlainObject(data.spawned_enemies)) {
+            report('spawned_enemies', ['must be an object']);
+            delete data.spawned_enemies;
+        } else {
+            Object.keys(data.spawned_enemies).forEach(area => {
+                const enemies = data.spawned_enemies[area];
+                if (!Array.isArray(enemies)) {
+                    report(`spawned_enemies.${area}`, ['must be a list']);
+                    delete data.spawned_enemies[area];
+                    return;
+                }
+                data.spawned_enemies[area] = enemies.filter((enemy, index) => {
+                    const enemyProblems = getEnemyProblems(enemy);
+                    report(`spawned_enemies.${area}[${index}]`, enemyProblems);
+                    return enemyProblems.length === 0;
+                });
+            });
+        }
+    }
+
+    if ('healing_items' in data) {
+        if (!isPlainObject(data.healing_items)) {
+            report('healing_items', ['must be an object']);
+            delete data.healing_items;
+        } else {
+            Object.keys(data.healing_items).forEach(name => {
+                if (!migrationImports.HEALING_ITEMS.some(healing => healing[0] === name)) {
+                    report(`healing_items.${name}`, ['is not a healing item']);
+                    delete data.healing_items[name];
+                } else if (!isCount(data.healing_items[name])) {
+                    report(`healing_items.${name}`, ['must be a whole number of at least 0']);
+                    delete data.healing_items[name];
+                }
+            });
+        }
+    }
+
+    if ('area_cooldowns' in data) {
+        if (!isPlainObject(data.area_cooldowns)) {
+            report('area_cooldowns', ['must be an object']);
+            delete data.area_cooldowns;
+        } else {
+            Object.keys(data.area_cooldowns).forEach(area => {
+                const until = data.area_cooldowns[area];
+                if (typeof until !== 'number' || !Number.isFinite(until)) {
+                    report(`area_cooldowns.${area}`, ['must be a time']);
+                    delete data.area_cooldowns[area];
+                }
+            });
+        }
+    }
+
+    return problems;
+}
+
+// Migrate and validate a parsed save in one go: { data, fromVersion, problems }
+function prepareGameData(saved) {
+    if (!isPlainObject(saved)) {
+        return { data: {}, fromVersion: null, problems: saved === null || saved === undefined ? [] : ['save must be an object'] };
+    }
+    const { data, fromVersion, problems } = migrateGameData(saved);
+    return { data, fromVersion, problems: problems.concat(validateGameData(data)) };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GAME_DATA_MIGRATIONS, GAME_DATA_SCHEMA_VERSION,
+        migrateGameData, validateGameData, prepareGameData, getItemProblems
+    };
+}
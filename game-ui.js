@@ -24,8 +24,11 @@ function getRarityColor(rarityName) {
     return colorMap[baseRarity] || '#808080';
 }
 
+// Shares the game loops with other open tabs (see GameLoopLock in game-core.js)
+let gameLoopLock = null;
+
 // Initialize game UI
-function initializeGameUI(username) {
+async function initializeGameUI(username) {
     if (!username) {
         console.error("No username provided for game initialization");
         return;
@@ -54,7 +57,9 @@ function initializeGameUI(username) {
             throw new Error('GameCore class not found. Make sure game-core.js is loaded.');
         }
         gameCore = new GameCore(username);
-        gameCore.loadGame();
+        if (!await gameCore.loadGame()) {
+            throw new Error('Could not load your game from the server.');
+        }
         
         // Build UI
         buildGameUI();
@@ -62,18 +67,34 @@ function initializeGameUI(username) {
         // Set up event handlers
         setupEventHandlers();
         
-        // Start game loops
-        gameCore.startGameLoops();
+        // Catch up on any time away before starting the loops
+        let resumed = null;
+        try {
+            resumed = await gameCore.performAction('roll');
+        } catch (error) {
+            console.error('Failed to catch up on time away:', error);
+        }
+        
+        // Only one tab runs the game loops; the others show the states it shares
+        gameCore.onStateChange = (state) => gameLoopLock.shareState(state);
+        gameLoopLock = new GameLoopLock(username, {
+            onAcquire: () => gameCore.startGameLoops(),
+            onRelease: () => gameCore.stopGameLoops(),
+            onState: (state) => {
+                // Ignore states that arrive after a newer one
+                if (state.revision < gameCore.revision) return;
+                gameCore.applyServerState(state);
+                updateAllDisplays();
+            }
+        });
+        gameLoopLock.start();
         
         // Initial display update
         updateAllDisplays();
         
-        // Auto-save every 30 seconds
-        setInterval(() => {
-            if (gameCore) {
-                gameCore.saveGame();
-            }
-        }, 30000);
+        if (resumed && resumed.offline) {
+            showOfflineSummary(resumed.offline);
+        }
         
         console.log('Game initialized successfully');
     } catch (error) {
@@ -298,9 +319,10 @@ function updatePlayerStats() {
     
     const expNeeded = gameCore.requiredExp(gameCore.player.level);
     const levelScale = gameCore.getLevelScale();
-    const equipped = gameCore.player.equipped;
-    const scaledDamage = equipped ? Math.round(equipped.Damage * levelScale) : 0;
-    const scaledDefense = equipped ? Math.round(equipped.Defense * levelScale) : 0;
+    const equipment = gameCore.player.equipment;
+    const stats = gameCore.getEquipmentStats();
+    const scaledDamage = Math.round(stats.damage * levelScale);
+    const scaledDefense = Math.round(stats.defense * levelScale);
     const spawnInterval = gameCore.getSpawnIntervalValue();
 
     // Calculate effective multipliers (base * shop multiplier)
@@ -317,9 +339,13 @@ function updatePlayerStats() {
                 <div class="stat-item"><strong>Rarity Multiplier:</strong> ${effectiveLuckMultiplier}x</div>
                 <div class="stat-item"><strong>Mold Level:</strong> ${gameCore.mold_level}</div>
                 <div class="stat-item"><strong>Mold Multiplier:</strong> ${effectiveMoldMult}x</div>
-                ${equipped ? `<div class="stat-item"><strong>Equipped:</strong> ${equipped.Rarity} ${equipped.Mold} ${equipped.Weapon}</div>` : '<div class="stat-item"><strong>Equipped:</strong> None</div>'}
+                ${Object.keys(EQUIPMENT_SLOTS).map(slot => {
+                    const item = equipment[slot];
+                    return `<div class="stat-item"><strong>${EQUIPMENT_SLOT_NAMES[slot]}:</strong> ${item ? `${item.Rarity} ${item.Mold} ${item.Weapon}` : 'None'}</div>`;
+                }).join('')}
             </div>
             <div class="stat-combat">
+                <div class="stat-item stat-bold">Health: ${Math.floor(gameCore.player.health)} / ${Math.round(gameCore.getMaxHealth())}</div>
                 <div class="stat-item stat-bold">Damage: ${scaledDamage}</div>
                 <div class="stat-item stat-bold">Defense: ${scaledDefense}</div>
                 <div class="stat-meta">Level scale: ${levelScale.toFixed(2)}x</div>
@@ -329,6 +355,36 @@ function updatePlayerStats() {
     `;
 }
 
+// Format a number of seconds as e.g. "2h 15m" or "45s"
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m`;
+    return `${Math.floor(seconds)}s`;
+}
+
+// Show what happened while the game was closed (summary from GameCore.applyOfflineProgress)
+function showOfflineSummary(summary) {
+    let message = `While you were away (${formatDuration(summary.away_seconds)}): `;
+    message += `${summary.items_found} items were found`;
+    if (summary.items_stored > 0) {
+        message += `, ${summary.items_stored} kept in storage`;
+    }
+    message += `. ${summary.items_sold} items sold for $${summary.money.toFixed(2)} and ${Math.round(summary.exp)} EXP. `;
+    if (summary.levels_gained > 0) {
+        message += `You leveled up ${summary.levels_gained} time(s)! `;
+    }
+    if (summary.best_item) {
+        const best = summary.best_item;
+        message += `Best find: ${best.Rarity} ${best.Mold} ${best.Weapon} (1 in ${best.RNG}). `;
+    }
+    if (summary.capped) {
+        message += `Only the last ${formatDuration(summary.credited_seconds)} away counts toward progress.`;
+    }
+    showNotification(message.trim(), 'info');
+}
+
 // Update item display (called when new items are generated)
 function updateItemDisplay() {
     // This can show recent items or notifications
@@ -399,11 +455,12 @@ function showStorage() {
             html += `
                 <div class="storage-item">
                     <div class="item-info">
-                        <strong>ID: ${item.ID}</strong> - ${item.Rarity} ${item.Mold} ${item.Weapon}<br>
+                        <strong>ID: ${item.ID}</strong> - ${item.Rarity} ${item.Mold} ${item.Weapon}${item.Enhancement ? ` <span class="enhancement-level">+${item.Enhancement}</span>` : ''}<br>
                         RNG: 1 in ${item.RNG} | Price: $${item.Price.toFixed(2)} | Damage: ${item.Damage} | Defense: ${item.Defense}
                     </div>
                     <div class="item-actions">
                         <button class="game-btn-small" onclick="equipItem(${item.ID})">Equip</button>
+                        <button class="game-btn-small" onclick="showForge(${item.ID})">Forge</button>
                         <button class="game-btn-small" onclick="sellItem(${item.ID})">Sell</button>
                     </div>
                 </div>
@@ -424,6 +481,90 @@ function showStorage() {
     modal.style.display = 'block';
 }
 
+// Forge view (inside the storage modal): pick duplicates to sacrifice, then enchant or reforge
+function showForge(itemId) {
+    const display = document.getElementById('storage-display');
+    const item = gameCore.item_storage.find(i => i.ID === itemId);
+    if (!display || !item) {
+        showStorage();
+        return;
+    }
+    
+    const level = item.Enhancement || 0;
+    const duplicates = gameCore.getForgeDuplicates(item);
+    const maxed = level >= FORGE_CONFIG.max_level;
+    
+    let html = `
+        <div class="forge-panel">
+            <h4>Forge: ${item.Rarity} ${item.Mold} ${item.Weapon}${level ? ` <span class="enhancement-level">+${level}</span>` : ''}</h4>
+            <p>Damage: ${item.Damage.toFixed(1)} | Defense: ${item.Defense.toFixed(1)} | Enchant level: ${level} / ${FORGE_CONFIG.max_level}</p>
+    `;
+    
+    if (duplicates.length === 0) {
+        html += `<p>You need another ${item.Weapon} in storage to sacrifice.</p>`;
+    } else {
+        html += `<p>Sacrifice up to ${FORGE_CONFIG.max_sacrifices} other ${item.Weapon}s (each one after the first raises the success chance):</p><div class="forge-sacrifices">`;
+        duplicates.forEach(duplicate => {
+            html += `
+                <label class="forge-sacrifice">
+                    <input type="checkbox" value="${duplicate.ID}">
+                    ID: ${duplicate.ID} - ${duplicate.Rarity} ${duplicate.Mold} ${duplicate.Weapon}${duplicate.Enhancement ? ` +${duplicate.Enhancement}` : ''}
+                </label>
+            `;
+        });
+        html += '</div>';
+    }
+    
+    html += `
+            <div id="forge-odds"></div>
+            <div class="combat-controls">
+                <button class="game-btn game-btn-secondary" onclick="showStorage()">Back</button>
+                <button id="forge-enchant-btn" class="game-btn" onclick="forgeItem(${item.ID}, 'enchant')">Enchant</button>
+                <button id="forge-reforge-btn" class="game-btn" onclick="forgeItem(${item.ID}, 'reforge')">Reforge Mold</button>
+            </div>
+        </div>
+    `;
+    display.innerHTML = html;
+    
+    const updateOdds = () => {
+        const checked = display.querySelectorAll('.forge-sacrifice input:checked');
+        const count = checked.length;
+        
+        // Don't allow more sacrifices than the forge accepts
+        display.querySelectorAll('.forge-sacrifice input:not(:checked)').forEach(box => {
+            box.disabled = count >= FORGE_CONFIG.max_sacrifices;
+        });
+        
+        const enchantCost = gameCore.getForgeCost(item, 'enchant');
+        const reforgeCost = gameCore.getForgeCost(item, 'reforge');
+        const enchantChance = Math.round(gameCore.getForgeChance(item, 'enchant', Math.max(1, count)) * 100);
+        const reforgeChance = Math.round(gameCore.getForgeChance(item, 'reforge', Math.max(1, count)) * 100);
+        document.getElementById('forge-odds').innerHTML = `
+            <p>Enchant: ${maxed ? 'fully enchanted' : `$${enchantCost}, ${enchantChance}% chance (+${Math.round(FORGE_CONFIG.stat_bonus * 100)}% base Damage and Defense)`}</p>
+            <p>Reforge Mold: $${reforgeCost}, ${reforgeChance}% chance (re-rolls the mold, which sets the price)</p>
+            <p class="error-text">Money and sacrificed items are used up even if forging fails.</p>
+        `;
+        document.getElementById('forge-enchant-btn').disabled = maxed || count === 0 || gameCore.money < enchantCost;
+        document.getElementById('forge-reforge-btn').disabled = count === 0 || gameCore.money < reforgeCost;
+    };
+    
+    display.querySelectorAll('.forge-sacrifice input').forEach(box => box.addEventListener('change', updateOdds));
+    updateOdds();
+}
+
+async function forgeItem(itemId, mode) {
+    const sacrifices = Array.from(document.querySelectorAll('.forge-sacrifice input:checked')).map(box => parseInt(box.value));
+    
+    try {
+        const result = await performPlayerAction('forge', { itemId, mode, sacrifices });
+        updatePlayerStats();
+        showNotification(result.message, result.forged ? 'success' : 'error');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    showForge(itemId);
+}
+
 // Show sell area
 function showSellArea() {
     const modal = document.getElementById('sell-area-modal');
@@ -434,7 +575,7 @@ function showSellArea() {
         display.innerHTML = '<p>Sell area is empty.</p>';
     } else {
         let html = '<div class="sell-area-list">';
-        const currentTime = Date.now() / 1000;
+        const currentTime = gameCore.now();
         
         gameCore.sell_area.forEach(entry => {
             const item = entry.item;
@@ -466,6 +607,7 @@ function showUpgrades() {
     if (!modal || !display || !gameCore) return;
     
     gameCore.recalculate();
+    const maxHealth = gameCore.getMaxHealth();
     
     // Calculate max upgrades
     let maxMold = 0;
@@ -475,7 +617,7 @@ function showUpgrades() {
     while (tempCost <= gameCore.money) {
         maxMold += 1;
         tempLevel += 1;
-        tempCost += Math.round(Math.pow(tempLevel, 1.9)) + 3;
+        tempCost += gameCore.getMoldCost(tempLevel);
     }
     
     tempCost = gameCore.luck_cost;
@@ -483,7 +625,7 @@ function showUpgrades() {
     while (tempCost <= gameCore.money) {
         maxLuck += 1;
         tempLevel += 1;
-        tempCost += Math.round(Math.pow(tempLevel, 2.1)) + 4;
+        tempCost += gameCore.getLuckCost(tempLevel);
     }
     
     display.innerHTML = `
@@ -510,6 +652,24 @@ function showUpgrades() {
                 <button class="game-btn" onclick="purchaseLuckUpgrades()" ${maxLuck === 0 ? 'disabled' : ''}>Upgrade Rarity</button>
             </div>
         </div>
+        
+        <div class="upgrade-section">
+            <h4>Healing</h4>
+            <p>Health: ${Math.floor(gameCore.player.health)} / ${Math.round(maxHealth)}</p>
+            ${HEALING_ITEMS.map(([name, heal]) => {
+                const price = gameCore.getHealingPrice(name);
+                const owned = gameCore.healing_items[name] || 0;
+                return `
+                    <div class="healing-item">
+                        <span><strong>${name}</strong> (heals ${Math.round(heal * 100)}%) - $${price} - Owned: ${owned}</span>
+                        <div class="upgrade-controls">
+                            <button class="game-btn" onclick="buyHealingItem('${name}')" ${gameCore.money < price ? 'disabled' : ''}>Buy</button>
+                            <button class="game-btn game-btn-secondary" onclick="useHealingItem('${name}')" ${owned === 0 || gameCore.player.health >= maxHealth ? 'disabled' : ''}>Use</button>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
     `;
     
     modal.style.display = 'block';
@@ -527,6 +687,7 @@ function showAreas() {
         const [areaName, areaLuckMult, areaEliteMult, levelReq, dropItems] = area;
         const enemies = gameCore.spawned_enemies[areaName] || [];
         const canEnter = gameCore.player.level >= levelReq;
+        const cooldown = gameCore.getAreaCooldown(areaName, gameCore.now());
         
         html += `
             <div class="area-item ${canEnter ? '' : 'disabled'}">
@@ -535,7 +696,8 @@ function showAreas() {
                 <p>Enemies Available: ${enemies.length}</p>
                 <p>Luck Multiplier: ${areaLuckMult}x</p>
                 ${!canEnter ? `<p class="error-text">You need to be level ${levelReq} to enter.</p>` : ''}
-                <button class="game-btn" onclick="enterArea(${index})" ${!canEnter ? 'disabled' : ''}>Enter Area</button>
+                ${canEnter && cooldown > 0 ? `<p class="error-text">Recovering from a defeat: ${formatDuration(cooldown)} left.</p>` : ''}
+                <button class="game-btn" onclick="enterArea(${index})" ${!canEnter || cooldown > 0 ? 'disabled' : ''}>Enter Area</button>
             </div>
         `;
     });
@@ -546,39 +708,77 @@ function showAreas() {
     modal.style.display = 'block';
 }
 
+const EQUIPMENT_SLOT_NAMES = {
+    weapon: 'Weapon',
+    armor: 'Armor',
+    accessory1: 'Accessory 1',
+    accessory2: 'Accessory 2'
+};
+
+// "+1.5" / "-2.0" with a class for colouring
+function formatStatChange(value) {
+    const rounded = Math.round(value * 10) / 10;
+    const className = rounded > 0 ? 'stat-up' : rounded < 0 ? 'stat-down' : 'stat-same';
+    return `<span class="${className}">${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}</span>`;
+}
+
 // Show equip
 function showEquip() {
     const modal = document.getElementById('equip-modal');
     const display = document.getElementById('equip-display');
     if (!modal || !display || !gameCore) return;
     
-    let html = '';
+    const equipment = gameCore.player.equipment;
+    let html = '<h4>Equipped:</h4><div class="equip-slots">';
     
-    if (gameCore.player.equipped) {
-        const equipped = gameCore.player.equipped;
-        const rarityColor = getRarityColor(equipped.Rarity);
-        html += `
-            <div class="equipped-item" style="border-color: ${rarityColor}; border-width: 2px; border-style: solid;">
-                <h4>Currently Equipped:</h4>
-                <p><strong style="color: ${rarityColor};">${equipped.Rarity}</strong> ${equipped.Mold} ${equipped.Weapon}</p>
-                <p>Damage: ${equipped.Damage} | Defense: ${equipped.Defense}</p>
-                <button class="game-btn" onclick="unequipWeapon()">Unequip</button>
-            </div>
-        `;
-    }
+    Object.keys(EQUIPMENT_SLOTS).forEach(slot => {
+        const equipped = equipment[slot];
+        if (equipped) {
+            const rarityColor = getRarityColor(equipped.Rarity);
+            html += `
+                <div class="equipped-item" style="border-color: ${rarityColor}; border-width: 2px; border-style: solid;">
+                    <h4>${EQUIPMENT_SLOT_NAMES[slot]}</h4>
+                    <p><strong style="color: ${rarityColor};">${equipped.Rarity}</strong> ${equipped.Mold} ${equipped.Weapon}${equipped.Enhancement ? ` <span class="enhancement-level">+${equipped.Enhancement}</span>` : ''}</p>
+                    <p>Damage: ${equipped.Damage.toFixed(1)} | Defense: ${equipped.Defense.toFixed(1)}</p>
+                    <button class="game-btn" onclick="unequipSlot('${slot}')">Unequip</button>
+                </div>
+            `;
+        } else {
+            html += `
+                <div class="equipped-item empty-slot">
+                    <h4>${EQUIPMENT_SLOT_NAMES[slot]}</h4>
+                    <p>Empty</p>
+                </div>
+            `;
+        }
+    });
+    html += '</div>';
     
     if (gameCore.item_storage.length === 0) {
-        html += '<p>No weapons in storage to equip.</p>';
+        html += '<p>No items in storage to equip.</p>';
     } else {
-        html += '<h4>Available Weapons:</h4><div class="equip-list">';
+        html += '<h4>Available Items:</h4><div class="equip-list">';
         gameCore.item_storage.forEach(item => {
             const rarityColor = getRarityColor(item.Rarity);
+            const itemType = getItemType(item);
+            
+            // Compare against what the item would replace in the slot it goes to by default
+            const slot = gameCore.getEquipSlot(item);
+            const current = equipment[slot];
+            const damageChange = item.Damage - (current ? current.Damage : 0);
+            const defenseChange = item.Defense - (current ? current.Defense : 0);
+            const slots = Object.keys(EQUIPMENT_SLOTS).filter(s => EQUIPMENT_SLOTS[s] === itemType);
+            const equipButtons = slots.length > 1
+                ? slots.map(s => `<button class="game-btn-small" onclick="equipItem(${item.ID}, '${s}')">Equip to ${EQUIPMENT_SLOT_NAMES[s]}</button>`).join('')
+                : `<button class="game-btn-small" onclick="equipItem(${item.ID})">Equip</button>`;
+            
             html += `
                 <div class="equip-item" style="border-color: ${rarityColor}; border-width: 2px; border-style: solid;">
-                    <p><strong style="color: ${rarityColor};">ID: ${item.ID}</strong> - <span style="color: ${rarityColor};">${item.Rarity}</span> ${item.Mold} ${item.Weapon}</p>
-                    <p>Damage: ${item.Damage} | Defense: ${item.Defense}</p>
+                    <p><strong style="color: ${rarityColor};">ID: ${item.ID}</strong> - <span style="color: ${rarityColor};">${item.Rarity}</span> ${item.Mold} ${item.Weapon}${item.Enhancement ? ` <span class="enhancement-level">+${item.Enhancement}</span>` : ''} (${itemType})</p>
+                    <p>Damage: ${item.Damage.toFixed(1)} | Defense: ${item.Defense.toFixed(1)}</p>
+                    <p class="equip-compare">vs. ${current ? `${current.Mold} ${current.Weapon}` : 'empty'} (${EQUIPMENT_SLOT_NAMES[slot]}): Damage ${formatStatChange(damageChange)} | Defense ${formatStatChange(defenseChange)}</p>
                     <div class="item-actions">
-                        <button class="game-btn-small" onclick="equipItem(${item.ID})">Equip</button>
+                        ${equipButtons}
                         <button class="game-btn-small" onclick="sellItem(${item.ID})">Sell</button>
                     </div>
                 </div>
@@ -618,40 +818,116 @@ function showSettings() {
             </select>
             <button class="game-btn" onclick="updateStorageSort()">Update</button>
         </div>
+        
+        <div class="settings-section">
+            <h4>Backups</h4>
+            <p>The server keeps earlier copies of your game. Restoring one replaces your current game, which is kept as a backup too.</p>
+            <div id="snapshot-list"><p>Loading backups...</p></div>
+        </div>
     `;
     
     modal.style.display = 'block';
+    loadSnapshotList();
 }
 
-// Action functions (called from UI)
-function equipItem(itemId) {
-    const itemIndex = gameCore.item_storage.findIndex(i => i.ID === itemId);
-    if (itemIndex < 0) return;
-    
-    const [item] = gameCore.item_storage.splice(itemIndex, 1);
+const SNAPSHOT_KIND_LABELS = { recent: 'Recent', daily: 'Daily', restore: 'Before restore' };
+
+async function loadSnapshotList() {
+    const list = document.getElementById('snapshot-list');
+    if (!list) return;
     
-    if (gameCore.player.equipped) {
-        gameCore.item_storage.push(gameCore.player.equipped);
+    let snapshots;
+    try {
+        ({ snapshots } = await GameAPI.getSnapshots());
+    } catch (error) {
+        list.innerHTML = `<p>Could not load backups: ${error.message}</p>`;
+        return;
     }
     
-    gameCore.player.equipped = item;
-    gameCore.saveGame();
-    
-    updatePlayerStats();
-    showEquip();
-    showNotification(`Equipped ${item.Rarity} ${item.Mold} ${item.Weapon}!`, 'success');
+    if (snapshots.length === 0) {
+        list.innerHTML = '<p>No backups yet. One is made as you play.</p>';
+        return;
+    }
+    list.innerHTML = snapshots.map(snapshot => `
+        <div class="snapshot-item">
+            <div>
+                <strong>${new Date(snapshot.createdAt).toLocaleString()}</strong>
+                <span class="snapshot-kind">${SNAPSHOT_KIND_LABELS[snapshot.kind] || snapshot.kind}</span>
+                <div class="snapshot-stats">Level ${snapshot.level ?? '?'} | $${typeof snapshot.money === 'number' ? snapshot.money.toFixed(2) : '?'} | ${snapshot.itemCount ?? '?'} items</div>
+            </div>
+            <button class="game-btn" onclick="restoreSnapshot(${snapshot.id})">Restore</button>
+        </div>
+    `).join('');
 }
 
-function unequipWeapon() {
-    if (!gameCore.player.equipped) return;
-    
-    gameCore.item_storage.push(gameCore.player.equipped);
-    gameCore.player.equipped = null;
-    gameCore.saveGame();
+function restoreSnapshot(snapshotId) {
+    showConfirmation('Restore this backup? Your current game will be replaced (it is kept as a backup).', async () => {
+        let response;
+        try {
+            response = await GameAPI.restoreSnapshot(snapshotId);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
+        gameCore.applyServerState(response.state);
+        if (gameLoopLock) {
+            gameLoopLock.shareState(response.state);
+        }
+        updateAllDisplays();
+        showNotification('Backup restored!', 'success');
+        showSettings();
+    });
+}
+
+// Action functions (called from UI)
+// Each runs on the server; the returned state replaces the local copy.
+
+// Run an action the player chose. If the game was changed in another tab or on another device
+// since this tab's copy, show the latest game and ask whether to still apply the action to it
+// (the server checks it again against the new state) or drop it.
+async function performPlayerAction(action, params) {
+    try {
+        return await gameCore.performAction(action, params);
+    } catch (error) {
+        if (!error.conflict) throw error;
+        
+        if (error.serverState) {
+            gameCore.applyServerState(error.serverState);
+        } else {
+            await gameCore.loadGame();
+        }
+        updateAllDisplays();
+        return new Promise((resolve, reject) => {
+            showConfirmation(
+                'Your game was changed in another tab or on another device and has been reloaded. Do you still want to do this?',
+                () => performPlayerAction(action, params).then(resolve, reject),
+                () => reject(new Error('Cancelled. Your game now shows the latest changes.'))
+            );
+        });
+    }
+}
+async function equipItem(itemId, slot) {
+    try {
+        const result = await performPlayerAction('equip', slot ? { itemId, slot } : { itemId });
+        updatePlayerStats();
+        showEquip();
+        showNotification(result.message, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function unequipSlot(slot) {
+    if (!gameCore.player.equipment[slot]) return;
     
-    updatePlayerStats();
-    showEquip();
-    showNotification('Weapon unequipped!', 'success');
+    try {
+        const result = await performPlayerAction('unequip', { slot });
+        updatePlayerStats();
+        showEquip();
+        showNotification(result.message, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
 }
 
 function sellItem(itemId) {
@@ -660,63 +936,70 @@ function sellItem(itemId) {
     
     showConfirmation(
         `Sell ${item.Rarity} ${item.Mold} ${item.Weapon} for $${item.Price.toFixed(2)}?`,
-        () => {
+        async () => {
             // User confirmed - sell the item
-            gameCore.item_storage = gameCore.item_storage.filter(i => i.ID !== itemId);
-            gameCore.sell_area.push({
-                item: item,
-                time_added: Date.now() / 1000,
-                timer: 30
-            });
-            gameCore.saveGame();
-            showStorage();
-            showNotification(`Item sent to sell area. Will be sold in 30 seconds.`, 'success');
+            try {
+                const result = await performPlayerAction('sell', { itemId });
+                showStorage();
+                showNotification(result.message, 'success');
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
         }
     );
 }
 
-function removeFromSellArea(itemId) {
-    const entryIndex = gameCore.sell_area.findIndex(e => e.item.ID === itemId);
-    if (entryIndex < 0) return;
-    
-    const entry = gameCore.sell_area[entryIndex];
-    gameCore.sell_area.splice(entryIndex, 1);
-    gameCore.item_storage.push(entry.item);
-    gameCore.saveGame();
-    
-    showSellArea();
-    showNotification('Item removed from sell area!', 'success');
+async function removeFromSellArea(itemId) {
+    try {
+        const result = await performPlayerAction('unsell', { itemId });
+        showSellArea();
+        showNotification(result.message, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
 }
 
-function purchaseMoldUpgrades() {
-    const input = document.getElementById('mold-amount');
+async function purchaseUpgrades(type, inputId) {
+    const input = document.getElementById(inputId);
     const amount = parseInt(input.value) || 1;
-    const result = gameCore.upgradeMold(amount);
     
-    if (result.success) {
-        gameCore.updateShopLuckMultiplier(); // Refresh shop multiplier
-        gameCore.saveGame();
+    try {
+        const result = await performPlayerAction('upgrade', { type, amount });
         updatePlayerStats();
         showUpgrades();
         showNotification(result.message, 'success');
-    } else {
-        showNotification(result.message, 'error');
+    } catch (error) {
+        showNotification(error.message, 'error');
     }
 }
 
+function purchaseMoldUpgrades() {
+    return purchaseUpgrades('mold', 'mold-amount');
+}
+
 function purchaseLuckUpgrades() {
-    const input = document.getElementById('luck-amount');
-    const amount = parseInt(input.value) || 1;
-    const result = gameCore.upgradeLuck(amount);
-    
-    if (result.success) {
-        gameCore.updateShopLuckMultiplier(); // Refresh shop multiplier
-        gameCore.saveGame();
+    return purchaseUpgrades('luck', 'luck-amount');
+}
+
+async function buyHealingItem(item) {
+    try {
+        const result = await performPlayerAction('buy_healing', { item, amount: 1 });
         updatePlayerStats();
         showUpgrades();
         showNotification(result.message, 'success');
-    } else {
-        showNotification(result.message, 'error');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function useHealingItem(item) {
+    try {
+        const result = await performPlayerAction('heal', { item });
+        updatePlayerStats();
+        showUpgrades();
+        showNotification(result.message, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
     }
 }
 
@@ -729,12 +1012,24 @@ function enterArea(areaIndex) {
         return;
     }
     
-    if (!gameCore.player.equipped) {
+    if (!gameCore.player.equipment.weapon) {
         showNotification('You cannot fight without a weapon. Please equip one first.', 'error');
         showEquip();
         return;
     }
     
+    const cooldown = gameCore.getAreaCooldown(areaName, gameCore.now());
+    if (cooldown > 0) {
+        showNotification(`You can't re-enter ${areaName} for another ${Math.ceil(cooldown)} seconds.`, 'error');
+        return;
+    }
+    
+    if (gameCore.player.health <= 0) {
+        showNotification('You are too hurt to fight. Heal or wait for your health to regenerate.', 'error');
+        showUpgrades();
+        return;
+    }
+    
     const enemies = gameCore.spawned_enemies[areaName] || [];
     if (enemies.length === 0) {
         showNotification(`There are no enemies in ${areaName}.`, 'info');
@@ -748,13 +1043,16 @@ function enterArea(areaIndex) {
     
     let html = `<h4>Select an enemy to fight in ${areaName}:</h4><div class="enemy-list">`;
     
-    enemies.forEach((enemy, index) => {
+    enemies.forEach(enemy => {
         const eliteText = enemy.Elite ? 'Elite ' : '';
         html += `
             <div class="enemy-item">
                 <p><strong>${eliteText}${enemy.name}</strong></p>
                 <p>Health: ${enemy.health} | Damage: ${enemy.damage} | RNG: 1 in ${enemy.RNG}</p>
-                <button class="game-btn" onclick="fightEnemy(${areaIndex}, ${index})">Fight</button>
+                <div class="enemy-actions">
+                    <button class="game-btn game-btn-secondary" onclick="previewFight(${areaIndex}, ${enemy.id})">Simulate Odds</button>
+                    <button class="game-btn" onclick="fightEnemy(${areaIndex}, ${enemy.id})">Fight</button>
+                </div>
             </div>
         `;
     });
@@ -764,11 +1062,57 @@ function enterArea(areaIndex) {
     modal.style.display = 'block';
 }
 
-function fightEnemy(areaIndex, enemyIndex) {
-    const area = AREAS[areaIndex];
-    const areaName = area[0];
-    const enemies = gameCore.spawned_enemies[areaName];
-    const enemy = enemies[enemyIndex];
+// Preview a fight with the current weapon and level. Combat has no randomness,
+// so the preview is exactly what Fight would do right now.
+function previewFight(areaIndex, enemyId) {
+    const areaName = AREAS[areaIndex][0];
+    const enemy = (gameCore.spawned_enemies[areaName] || []).find(e => e.id === enemyId);
+    const display = document.getElementById('combat-display');
+    
+    if (!enemy) {
+        showNotification('Enemy no longer exists!', 'error');
+        enterArea(areaIndex);
+        return;
+    }
+    
+    const fight = gameCore.simulateFight(enemy);
+    const eliteText = enemy.Elite ? 'Elite ' : '';
+    let outcome;
+    if (fight.victory) {
+        outcome = `<p class="combat-outcome victory">Win &mdash; 100%</p>
+            <p>You would defeat the ${eliteText}${enemy.name} in ${fight.rounds.length} round(s) with ${Math.round(fight.playerHealth)}/${Math.round(fight.playerMaxHealth)} HP left.</p>`;
+    } else if (fight.timedOut) {
+        outcome = `<p class="combat-outcome defeat">Win &mdash; 0%</p>
+            <p>Neither side can finish the fight: the ${eliteText}${enemy.name} would still have ${fight.enemyHealth}/${fight.enemyMaxHealth} HP after ${fight.rounds.length} rounds.</p>`;
+    } else {
+        outcome = `<p class="combat-outcome defeat">Win &mdash; 0%</p>
+            <p>The ${eliteText}${enemy.name} would defeat you in ${fight.rounds.length} round(s) with ${fight.enemyHealth}/${fight.enemyMaxHealth} HP left.</p>`;
+    }
+    
+    const totalDealt = fight.rounds.reduce((sum, round) => sum + round.damageDealt, 0);
+    const totalTaken = fight.rounds.reduce((sum, round) => sum + round.damageTaken, 0);
+    
+    display.innerHTML = `
+        <h4>Odds against ${eliteText}${enemy.name}</h4>
+        ${outcome}
+        <p>Damage per round: you deal ${fight.rounds[0].damageDealt}, you take ${fight.rounds[0].damageTaken}</p>
+        <p>Total damage: you deal ${totalDealt}, you take ${totalTaken}</p>
+        <div class="combat-controls">
+            <button class="game-btn game-btn-secondary" onclick="enterArea(${areaIndex})">Back</button>
+            <button class="game-btn" onclick="fightEnemy(${areaIndex}, ${enemy.id})">Fight</button>
+        </div>
+    `;
+}
+
+// Fights are resolved on the server; the returned rounds are then played back
+// one at a time. Long fights play faster so playback never takes much longer than this.
+const COMBAT_ROUND_DELAY = 400;
+const COMBAT_PLAYBACK_DURATION = 6000;
+let combatPlaybackTimer = null;
+
+async function fightEnemy(areaIndex, enemyId) {
+    const areaName = AREAS[areaIndex][0];
+    const enemy = (gameCore.spawned_enemies[areaName] || []).find(e => e.id === enemyId);
     
     if (!enemy) {
         showNotification('Enemy no longer exists!', 'error');
@@ -776,35 +1120,141 @@ function fightEnemy(areaIndex, enemyIndex) {
         return;
     }
     
-    const result = gameCore.fightEnemy(areaName, enemy, area[4]);
+    let result;
+    try {
+        result = await performPlayerAction('fight', { area: areaName, enemyId });
+    } catch (error) {
+        showNotification(error.message, 'error');
+        document.getElementById('combat-modal').style.display = 'none';
+        return;
+    }
+    
+    updatePlayerStats();
+    playCombat(enemy, result);
+}
+
+function renderHealthBar(label, health, maxHealth) {
+    const percent = maxHealth > 0 ? Math.max(0, Math.min(100, (health / maxHealth) * 100)) : 0;
+    return `
+        <div class="combat-health">
+            <div class="combat-health-label"><span>${label}</span><span>${Math.round(health)}/${Math.round(maxHealth)} HP</span></div>
+            <div class="combat-health-bar"><div class="combat-health-fill" style="width: ${percent}%"></div></div>
+        </div>
+    `;
+}
+
+function playCombat(enemy, result) {
+    const modal = document.getElementById('combat-modal');
+    const display = document.getElementById('combat-display');
+    const rounds = result.rounds || [];
+    const enemyLabel = `${enemy.Elite ? 'Elite ' : ''}${enemy.name}`;
+    let shown = 0;
+    
+    clearInterval(combatPlaybackTimer);
+    
+    display.innerHTML = `
+        <h4>You vs. ${enemyLabel}</h4>
+        <div id="combat-health"></div>
+        <ul id="combat-log" class="combat-log"></ul>
+        <div id="combat-controls" class="combat-controls">
+            <button id="combat-skip-btn" class="game-btn game-btn-secondary">Skip to End</button>
+        </div>
+    `;
+    const healthEl = document.getElementById('combat-health');
+    const logEl = document.getElementById('combat-log');
+    
+    const renderHealth = (round) => {
+        healthEl.innerHTML =
+            renderHealthBar('You', round ? round.playerHealth : result.playerStartHealth, result.playerMaxHealth) +
+            renderHealthBar(enemyLabel, round ? round.enemyHealth : result.enemyMaxHealth, result.enemyMaxHealth);
+    };
+    
+    const logRound = (round) => {
+        const entry = document.createElement('li');
+        entry.textContent = round.enemyHealth > 0
+            ? `Round ${round.round}: you deal ${round.damageDealt}, the ${enemy.name} deals ${round.damageTaken}.`
+            : `Round ${round.round}: you deal ${round.damageDealt}.`;
+        logEl.prepend(entry);
+    };
     
-    if (result.victory) {
-        let message = `You defeated the ${enemy.name}! `;
-        message += `You earned ${result.exp} EXP and $${result.cash}! `;
-        if (result.levelsGained > 0) {
-            message += `You leveled up ${result.levelsGained} time(s)! `;
+    const finish = () => {
+        clearInterval(combatPlaybackTimer);
+        combatPlaybackTimer = null;
+        
+        // Long fights only list the last few rounds once skipped
+        logEl.innerHTML = '';
+        rounds.slice(-10).forEach(logRound);
+        renderHealth(rounds[rounds.length - 1]);
+        
+        let message;
+        if (result.victory) {
+            message = `You defeated the ${enemy.name}! `;
+            message += `You earned ${result.exp} EXP and $${result.cash}! `;
+            if (result.levelsGained > 0) {
+                message += `You leveled up ${result.levelsGained} time(s)! `;
+            }
+            if (result.drop) {
+                message += `You got a ${result.drop.Mold} ${result.drop.Rarity} ${result.drop.Weapon}!`;
+            }
+        } else {
+            message = result.message || 'You were defeated!';
+            if (result.penalty) {
+                message += ` You lost $${result.penalty.money_lost.toFixed(2)} and ${Math.round(result.penalty.exp_lost)} EXP`;
+                message += result.penalty.cooldown > 0 ? ` and must wait ${formatDuration(result.penalty.cooldown)} before returning.` : '.';
+            }
         }
-        if (result.drop) {
-            message += `You got a ${result.drop.Mold} ${result.drop.Rarity} ${result.drop.Weapon}!`;
+        
+        const outcome = document.createElement('p');
+        outcome.className = `combat-outcome ${result.victory ? 'victory' : 'defeat'}`;
+        outcome.textContent = message;
+        logEl.before(outcome);
+        
+        document.getElementById('combat-controls').innerHTML =
+            '<button id="combat-continue-btn" class="game-btn">Continue</button>';
+        document.getElementById('combat-continue-btn').addEventListener('click', () => {
+            modal.style.display = 'none';
+            showAreas();
+        });
+    };
+    
+    const step = () => {
+        // Stop quietly if the modal was closed mid-fight; the result is already saved
+        if (modal.style.display === 'none') {
+            clearInterval(combatPlaybackTimer);
+            combatPlaybackTimer = null;
+            return;
         }
-        showNotification(message, 'success');
-    } else {
-        showNotification(result.message || 'You were defeated!', 'error');
-    }
+        if (shown >= rounds.length) {
+            finish();
+            return;
+        }
+        const round = rounds[shown++];
+        logRound(round);
+        renderHealth(round);
+    };
     
-    gameCore.saveGame();
-    updatePlayerStats();
-    document.getElementById('combat-modal').style.display = 'none';
-    showAreas();
+    document.getElementById('combat-skip-btn').addEventListener('click', finish);
+    renderHealth(null);
+    modal.style.display = 'block';
+    
+    const delay = Math.max(20, Math.min(COMBAT_ROUND_DELAY, COMBAT_PLAYBACK_DURATION / Math.max(1, rounds.length)));
+    combatPlaybackTimer = setInterval(step, delay);
 }
 
-function updateAutoSellThreshold() {
+async function updateAutoSellThreshold() {
     const input = document.getElementById('auto-sell-input');
     const value = parseInt(input.value);
     
     if (value > 0) {
+        try {
+            await GameAPI.updateGameSettings({ auto_sell_threshold: value, storage_sort: gameSettings.storage_sort });
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
         gameSettings.setAutoSellThreshold(value);
         gameSettings.saveSettings(gameCore.username);
+        gameCore.auto_sell_threshold = value;
         showNotification(`Auto sell threshold updated to 1 in ${value}`, 'success');
         showSettings();
     } else {
@@ -824,10 +1274,21 @@ function updateStorageSort() {
 
 // Cleanup function (called when navigating away from game page)
 function cleanupGame() {
+    if (gameLoopLock) {
+        gameLoopLock.stop();
+    }
     if (gameCore) {
         gameCore.stopGameLoops();
-        gameCore.saveGame();
     }
+    clearInterval(combatPlaybackTimer);
+}
+
+// Called when coming back to the game page after cleanupGame
+function resumeGame() {
+    if (gameLoopLock) {
+        gameLoopLock.start();
+    }
+    updateAllDisplays();
 }
 
 // Custom notification system
@@ -897,6 +1358,7 @@ function showConfirmation(message, onConfirm, onCancel = null) {
 if (typeof window !== 'undefined') {
     window.initializeGameUI = initializeGameUI;
     window.updateAllDisplays = updateAllDisplays;
+    window.resumeGame = resumeGame;
     window.showNotification = showNotification;
     window.showConfirmation = showConfirmation;
     console.log('Game UI functions loaded successfully');
@@ -169,7 +169,9 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         } catch (error) {
             console.error('Auth check error:', error);
-            return false;
+            // Offline: carry on as the last user with their cached tasks; the server
+            // checks the session again when changes are synced
+            return !!error.offline && isAuthenticated();
         }
     }
 
@@ -210,6 +212,8 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
         keysToRemove.forEach(key => localStorage.removeItem(key));
+        // Verification codes used to be kept in the browser; they now live on the server only
+        localStorage.removeItem('emailVerificationCodes');
     }
 
     async function clearSession() {
@@ -237,6 +241,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const loginForm = document.getElementById('login-form');
     const registerForm = document.getElementById('register-form');
     const passwordResetForm = document.getElementById('password-reset-form');
+    const twoFactorForm = document.getElementById('two-factor-form');
+    const twoFactorFormElement = document.getElementById('two-factor-form-element');
     const loginFormElement = document.getElementById('login-form-element');
     const registerFormElement = document.getElementById('register-form-element');
     const logoutBtn = document.getElementById('logout-btn');
@@ -284,12 +290,14 @@ document.addEventListener('DOMContentLoaded', () => {
             loginForm.classList.add('active');
             registerForm.classList.remove('active');
             if (passwordResetForm) passwordResetForm.classList.remove('active');
+            if (twoFactorForm) twoFactorForm.classList.remove('active');
         } else if (tab === 'register') {
             tabLogin.classList.remove('active');
             tabRegister.classList.add('active');
             loginForm.classList.remove('active');
             registerForm.classList.add('active');
             if (passwordResetForm) passwordResetForm.classList.remove('active');
+            if (twoFactorForm) twoFactorForm.classList.remove('active');
         }
         // Clear error messages
         document.querySelectorAll('.error-message').forEach(el => el.textContent = '');
@@ -308,6 +316,44 @@ document.addEventListener('DOMContentLoaded', () => {
         showPasswordResetStep1();
     }
     
+    // Second login step for accounts with two-factor authentication
+    let twoFactorUseRecoveryCode = false;
+    
+    function setTwoFactorMode(useRecoveryCode) {
+        twoFactorUseRecoveryCode = useRecoveryCode;
+        const label = document.getElementById('two-factor-code-label');
+        const hint = document.getElementById('two-factor-hint');
+        const codeInput = document.getElementById('two-factor-code');
+        const toggleBtn = document.getElementById('use-recovery-code-btn');
+        if (label) label.textContent = useRecoveryCode ? 'Recovery Code' : 'Authentication Code';
+        if (hint) {
+            hint.textContent = useRecoveryCode
+                ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+                : 'Enter the 6-digit code from your authenticator app.';
+        }
+        if (codeInput) {
+            codeInput.value = '';
+            codeInput.placeholder = useRecoveryCode ? 'xxxxx-xxxxx' : 'Enter 6-digit code';
+        }
+        if (toggleBtn) toggleBtn.textContent = useRecoveryCode ? 'Use Authenticator Code' : 'Use a Recovery Code';
+        clearError('two-factor-code-error');
+    }
+    
+    function showTwoFactorForm() {
+        if (!twoFactorForm) return;
+        
+        loginForm.classList.remove('active');
+        registerForm.classList.remove('active');
+        if (passwordResetForm) passwordResetForm.classList.remove('active');
+        twoFactorForm.classList.add('active');
+        
+        setTwoFactorMode(false);
+        const twoFactorMessage = document.getElementById('two-factor-message');
+        if (twoFactorMessage) twoFactorMessage.textContent = '';
+        const codeInput = document.getElementById('two-factor-code');
+        if (codeInput) codeInput.focus();
+    }
+    
     function showPasswordResetStep1() {
         const step1 = document.getElementById('password-reset-step-1');
         const step2 = document.getElementById('password-reset-step-2');
@@ -383,44 +429,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Store email for next step
                 emailInput.setAttribute('data-email', email);
                 
-                // Send email via EmailJS if code is provided
-                if (response.code) {
-                    try {
-                        // Verify function exists before calling (safety check)
-                        if (typeof sendPasswordResetEmail !== 'function') {
-                            console.error('sendPasswordResetEmail is not a function. Type:', typeof sendPasswordResetEmail);
-                            throw new Error('Password reset email function is not available. Please do a hard refresh (Ctrl+Shift+R) to clear cache.');
-                        }
-                        // Call the password reset email function
-                        const emailResult = await sendPasswordResetEmail(email, response.code);
-                        if (emailResult.success) {
-                            // Email sent successfully
-                            if (resetRequestMessage) {
-                                resetRequestMessage.textContent = 'Password reset code sent to your email! Please check your inbox (and spam folder).';
-                                resetRequestMessage.className = 'auth-message success';
-                            }
-                        } else {
-                            // EmailJS failed, but code was generated
-                            console.warn('EmailJS sending failed:', emailResult.error);
-                            if (resetRequestMessage) {
-                                resetRequestMessage.textContent = 'Reset code generated. Check server console for code: ' + response.code;
-                                resetRequestMessage.className = 'auth-message error';
-                            }
-                        }
-                    } catch (emailError) {
-                        console.error('Error sending password reset email:', emailError);
-                        // Code was generated, but email failed
-                        if (resetRequestMessage) {
-                            resetRequestMessage.textContent = 'Reset code generated. Check server console for code: ' + response.code;
-                            resetRequestMessage.className = 'auth-message error';
-                        }
-                    }
-                } else {
-                    // No code returned (shouldn't happen, but handle gracefully)
-                    if (resetRequestMessage) {
-                        resetRequestMessage.textContent = response.message || 'Password reset code sent to your email! Please check your inbox (and spam folder).';
-                        resetRequestMessage.className = 'auth-message success';
-                    }
+                // The server emails the code; it never comes back to the browser
+                if (resetRequestMessage) {
+                    resetRequestMessage.textContent = response.message || 'Password reset code sent to your email! Please check your inbox (and spam folder).';
+                    resetRequestMessage.className = 'auth-message success';
                 }
                 
                 // Show step 2
@@ -517,7 +529,8 @@ document.addEventListener('DOMContentLoaded', () => {
             
             if (response.success) {
                 if (resetConfirmMessage) {
-                    resetConfirmMessage.textContent = 'Password reset successfully! You can now login with your new password.';
+                    resetConfirmMessage.textContent = 'Password reset successfully! You can now login with your new password.' +
+                        (response.sessionsRevoked ? ' Your account was signed out on all other devices.' : '');
                     resetConfirmMessage.className = 'auth-message success';
                 }
                 
@@ -678,6 +691,16 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    function completeLogin(username) {
+        // Clear any previous user data before setting new session
+        clearUserData();
+        setSession(username);
+        // Clear data for the new user as well to ensure fresh start
+        clearUserData();
+        showApp();
+        initializeApp();
+    }
+
     // --- Login Handler ---
     if (loginFormElement) {
         loginFormElement.addEventListener('submit', async (e) => {
@@ -721,14 +744,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 const response = await AuthAPI.login(usernameValidation.value, password);
                 
-                if (response.success) {
-                    // Clear any previous user data before setting new session
-                    clearUserData();
-                    setSession(response.username);
-                    // Clear data for the new user as well to ensure fresh start
-                    clearUserData();
-                    showApp();
-                    initializeApp();
+                if (response.success && response.twoFactorRequired) {
+                    passwordInput.value = '';
+                    showTwoFactorForm();
+                } else if (response.success) {
+                    completeLogin(response.username);
                 } else {
                     throw new Error(response.error || 'Login failed');
                 }
@@ -741,8 +761,57 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // --- Two-Factor Login Handler ---
+    if (twoFactorFormElement) {
+        twoFactorFormElement.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            clearError('two-factor-code-error');
+            
+            const codeInput = document.getElementById('two-factor-code');
+            const code = codeInput ? codeInput.value.trim() : '';
+            if (!twoFactorUseRecoveryCode && !/^\d{6}$/.test(code)) {
+                showError('two-factor-code-error', 'Authentication code must be 6 digits');
+                return;
+            }
+            if (!code) {
+                showError('two-factor-code-error', 'Recovery code is required');
+                return;
+            }
+            
+            try {
+                const response = await AuthAPI.verifyTwoFactor(
+                    twoFactorUseRecoveryCode ? { recoveryCode: code } : { code });
+                completeLogin(response.username);
+                if (response.usedRecoveryCode) {
+                    showAppNotification(`Recovery code used. ${response.recoveryCodesRemaining} left - you can make new ones in Settings.`, 'info');
+                }
+            } catch (error) {
+                console.error('Two-factor login error:', error);
+                if (error.status === 401 && /expired/i.test(error.message)) {
+                    switchTab('login');
+                    showMessage('login-message', error.message, true);
+                    return;
+                }
+                showError('two-factor-code-error', error.message || 'Invalid authentication code');
+            }
+        });
+    }
+    
+    const useRecoveryCodeBtn = document.getElementById('use-recovery-code-btn');
+    if (useRecoveryCodeBtn) {
+        useRecoveryCodeBtn.addEventListener('click', () => setTwoFactorMode(!twoFactorUseRecoveryCode));
+    }
+    
+    const backToLoginFrom2faBtn = document.getElementById('back-to-login-from-2fa-btn');
+    if (backToLoginFrom2faBtn) {
+        backToLoginFrom2faBtn.addEventListener('click', () => switchTab('login'));
+    }
+
     // --- Notification System for Calendar ---
-    function showAppNotification(message, type = 'info') {
+    let appNotificationTimer = null;
+    
+    // action is an optional { label, onClick } shown as a button in the toast (e.g. Undo)
+    function showAppNotification(message, type = 'info', action = null) {
         // Always use the custom calendar notification system
         let notification = document.getElementById('app-notification');
         if (!notification) {
@@ -756,9 +825,22 @@ document.addEventListener('DOMContentLoaded', () => {
         notification.className = `app-notification app-notification-${type}`;
         notification.style.display = 'block';
         
-        setTimeout(() => {
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'app-notification-action';
+            actionBtn.textContent = action.label;
+            actionBtn.onclick = () => {
+                notification.style.display = 'none';
+                action.onClick();
+            };
+            notification.appendChild(actionBtn);
+        }
+        
+        // A newer notification restarts the timer instead of being hidden by an older one
+        clearTimeout(appNotificationTimer);
+        appNotificationTimer = setTimeout(() => {
             notification.style.display = 'none';
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
     
     function showAppConfirmation(message, onConfirm, onCancel = null) {
@@ -818,7 +900,11 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Logout Handler ---
     if (logoutBtn) {
         logoutBtn.addEventListener('click', async () => {
-            showAppConfirmation('Are you sure you want to logout?', async () => {
+            const pending = typeof SyncOutbox !== 'undefined' ? SyncOutbox.pendingCount() : 0;
+            const message = pending > 0
+                ? `You have ${pending} change${pending === 1 ? '' : 's'} that haven't synced yet. They'll be sent the next time you log in on this device. Logout anyway?`
+                : 'Are you sure you want to logout?';
+            showAppConfirmation(message, async () => {
                 await clearSession();
                 showAuth();
                 // Clear forms
@@ -924,7 +1010,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- State Management ---
     let currentDate = new Date();
+    const CALENDAR_VIEW_STORAGE_KEY = 'calendarView';
+    const CALENDAR_VIEWS = ['month', 'week', 'day'];
+    let calendarView = CALENDAR_VIEWS.includes(localStorage.getItem(CALENDAR_VIEW_STORAGE_KEY))
+        ? localStorage.getItem(CALENDAR_VIEW_STORAGE_KEY) : 'month';
     let tasks = {}; // Store tasks by date string (YYYY-MM-DD)
+    let knownTags = []; // Tags used on the user's tasks (or given a colour)
+    let tagColors = {}; // Colour label for each tag, e.g. { work: '#3b82f6' }
+    let taskFilters = { priorities: [], tags: [] }; // Filter bar selection; empty lists show everything
+    let queuedAwards = []; // 'type:referenceId' of points awards queued while offline
+    let syncListenersAdded = false;
     let holidays = {}; // Store holidays by date string (YYYY-MM-DD)
     let holidaysCache = {}; // Cache holidays by year-country
     const DEFAULT_COUNTRY = 'US'; // Default country code
@@ -932,6 +1027,9 @@ document.addEventListener('DOMContentLoaded', () => {
     function initializeApp() {
         // Reset all user data to ensure clean state for new user
         tasks = {}; // Reset tasks to empty object
+        knownTags = [];
+        tagColors = {};
+        taskFilters = { priorities: [], tags: [] };
         
         // Update welcome header
         updateWelcomeHeader();
@@ -991,25 +1089,21 @@ document.addEventListener('DOMContentLoaded', () => {
         dateTasksList = document.getElementById('date-tasks-list');
         closeModalBtns = document.querySelectorAll('.close-modal');
         const calendarHelpBtn = document.getElementById('calendar-help-btn');
+        const exportCalendarBtn = document.getElementById('export-calendar-btn');
+        const importCalendarBtn = document.getElementById('import-calendar-btn');
+        const importCalendarInput = document.getElementById('import-calendar-input');
         const calendarHelpModal = document.getElementById('calendar-help-modal');
+        const taskFilterBar = document.getElementById('task-filter-bar');
+        const calendarViewButtons = document.querySelectorAll('.calendar-view-btn');
 
-        // Clear localStorage for current user to ensure fresh start
-        // This ensures that when a new user logs in, they start with a completely clean slate
+        // Clear data left behind by other users, so each user starts with a clean slate.
+        // The current user's cached tasks and points are kept for when the server can't be reached.
         const currentUser = getCurrentUser();
-        if (currentUser) {
-            // Clear all user-specific data
-            localStorage.removeItem(`calendarTasks_${currentUser}`);
-            localStorage.removeItem(`calendarPoints_${currentUser}`);
-            localStorage.removeItem(`gameData_${currentUser}`);
-            localStorage.removeItem(`gameSettings_${currentUser}`);
-        }
-        
-        // Also do a final sweep to clear any remaining user-specific data
-        // This is a safety measure in case there are any keys we missed
+        const keptKeys = [`calendarTasks_${currentUser}`, `calendarPoints_${currentUser}`];
         const keysToRemove = [];
         for (let i = 0; i < localStorage.length; i++) {
             const key = localStorage.key(i);
-            if (key && (
+            if (key && !keptKeys.includes(key) && (
                 key.startsWith('calendarTasks_') ||
                 key.startsWith('calendarPoints_') ||
                 key.startsWith('gameData_') ||
@@ -1020,9 +1114,9 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         keysToRemove.forEach(key => localStorage.removeItem(key));
         
-        // Tasks should be loaded from API, not localStorage
-        // Starting with empty tasks object - they will be populated as user creates tasks
-        // Points will be initialized to 0 when first accessed via getPoints()
+        // Tasks and points are loaded from the API at the end of initialization;
+        // localStorage only holds a cache of the server's copy. Changes made offline are
+        // queued by SyncOutbox (api.js) and sent when the server is reachable again.
 
         // Load holidays cache from localStorage
         const savedHolidaysCache = localStorage.getItem('holidaysCache');
@@ -1030,9 +1124,6 @@ document.addEventListener('DOMContentLoaded', () => {
             holidaysCache = JSON.parse(savedHolidaysCache);
         }
         
-        // Check past days for completion on page load
-        checkPastDaysCompletion();
-        
         // Set up interval to check past days completion every hour
         setInterval(() => {
             checkPastDaysCompletion();
@@ -1097,7 +1188,7 @@ document.addEventListener('DOMContentLoaded', () => {
         function setupShopHandlers() {
             const purchaseLuckBtn = document.getElementById('purchase-luck-multiplier-btn');
             if (purchaseLuckBtn) {
-                purchaseLuckBtn.onclick = function() {
+                purchaseLuckBtn.onclick = async function() {
                     const cost = getShopLuckMultiplierCost();
                     const pointsData = getPoints();
                     
@@ -1106,13 +1197,13 @@ document.addEventListener('DOMContentLoaded', () => {
                         return;
                     }
                     
-                    if (upgradeShopLuckMultiplier()) {
+                    if (await upgradeShopLuckMultiplier()) {
                         const newLevel = getShopLuckMultiplierLevel();
                         const newValue = getShopLuckMultiplierValue();
                         showAppNotification(`Luck Multiplier upgraded to Level ${newLevel} (${newValue}x)!`, 'success');
                         // Update game display if game is active
                         if (typeof gameCore !== 'undefined' && gameCore) {
-                            gameCore.updateShopLuckMultiplier();
+                            gameCore.setShopLevels(getPoints());
                             if (typeof updatePlayerStats === 'function') {
                                 updatePlayerStats();
                             }
@@ -1128,7 +1219,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const purchaseSpawnIntervalBtn = document.getElementById('purchase-spawn-interval-btn');
             if (purchaseSpawnIntervalBtn) {
-                purchaseSpawnIntervalBtn.onclick = function() {
+                purchaseSpawnIntervalBtn.onclick = async function() {
                     const cost = getSpawnIntervalCost();
                     const pointsData = getPoints();
                     
@@ -1142,13 +1233,13 @@ document.addEventListener('DOMContentLoaded', () => {
                         return;
                     }
                     
-                    if (upgradeSpawnInterval()) {
+                    if (await upgradeSpawnInterval()) {
                         const newLevel = getSpawnIntervalLevel();
                         const newValue = getSpawnIntervalValue();
                         showAppNotification(`Item Spawn Speed upgraded to Level ${newLevel} (${newValue.toFixed(1)} seconds)!`, 'success');
                         // Update game display if game is active
                         if (typeof gameCore !== 'undefined' && gameCore) {
-                            gameCore.updateSpawnInterval();
+                            gameCore.setShopLevels(getPoints());
                         }
                     } else {
                         showAppNotification('You do not have enough points to make this purchase.', 'error');
@@ -1177,224 +1268,11 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // --- Email Verification Functions ---
-    const VERIFICATION_CODE_STORAGE_KEY = 'emailVerificationCodes';
-    const VERIFICATION_CODE_EXPIRY = 10 * 60 * 1000; // 10 minutes in milliseconds
-    
-    function generateVerificationCode() {
-        // Generate a random 6-digit code
-        return Math.floor(100000 + Math.random() * 900000).toString();
-    }
-    
-    function storeVerificationCode(email, code) {
-        const codes = JSON.parse(localStorage.getItem(VERIFICATION_CODE_STORAGE_KEY) || '{}');
-        codes[email] = {
-            code: code,
-            timestamp: Date.now(),
-            expiresAt: Date.now() + VERIFICATION_CODE_EXPIRY
-        };
-        localStorage.setItem(VERIFICATION_CODE_STORAGE_KEY, JSON.stringify(codes));
-    }
-    
-    function getVerificationCode(email) {
-        const codes = JSON.parse(localStorage.getItem(VERIFICATION_CODE_STORAGE_KEY) || '{}');
-        const codeData = codes[email];
-        if (!codeData) return null;
-        
-        // Check if code has expired
-        if (Date.now() > codeData.expiresAt) {
-            delete codes[email];
-            localStorage.setItem(VERIFICATION_CODE_STORAGE_KEY, JSON.stringify(codes));
-            return null;
-        }
-        
-        return codeData.code;
-    }
-    
-    function clearVerificationCode(email) {
-        const codes = JSON.parse(localStorage.getItem(VERIFICATION_CODE_STORAGE_KEY) || '{}');
-        delete codes[email];
-        localStorage.setItem(VERIFICATION_CODE_STORAGE_KEY, JSON.stringify(codes));
-    }
-    
     function validateEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(email);
     }
     
-    // EmailJS Configuration
-    // To set up EmailJS:
-    // 1. Go to https://www.emailjs.com/ and create a free account
-    // 2. Create an email service (Gmail, Outlook, etc.)
-    // 3. Create an email template with variables: {{to_email}} and {{verification_code}}
-    // 4. Get your Public Key from the Integration section
-    // 5. Update the values below:
-    const EMAILJS_CONFIG = {
-        serviceId: 'service_80s1dny',      // Your EmailJS service ID
-        templateId: 'template_eqp0j2e',   // Your EmailJS template ID (for email verification)
-        publicKey: 'WVh8o7pHWLGBMVK_K'    // Your EmailJS public key
-    };
-    
-    // Password Reset Email Template ID
-    // Create a separate template in EmailJS for password reset emails
-    // The template should include: {{to_email}} and {{reset_code}}
-    const PASSWORD_RESET_TEMPLATE_ID = 'template_39qjb27'; // Your password reset template ID
-    
-    function isEmailJSConfigured() {
-        return EMAILJS_CONFIG.serviceId !== 'YOUR_SERVICE_ID' &&
-               EMAILJS_CONFIG.templateId !== 'YOUR_TEMPLATE_ID' &&
-               EMAILJS_CONFIG.publicKey !== 'YOUR_PUBLIC_KEY';
-    }
-    
-    // Define password reset email function - SAME SERVICE, DIFFERENT TEMPLATE
-    // Uses the same EmailJS service (service_80s1dny) but different template (template_39qjb27)
-    // Function declaration (hoisted) - defined here but available throughout the scope
-    async function sendPasswordResetEmail(email, code) {
-        // Exact same implementation as sendVerificationEmail, but using password reset template
-        try {
-            // Check if EmailJS is loaded
-            if (typeof emailjs === 'undefined') {
-                throw new Error('EmailJS library is not loaded. Please check that the EmailJS script is included in index.html');
-            }
-            
-            // Check if EmailJS is configured
-            if (!isEmailJSConfigured()) {
-                throw new Error('EmailJS is not configured. Please update EMAILJS_CONFIG in java.js with your service ID, template ID, and public key.');
-            }
-            
-            // Initialize EmailJS with public key (required for v4)
-            emailjs.init(EMAILJS_CONFIG.publicKey);
-            
-            // Send email using EmailJS v4 API
-            // Note: The variable names must match what you set in your EmailJS template
-            // Common variable names: to_email, email, user_email, etc.
-            const templateParams = {
-                to_email: email,           // This should match your template's "To Email" field variable
-                email: email,              // Also try this common variable name
-                reset_code: code,          // This should match your template's reset code variable
-                code: code,                // Also try this common variable name
-                verification_code: code,   // Some templates use this name
-                from_name: 'RNG Calendar'
-            };
-            
-            console.log('Sending password reset email with EmailJS:', {
-                serviceId: EMAILJS_CONFIG.serviceId,
-                templateId: PASSWORD_RESET_TEMPLATE_ID,
-                to_email: email,
-                templateParams: templateParams
-            });
-            
-            const response = await emailjs.send(
-                EMAILJS_CONFIG.serviceId,
-                PASSWORD_RESET_TEMPLATE_ID,
-                templateParams
-            );
-            
-            console.log('EmailJS response:', response);
-            
-            // Success - email sent
-            return { success: true, method: 'email' };
-        } catch (error) {
-            console.error('Error sending password reset email:', error);
-            console.error('Error details:', {
-                message: error.message,
-                text: error.text,
-                status: error.status
-            });
-            
-            // Provide more specific error messages
-            let errorMessage = 'Failed to send password reset email. ';
-            
-            if (error.text) {
-                errorMessage += `EmailJS error: ${error.text}`;
-            } else if (error.message) {
-                errorMessage += error.message;
-            } else {
-                errorMessage += 'Please check your EmailJS configuration and try again.';
-            }
-            
-            // Return error so UI can show appropriate message
-            return { 
-                success: false, 
-                method: 'error', 
-                error: errorMessage
-            };
-        }
-    }
-    
-    // Verify function is defined (for debugging)
-    console.log('sendPasswordResetEmail defined:', typeof sendPasswordResetEmail);
-    
-    async function sendVerificationEmail(email, code) {
-        try {
-            // Check if EmailJS is loaded
-            if (typeof emailjs === 'undefined') {
-                throw new Error('EmailJS library is not loaded. Please check that the EmailJS script is included in index.html');
-            }
-            
-            // Check if EmailJS is configured
-            if (!isEmailJSConfigured()) {
-                throw new Error('EmailJS is not configured. Please update EMAILJS_CONFIG in java.js with your service ID, template ID, and public key.');
-            }
-            
-            // Initialize EmailJS with public key (required for v4)
-            emailjs.init(EMAILJS_CONFIG.publicKey);
-            
-            // Send email using EmailJS v4 API
-            // Note: The variable names must match what you set in your EmailJS template
-            // Common variable names: to_email, email, user_email, etc.
-            const templateParams = {
-                to_email: email,           // This should match your template's "To Email" field variable
-                email: email,              // Also try this common variable name
-                verification_code: code,   // This should match your template's verification code variable
-                code: code,                // Also try this common variable name
-                from_name: 'RNG Calendar'
-            };
-            
-            console.log('Sending email with EmailJS:', {
-                serviceId: EMAILJS_CONFIG.serviceId,
-                templateId: EMAILJS_CONFIG.templateId,
-                to_email: email,
-                templateParams: templateParams
-            });
-            
-            const response = await emailjs.send(
-                EMAILJS_CONFIG.serviceId,
-                EMAILJS_CONFIG.templateId,
-                templateParams
-            );
-            
-            console.log('EmailJS response:', response);
-            
-            // Success - email sent
-            return { success: true, method: 'email' };
-        } catch (error) {
-            console.error('Error sending verification email:', error);
-            console.error('Error details:', {
-                message: error.message,
-                text: error.text,
-                status: error.status
-            });
-            
-            // Provide more specific error messages
-            let errorMessage = 'Failed to send verification email. ';
-            
-            if (error.text) {
-                errorMessage += `EmailJS error: ${error.text}`;
-            } else if (error.message) {
-                errorMessage += error.message;
-            } else {
-                errorMessage += 'Please check your EmailJS configuration and try again.';
-            }
-            
-            // Return error so UI can show appropriate message
-            return { 
-                success: false, 
-                method: 'error', 
-                error: errorMessage
-            };
-        }
-    }
-    
     async function handleSendVerificationEmail() {
         const emailInput = document.getElementById('email-input');
         const emailError = document.getElementById('email-error');
@@ -1433,20 +1311,7 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
-        // Generate and store verification code
-        const code = generateVerificationCode();
-        
-        // Store verification code via API
-        try {
-            if (typeof EmailAPI !== 'undefined') {
-                await EmailAPI.storeVerificationCode(email, code);
-            }
-        } catch (error) {
-            console.error('Error storing verification code:', error);
-            // Continue anyway - code will be sent via email
-        }
-        
-        // Send verification email first
+        // Have the server generate a code and email it
         const sendBtn = document.getElementById('send-verification-btn');
         if (sendBtn) {
             sendBtn.disabled = true;
@@ -1454,53 +1319,33 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         try {
-            const result = await sendVerificationEmail(email, code);
+            // The server also saves the email to the account (unverified) so the verification input shows
+            await EmailAPI.sendVerificationCode(email);
             
-            if (result.success) {
-        // Save email to user account (but not verified yet) so the verification input shows
-        try {
-            if (typeof UserAPI !== 'undefined') {
-                await UserAPI.updateEmail(email, false);
+            // Show success message - NEVER show the code in the UI
+            if (emailMessage) {
+                emailMessage.textContent = 'Verification code sent to your email! Please check your inbox (and spam folder) for the 6-digit code.';
+                emailMessage.className = 'email-message success';
             }
+            
+            // Rebuild settings page to show verification code input
+            // Pass the email to preserve it even if API hasn't updated yet
+            setTimeout(async () => {
+                await buildSettingsPage(email);
+                setupSettingsHandlers();
+            }, 500);
         } catch (error) {
-            console.error('Error saving email:', error);
-            // If authentication error, redirect to login
-            if (error.message && error.message.includes('Authentication required')) {
-                console.log('Session expired, redirecting to login');
+            console.error('Error sending verification email:', error);
+            if (error.status === 401) {
                 showAuth();
                 return;
             }
-            // Continue anyway - email will be saved after verification
-        }
-                
-                // Show success message - NEVER show the code in the UI
-                if (emailMessage) {
-                    emailMessage.textContent = 'Verification code sent to your email! Please check your inbox (and spam folder) for the 6-digit code.';
-                    emailMessage.className = 'email-message success';
-                }
-                
-                // Rebuild settings page to show verification code input
-                // Pass the email to preserve it even if API hasn't updated yet
-                setTimeout(async () => {
-                    await buildSettingsPage(email);
-                    setupSettingsHandlers();
-                }, 500);
-            } else {
-                // Show error message
-                const errorMsg = result.error || 'Failed to send verification email. Please try again.';
-                if (emailMessage) {
-                    emailMessage.textContent = errorMsg;
-                    emailMessage.className = 'email-message error';
-                }
-                showAppNotification(errorMsg, 'error');
-            }
-        } catch (error) {
-            console.error('Error:', error);
+            const errorMsg = error.message || 'Error sending verification email. Please try again.';
             if (emailMessage) {
-                emailMessage.textContent = 'Error sending verification email. Please try again.';
+                emailMessage.textContent = errorMsg;
                 emailMessage.className = 'email-message error';
             }
-            showAppNotification('Error sending verification email. Please try again.', 'error');
+            showAppNotification(errorMsg, 'error');
         } finally {
             if (sendBtn) {
                 sendBtn.disabled = false;
@@ -1519,11 +1364,7 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
-        // Generate new code
-        const code = generateVerificationCode();
-        storeVerificationCode(email, code);
-        
-        // Send email
+        // Ask the server for a new code
         const resendBtn = document.getElementById('resend-code-btn');
         if (resendBtn) {
             resendBtn.disabled = true;
@@ -1531,16 +1372,11 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         try {
-            const result = await sendVerificationEmail(email, code);
-            if (result.success) {
-                // NEVER show the code - only confirm email was sent
-                showAppNotification('New verification code sent to your email!', 'success');
-            } else {
-                const errorMsg = result.error || 'Failed to resend verification code. Please try again.';
-                showAppNotification(errorMsg, 'error');
-            }
+            await EmailAPI.sendVerificationCode(email);
+            // NEVER show the code - only confirm email was sent
+            showAppNotification('New verification code sent to your email!', 'success');
         } catch (error) {
-            showAppNotification('Error resending verification code. Please try again.', 'error');
+            showAppNotification(error.message || 'Error resending verification code. Please try again.', 'error');
         } finally {
             if (resendBtn) {
                 resendBtn.disabled = false;
@@ -1589,10 +1425,11 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Verify code via API
         try {
-            if (typeof EmailAPI === 'undefined' || typeof UserAPI === 'undefined') {
+            if (typeof EmailAPI === 'undefined') {
                 throw new Error('API not loaded');
             }
 
+            // The server marks the email verified when the code matches
             const verifyResponse = await EmailAPI.verifyCode(email, enteredCode);
             
             if (!verifyResponse.valid) {
@@ -1602,9 +1439,6 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
                 return;
             }
-
-            // Update user email as verified
-            await UserAPI.updateEmail(email, true);
             
         } catch (error) {
             console.error('Error verifying code:', error);
@@ -1644,7 +1478,7 @@ document.addEventListener('DOMContentLoaded', () => {
             // Clear email and verification status via API
             // This allows the user to enter a new email and verify it
             if (typeof UserAPI !== 'undefined') {
-                await UserAPI.updateEmail('', false);
+                await UserAPI.updateEmail('');
                 
                 // Rebuild settings page to show email input form
                 await buildSettingsPage();
@@ -1666,47 +1500,426 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
-    // --- Build Settings Page ---
-    async function buildSettingsPage(preservedEmail = null) {
-        const settingsPage = document.getElementById('settings-page');
-        if (!settingsPage) return;
+    // --- Two-Factor Authentication Functions ---
+    function showRecoveryCodes(codes) {
+        const container = document.getElementById('two-factor-recovery-codes');
+        if (!container) return;
         
-        const currentTheme = getTheme();
-        let userEmail = '';
-        let emailVerified = false;
+        container.innerHTML = `
+            <p class="settings-description"><strong>Save these recovery codes somewhere safe.</strong>
+                Each one can be used once to log in if you lose your authenticator. They won't be shown again.</p>
+            <ul class="recovery-code-list">
+                ${codes.map(code => `<li><code>${code}</code></li>`).join('')}
+            </ul>
+            <button id="two-factor-recovery-done-btn" class="secondary-btn">I've Saved These Codes</button>
+        `;
+        document.getElementById('two-factor-recovery-done-btn').onclick = async () => {
+            await buildSettingsPage();
+            setupSettingsHandlers();
+        };
+    }
+    
+    async function handleStartTwoFactorSetup() {
+        const setupContainer = document.getElementById('two-factor-setup');
+        if (!setupContainer) return;
         
-        // Check if there's an email in the input field (in case API hasn't updated yet)
-        const emailInput = document.getElementById('email-input');
-        const pendingEmail = emailInput ? emailInput.value.trim() : '';
+        try {
+            const setup = await TwoFactorAPI.setup();
+            setupContainer.innerHTML = `
+                <p class="settings-description">Scan this QR code with your authenticator app, or add the key by hand.</p>
+                ${setup.qrSvg ? `<div class="two-factor-qr">${setup.qrSvg}</div>` : ''}
+                <div class="form-group">
+                    <label>Setup key</label>
+                    <code class="two-factor-secret">${setup.secret.replace(/(.{4})/g, '$1 ').trim()}</code>
+                    <small class="verification-hint"><a href="${setup.otpauthUri}">Open in authenticator app</a></small>
+                </div>
+                <div class="form-group">
+                    <label for="two-factor-enable-code">Authentication Code</label>
+                    <input type="text" id="two-factor-enable-code" placeholder="Enter 6-digit code" maxlength="6" inputmode="numeric" autocomplete="one-time-code">
+                    <span class="error-message" id="two-factor-enable-error"></span>
+                </div>
+                <button id="two-factor-enable-btn" class="primary-btn">Enable Two-Factor Authentication</button>
+            `;
+            document.getElementById('two-factor-enable-btn').onclick = handleEnableTwoFactor;
+            document.getElementById('two-factor-enable-code').addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') handleEnableTwoFactor();
+            });
+        } catch (error) {
+            console.error('Error starting two-factor setup:', error);
+            showAppNotification(error.message || 'Failed to start two-factor setup', 'error');
+        }
+    }
+    
+    async function handleEnableTwoFactor() {
+        const codeInput = document.getElementById('two-factor-enable-code');
+        if (!codeInput) return;
+        
+        const code = codeInput.value.trim();
+        if (!/^\d{6}$/.test(code)) {
+            showError('two-factor-enable-error', 'Authentication code must be 6 digits');
+            return;
+        }
+        clearError('two-factor-enable-error');
         
-        // Fetch user data from API
         try {
-            if (typeof UserAPI !== 'undefined') {
-                const user = await UserAPI.getUser();
-                userEmail = user.email || '';
-                emailVerified = user.email_verified === 1 || user.email_verified === true;
+            const response = await TwoFactorAPI.enable(code);
+            const setupContainer = document.getElementById('two-factor-setup');
+            if (setupContainer) setupContainer.innerHTML = '';
+            showAppNotification('Two-factor authentication enabled!', 'success');
+            showRecoveryCodes(response.recoveryCodes);
+        } catch (error) {
+            showError('two-factor-enable-error', error.message || 'Failed to enable two-factor authentication');
+        }
+    }
+    
+    async function handleRegenerateRecoveryCodes() {
+        const codeInput = document.getElementById('two-factor-manage-code');
+        const code = codeInput ? codeInput.value.trim() : '';
+        if (!/^\d{6}$/.test(code)) {
+            showError('two-factor-manage-error', 'Enter a 6-digit code from your authenticator app');
+            return;
+        }
+        
+        try {
+            const response = await TwoFactorAPI.regenerateRecoveryCodes(code);
+            clearError('two-factor-manage-error');
+            codeInput.value = '';
+            showAppNotification('New recovery codes created. Your old codes no longer work.', 'success');
+            showRecoveryCodes(response.recoveryCodes);
+        } catch (error) {
+            showError('two-factor-manage-error', error.message || 'Failed to create recovery codes');
+        }
+    }
+    
+    async function handleDisableTwoFactor() {
+        const codeInput = document.getElementById('two-factor-manage-code');
+        const passwordInput = document.getElementById('two-factor-disable-password');
+        const code = codeInput ? codeInput.value.trim() : '';
+        const password = passwordInput ? passwordInput.value : '';
+        
+        if (!password || !code) {
+            showError('two-factor-manage-error', 'Enter your password and an authentication or recovery code');
+            return;
+        }
+        
+        try {
+            // Codes with a dash (or letters) are recovery codes
+            await TwoFactorAPI.disable(password, /^\d{6}$/.test(code) ? { code } : { recoveryCode: code });
+            showAppNotification('Two-factor authentication disabled', 'success');
+            await buildSettingsPage();
+            setupSettingsHandlers();
+        } catch (error) {
+            showError('two-factor-manage-error', error.message || 'Failed to disable two-factor authentication');
+        }
+    }
+    
+    // --- Active Session Functions ---
+    // A short "Browser on OS" description of a user agent string
+    function describeUserAgent(userAgent) {
+        if (!userAgent) return 'Unknown device';
+        const browser = /Edg\//.test(userAgent) ? 'Edge'
+            : /OPR\/|Opera/.test(userAgent) ? 'Opera'
+            : /Firefox\//.test(userAgent) ? 'Firefox'
+            : /Chrome\//.test(userAgent) ? 'Chrome'
+            : /Safari\//.test(userAgent) ? 'Safari'
+            : userAgent.split(/[\s/]/)[0];
+        const os = /Windows/.test(userAgent) ? 'Windows'
+            : /Android/.test(userAgent) ? 'Android'
+            : /iPhone|iPad|iPod/.test(userAgent) ? 'iOS'
+            : /Mac OS X|Macintosh/.test(userAgent) ? 'macOS'
+            : /Linux/.test(userAgent) ? 'Linux'
+            : null;
+        return os ? `${browser} on ${os}` : browser;
+    }
+    
+    // Built with DOM nodes rather than HTML strings since user agents come from the client
+    function renderSessionList(sessions) {
+        const list = document.getElementById('session-list');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        if (!sessions.length) {
+            list.textContent = 'No active sessions.';
+            return;
+        }
+        
+        sessions.forEach(sessionInfo => {
+            const item = document.createElement('div');
+            item.className = 'session-item' + (sessionInfo.current ? ' current' : '');
+            
+            const details = document.createElement('div');
+            details.className = 'session-details';
+            const device = document.createElement('strong');
+            device.textContent = describeUserAgent(sessionInfo.userAgent);
+            device.title = sessionInfo.userAgent || '';
+            details.appendChild(device);
+            if (sessionInfo.current) {
+                const badge = document.createElement('span');
+                badge.className = 'session-current-badge';
+                badge.textContent = 'This device';
+                details.appendChild(badge);
+            }
+            const meta = document.createElement('small');
+            meta.textContent = `${sessionInfo.ip || 'Unknown IP'} · Signed in ${new Date(sessionInfo.createdAt).toLocaleString()} · ` +
+                `Last active ${new Date(sessionInfo.lastSeenAt).toLocaleString()}`;
+            details.appendChild(meta);
+            item.appendChild(details);
+            
+            if (!sessionInfo.current) {
+                const revokeBtn = document.createElement('button');
+                revokeBtn.className = 'secondary-btn';
+                revokeBtn.textContent = 'Sign Out';
+                revokeBtn.onclick = () => handleRevokeSession(sessionInfo.id, revokeBtn);
+                item.appendChild(revokeBtn);
             }
+            list.appendChild(item);
+        });
+    }
+    
+    async function loadSessionList() {
+        try {
+            const response = await SessionAPI.list();
+            renderSessionList(response.sessions);
         } catch (error) {
-            console.error('Error fetching user data for settings:', error);
-            // Continue with empty values if API fails
+            console.error('Error loading sessions:', error);
+            const list = document.getElementById('session-list');
+            if (list) list.textContent = 'Could not load your sessions.';
+        }
+    }
+    
+    async function handleRevokeSession(sessionId, button) {
+        button.disabled = true;
+        try {
+            await SessionAPI.revoke(sessionId);
+            showAppNotification('Session signed out', 'success');
+            await loadSessionList();
+        } catch (error) {
+            button.disabled = false;
+            showAppNotification(error.message || 'Failed to sign out session', 'error');
         }
+    }
+    
+    // --- API Token Functions ---
+    function renderApiTokenList(tokens) {
+        const list = document.getElementById('api-token-list');
+        if (!list) return;
         
-        // Use preserved email (passed parameter) if provided, then pending email, then API email
-        // This ensures the verification input shows immediately after sending email
-        if (preservedEmail) {
-            userEmail = preservedEmail;
-        } else if (!userEmail && pendingEmail) {
-            userEmail = pendingEmail;
+        list.innerHTML = '';
+        if (!tokens.length) {
+            list.textContent = "You don't have any API tokens.";
+            return;
         }
         
-        settingsPage.innerHTML = `
-            <div class="settings-container">
-                <div class="settings-section">
-                    <h3>Appearance</h3>
-                    <div class="settings-item">
-                        <h4>Theme</h4>
-                        <p class="settings-description">Choose between light and dark theme for the application.</p>
-                        <div class="theme-selector">
+        tokens.forEach(token => {
+            const item = document.createElement('div');
+            item.className = 'session-item';
+            
+            const details = document.createElement('div');
+            details.className = 'session-details';
+            const name = document.createElement('strong');
+            name.textContent = token.name;
+            details.appendChild(name);
+            const scopes = document.createElement('small');
+            scopes.textContent = `${token.prefix}… · ${token.scopes.join(', ')}`;
+            details.appendChild(scopes);
+            const meta = document.createElement('small');
+            meta.textContent = `Created ${new Date(token.createdAt).toLocaleString()} · ` +
+                (token.lastUsedAt ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'Never used');
+            details.appendChild(meta);
+            item.appendChild(details);
+            
+            const revokeBtn = document.createElement('button');
+            revokeBtn.className = 'secondary-btn';
+            revokeBtn.textContent = 'Revoke';
+            revokeBtn.onclick = () => {
+                showAppConfirmation(`Revoke the API token "${token.name}"? Scripts using it will stop working.`, async () => {
+                    try {
+                        await TokenAPI.revoke(token.id);
+                        showAppNotification('API token revoked', 'success');
+                        await loadApiTokenList();
+                    } catch (error) {
+                        showAppNotification(error.message || 'Failed to revoke API token', 'error');
+                    }
+                });
+            };
+            item.appendChild(revokeBtn);
+            list.appendChild(item);
+        });
+    }
+    
+    async function loadApiTokenList() {
+        try {
+            const response = await TokenAPI.list();
+            renderApiTokenList(response.tokens);
+        } catch (error) {
+            console.error('Error loading API tokens:', error);
+            const list = document.getElementById('api-token-list');
+            if (list) list.textContent = 'Could not load your API tokens.';
+        }
+    }
+    
+    function renderTagColorList(tagRows) {
+        const list = document.getElementById('tag-color-list');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        if (!tagRows.length) {
+            list.textContent = "You haven't tagged any tasks yet.";
+            return;
+        }
+        
+        tagRows.forEach(row => {
+            const item = document.createElement('div');
+            item.className = 'session-item';
+            
+            const details = document.createElement('div');
+            details.className = 'session-details';
+            const name = document.createElement('strong');
+            name.textContent = row.tag;
+            details.appendChild(name);
+            const count = document.createElement('small');
+            count.textContent = `${row.taskCount} task${row.taskCount === 1 ? '' : 's'}`;
+            details.appendChild(count);
+            item.appendChild(details);
+            
+            const actions = document.createElement('div');
+            actions.className = 'tag-color-actions';
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.value = row.color || '#6c757d';
+            colorInput.title = `Colour for ${row.tag}`;
+            colorInput.onchange = () => saveTagColor(row.tag, colorInput.value);
+            actions.appendChild(colorInput);
+            if (row.color) {
+                const clearBtn = document.createElement('button');
+                clearBtn.className = 'secondary-btn';
+                clearBtn.textContent = 'No Colour';
+                clearBtn.onclick = () => saveTagColor(row.tag, null);
+                actions.appendChild(clearBtn);
+            }
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+    
+    async function loadTagColorList() {
+        try {
+            renderTagColorList(await CalendarAPI.getTags());
+        } catch (error) {
+            console.error('Error loading tags:', error);
+            const list = document.getElementById('tag-color-list');
+            if (list) list.textContent = 'Could not load your tags.';
+        }
+    }
+    
+    async function saveTagColor(tag, color) {
+        try {
+            await CalendarAPI.setTagColor(tag, color);
+            if (color) {
+                tagColors[tag] = color;
+            } else {
+                delete tagColors[tag];
+            }
+            await loadTagColorList();
+        } catch (error) {
+            showAppNotification(error.message || 'Failed to save tag colour', 'error');
+        }
+    }
+    
+    async function handleCreateApiToken() {
+        const nameInput = document.getElementById('api-token-name');
+        const created = document.getElementById('api-token-created');
+        if (!nameInput) return;
+        
+        const name = nameInput.value.trim();
+        const scopes = Array.from(document.querySelectorAll('.api-token-scope:checked')).map(input => input.value);
+        if (!name) {
+            showError('api-token-error', 'Please give the token a name');
+            return;
+        }
+        if (!scopes.length) {
+            showError('api-token-error', 'Choose at least one scope');
+            return;
+        }
+        clearError('api-token-error');
+        
+        try {
+            const response = await TokenAPI.create(name, scopes);
+            nameInput.value = '';
+            if (created) {
+                created.innerHTML = `
+                    <p class="settings-description"><strong>Copy your new token now.</strong> It won't be shown again.</p>
+                    <code class="two-factor-secret" id="api-token-value"></code>
+                    <button id="api-token-copy-btn" class="secondary-btn">Copy</button>
+                `;
+                document.getElementById('api-token-value').textContent = response.token;
+                document.getElementById('api-token-copy-btn').onclick = async () => {
+                    try {
+                        await navigator.clipboard.writeText(response.token);
+                        showAppNotification('Token copied to clipboard', 'success');
+                    } catch (error) {
+                        showAppNotification('Could not copy - select the token and copy it by hand', 'error');
+                    }
+                };
+            }
+            await loadApiTokenList();
+        } catch (error) {
+            showError('api-token-error', error.message || 'Failed to create API token');
+        }
+    }
+    
+    // --- Build Settings Page ---
+    async function buildSettingsPage(preservedEmail = null) {
+        const settingsPage = document.getElementById('settings-page');
+        if (!settingsPage) return;
+        
+        const currentTheme = getTheme();
+        let userEmail = '';
+        let emailVerified = false;
+        let priorityPoints = false;
+        
+        // Check if there's an email in the input field (in case API hasn't updated yet)
+        const emailInput = document.getElementById('email-input');
+        const pendingEmail = emailInput ? emailInput.value.trim() : '';
+        
+        // Fetch user data from API
+        try {
+            if (typeof UserAPI !== 'undefined') {
+                const user = await UserAPI.getUser();
+                userEmail = user.email || '';
+                emailVerified = user.email_verified === 1 || user.email_verified === true;
+                priorityPoints = !!user.priority_points;
+            }
+        } catch (error) {
+            console.error('Error fetching user data for settings:', error);
+            // Continue with empty values if API fails
+        }
+        
+        let twoFactor = { enabled: false, recoveryCodesRemaining: 0 };
+        try {
+            if (typeof TwoFactorAPI !== 'undefined') {
+                twoFactor = await TwoFactorAPI.getStatus();
+            }
+        } catch (error) {
+            console.error('Error fetching two-factor status:', error);
+        }
+        
+        // Use preserved email (passed parameter) if provided, then pending email, then API email
+        // This ensures the verification input shows immediately after sending email
+        if (preservedEmail) {
+            userEmail = preservedEmail;
+        } else if (!userEmail && pendingEmail) {
+            userEmail = pendingEmail;
+        }
+        
+        settingsPage.innerHTML = `
+            <div class="settings-container">
+                <div class="settings-section">
+                    <h3>Appearance</h3>
+                    <div class="settings-item">
+                        <h4>Theme</h4>
+                        <p class="settings-description">Choose between light and dark theme for the application.</p>
+                        <div class="theme-selector">
                             <label class="theme-option">
                                 <input type="radio" name="theme" id="theme-light" value="light" ${currentTheme === 'light' ? 'checked' : ''}>
                                 <span>Light</span>
@@ -1719,6 +1932,25 @@ document.addEventListener('DOMContentLoaded', () => {
                     </div>
                 </div>
                 
+                <div class="settings-section">
+                    <h3>Tasks</h3>
+                    <div class="settings-item">
+                        <h4>Priority Points</h4>
+                        <p class="settings-description">
+                            Scale the points for completing a task with its priority: 1 for low, 2 for medium and 3 for high.
+                        </p>
+                        <label class="settings-checkbox">
+                            <input type="checkbox" id="priority-points-toggle" ${priorityPoints ? 'checked' : ''}>
+                            <span>Award more points for higher-priority tasks</span>
+                        </label>
+                    </div>
+                    <div class="settings-item">
+                        <h4>Tag Colours</h4>
+                        <p class="settings-description">Pick a colour for each tag. Tags are added to tasks when you create or edit them.</p>
+                        <div id="tag-color-list" class="session-list">Loading tags...</div>
+                    </div>
+                </div>
+                
                 <div class="settings-section">
                     <h3>Email Verification</h3>
                     <div class="settings-item">
@@ -1759,8 +1991,90 @@ document.addEventListener('DOMContentLoaded', () => {
                     </div>
                 </div>
                 
+                <div class="settings-section">
+                    <h3>Two-Factor Authentication</h3>
+                    <div class="settings-item">
+                        <h4>Authenticator App</h4>
+                        <p class="settings-description">
+                            Require a code from an authenticator app (such as Google Authenticator or Authy) when you log in.
+                        </p>
+                        ${twoFactor.enabled ? `
+                            <div class="email-status verified">
+                                <span class="email-status-icon">✓</span>
+                                <span class="email-status-text">Two-factor authentication is on. Recovery codes left: <strong>${twoFactor.recoveryCodesRemaining}</strong></span>
+                            </div>
+                            <div class="form-group">
+                                <label for="two-factor-manage-code">Authentication Code</label>
+                                <input type="text" id="two-factor-manage-code" placeholder="6-digit code or recovery code" autocomplete="one-time-code">
+                            </div>
+                            <div class="form-group">
+                                <label for="two-factor-disable-password">Password (to disable)</label>
+                                <input type="password" id="two-factor-disable-password" placeholder="Enter your password">
+                                <span class="error-message" id="two-factor-manage-error"></span>
+                            </div>
+                            <div class="verification-actions">
+                                <button id="two-factor-regenerate-btn" class="secondary-btn">New Recovery Codes</button>
+                                <button id="two-factor-disable-btn" class="delete-account-btn">Disable</button>
+                            </div>
+                        ` : `
+                            <div id="two-factor-setup">
+                                <button id="two-factor-setup-btn" class="primary-btn">Set Up Two-Factor Authentication</button>
+                            </div>
+                        `}
+                        <div id="two-factor-recovery-codes"></div>
+                    </div>
+                </div>
+                
+                <div class="settings-section">
+                    <h3>Active Sessions</h3>
+                    <div class="settings-item">
+                        <h4>Where You're Logged In</h4>
+                        <p class="settings-description">
+                            Sign out any device you don't recognize. Resetting your password signs out every other device.
+                        </p>
+                        <div id="session-list" class="session-list">Loading sessions...</div>
+                    </div>
+                </div>
+                
+                <div class="settings-section">
+                    <h3>API Tokens</h3>
+                    <div class="settings-item">
+                        <h4>Personal Access Tokens</h4>
+                        <p class="settings-description">
+                            Let scripts and other tools use your calendar and game data. Send the token in an
+                            <code>Authorization: Bearer</code> header. Anyone with a token can do what its scopes allow, so keep it secret.
+                        </p>
+                        <div id="api-token-list" class="session-list">Loading API tokens...</div>
+                        <div class="form-group api-token-form">
+                            <label for="api-token-name">New Token Name</label>
+                            <input type="text" id="api-token-name" placeholder="e.g. Nightly task import" maxlength="50">
+                            <div class="api-token-scopes">
+                                <label><input type="checkbox" class="api-token-scope" value="calendar:read" checked> calendar:read</label>
+                                <label><input type="checkbox" class="api-token-scope" value="calendar:write"> calendar:write</label>
+                                <label><input type="checkbox" class="api-token-scope" value="game:read"> game:read</label>
+                            </div>
+                            <span class="error-message" id="api-token-error"></span>
+                        </div>
+                        <button id="api-token-create-btn" class="primary-btn">Create Token</button>
+                        <div id="api-token-created" class="api-token-created"></div>
+                    </div>
+                </div>
+                
                 <div class="settings-section">
                     <h3>Account Management</h3>
+                    <div class="settings-item">
+                        <h4>Your Data</h4>
+                        <p class="settings-description">
+                            Download your profile, tasks, points, shop purchases, game and game settings as one JSON file.
+                            A file can be imported back into an account with the same username that has no tasks, points or purchases yet; it is checked first.
+                        </p>
+                        <div class="verification-actions">
+                            <button id="export-account-btn" class="secondary-btn">Export My Data</button>
+                            <button id="import-account-btn" class="secondary-btn">Import Data</button>
+                            <input type="file" id="import-account-input" accept=".json,application/json" style="display: none;">
+                        </div>
+                        <div id="import-account-report" class="import-report"></div>
+                    </div>
                     <div class="settings-item">
                         <h4>Delete Account</h4>
                         <p class="settings-description">
@@ -1823,6 +2137,76 @@ document.addEventListener('DOMContentLoaded', () => {
             changeEmailBtn.onclick = handleChangeEmail;
         }
         
+        if (document.getElementById('session-list') && typeof SessionAPI !== 'undefined') {
+            loadSessionList();
+        }
+        
+        if (document.getElementById('api-token-list') && typeof TokenAPI !== 'undefined') {
+            loadApiTokenList();
+        }
+        
+        if (document.getElementById('tag-color-list') && typeof CalendarAPI !== 'undefined') {
+            loadTagColorList();
+        }
+        
+        const priorityPointsToggle = document.getElementById('priority-points-toggle');
+        if (priorityPointsToggle) {
+            priorityPointsToggle.onchange = async () => {
+                const enabled = priorityPointsToggle.checked;
+                try {
+                    await UserAPI.updatePreferences({ priorityPoints: enabled });
+                    showAppNotification(enabled ? 'Task points now scale with priority' : 'Every task is now worth 1 point', 'success');
+                } catch (error) {
+                    priorityPointsToggle.checked = !enabled;
+                    showAppNotification(error.message || 'Failed to save preference', 'error');
+                }
+            };
+        }
+        
+        const apiTokenCreateBtn = document.getElementById('api-token-create-btn');
+        if (apiTokenCreateBtn) {
+            apiTokenCreateBtn.onclick = handleCreateApiToken;
+        }
+        
+        const exportAccountBtn = document.getElementById('export-account-btn');
+        if (exportAccountBtn) {
+            exportAccountBtn.onclick = () => {
+                const link = document.createElement('a');
+                link.href = '/api/user/export';
+                link.download = '';
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+            };
+        }
+        
+        const importAccountBtn = document.getElementById('import-account-btn');
+        const importAccountInput = document.getElementById('import-account-input');
+        if (importAccountBtn && importAccountInput) {
+            importAccountBtn.onclick = () => importAccountInput.click();
+            importAccountInput.onchange = () => {
+                const file = importAccountInput.files[0];
+                importAccountInput.value = '';
+                if (file) handleImportAccount(file);
+            };
+        }
+        
+        // Two-factor authentication handlers
+        const twoFactorSetupBtn = document.getElementById('two-factor-setup-btn');
+        if (twoFactorSetupBtn) {
+            twoFactorSetupBtn.onclick = handleStartTwoFactorSetup;
+        }
+        
+        const twoFactorRegenerateBtn = document.getElementById('two-factor-regenerate-btn');
+        if (twoFactorRegenerateBtn) {
+            twoFactorRegenerateBtn.onclick = handleRegenerateRecoveryCodes;
+        }
+        
+        const twoFactorDisableBtn = document.getElementById('two-factor-disable-btn');
+        if (twoFactorDisableBtn) {
+            twoFactorDisableBtn.onclick = handleDisableTwoFactor;
+        }
+        
         // Allow Enter key to submit verification code and restrict to numbers only
         const verificationCodeInput = document.getElementById('verification-code-input');
         if (verificationCodeInput) {
@@ -1877,6 +2261,78 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Describe an import report (from a dry run or a real import) in the settings page
+    function renderImportReport(report) {
+        const container = document.getElementById('import-account-report');
+        if (!container) return;
+        
+        const { counts } = report;
+        const parts = [
+            `${counts.tasks} task${counts.tasks === 1 ? '' : 's'}`,
+            `${counts.occurrences} occurrence change${counts.occurrences === 1 ? '' : 's'}`,
+            `${counts.tagColors} tag colour${counts.tagColors === 1 ? '' : 's'}`,
+            `${counts.pointsLedger} points entr${counts.pointsLedger === 1 ? 'y' : 'ies'} (${report.points} points)`,
+            `${counts.shopPurchases} shop purchase${counts.shopPurchases === 1 ? '' : 's'}`
+        ];
+        if (counts.game) parts.push('your game');
+        if (counts.gameSettings) parts.push('game settings');
+        
+        container.innerHTML = '';
+        const summary = document.createElement('p');
+        summary.textContent = `${report.dryRun ? 'This file contains' : 'Imported'}: ${parts.join(', ')}.`;
+        container.appendChild(summary);
+        
+        const notes = report.warnings.concat(report.invalid.map(entry =>
+            `Left out (${entry.section}${entry.index !== undefined ? ` #${entry.index + 1}` : ''}): ${entry.reason}`));
+        if (report.reason) notes.unshift(report.reason);
+        if (notes.length) {
+            const list = document.createElement('ul');
+            notes.forEach(note => {
+                const item = document.createElement('li');
+                item.textContent = note;
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+    }
+    
+    // Check the file with a dry run, show what it holds, then import it once confirmed
+    async function handleImportAccount(file) {
+        let archive;
+        try {
+            archive = JSON.parse(await file.text());
+        } catch (error) {
+            showAppNotification('This file is not a data export.', 'error');
+            return;
+        }
+        
+        let report;
+        try {
+            report = await UserAPI.importData(archive, { dryRun: true });
+        } catch (error) {
+            showAppNotification(error.message || 'Failed to check the file.', 'error');
+            return;
+        }
+        renderImportReport(report);
+        if (!report.canImport) {
+            showAppNotification(report.reason, 'error');
+            return;
+        }
+        
+        showAppConfirmation('Import the data shown under Your Data into this account?', async () => {
+            try {
+                const result = await UserAPI.importData(archive);
+                window.dispatchEvent(new CustomEvent('account:imported'));
+                await buildSettingsPage();
+                setupSettingsHandlers();
+                renderImportReport(result);
+                showAppNotification('Your data has been imported.', 'success');
+            } catch (error) {
+                showAppNotification(error.message || 'Failed to import data.', 'error');
+            }
+        });
+    }
+    
     async function deleteAccount() {
         const currentUser = getCurrentUser();
         if (!currentUser) {
@@ -1997,11 +2453,9 @@ document.addEventListener('DOMContentLoaded', () => {
                             </div>
                         `;
                     }
-                } else {
-                    // Just update displays if already initialized
-                    if (typeof updateAllDisplays === 'function') {
-                        updateAllDisplays();
-                    }
+                } else if (typeof resumeGame === 'function') {
+                    // Already initialized: restart the game loops stopped by cleanupGame
+                    resumeGame();
                 }
             } else {
                 console.error('initializeGameUI function not found. Make sure all game scripts are loaded.');
@@ -2202,6 +2656,14 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     async function renderCalendar() {
+        setCalendarLayout();
+        if (calendarView === 'week') {
+            return renderWeekView();
+        }
+        if (calendarView === 'day') {
+            return renderDayView();
+        }
+        
         const year = currentDate.getFullYear();
         const month = currentDate.getMonth();
 
@@ -2237,7 +2699,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             const date = new Date(year, month, day);
             const dateKey = formatDateKey(date);
-            const dayTasks = tasks[dateKey] || [];
+            const dayTasks = (tasks[dateKey] || []).filter(taskMatchesFilters);
             const dayHolidays = holidays[dateKey] || [];
 
             // Build holidays preview (show all holidays)
@@ -2263,12 +2725,13 @@ document.addEventListener('DOMContentLoaded', () => {
                     const timePart = timeDisplay ? `<span class="task-time-small">${timeDisplay}</span>` : '';
                     const completedClass = task.completed ? 'completed' : '';
                     const checkmarkIcon = task.completed ? '✓' : '○';
-                    return `<div class="task-preview-item ${completedClass}" data-task-id="${task.id}" data-date="${dateKey}">
-                        <button class="complete-task-small" data-task-id="${task.id}" data-date="${dateKey}" title="${task.completed ? 'Mark incomplete' : 'Mark complete'}">${checkmarkIcon}</button>
+                    const recurrencePart = task.seriesId ? `<span class="task-recurrence-small" title="${describeRecurrence(task.recurrence)}">↻</span>` : '';
+                    return `<div class="task-preview-item ${completedClass} priority-${task.priority}" data-task-id="${task.key}" data-date="${dateKey}">
+                        <button class="complete-task-small" data-task-id="${task.key}" data-date="${dateKey}" title="${task.completed ? 'Mark incomplete' : 'Mark complete'}">${checkmarkIcon}</button>
                         <div class="task-preview-content">
-                            ${timePart}<span class="task-desc-small">${task.description}</span>
+                            ${timePart}<span class="task-desc-small">${task.description}</span>${recurrencePart}
                         </div>
-                        <button class="delete-task-small" data-task-id="${task.id}" data-date="${dateKey}" title="Delete task">×</button>
+                        <button class="delete-task-small" data-task-id="${task.key}" data-date="${dateKey}" title="${task.seriesId ? 'Skip this occurrence' : 'Delete task'}">×</button>
                     </div>`;
                 }).join('');
                 if (dayTasks.length > 3) {
@@ -2283,6 +2746,20 @@ document.addEventListener('DOMContentLoaded', () => {
                     ${tasksPreview}
                 </div>
             `;
+            
+            // Tag chips are added as DOM nodes since tags are user text
+            dayCell.querySelectorAll('.task-preview-content').forEach((content, index) => {
+                const task = dayTasks[index];
+                if (task && task.tags.length > 0) {
+                    content.appendChild(createTaskLabels(task, { showPriority: false }));
+                }
+            });
+            
+            // Tasks can be dragged to another day, keeping their time
+            dayCell.querySelectorAll('.task-preview-item').forEach((item, index) => {
+                makeTaskDraggable(item, dateKey, dayTasks[index]);
+            });
+            makeDropTarget(dayCell, dateKey);
 
             // Add click handler to open task modal (but not if clicking on delete button or checkmark)
             dayCell.addEventListener('click', (e) => {
@@ -2295,28 +2772,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     return;
                 }
                 
-                // Prevent adding tasks to past dates (but allow today and future dates)
-                const taskDate = new Date(date);
-                const today = new Date();
-                const todayStart = new Date(today);
-                todayStart.setHours(0, 0, 0, 0);
-                const taskDateStart = new Date(taskDate);
-                taskDateStart.setHours(0, 0, 0, 0);
-                
-                if (taskDateStart < todayStart) {
-                    showAppNotification('You cannot add tasks to past dates.', 'error');
-                    return;
-                }
-                // Allow today and future dates - time validation happens on form submit
-                
-                selectedDateInput.value = dateKey;
-                selectedDateDisplay.textContent = formatDateDisplay(date);
-                // Reset form to defaults
-                document.getElementById('task-description').value = '';
-                document.getElementById('task-hour').value = '';
-                document.getElementById('task-minute').value = '';
-                document.getElementById('task-ampm').value = 'AM';
-                taskModal.style.display = 'block';
+                openAddTaskModal(date);
             });
 
             // Add delete and complete handlers for task preview items
@@ -2326,16 +2782,14 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (deleteBtn) {
                     e.stopPropagation(); // Prevent opening the modal
                     e.preventDefault();
-                    const taskId = parseInt(deleteBtn.getAttribute('data-task-id'));
+                    const taskId = deleteBtn.getAttribute('data-task-id');
                     const taskDateKey = deleteBtn.getAttribute('data-date');
+                    const isOccurrence = taskId.includes('@');
                     
-                    showAppConfirmation('Are you sure you want to delete this task?', () => {
-                        tasks[taskDateKey] = tasks[taskDateKey].filter(t => t.id !== taskId);
-                        if (tasks[taskDateKey].length === 0) {
-                            delete tasks[taskDateKey];
+                    showAppConfirmation(isOccurrence ? 'Skip this occurrence of the recurring task?' : 'Are you sure you want to delete this task?', async () => {
+                        if (await deleteTask(taskDateKey, taskId)) {
+                            renderCalendar();
                         }
-                        saveTasks();
-                        renderCalendar();
                     }, null);
                     return;
                 }
@@ -2345,7 +2799,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (completeBtn) {
                     e.stopPropagation(); // Prevent opening the modal
                     e.preventDefault();
-                    const taskId = parseInt(completeBtn.getAttribute('data-task-id'));
+                    const taskId = completeBtn.getAttribute('data-task-id');
                     const taskDateKey = completeBtn.getAttribute('data-date');
                     
                     // Only allow completion of tasks from today
@@ -2354,23 +2808,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         return;
                     }
                     
-                    const task = tasks[taskDateKey].find(t => t.id === taskId);
-                    if (task) {
-                        const wasCompleted = task.completed;
-                        task.completed = !task.completed;
-                        saveTasks();
-                        renderCalendar();
-                        
-                        // Award 1 point for completing a task (only when marking as completed, not uncompleting)
-                        if (task.completed && !wasCompleted) {
-                            awardTaskCompletionPoint(taskId);
-                        }
-                        
-                        // Check if all tasks for this day are completed (awards 5 points)
-                        checkDayCompletion(taskDateKey);
-                        // Also check if all tasks for the week are completed (only on Sunday, awards 25 points)
-                        checkWeekCompletion();
-                    }
+                    toggleTaskCompletion(taskDateKey, taskId, () => renderCalendar());
                     return;
                 }
             });
@@ -2390,58 +2828,503 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    // --- Points System ---
-        function getPoints() {
-            const currentUser = getCurrentUser();
-            const saved = localStorage.getItem(`calendarPoints_${currentUser}`);
-            const defaultData = { points: 0, completedWeeks: [], completedDays: [], completedTasks: [], shop_luck_multiplier_level: 1, spawn_interval_level: 1 };
-            if (saved) {
-                const parsed = JSON.parse(saved);
-                // Ensure new fields exist for backward compatibility
-                if (typeof parsed.spawn_interval_level === 'undefined') {
-                    parsed.spawn_interval_level = 1;
-                }
-                return { ...defaultData, ...parsed };
+    // --- Week and Day Views ---
+    const HOUR_SLOT_HEIGHT = 48; // Pixels per hour in the week view
+    const SLOT_MINUTES = 30; // Each clickable slot in the week view
+
+    // Open the add-task modal for a date, with the time selects pre-filled when a time ("HH:MM") is given
+    function openAddTaskModal(date, time = null) {
+        // Prevent adding tasks to past dates (but allow today and future dates)
+        const taskDate = new Date(date);
+        const today = new Date();
+        const todayStart = new Date(today);
+        todayStart.setHours(0, 0, 0, 0);
+        const taskDateStart = new Date(taskDate);
+        taskDateStart.setHours(0, 0, 0, 0);
+        
+        if (taskDateStart < todayStart) {
+            showAppNotification('You cannot add tasks to past dates.', 'error');
+            return;
+        }
+        // Allow today and future dates - time validation happens on form submit
+        
+        const dateKey = formatDateKey(date);
+        if (time) {
+            const pastError = getPastTaskError(dateKey, time);
+            if (pastError) {
+                showAppNotification(pastError, 'error');
+                return;
             }
-            return defaultData;
         }
-
-        function savePoints(pointsData) {
-            const currentUser = getCurrentUser();
-            localStorage.setItem(`calendarPoints_${currentUser}`, JSON.stringify(pointsData));
+        
+        selectedDateInput.value = dateKey;
+        selectedDateDisplay.textContent = formatDateDisplay(date);
+        // Reset form to defaults
+        document.getElementById('task-description').value = '';
+        document.getElementById('task-notes').value = '';
+        document.getElementById('task-priority').value = 'medium';
+        document.getElementById('task-tags').value = '';
+        document.getElementById('task-hour').value = '';
+        document.getElementById('task-minute').value = '';
+        document.getElementById('task-ampm').value = 'AM';
+        if (time) {
+            const [hours, minutes] = time.split(':').map(Number);
+            document.getElementById('task-hour').value = String(hours % 12 || 12).padStart(2, '0');
+            document.getElementById('task-minute').value = String(minutes - minutes % 5).padStart(2, '0');
+            document.getElementById('task-ampm').value = hours < 12 ? 'AM' : 'PM';
         }
+        resetRepeatControls();
+        taskModal.style.display = 'block';
+        document.getElementById('task-description').focus();
+    }
 
-        function getShopLuckMultiplierLevel() {
-            const pointsData = getPoints();
-            return pointsData.shop_luck_multiplier_level || 1;
+    // The dates shown by the current view: the whole month, a Sunday-to-Saturday week, or one day
+    function getCalendarViewDates() {
+        const year = currentDate.getFullYear();
+        const month = currentDate.getMonth();
+        let start;
+        let count;
+        if (calendarView === 'week') {
+            start = new Date(year, month, currentDate.getDate() - currentDate.getDay());
+            count = 7;
+        } else if (calendarView === 'day') {
+            start = new Date(year, month, currentDate.getDate());
+            count = 1;
+        } else {
+            start = new Date(year, month, 1);
+            count = new Date(year, month + 1, 0).getDate();
         }
+        return Array.from({ length: count }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+    }
 
-        function getShopLuckMultiplierValue() {
-            return getShopLuckMultiplierLevel(); // Level 1 = 1x, Level 2 = 2x, etc.
+    // Move the view back (-1) or forward (1) by a month, week or day
+    function shiftCalendar(direction) {
+        if (calendarView === 'week') {
+            currentDate.setDate(currentDate.getDate() + 7 * direction);
+        } else if (calendarView === 'day') {
+            currentDate.setDate(currentDate.getDate() + direction);
+        } else {
+            // Go via the 1st so e.g. January 31st doesn't skip February
+            currentDate.setDate(1);
+            currentDate.setMonth(currentDate.getMonth() + direction);
         }
+    }
 
-        function getShopLuckMultiplierCost() {
-            const level = getShopLuckMultiplierLevel();
-            return 5 + (level - 1) * 10; // Level 1: 5, Level 2: 15, Level 3: 25, etc.
+    // Show the weekday header and month grid styles only in the month view
+    function setCalendarLayout() {
+        const monthHeader = document.querySelector('#calendar-page .calendar-header');
+        if (monthHeader) {
+            monthHeader.style.display = calendarView === 'month' ? '' : 'none';
         }
+        calendarGrid.className = calendarView === 'month' ? 'calendar-grid' : `calendar-grid ${calendarView}-view`;
+        document.querySelectorAll('.calendar-view-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === calendarView);
+        });
+    }
 
-        function upgradeShopLuckMultiplier() {
-            const pointsData = getPoints();
-            const cost = getShopLuckMultiplierCost();
+    // Load holidays for every month the dates fall in
+    async function loadHolidaysForDates(dates) {
+        holidays = {};
+        const months = [...new Set(dates.map(date => `${date.getFullYear()}-${date.getMonth()}`))];
+        for (const key of months) {
+            const [year, month] = key.split('-').map(Number);
+            const holidaysData = await fetchHolidays(year, DEFAULT_COUNTRY);
+            Object.assign(holidays, processHolidaysForMonth(holidaysData, year, month));
+        }
+    }
+
+    function createHolidayChip(holiday) {
+        const chip = document.createElement('div');
+        chip.className = 'holiday-preview-item';
+        chip.title = holiday.localName;
+        chip.textContent = `🎉 ${holiday.localName}`;
+        return chip;
+    }
+
+    // A task in the week or day view; clicking it opens the day's task details, and it can
+    // be dragged to another time slot
+    function createTimedTaskBlock(task, date, { showDetails = false } = {}) {
+        const block = document.createElement('div');
+        block.className = `timed-task priority-${task.priority}${task.completed ? ' completed' : ''}`;
+        block.dataset.taskId = task.key;
+        block.dataset.date = formatDateKey(date);
+        block.title = `${formatTime(task.time)} ${task.description}`;
+        
+        const time = document.createElement('span');
+        time.className = 'task-time-small';
+        time.textContent = formatTime(task.time);
+        block.appendChild(time);
+        const description = document.createElement('span');
+        description.className = 'task-desc-small';
+        description.textContent = `${task.completed ? '✓ ' : ''}${task.description}${task.seriesId ? ' ↻' : ''}`;
+        block.appendChild(description);
+        
+        if (showDetails) {
+            block.appendChild(createTaskLabels(task));
+            if (task.notes) {
+                const notes = document.createElement('div');
+                notes.className = 'task-notes';
+                notes.textContent = task.notes;
+                block.appendChild(notes);
+            }
+        } else if (task.tags.length > 0) {
+            block.appendChild(createTaskLabels(task, { showPriority: false }));
+        }
+        
+        block.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showTaskDetails(formatDateKey(date), date);
+        });
+        makeTaskDraggable(block, formatDateKey(date), task);
+        return block;
+    }
+
+    // Week view: 7 day columns with tasks positioned by their time and clickable empty slots
+    async function renderWeekView() {
+        const dates = getCalendarViewDates();
+        const rangeFormat = { month: 'short', day: 'numeric' };
+        currentMonthYear.textContent = `${dates[0].toLocaleDateString('en-US', rangeFormat)} – ` +
+            `${dates[6].toLocaleDateString('en-US', rangeFormat)}, ${dates[6].getFullYear()}`;
+        
+        await loadHolidaysForDates(dates);
+        calendarGrid.innerHTML = '';
+        
+        // Header row: weekday names and dates (click to open that day), then holidays
+        const header = document.createElement('div');
+        header.className = 'week-view-header';
+        header.appendChild(document.createElement('div'));
+        dates.forEach(date => {
+            const dateKey = formatDateKey(date);
+            const dayHeader = document.createElement('div');
+            dayHeader.className = `week-day-header${isToday(dateKey) ? ' today' : ''}`;
+            dayHeader.textContent = date.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' });
+            dayHeader.title = 'Open day view';
+            dayHeader.addEventListener('click', () => switchCalendarView('day', date));
+            (holidays[dateKey] || []).forEach(holiday => dayHeader.appendChild(createHolidayChip(holiday)));
+            header.appendChild(dayHeader);
+        });
+        calendarGrid.appendChild(header);
+        
+        const scroller = document.createElement('div');
+        scroller.className = 'week-view-scroller';
+        const body = document.createElement('div');
+        body.className = 'week-view-body';
+        body.style.height = `${24 * HOUR_SLOT_HEIGHT}px`;
+        
+        const gutter = document.createElement('div');
+        gutter.className = 'time-gutter';
+        for (let hour = 0; hour < 24; hour++) {
+            const label = document.createElement('div');
+            label.className = 'time-gutter-label';
+            label.style.height = `${HOUR_SLOT_HEIGHT}px`;
+            label.textContent = formatTime(`${String(hour).padStart(2, '0')}:00`);
+            gutter.appendChild(label);
+        }
+        body.appendChild(gutter);
+        
+        dates.forEach(date => {
+            const dateKey = formatDateKey(date);
+            const column = document.createElement('div');
+            column.className = `week-day-column${isToday(dateKey) ? ' today' : ''}`;
             
-            if (pointsData.points < cost) {
-                return false; // Not enough points
+            for (let minutes = 0; minutes < 24 * 60; minutes += SLOT_MINUTES) {
+                const slot = document.createElement('div');
+                const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+                slot.className = `time-slot${minutes % 60 === 0 ? ' hour-start' : ''}${getPastTaskError(dateKey, time) ? ' past' : ''}`;
+                slot.style.height = `${HOUR_SLOT_HEIGHT * SLOT_MINUTES / 60}px`;
+                slot.dataset.date = dateKey;
+                slot.dataset.time = time;
+                slot.addEventListener('click', () => openAddTaskModal(date, time));
+                makeDropTarget(slot, dateKey, time);
+                column.appendChild(slot);
             }
             
-            pointsData.points -= cost;
-            pointsData.shop_luck_multiplier_level = (pointsData.shop_luck_multiplier_level || 1) + 1;
-            savePoints(pointsData);
+            // Tasks starting in the same slot share its width
+            const dayTasks = (tasks[dateKey] || []).filter(taskMatchesFilters);
+            const slotGroups = {};
+            dayTasks.forEach(task => {
+                const [hours, minutes] = task.time.split(':').map(Number);
+                const slotIndex = Math.floor((hours * 60 + minutes) / SLOT_MINUTES);
+                (slotGroups[slotIndex] = slotGroups[slotIndex] || []).push(task);
+            });
+            dayTasks.forEach(task => {
+                const [hours, minutes] = task.time.split(':').map(Number);
+                const group = slotGroups[Math.floor((hours * 60 + minutes) / SLOT_MINUTES)];
+                const block = createTimedTaskBlock(task, date);
+                block.style.top = `${(hours + minutes / 60) * HOUR_SLOT_HEIGHT}px`;
+                block.style.height = `${HOUR_SLOT_HEIGHT * SLOT_MINUTES / 60 - 2}px`;
+                block.style.left = `${group.indexOf(task) * 100 / group.length}%`;
+                block.style.width = `${100 / group.length}%`;
+                column.appendChild(block);
+            });
+            
+            body.appendChild(column);
+        });
+        
+        scroller.appendChild(body);
+        calendarGrid.appendChild(scroller);
+        
+        // Start scrolled to the earliest task, or 7 AM
+        const times = dates.flatMap(date => (tasks[formatDateKey(date)] || []).filter(taskMatchesFilters).map(task => task.time));
+        const firstHour = times.length ? Math.min(7, ...times.map(time => parseInt(time))) : 7;
+        scroller.scrollTop = firstHour * HOUR_SLOT_HEIGHT;
+    }
+
+    // Day view: an agenda of the day's hours, listing each hour's tasks; click an hour to add a task
+    async function renderDayView() {
+        const date = getCalendarViewDates()[0];
+        const dateKey = formatDateKey(date);
+        currentMonthYear.textContent = date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        
+        await loadHolidaysForDates([date]);
+        calendarGrid.innerHTML = '';
+        
+        const dayHolidays = holidays[dateKey] || [];
+        if (dayHolidays.length > 0) {
+            const holidayRow = document.createElement('div');
+            holidayRow.className = 'day-view-holidays';
+            dayHolidays.forEach(holiday => holidayRow.appendChild(createHolidayChip(holiday)));
+            calendarGrid.appendChild(holidayRow);
+        }
+        
+        const dayTasks = (tasks[dateKey] || []).filter(taskMatchesFilters);
+        const agenda = document.createElement('div');
+        agenda.className = 'day-agenda';
+        for (let hour = 0; hour < 24; hour++) {
+            const time = `${String(hour).padStart(2, '0')}:00`;
+            const row = document.createElement('div');
+            row.className = 'day-agenda-hour';
+            row.dataset.date = dateKey;
+            row.dataset.time = time;
+            
+            const label = document.createElement('div');
+            label.className = 'time-gutter-label';
+            label.textContent = formatTime(time);
+            row.appendChild(label);
+            
+            const hourTasks = document.createElement('div');
+            hourTasks.className = 'day-agenda-tasks';
+            dayTasks.filter(task => parseInt(task.time) === hour)
+                .forEach(task => hourTasks.appendChild(createTimedTaskBlock(task, date, { showDetails: true })));
+            row.appendChild(hourTasks);
+            
+            row.title = `Add a task at ${formatTime(time)}`;
+            row.addEventListener('click', () => openAddTaskModal(date, time));
+            makeDropTarget(row, dateKey, time);
+            agenda.appendChild(row);
+        }
+        calendarGrid.appendChild(agenda);
+        
+        const firstTask = dayTasks[0];
+        const firstRow = agenda.children[firstTask ? Math.min(7, parseInt(firstTask.time)) : 7];
+        if (firstRow) {
+            agenda.scrollTop = firstRow.offsetTop;
+        }
+    }
+
+    // --- Drag and Drop Rescheduling ---
+    let draggedTask = null; // { dateKey, key } of the task being dragged
+
+    // Let a task element be dragged to a drop target. Tasks that have already started stay put.
+    function makeTaskDraggable(element, dateKey, task) {
+        if (!task || getPastTaskError(dateKey, task.time)) return;
+        
+        element.draggable = true;
+        element.classList.add('draggable-task');
+        element.addEventListener('dragstart', (e) => {
+            draggedTask = { dateKey, key: task.key };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', task.description);
+            element.classList.add('dragging');
+        });
+        element.addEventListener('dragend', () => {
+            draggedTask = null;
+            element.classList.remove('dragging');
+            document.querySelectorAll('.drop-target').forEach(target => target.classList.remove('drop-target'));
+        });
+    }
+
+    // Accept dropped tasks on a day (keeping the task's time) or on a time slot.
+    // Past days and times don't accept drops.
+    function makeDropTarget(element, dateKey, time = null) {
+        const isPast = () => time ? !!getPastTaskError(dateKey, time) : dateKey < formatDateKey(new Date());
+        
+        element.addEventListener('dragover', (e) => {
+            if (!draggedTask || isPast()) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            element.classList.add('drop-target');
+        });
+        element.addEventListener('dragleave', (e) => {
+            if (!element.contains(e.relatedTarget)) {
+                element.classList.remove('drop-target');
+            }
+        });
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            element.classList.remove('drop-target');
+            if (!draggedTask) return;
+            const { dateKey: fromDateKey, key } = draggedTask;
+            draggedTask = null;
+            rescheduleTask(fromDateKey, key, dateKey, time);
+        });
+    }
+
+    // Save a task's new date and time (one occurrence for recurring tasks) and reload the tasks
+    async function applyTaskSchedule(task, dateKey, time) {
+        let response;
+        try {
+            if (task.seriesId) {
+                response = await CalendarAPI.updateOccurrence(task.seriesId, task.occurrenceDate, { dateKey, time });
+            } else {
+                response = await CalendarAPI.updateTask(task.id, { dateKey, time });
+            }
+        } catch (error) {
+            console.error('Error moving task:', error);
+            showAppNotification(error.message || 'Failed to move task. Please try again.', 'error');
+            return false;
+        }
+        if (response.queued) {
+            applyQueuedTaskChange(task.key, { dateKey, time });
+            return true;
+        }
+        await loadTasks();
+        return true;
+    }
+
+    // Move a dropped task to another day (and time, when dropped on a time slot), offering Undo
+    async function rescheduleTask(fromDateKey, taskKey, toDateKey, toTime = null) {
+        const task = (tasks[fromDateKey] || []).find(t => t.key === taskKey);
+        if (!task || rejectUnsyncedTask(task)) return;
+        
+        const newTime = toTime || task.time;
+        if (toDateKey === fromDateKey && newTime === task.time) return;
+        
+        const pastError = getPastTaskError(toDateKey, newTime, 'move');
+        if (pastError) {
+            showAppNotification(pastError, 'error');
+            return;
+        }
+        
+        if (!await applyTaskSchedule(task, toDateKey, newTime)) return;
+        renderCalendar();
+        
+        const [year, month, day] = toDateKey.split('-').map(Number);
+        showAppNotification(`Moved "${task.description}" to ${formatDateDisplay(new Date(year, month - 1, day))} at ${formatTime(newTime)}.`, 'success', {
+            label: 'Undo',
+            onClick: async () => {
+                if (await applyTaskSchedule(task, fromDateKey, task.time)) {
+                    renderCalendar();
+                    showAppNotification('Move undone.', 'info');
+                }
+            }
+        });
+    }
+
+    // Switch between the month, week and day views, optionally jumping to a date
+    async function switchCalendarView(view, date = null) {
+        calendarView = view;
+        localStorage.setItem(CALENDAR_VIEW_STORAGE_KEY, view);
+        if (date) {
+            currentDate = new Date(date);
+        }
+        await loadTasks();
+        renderCalendar();
+    }
+
+    // --- Points System ---
+        function getPoints() {
+            const currentUser = getCurrentUser();
+            const saved = localStorage.getItem(`calendarPoints_${currentUser}`);
+            const defaultData = { points: 0, completedWeeks: [], completedDays: [], completedTasks: [], shop_luck_multiplier_level: 1, spawn_interval_level: 1 };
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                // Ensure new fields exist for backward compatibility
+                if (typeof parsed.spawn_interval_level === 'undefined') {
+                    parsed.spawn_interval_level = 1;
+                }
+                return { ...defaultData, ...parsed };
+            }
+            return defaultData;
+        }
+
+        function savePoints(pointsData) {
+            const currentUser = getCurrentUser();
+            localStorage.setItem(`calendarPoints_${currentUser}`, JSON.stringify(pointsData));
+        }
+
+        // The server owns the points ledger; cache its summary locally and refresh the displays
+        function applyPointsSummary(summary) {
+            const { success, awarded, spent, level, ...pointsData } = summary;
+            savePoints({ ...getPoints(), ...pointsData });
             updatePointsDisplay();
             updateShopDisplay();
+        }
+
+        async function refreshPoints() {
+            try {
+                if (typeof PointsAPI === 'undefined') {
+                    throw new Error('API not loaded');
+                }
+                applyPointsSummary(await PointsAPI.getPoints());
+            } catch (error) {
+                console.error('Error loading points:', error);
+            }
+        }
+
+        // Ask the server to award points; returns the new summary, or null if nothing was awarded
+        // (yet: offline, the award is queued and the points arrive when it syncs)
+        async function requestPointsAward(type, referenceId) {
+            const awardKey = `${type}:${referenceId}`;
+            if (queuedAwards.includes(awardKey)) {
+                return null;
+            }
+            try {
+                const response = await PointsAPI.award(type, referenceId);
+                if (response.queued) {
+                    queuedAwards.push(awardKey);
+                    showAppNotification("You're offline. Your points will be awarded once your changes have synced.", 'info');
+                    return null;
+                }
+                applyPointsSummary(response);
+                return response;
+            } catch (error) {
+                // 409 means the points were already awarded (e.g. from another device)
+                if (error.status === 409) {
+                    refreshPoints();
+                } else {
+                    console.error(`Error awarding ${type} points:`, error);
+                }
+                return null;
+            }
+        }
+
+        function getShopLuckMultiplierLevel() {
+            const pointsData = getPoints();
+            return pointsData.shop_luck_multiplier_level || 1;
+        }
+
+        function getShopLuckMultiplierValue() {
+            return getShopLuckMultiplierLevel(); // Level 1 = 1x, Level 2 = 2x, etc.
+        }
+
+        function getShopLuckMultiplierCost() {
+            const level = getShopLuckMultiplierLevel();
+            return 5 + (level - 1) * 10; // Level 1: 5, Level 2: 15, Level 3: 25, etc.
+        }
+
+        async function upgradeShopLuckMultiplier() {
+            try {
+                applyPointsSummary(await PointsAPI.spend('luck_multiplier'));
+            } catch (error) {
+                console.error('Error purchasing luck multiplier:', error);
+                return false;
+            }
             
             // Notify game core to update multipliers
             if (typeof gameCore !== 'undefined' && gameCore) {
-                gameCore.updateShopLuckMultiplier();
+                gameCore.setShopLevels(getPoints());
             }
             
             return true;
@@ -2470,72 +3353,41 @@ document.addEventListener('DOMContentLoaded', () => {
             return interval > 1.5; // Can upgrade if not at minimum
         }
 
-        function upgradeSpawnInterval() {
-            const pointsData = getPoints();
-            const cost = getSpawnIntervalCost();
-            
-            if (pointsData.points < cost) {
-                return false; // Not enough points
-            }
-            
+        async function upgradeSpawnInterval() {
             if (!canUpgradeSpawnInterval()) {
                 return false; // Already at minimum
             }
             
-            pointsData.points -= cost;
-            pointsData.spawn_interval_level = (pointsData.spawn_interval_level || 1) + 1;
-            savePoints(pointsData);
-            updatePointsDisplay();
-            updateShopDisplay();
+            try {
+                applyPointsSummary(await PointsAPI.spend('spawn_interval'));
+            } catch (error) {
+                console.error('Error purchasing spawn interval:', error);
+                return false;
+            }
             
             // Notify game core to update spawn interval
             if (typeof gameCore !== 'undefined' && gameCore) {
-                gameCore.updateSpawnInterval();
+                gameCore.setShopLevels(getPoints());
             }
             
             return true;
         }
 
-        function addPoint() {
-            const pointsData = getPoints();
-            pointsData.points += 1;
-            savePoints(pointsData);
-            // Always update display when points are added
-            updatePointsDisplay();
-            return pointsData.points;
-        }
-
         // Award 1 point for completing an individual task
-        function awardTaskCompletionPoint(taskId) {
+        async function awardTaskCompletionPoint(taskId) {
             const pointsData = getPoints();
             
-            // Initialize completedTasks array if it doesn't exist
-            if (!pointsData.completedTasks) {
-                pointsData.completedTasks = [];
-            }
-            
             // Check if we've already awarded points for this task
-            if (pointsData.completedTasks.includes(taskId)) {
+            if (pointsData.completedTasks && pointsData.completedTasks.includes(String(taskId))) {
                 return false; // Already awarded
             }
             
-            // Award 1 point and mark task as completed for points
-            pointsData.completedTasks.push(taskId);
-            pointsData.points += 1;
-            savePoints(pointsData);
-            updatePointsDisplay();
-            showAppNotification(`Task completed! You've earned 1 point! (Total: ${pointsData.points} points)`, 'success');
-            return true;
-        }
-
-        function spendPoint(amount = 1) {
-            const pointsData = getPoints();
-            if (pointsData.points < amount) {
-                return false; // Not enough points
+            const response = await requestPointsAward('task', taskId);
+            if (!response) {
+                return false;
             }
-            pointsData.points -= amount;
-            savePoints(pointsData);
-            updatePointsDisplay(); // Update the display when points are spent
+            const awarded = response.awarded || 1;
+            showAppNotification(`Task completed! You've earned ${awarded} point${awarded === 1 ? '' : 's'}! (Total: ${response.points} points)`, 'success');
             return true;
         }
 
@@ -2554,7 +3406,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         // Check if all tasks for a single day are completed (awards 5 points)
-        function checkDayCompletion(taskDateKey) {
+        async function checkDayCompletion(taskDateKey) {
             const dateKey = taskDateKey || `${new Date().getFullYear()}-${String(new Date().getMonth() + 1).padStart(2, '0')}-${String(new Date().getDate()).padStart(2, '0')}`;
             const pointsData = getPoints();
             
@@ -2562,11 +3414,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (pointsData.completedDays && pointsData.completedDays.includes(dateKey)) {
                 return false;
             }
-            
-            // Initialize completedDays array if it doesn't exist
-            if (!pointsData.completedDays) {
-                pointsData.completedDays = [];
-            }
+
 
             // Get tasks for this day
             const dayTasks = tasks[dateKey] || [];
@@ -2580,12 +3428,12 @@ document.addEventListener('DOMContentLoaded', () => {
             const allCompleted = dayTasks.every(task => task.completed);
             
             if (allCompleted) {
-                pointsData.completedDays.push(dateKey);
                 // Award 5 points for daily completion
-                pointsData.points += 5;
-                savePoints(pointsData);
-                updatePointsDisplay();
-                showAppNotification(`You've completed all your tasks for ${dateKey}! You've earned 5 points! (Total: ${pointsData.points} points)`, 'success');
+                const response = await requestPointsAward('day', dateKey);
+                if (!response) {
+                    return false;
+                }
+                showAppNotification(`You've completed all your tasks for ${dateKey}! You've earned 5 points! (Total: ${response.points} points)`, 'success');
                 return true;
             }
 
@@ -2610,8 +3458,8 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
-        // Check if all tasks for the week are completed (awards 10 points)
-        function checkWeekCompletion() {
+        // Check if all tasks for the week are completed (awards 25 points)
+        async function checkWeekCompletion() {
             const today = new Date();
             const dayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
             
@@ -2679,12 +3527,12 @@ document.addEventListener('DOMContentLoaded', () => {
             // Only award if there are tasks and all are completed
             // Note: Days with 0 tasks don't count against completion
             if (hasTasks && allCompleted) {
-                pointsData.completedWeeks.push(weekKey);
                 // Award 25 points for weekly completion
-                pointsData.points += 25;
-                savePoints(pointsData);
-                updatePointsDisplay();
-                showAppNotification(`You've completed all your tasks for this week! You've earned 25 points! (Total: ${pointsData.points} points)`, 'success');
+                const response = await requestPointsAward('week', weekKey);
+                if (!response) {
+                    return false;
+                }
+                showAppNotification(`You've completed all your tasks for this week! You've earned 25 points! (Total: ${response.points} points)`, 'success');
                 return true;
             }
 
@@ -2697,7 +3545,251 @@ document.addEventListener('DOMContentLoaded', () => {
             localStorage.setItem(`calendarTasks_${currentUser}`, JSON.stringify(tasks));
         }
 
-        function addTask(dateKey, description, time) {
+        // Tasks added offline have no id until they sync, so until then they can only be deleted
+        function rejectUnsyncedTask(task) {
+            if (!task.syncId) return false;
+            showAppNotification("This task hasn't synced yet. You can change it once you're back online.", 'info');
+            return true;
+        }
+
+        // Show a change that was queued offline in the cached tasks straight away; the server's copy
+        // replaces them when the change has synced. changes uses the API's shape. With wholeSeries,
+        // everything except the date applies to each loaded occurrence of a recurring task.
+        function applyQueuedTaskChange(taskKey, changes, { wholeSeries = false } = {}) {
+            const fromDateKey = Object.keys(tasks).find(dateKey => tasks[dateKey].some(t => t.key === taskKey));
+            if (!fromDateKey) return;
+            const task = tasks[fromDateKey].find(t => t.key === taskKey);
+            const { dateKey: toDateKey, ...fields } = changes;
+            if (fields.notes !== undefined) {
+                fields.notes = fields.notes || null;
+            }
+            
+            // Tasks are replaced rather than modified, so callers holding the old task (e.g. Undo) keep its values
+            Object.keys(tasks).forEach(dateKey => {
+                tasks[dateKey] = tasks[dateKey].map(t => {
+                    const changed = t.key === taskKey || (wholeSeries && task.seriesId && t.seriesId === task.seriesId);
+                    return changed ? { ...t, ...fields } : t;
+                });
+            });
+            
+            if (toDateKey && toDateKey !== fromDateKey) {
+                const moved = tasks[fromDateKey].find(t => t.key === taskKey);
+                tasks[fromDateKey] = tasks[fromDateKey].filter(t => t.key !== taskKey);
+                if (tasks[fromDateKey].length === 0) {
+                    delete tasks[fromDateKey];
+                }
+                tasks[toDateKey] = [...(tasks[toDateKey] || []), moved];
+            }
+            Object.values(tasks).forEach(dayTasks => dayTasks.sort((a, b) => a.time.localeCompare(b.time)));
+            saveTasks();
+        }
+
+        // Refresh the calendar from the server once changes made offline have synced
+        function handleSyncFlushed(event) {
+            const { sent, rejected } = event.detail;
+            queuedAwards = [];
+            Promise.all([loadTasks(), refreshPoints()]).then(() => renderCalendar());
+            
+            const rejectedTasks = rejected.filter(({ entry }) => entry.endpoint.startsWith('/api/calendar/'));
+            if (rejectedTasks.length > 0) {
+                // Points awards that were already given are rejected too, but there's nothing to report
+                const conflicts = rejectedTasks.filter(({ error }) => error.data && error.data.conflict).length;
+                const message = conflicts === rejectedTasks.length
+                    ? `${conflicts} change${conflicts === 1 ? '' : 's'} made offline ${conflicts === 1 ? 'was' : 'were'} replaced by newer changes from another device.`
+                    : `${rejectedTasks.length} change${rejectedTasks.length === 1 ? '' : 's'} made offline couldn't be saved: ${rejectedTasks[0].error.message}`;
+                showAppNotification(message, 'error');
+            } else if (sent > 0) {
+                showAppNotification(`Back online. ${sent} change${sent === 1 ? '' : 's'} synced.`, 'success');
+            }
+        }
+
+        // "2 changes waiting to sync" in the header while the outbox isn't empty
+        function renderSyncStatus() {
+            const status = document.getElementById('sync-status');
+            if (!status) return;
+            const pending = SyncOutbox.pendingCount();
+            const offline = navigator.onLine === false;
+            status.classList.toggle('hidden', pending === 0 && !offline);
+            status.classList.toggle('offline', offline);
+            if (pending > 0) {
+                status.textContent = `${offline ? 'Offline · ' : ''}${pending} change${pending === 1 ? '' : 's'} waiting to sync`;
+            } else {
+                status.textContent = 'Offline';
+            }
+        }
+
+        // Convert a calendar_tasks row from the API into the shape used by the calendar.
+        // Occurrences of recurring tasks share the series id, so `key` identifies each entry.
+        function toClientTask(row) {
+            return {
+                id: row.id,
+                key: row.series_id ? `${row.series_id}@${row.occurrence_date}` : String(row.id),
+                seriesId: row.series_id || null,
+                occurrenceDate: row.occurrence_date || null,
+                recurrence: row.recurrence_rule || null,
+                description: row.description,
+                time: row.time,
+                notes: row.notes || null,
+                priority: row.priority || 'medium',
+                tags: row.tags ? row.tags.split(',') : [],
+                completed: !!row.completed,
+                // SQLite timestamps are UTC without a zone suffix
+                created_at: row.created_at ? Date.parse(row.created_at.replace(' ', 'T') + 'Z') : Date.now()
+            };
+        }
+
+        // Date range to load: the month, week or day being viewed plus the current week (for weekly points)
+        function getTaskLoadRange() {
+            const viewDates = getCalendarViewDates();
+            const viewStart = viewDates[0];
+            const viewEnd = viewDates[viewDates.length - 1];
+            const weekStart = getWeekStart(new Date());
+            const weekEnd = new Date(weekStart);
+            weekEnd.setDate(weekStart.getDate() + 6);
+            return {
+                from: formatDateKey(viewStart < weekStart ? viewStart : weekStart),
+                to: formatDateKey(viewEnd > weekEnd ? viewEnd : weekEnd)
+            };
+        }
+
+        // Load the current user's tasks (with recurring tasks expanded) from the server
+        async function loadTasks() {
+            try {
+                if (typeof CalendarAPI === 'undefined') {
+                    throw new Error('API not loaded');
+                }
+                const { from, to } = getTaskLoadRange();
+                const [rows, tagRows] = await Promise.all([CalendarAPI.getTasks(from, to), CalendarAPI.getTags()]);
+                applyTags(tagRows);
+                tasks = {};
+                rows.forEach(row => {
+                    if (!tasks[row.date_key]) {
+                        tasks[row.date_key] = [];
+                    }
+                    tasks[row.date_key].push(toClientTask(row));
+                });
+                saveTasks();
+            } catch (error) {
+                console.error('Error loading tasks:', error);
+                if (error.offline) {
+                    // Keep showing the cached tasks until the server can be reached
+                    const cached = localStorage.getItem(`calendarTasks_${getCurrentUser()}`);
+                    if (cached && Object.keys(tasks).length === 0) {
+                        tasks = JSON.parse(cached);
+                    }
+                    return;
+                }
+                showAppNotification('Failed to load your tasks. Please refresh the page.', 'error');
+            }
+        }
+
+        // Remember the user's tags and their colours ([{ tag, color }] from the API)
+        function applyTags(tagRows) {
+            knownTags = tagRows.map(row => row.tag);
+            tagColors = {};
+            tagRows.forEach(row => {
+                if (row.color) {
+                    tagColors[row.tag] = row.color;
+                }
+            });
+            // Drop filters for tags that are no longer used
+            taskFilters.tags = taskFilters.tags.filter(tag => knownTags.includes(tag));
+            renderTaskFilterBar();
+            
+            const suggestions = document.getElementById('task-tag-suggestions');
+            if (suggestions) {
+                suggestions.innerHTML = '';
+                knownTags.forEach(tag => {
+                    const option = document.createElement('option');
+                    option.value = tag;
+                    suggestions.appendChild(option);
+                });
+            }
+        }
+
+        // Split a comma-separated tags field into the tags the server stores
+        function parseTagInput(text) {
+            const tags = [];
+            (text || '').split(',').forEach(part => {
+                const tag = part.trim().replace(/\s+/g, ' ').toLowerCase();
+                if (tag && !tags.includes(tag)) {
+                    tags.push(tag);
+                }
+            });
+            return tags;
+        }
+
+        // Whether a task passes the filter bar: any selected priority and any selected tag
+        function taskMatchesFilters(task) {
+            if (taskFilters.priorities.length > 0 && !taskFilters.priorities.includes(task.priority)) {
+                return false;
+            }
+            if (taskFilters.tags.length > 0 && !task.tags.some(tag => taskFilters.tags.includes(tag))) {
+                return false;
+            }
+            return true;
+        }
+
+        function createTagChip(tag) {
+            const chip = document.createElement('span');
+            chip.className = 'task-tag';
+            chip.textContent = tag;
+            if (tagColors[tag]) {
+                chip.style.backgroundColor = tagColors[tag];
+                chip.classList.add('colored');
+            }
+            return chip;
+        }
+
+        // Priority badge and tag chips for a task
+        function createTaskLabels(task, { showPriority = true } = {}) {
+            const labels = document.createElement('span');
+            labels.className = 'task-labels';
+            if (showPriority) {
+                const badge = document.createElement('span');
+                badge.className = `task-priority priority-${task.priority}`;
+                badge.textContent = task.priority.charAt(0).toUpperCase() + task.priority.slice(1);
+                labels.appendChild(badge);
+            }
+            task.tags.forEach(tag => labels.appendChild(createTagChip(tag)));
+            if (task.syncId) {
+                const unsynced = document.createElement('span');
+                unsynced.className = 'task-unsynced';
+                unsynced.textContent = 'Not synced';
+                labels.appendChild(unsynced);
+            }
+            return labels;
+        }
+
+        // Rebuild the tag chips in the calendar filter bar and mark the active filters
+        function renderTaskFilterBar() {
+            const tagGroup = document.getElementById('task-filter-tags');
+            if (tagGroup) {
+                tagGroup.innerHTML = '';
+                knownTags.forEach(tag => {
+                    const chip = createTagChip(tag);
+                    chip.classList.add('task-filter-chip');
+                    chip.dataset.tag = tag;
+                    tagGroup.appendChild(chip);
+                });
+            }
+            
+            document.querySelectorAll('#task-filter-bar .task-filter-chip').forEach(chip => {
+                const active = chip.dataset.priority
+                    ? taskFilters.priorities.includes(chip.dataset.priority)
+                    : taskFilters.tags.includes(chip.dataset.tag);
+                chip.classList.toggle('active', active);
+            });
+            
+            const clearBtn = document.getElementById('task-filter-clear');
+            if (clearBtn) {
+                clearBtn.style.display = taskFilters.priorities.length || taskFilters.tags.length ? '' : 'none';
+            }
+        }
+
+        // The no-past-dates rule: returns an error message if a task can't be scheduled
+        // at dateKey and time, or null if it can. action is the verb used in the message.
+        function getPastTaskError(dateKey, time, action = 'add') {
             // Parse dateKey (format: YYYY-MM-DD) properly to avoid timezone issues
             const [year, month, day] = dateKey.split('-').map(Number);
             const taskDate = new Date(year, month - 1, day); // month is 0-indexed in JS Date
@@ -2708,8 +3800,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Check if task is for a past date (before today)
             if (taskDateStart < todayStart) {
-                showAppNotification('You cannot add tasks to past dates.', 'error');
-                return;
+                return `You cannot ${action} tasks to past dates.`;
             }
             
             // If task is for today, check if the time is in the future
@@ -2720,20 +3811,55 @@ document.addEventListener('DOMContentLoaded', () => {
                 
                 // Compare with current time - must be in the future
                 if (taskDateTime <= today) {
-                    showAppNotification('You cannot add tasks to past times. Please select a future time.', 'error');
-                    return;
+                    return `You cannot ${action} tasks to past times. Please select a future time.`;
                 }
             }
             
             // If task is for a future date, allow any time (no validation needed)
+            return null;
+        }
+
+        // labels is { priority, tags }
+        async function addTask(dateKey, description, time, recurrence = null, notes = null, labels = {}) {
+            const pastError = getPastTaskError(dateKey, time);
+            if (pastError) {
+                showAppNotification(pastError, 'error');
+                return;
+            }
+            
+            let response;
+            try {
+                response = await CalendarAPI.addTask(dateKey, description, time, recurrence, notes, labels);
+            } catch (error) {
+                console.error('Error adding task:', error);
+                showAppNotification(error.message || 'Failed to add task. Please try again.', 'error');
+                return;
+            }
+            
+            // Recurring tasks are expanded into occurrences by the server
+            if (recurrence) {
+                if (response.queued) {
+                    showAppNotification("You're offline. The repeating task will appear once it has synced.", 'info');
+                    return;
+                }
+                await loadTasks();
+                renderCalendar();
+                return;
+            }
             
             if (!tasks[dateKey]) {
                 tasks[dateKey] = [];
             }
+            // A task added offline gets its id when it syncs; until then syncId is its outbox entry
             tasks[dateKey].push({
-                id: Date.now(),
+                id: response.queued ? null : response.taskId,
+                key: response.queued ? `local-${response.syncId}` : String(response.taskId),
+                syncId: response.queued ? response.syncId : null,
                 description: description,
                 time: time,
+                notes: notes,
+                priority: labels.priority || 'medium',
+                tags: labels.tags || [],
                 completed: false,
                 created_at: Date.now() // Store when task was created
             });
@@ -2745,8 +3871,242 @@ document.addEventListener('DOMContentLoaded', () => {
         });
         saveTasks();
         renderCalendar();
+        if (response.queued) {
+            showAppNotification("You're offline. The task will be saved to the server once you're back online.", 'info');
+        }
     }
 
+        // Toggle a task's completion on the server, then award any points it earned.
+        // onUpdated runs as soon as the task itself is saved so the UI doesn't wait on the awards.
+        async function toggleTaskCompletion(dateKey, taskKey, onUpdated) {
+            const task = (tasks[dateKey] || []).find(t => t.key === taskKey);
+            if (!task || rejectUnsyncedTask(task)) return false;
+            
+            try {
+                if (task.seriesId) {
+                    // Completing an occurrence doesn't complete the rest of the series
+                    await CalendarAPI.updateOccurrence(task.seriesId, task.occurrenceDate, { completed: !task.completed });
+                } else {
+                    await CalendarAPI.updateTask(task.id, { completed: !task.completed });
+                }
+            } catch (error) {
+                console.error('Error updating task:', error);
+                showAppNotification('Failed to update task. Please try again.', 'error');
+                return false;
+            }
+            
+            const wasCompleted = task.completed;
+            task.completed = !task.completed;
+            saveTasks();
+            if (onUpdated) onUpdated();
+            
+            // Award 1 point for completing a task (only when marking as completed, not uncompleting)
+            if (task.completed && !wasCompleted) {
+                await awardTaskCompletionPoint(task.key);
+            }
+            
+            // Check if all tasks for this day are completed (awards 5 points)
+            await checkDayCompletion(dateKey);
+            // Also check if all tasks for the week are completed (only on Sunday, awards 25 points)
+            await checkWeekCompletion();
+            return true;
+        }
+
+        // Delete a one-off task, or skip a single occurrence of a recurring task
+        async function deleteTask(dateKey, taskKey) {
+            const task = (tasks[dateKey] || []).find(t => t.key === taskKey);
+            if (!task) return false;
+            
+            try {
+                if (task.syncId) {
+                    // Never reached the server, so it's enough to drop the queued add
+                    SyncOutbox.remove(task.syncId);
+                } else if (task.seriesId) {
+                    await CalendarAPI.updateOccurrence(task.seriesId, task.occurrenceDate, { skipped: true });
+                } else {
+                    await CalendarAPI.deleteTask(task.id);
+                }
+            } catch (error) {
+                console.error('Error deleting task:', error);
+                showAppNotification('Failed to delete task. Please try again.', 'error');
+                return false;
+            }
+            
+            tasks[dateKey] = tasks[dateKey].filter(t => t.key !== taskKey);
+            if (tasks[dateKey].length === 0) {
+                delete tasks[dateKey];
+            }
+            saveTasks();
+            return true;
+        }
+
+        // Delete every occurrence of a recurring task
+        async function deleteTaskSeries(seriesId) {
+            let response;
+            try {
+                response = await CalendarAPI.deleteTask(seriesId);
+            } catch (error) {
+                console.error('Error deleting task series:', error);
+                showAppNotification('Failed to delete task series. Please try again.', 'error');
+                return false;
+            }
+            if (response.queued) {
+                Object.keys(tasks).forEach(dateKey => {
+                    tasks[dateKey] = tasks[dateKey].filter(t => t.seriesId !== seriesId);
+                    if (tasks[dateKey].length === 0) {
+                        delete tasks[dateKey];
+                    }
+                });
+                saveTasks();
+                return true;
+            }
+            await loadTasks();
+            return true;
+        }
+
+        // Edit a task's description, time, date, notes and labels (changes is the API's shape:
+        // { description, time, dateKey, notes, priority, tags }). For an occurrence of a recurring
+        // task everything except the date is changed for the whole series.
+        async function editTask(dateKey, taskKey, changes) {
+            const task = (tasks[dateKey] || []).find(t => t.key === taskKey);
+            if (!task || rejectUnsyncedTask(task)) return false;
+            
+            const rescheduled = (changes.dateKey && changes.dateKey !== dateKey) || (changes.time && changes.time !== task.time);
+            if (!task.seriesId && rescheduled) {
+                const pastError = getPastTaskError(changes.dateKey || dateKey, changes.time || task.time, 'move');
+                if (pastError) {
+                    showAppNotification(pastError, 'error');
+                    return false;
+                }
+            }
+            
+            let response;
+            try {
+                response = await CalendarAPI.updateTask(task.seriesId || task.id, changes);
+            } catch (error) {
+                console.error('Error editing task:', error);
+                showAppNotification(error.message || 'Failed to save task. Please try again.', 'error');
+                return false;
+            }
+            if (response.queued) {
+                applyQueuedTaskChange(taskKey, changes, { wholeSeries: true });
+                return true;
+            }
+            await loadTasks();
+            return true;
+        }
+
+        // Replace a task's row in the details list with an edit form
+        function showTaskEditForm(listItem, dateKey, task) {
+            listItem.className = 'editing';
+            listItem.innerHTML = `
+                <form class="task-edit-form">
+                    <input type="text" class="edit-description" maxlength="500" placeholder="Task description" required>
+                    <div class="task-edit-row">
+                        <input type="time" class="edit-time" required>
+                        ${task.seriesId ? '' : `<input type="date" class="edit-date" min="${formatDateKey(new Date())}" required>`}
+                    </div>
+                    <textarea class="edit-notes" rows="3" maxlength="2000" placeholder="Notes (optional)"></textarea>
+                    <div class="task-edit-row">
+                        <select class="edit-priority">
+                            <option value="low">Low priority</option>
+                            <option value="medium">Medium priority</option>
+                            <option value="high">High priority</option>
+                        </select>
+                        <input type="text" class="edit-tags" list="task-tag-suggestions" placeholder="Tags, comma-separated">
+                    </div>
+                    ${task.seriesId ? '<small class="verification-hint">Changes apply to every occurrence of this recurring task.</small>' : ''}
+                    <div class="task-actions">
+                        <button type="submit" class="save-edit-btn">Save</button>
+                        <button type="button" class="cancel-edit-btn">Cancel</button>
+                    </div>
+                </form>
+            `;
+            
+            // Values are set as properties so task text is never parsed as HTML
+            const form = listItem.querySelector('.task-edit-form');
+            form.querySelector('.edit-description').value = task.description;
+            form.querySelector('.edit-time').value = task.time;
+            form.querySelector('.edit-notes').value = task.notes || '';
+            form.querySelector('.edit-priority').value = task.priority;
+            form.querySelector('.edit-tags').value = task.tags.join(', ');
+            const dateInput = form.querySelector('.edit-date');
+            if (dateInput) dateInput.value = dateKey;
+            
+            form.querySelector('.cancel-edit-btn').addEventListener('click', () => showTaskDetails(dateKey, new Date(dateKey)));
+            form.addEventListener('submit', async (event) => {
+                event.preventDefault();
+                const description = form.querySelector('.edit-description').value.trim();
+                if (!description) {
+                    showAppNotification('Please enter a task description.', 'error');
+                    return;
+                }
+                
+                const changes = {
+                    description,
+                    time: form.querySelector('.edit-time').value,
+                    notes: form.querySelector('.edit-notes').value.trim(),
+                    priority: form.querySelector('.edit-priority').value,
+                    tags: parseTagInput(form.querySelector('.edit-tags').value)
+                };
+                if (dateInput) changes.dateKey = dateInput.value;
+                
+                if (await editTask(dateKey, task.key, changes)) {
+                    renderCalendar();
+                    showTaskDetails(dateKey, new Date(dateKey));
+                    showAppNotification(changes.dateKey && changes.dateKey !== dateKey
+                        ? `Task saved and moved to ${changes.dateKey}.` : 'Task saved.', 'success');
+                }
+            });
+            form.querySelector('.edit-description').focus();
+        }
+
+        // Move one occurrence of a recurring task to another day
+        async function moveOccurrence(dateKey, taskKey, newDateKey) {
+            const task = (tasks[dateKey] || []).find(t => t.key === taskKey);
+            if (!task || !task.seriesId) return false;
+            
+            const [year, month, day] = newDateKey.split('-').map(Number);
+            const today = new Date();
+            if (new Date(year, month - 1, day) < new Date(today.getFullYear(), today.getMonth(), today.getDate())) {
+                showAppNotification('You cannot move tasks to past dates.', 'error');
+                return false;
+            }
+            
+            let response;
+            try {
+                response = await CalendarAPI.updateOccurrence(task.seriesId, task.occurrenceDate, { dateKey: newDateKey });
+            } catch (error) {
+                console.error('Error moving occurrence:', error);
+                showAppNotification(error.message || 'Failed to move task. Please try again.', 'error');
+                return false;
+            }
+            if (response.queued) {
+                applyQueuedTaskChange(taskKey, { dateKey: newDateKey });
+                return true;
+            }
+            await loadTasks();
+            return true;
+        }
+
+        // Short description of a recurrence rule for display
+        function describeRecurrence(rule) {
+            if (!rule) return '';
+            if (rule.includes('BYDAY=MO,TU,WE,TH,FR')) return 'Every weekday';
+            if (rule.startsWith('FREQ=DAILY')) return 'Daily';
+            if (rule.startsWith('FREQ=WEEKLY')) return 'Weekly';
+            if (rule.startsWith('FREQ=MONTHLY')) return 'Monthly';
+            return 'Repeats';
+        }
+
+        // Build an RRULE from the task form's repeat controls (null for one-off tasks)
+        function buildRecurrenceRule(repeat, end, count, until) {
+            if (!repeat) return null;
+            if (end === 'count' && count > 0) return `${repeat};COUNT=${count}`;
+            if (end === 'until' && until) return `${repeat};UNTIL=${until.replace(/-/g, '')}`;
+            return repeat;
+        }
+
         function formatTime(timeString) {
             if (!timeString) return '';
             const [hours, minutes] = timeString.split(':');
@@ -2760,7 +4120,8 @@ document.addEventListener('DOMContentLoaded', () => {
         detailsDateDisplay.textContent = formatDateDisplay(date);
         dateTasksList.innerHTML = '';
 
-        const dayTasks = tasks[dateKey] || [];
+        const allDayTasks = tasks[dateKey] || [];
+        const dayTasks = allDayTasks.filter(taskMatchesFilters);
         const dayHolidays = holidays[dateKey] || [];
         
         // Show holidays first
@@ -2787,21 +4148,45 @@ document.addEventListener('DOMContentLoaded', () => {
                 const listItem = document.createElement('li');
                 listItem.className = task.completed ? 'completed' : '';
                 const timeDisplay = task.time ? `<span class="task-time">${formatTime(task.time)}</span>` : '';
+                const recurrenceBadge = task.seriesId ? `<span class="task-recurrence" title="${task.recurrence}">↻ ${describeRecurrence(task.recurrence)}</span>` : '';
+                const occurrenceActions = task.seriesId ? `
+                        <input type="date" class="move-occurrence-date" value="${dateKey}">
+                        <button class="move-btn" data-task-id="${task.key}" data-date="${dateKey}">Move</button>
+                        <button class="delete-series-btn" data-series-id="${task.seriesId}" data-date="${dateKey}">Delete Series</button>
+                ` : '';
                 listItem.innerHTML = `
                     <div class="task-info">
                         ${timeDisplay}
                         <span class="task-description">${task.description}</span>
+                        ${recurrenceBadge}
                     </div>
                     <div class="task-actions">
-                        <button class="complete-btn" data-task-id="${task.id}" data-date="${dateKey}">
+                        <button class="complete-btn" data-task-id="${task.key}" data-date="${dateKey}">
                             ${task.completed ? 'Undo' : 'Complete'}
                         </button>
-                        <button class="delete-btn" data-task-id="${task.id}" data-date="${dateKey}">Delete</button>
+                        <button class="edit-btn" data-task-id="${task.key}" data-date="${dateKey}">Edit</button>
+                        <button class="delete-btn" data-task-id="${task.key}" data-date="${dateKey}">${task.seriesId ? 'Skip' : 'Delete'}</button>
+                        ${occurrenceActions}
                     </div>
                 `;
+                listItem.querySelector('.task-description').after(createTaskLabels(task));
+                if (task.notes) {
+                    const notes = document.createElement('div');
+                    notes.className = 'task-notes';
+                    notes.textContent = task.notes;
+                    listItem.querySelector('.task-info').appendChild(notes);
+                }
                 dateTasksList.appendChild(listItem);
             });
         }
+        
+        const hiddenCount = allDayTasks.length - dayTasks.length;
+        if (hiddenCount > 0) {
+            const hiddenItem = document.createElement('li');
+            hiddenItem.className = 'no-tasks';
+            hiddenItem.textContent = `${hiddenCount} task${hiddenCount === 1 ? '' : 's'} hidden by the calendar filters`;
+            dateTasksList.appendChild(hiddenItem);
+        }
 
         taskDetailsModal.style.display = 'block';
     }
@@ -2817,6 +4202,32 @@ document.addEventListener('DOMContentLoaded', () => {
             return `${String(hour24).padStart(2, '0')}:${minute}`;
         }
 
+        // Show the repeat end options only for repeating tasks
+        function updateRepeatControls() {
+            const repeatSelect = document.getElementById('task-repeat');
+            const repeatEndSelect = document.getElementById('task-repeat-end');
+            if (!repeatSelect || !repeatEndSelect) return;
+            const repeating = !!repeatSelect.value;
+            repeatEndSelect.style.display = repeating ? '' : 'none';
+            document.getElementById('task-repeat-count').style.display = repeating && repeatEndSelect.value === 'count' ? '' : 'none';
+            document.getElementById('task-repeat-until').style.display = repeating && repeatEndSelect.value === 'until' ? '' : 'none';
+        }
+
+        function resetRepeatControls() {
+            const repeatSelect = document.getElementById('task-repeat');
+            if (!repeatSelect) return;
+            repeatSelect.value = '';
+            document.getElementById('task-repeat-end').value = 'never';
+            document.getElementById('task-repeat-count').value = '10';
+            document.getElementById('task-repeat-until').value = '';
+            updateRepeatControls();
+        }
+
+        ['task-repeat', 'task-repeat-end'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener('change', updateRepeatControls);
+        });
+
         // --- Event Handlers ---
         if (taskForm) {
             taskForm.addEventListener('submit', function(event) {
@@ -2824,15 +4235,29 @@ document.addEventListener('DOMContentLoaded', () => {
                 event.stopPropagation(); // Prevent any bubbling that might cause duplicate submissions
                 
                 const descriptionInput = document.getElementById('task-description');
+                const notesInput = document.getElementById('task-notes');
+                const prioritySelect = document.getElementById('task-priority');
+                const tagsInput = document.getElementById('task-tags');
                 const hourSelect = document.getElementById('task-hour');
                 const minuteSelect = document.getElementById('task-minute');
                 const ampmSelect = document.getElementById('task-ampm');
                 
                 const description = descriptionInput ? descriptionInput.value.trim() : '';
+                const notes = notesInput ? notesInput.value.trim() : '';
                 const hour = hourSelect ? hourSelect.value : '';
                 const minute = minuteSelect ? minuteSelect.value : '';
                 const ampm = ampmSelect ? ampmSelect.value : '';
                 const dateKey = selectedDateInput ? selectedDateInput.value : '';
+                const repeatSelect = document.getElementById('task-repeat');
+                const repeatEndSelect = document.getElementById('task-repeat-end');
+                const repeatCountInput = document.getElementById('task-repeat-count');
+                const repeatUntilInput = document.getElementById('task-repeat-until');
+                const recurrence = buildRecurrenceRule(
+                    repeatSelect ? repeatSelect.value : '',
+                    repeatEndSelect ? repeatEndSelect.value : 'never',
+                    repeatCountInput ? parseInt(repeatCountInput.value, 10) : 0,
+                    repeatUntilInput ? repeatUntilInput.value : ''
+                );
 
                 // Validate description - only show error if it's actually empty
                 if (!description || description.length === 0) {
@@ -2875,14 +4300,26 @@ document.addEventListener('DOMContentLoaded', () => {
                 
                 // For future dates, no time validation needed - allow any time
                 // Only proceed if description is not empty (double-check)
+                if (recurrence && repeatEndSelect && repeatEndSelect.value === 'until' && (!repeatUntilInput.value || repeatUntilInput.value < dateKey)) {
+                    showAppNotification('Please choose an end date on or after the task date.', 'error');
+                    return;
+                }
+                
                 if (description && description.length > 0) {
-                    addTask(dateKey, description, time24);
+                    addTask(dateKey, description, time24, recurrence, notes || null, {
+                        priority: prioritySelect ? prioritySelect.value : 'medium',
+                        tags: parseTagInput(tagsInput ? tagsInput.value : '')
+                    });
                     if (taskModal) taskModal.style.display = 'none';
                     // Clear form fields after successful submission
                     if (descriptionInput) descriptionInput.value = '';
+                    if (notesInput) notesInput.value = '';
+                    if (prioritySelect) prioritySelect.value = 'medium';
+                    if (tagsInput) tagsInput.value = '';
                     if (hourSelect) hourSelect.value = '';
                     if (minuteSelect) minuteSelect.value = '';
                     if (ampmSelect) ampmSelect.value = 'AM';
+                    resetRepeatControls();
                 } else {
                     // This should never happen, but just in case
                     showAppNotification("Please enter a task description.", 'error');
@@ -2893,8 +4330,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Handle task completion and deletion
         if (dateTasksList) {
-            dateTasksList.addEventListener('click', function(event) {
-                const taskId = parseInt(event.target.getAttribute('data-task-id'));
+            dateTasksList.addEventListener('click', async function(event) {
+                const taskId = event.target.getAttribute('data-task-id');
                 const dateKey = event.target.getAttribute('data-date');
 
                 if (event.target.classList.contains('complete-btn')) {
@@ -2904,50 +4341,130 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
             
-            const task = tasks[dateKey].find(t => t.id === taskId);
-            if (task) {
-                const wasCompleted = task.completed;
-                task.completed = !task.completed;
-                saveTasks();
+            toggleTaskCompletion(dateKey, taskId, () => {
                 showTaskDetails(dateKey, new Date(dateKey));
-                
-                // Award 1 point for completing a task (only when marking as completed, not uncompleting)
-                if (task.completed && !wasCompleted) {
-                    awardTaskCompletionPoint(taskId);
-                }
-                
-                // Check if all tasks for this day are completed (awards 5 points)
-                checkDayCompletion(dateKey);
-                // Also check if all tasks for the week are completed (only on Sunday, awards 25 points)
-                checkWeekCompletion();
+                renderCalendar();
+            });
+        } else if (event.target.classList.contains('edit-btn')) {
+            const task = (tasks[dateKey] || []).find(t => t.key === taskId);
+            if (task) {
+                showTaskEditForm(event.target.closest('li'), dateKey, task);
             }
         } else if (event.target.classList.contains('delete-btn')) {
-            tasks[dateKey] = tasks[dateKey].filter(t => t.id !== taskId);
-            if (tasks[dateKey].length === 0) {
-                delete tasks[dateKey];
+            if (await deleteTask(dateKey, taskId)) {
+                renderCalendar();
+                showTaskDetails(dateKey, new Date(dateKey));
             }
-            saveTasks();
-            renderCalendar();
-            showTaskDetails(dateKey, new Date(dateKey));
+        } else if (event.target.classList.contains('move-btn')) {
+            const dateInput = event.target.parentNode.querySelector('.move-occurrence-date');
+            const newDateKey = dateInput ? dateInput.value : '';
+            if (!newDateKey || newDateKey === dateKey) {
+                return;
+            }
+            if (await moveOccurrence(dateKey, taskId, newDateKey)) {
+                renderCalendar();
+                showTaskDetails(dateKey, new Date(dateKey));
+                showAppNotification(`Task moved to ${newDateKey}.`, 'success');
+            }
+        } else if (event.target.classList.contains('delete-series-btn')) {
+            const seriesId = parseInt(event.target.getAttribute('data-series-id'));
+            showAppConfirmation('Delete every occurrence of this recurring task?', async () => {
+                if (await deleteTaskSeries(seriesId)) {
+                    renderCalendar();
+                    showTaskDetails(dateKey, new Date(dateKey));
+                }
+            });
         }
         });
     }
 
-        // Month navigation
+        // Previous/next month, week or day
         if (prevMonthBtn) {
-            prevMonthBtn.addEventListener('click', () => {
-                currentDate.setMonth(currentDate.getMonth() - 1);
+            prevMonthBtn.addEventListener('click', async () => {
+                shiftCalendar(-1);
+                await loadTasks();
                 renderCalendar();
             });
         }
 
         if (nextMonthBtn) {
-            nextMonthBtn.addEventListener('click', () => {
-                currentDate.setMonth(currentDate.getMonth() + 1);
+            nextMonthBtn.addEventListener('click', async () => {
+                shiftCalendar(1);
+                await loadTasks();
+                renderCalendar();
+            });
+        }
+
+        calendarViewButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (btn.dataset.view !== calendarView) {
+                    switchCalendarView(btn.dataset.view);
+                }
+            });
+        });
+
+        // Filter bar: toggle priority and tag chips, or clear them all
+        if (taskFilterBar) {
+            taskFilterBar.addEventListener('click', (event) => {
+                const chip = event.target.closest('.task-filter-chip');
+                if (chip) {
+                    const [list, value] = chip.dataset.priority
+                        ? [taskFilters.priorities, chip.dataset.priority]
+                        : [taskFilters.tags, chip.dataset.tag];
+                    const index = list.indexOf(value);
+                    if (index === -1) {
+                        list.push(value);
+                    } else {
+                        list.splice(index, 1);
+                    }
+                } else if (event.target.id === 'task-filter-clear') {
+                    taskFilters = { priorities: [], tags: [] };
+                } else {
+                    return;
+                }
+                renderTaskFilterBar();
                 renderCalendar();
             });
         }
 
+        // Calendar export/import (.ics)
+        if (exportCalendarBtn) {
+            exportCalendarBtn.addEventListener('click', () => {
+                const link = document.createElement('a');
+                link.href = '/api/calendar/export.ics';
+                link.download = 'calendar.ics';
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+            });
+        }
+
+        if (importCalendarBtn && importCalendarInput) {
+            importCalendarBtn.addEventListener('click', () => importCalendarInput.click());
+            importCalendarInput.addEventListener('change', async () => {
+                const file = importCalendarInput.files[0];
+                importCalendarInput.value = '';
+                if (!file) return;
+                
+                try {
+                    const report = await CalendarAPI.importICalendar(await file.text());
+                    const problems = report.skipped.concat(report.invalid);
+                    problems.forEach(entry => console.warn('Calendar import:', entry.summary || '(untitled)', '-', entry.reason));
+                    
+                    let message = `Imported ${report.imported} task${report.imported === 1 ? '' : 's'}.`;
+                    if (report.skipped.length > 0) message += ` Skipped ${report.skipped.length} already in your calendar.`;
+                    if (report.invalid.length > 0) message += ` ${report.invalid.length} could not be read.`;
+                    showAppNotification(message, report.invalid.length > 0 ? 'error' : 'success');
+                    
+                    await loadTasks();
+                    renderCalendar();
+                } catch (error) {
+                    console.error('Error importing calendar:', error);
+                    showAppNotification(error.message || 'Failed to import calendar. Please try again.', 'error');
+                }
+            });
+        }
+
         // Help button handler
         if (calendarHelpBtn && calendarHelpModal) {
             calendarHelpBtn.addEventListener('click', () => {
@@ -2981,8 +4498,29 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
 
-        // Initialize calendar
-        renderCalendar();
+        // Offline changes: keep the header status current and reload once they've synced.
+        // Imports from the settings page reload the same way.
+        if (typeof SyncOutbox !== 'undefined' && !syncListenersAdded) {
+            syncListenersAdded = true;
+            window.addEventListener('syncoutbox:change', renderSyncStatus);
+            window.addEventListener('online', renderSyncStatus);
+            window.addEventListener('offline', renderSyncStatus);
+            window.addEventListener('syncoutbox:flushed', handleSyncFlushed);
+            window.addEventListener('account:imported', () => {
+                Promise.all([loadTasks(), refreshPoints()]).then(() => renderCalendar());
+            });
+        }
+
+        // Initialize calendar and points from the server, after sending any changes made offline
+        const syncStarted = typeof SyncOutbox !== 'undefined' ? SyncOutbox.start() : Promise.resolve();
+        syncStarted.then(() => {
+            if (typeof SyncOutbox !== 'undefined') renderSyncStatus();
+            return Promise.all([loadTasks(), refreshPoints()]);
+        }).then(() => {
+            renderCalendar();
+            // Check past days for completion on page load
+            checkPastDaysCompletion();
+        });
     }
 
     // --- Authentication Check on Load ---
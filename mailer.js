@@ -0,0 +1,150 @@
+// ============================================
+// MAILER - Server-side email delivery
+// ============================================
+
+// Emails are rendered from the templates below and handed to a transport:
+//   smtp    - sends through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file    - writes each message as a JSON file to EMAIL_OUTBOX_DIR (local development and tests)
+//   console - prints each message to the server log
+// EMAIL_TRANSPORT picks one; without it, smtp is used when SMTP_HOST is set and console otherwise.
+// A transport is any object with `name` and an async `send({ from, to, subject, text })`.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_FROM_NAME = 'RNG Calendar';
+
+// Template variables (see PASSWORD_RESET_EMAIL_VARIABLES.md): {{to_email}}, {{from_name}},
+// and {{reset_code}} / {{code}} or {{verification_code}} / {{code}}
+const EMAIL_TEMPLATES = {
+    password_reset: {
+        subject: 'Reset Your Password - {{from_name}}',
+        text: [
+            'Hello,',
+            '',
+            'You requested to reset your password for your RNG Calendar account.',
+            '',
+            'Your password reset code is: {{reset_code}}',
+            '',
+            'Enter this code in the password reset form to create a new password.',
+            '',
+            'This code will expire in 30 minutes.',
+            '',
+            "If you didn't request this password reset, please ignore this email.",
+            '',
+            'Best regards,',
+            '{{from_name}}'
+        ].join('\n')
+    },
+    email_verification: {
+        subject: 'Verify Your Email - {{from_name}}',
+        text: [
+            'Hello,',
+            '',
+            'Your email verification code is: {{verification_code}}',
+            '',
+            'Enter this code in Settings to verify {{to_email}} for your RNG Calendar account.',
+            '',
+            'This code will expire in 10 minutes.',
+            '',
+            "If you didn't request this, please ignore this email.",
+            '',
+            'Best regards,',
+            '{{from_name}}'
+        ].join('\n')
+    }
+};
+
+// Replace {{name}} placeholders; unknown names are left as they are
+function renderTemplate(text, variables) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match);
+}
+
+function createSmtpTransport(options) {
+    // Loaded here so the other transports work without it installed
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport(options);
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+}
+
+function createFileTransport(outboxDir) {
+    return {
+        name: 'file',
+        outboxDir,
+        send: async (message) => {
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+            const sentAt = new Date();
+            const fileName = `${sentAt.getTime()}-${Math.random().toString(36).slice(2, 8)}.json`;
+            await fs.promises.writeFile(path.join(outboxDir, fileName),
+                JSON.stringify({ ...message, sent_at: sentAt.toISOString() }, null, 2));
+        }
+    };
+}
+
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        send: async (message) => {
+            console.log(`--- Email to ${message.to} ---\nFrom: ${message.from}\nSubject: ${message.subject}\n\n${message.text}\n---`);
+        }
+    };
+}
+
+function createTransportFromEnv(env = process.env) {
+    const type = env.EMAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+
+    if (type === 'smtp') {
+        return createSmtpTransport({
+            host: env.SMTP_HOST,
+            port: Number(env.SMTP_PORT) || 587,
+            secure: env.SMTP_SECURE === 'true',
+            auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+        });
+    }
+    if (type === 'file') {
+        // Outside the project root by default, which is served as static files
+        return createFileTransport(env.EMAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'rng-calendar-outbox'));
+    }
+    if (type === 'console') {
+        return createConsoleTransport();
+    }
+    throw new Error(`Unknown EMAIL_TRANSPORT "${type}" (expected smtp, file or console)`);
+}
+
+// Build the app's mailer around a transport. `from` is the sender address
+// (EMAIL_FROM); codes are only ever placed in the email itself.
+function createMailer(transport, { from = 'no-reply@localhost', fromName = DEFAULT_FROM_NAME } = {}) {
+    async function sendTemplate(templateName, to, variables) {
+        const template = EMAIL_TEMPLATES[templateName];
+        const allVariables = { to_email: to, from_name: fromName, ...variables };
+        await transport.send({
+            from: `"${fromName}" <${from}>`,
+            to,
+            subject: renderTemplate(template.subject, allVariables),
+            text: renderTemplate(template.text, allVariables)
+        });
+    }
+
+    return {
+        transport,
+        sendPasswordResetEmail: (email, code) =>
+            sendTemplate('password_reset', email, { reset_code: code, code }),
+        sendVerificationEmail: (email, code) =>
+            sendTemplate('email_verification', email, { verification_code: code, code })
+    };
+}
+
+module.exports = {
+    EMAIL_TEMPLATES,
+    renderTemplate,
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport,
+    createTransportFromEnv,
+    createMailer
+};
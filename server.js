@@ -5,22 +5,54 @@ const cors = require('cors');
 const session = require('express-session');
 const bodyParser = require('body-parser');
 const path = require('path');
+const crypto = require('crypto');
+const { normalizeRecurrenceRule, expandRecurrence, isRecurrenceDate } = require('./calendar-recurrence');
+const { buildICalendar, parseICalendar } = require('./calendar-ical');
+const { GameCore } = require('./game-core');
+const { EQUIPMENT_SLOTS } = require('./game-config');
+const { AREAS } = require('./game-enemies');
+const { createMailer, createTransportFromEnv } = require('./mailer');
+const { SqliteSessionStore } = require('./session-store');
+const QRCode = require('qrcode');
+const {
+    verifyTotp, generateTotpSecret, buildOtpauthUri, generateRecoveryCodes, hashRecoveryCode
+} = require('./totp');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const DB_PATH = path.join(__dirname, 'database.sqlite');
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'database.sqlite');
+
+// How long a statement waits for another connection's transaction (see runInTransaction)
+const DB_BUSY_TIMEOUT_MS = 5000;
+
+// Reset and verification emails are sent by the server (see mailer.js for the transports)
+const mailer = createMailer(createTransportFromEnv(), { from: process.env.EMAIL_FROM });
 
 // Middleware
 app.use(cors({
     origin: true,
     credentials: true
 }));
+// Account imports (see /api/user/import) can be larger than other request bodies
+app.use('/api/user/import', bodyParser.json({ limit: '5mb' }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static(__dirname)); // Serve static files
 
-// Session configuration
-app.use(session({
+// Initialize SQLite database
+const db = new sqlite3.Database(DB_PATH, (err) => {
+    if (err) {
+        console.error('Error opening database:', err.message);
+    } else {
+        console.log('Connected to SQLite database');
+        db.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+        initializeDatabase();
+    }
+});
+
+// Session configuration (sessions are stored in the database, see session-store.js)
+const sessionMiddleware = session({
+    store: new SqliteSessionStore(db),
     secret: 'your-secret-key-change-this-in-production',
     resave: false,
     saveUninitialized: false,
@@ -29,151 +61,452 @@ app.use(session({
         httpOnly: true,
         maxAge: 24 * 60 * 60 * 1000 // 24 hours
     }
-}));
+});
 
-// Initialize SQLite database
-const db = new sqlite3.Database(DB_PATH, (err) => {
-    if (err) {
-        console.error('Error opening database:', err.message);
-    } else {
-        console.log('Connected to SQLite database');
-        initializeDatabase();
+// Requests with an API token (Authorization: Bearer) don't use cookie sessions
+app.use((req, res, next) => {
+    if (getBearerToken(req) !== null) {
+        return authenticateApiToken(req, res, next);
     }
+    sessionMiddleware(req, res, next);
 });
 
+// Retried write requests with an Idempotency-Key get the first response again
+app.use(handleIdempotencyKey);
+
 // Initialize database tables
 function initializeDatabase() {
-    // Users table
-    db.run(`CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        email TEXT,
-        email_verified INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`, (err) => {
-        if (err) {
-            console.error('Error creating users table:', err.message);
-        } else {
-            console.log('Users table ready');
-        }
-    });
-
-    // Calendar tasks table
-    db.run(`CREATE TABLE IF NOT EXISTS calendar_tasks (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        date_key TEXT NOT NULL,
-        description TEXT NOT NULL,
-        time TEXT NOT NULL,
-        completed INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        UNIQUE(user_id, date_key, description, time)
-    )`, (err) => {
-        if (err) {
-            console.error('Error creating calendar_tasks table:', err.message);
-        } else {
-            console.log('Calendar tasks table ready');
-        }
-    });
+    // Run statements in order so later migrations can rely on earlier tables
+    db.serialize(() => {
+        // Users table
+        db.run(`CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE NOT NULL,
+            password_hash TEXT NOT NULL,
+            email TEXT,
+            email_verified INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating users table:', err.message);
+            } else {
+                console.log('Users table ready');
+            }
+        });
 
-    // User points table
-    db.run(`CREATE TABLE IF NOT EXISTS user_points (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER UNIQUE NOT NULL,
-        points INTEGER DEFAULT 0,
-        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )`, (err) => {
-        if (err) {
-            console.error('Error creating user_points table:', err.message);
-        } else {
-            console.log('User points table ready');
-        }
-    });
+        // Calendar tasks table
+        db.run(`CREATE TABLE IF NOT EXISTS calendar_tasks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            date_key TEXT NOT NULL,
+            description TEXT NOT NULL,
+            time TEXT NOT NULL,
+            completed INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            UNIQUE(user_id, date_key, description, time)
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating calendar_tasks table:', err.message);
+            } else {
+                console.log('Calendar tasks table ready');
+            }
+        });
 
-    // Shop purchases table
-    db.run(`CREATE TABLE IF NOT EXISTS shop_purchases (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        purchase_type TEXT NOT NULL,
-        level INTEGER DEFAULT 1,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )`, (err) => {
-        if (err) {
-            console.error('Error creating shop_purchases table:', err.message);
-        } else {
-            console.log('Shop purchases table ready');
-        }
-    });
+        // Recurrence rule (RRULE) for repeating tasks; NULL for one-off tasks
+        addColumnIfMissing('calendar_tasks', 'recurrence_rule', 'TEXT');
 
-    // Game data table
-    db.run(`CREATE TABLE IF NOT EXISTS game_data (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER UNIQUE NOT NULL,
-        data TEXT NOT NULL,
-        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )`, (err) => {
-        if (err) {
-            console.error('Error creating game_data table:', err.message);
-        } else {
-            console.log('Game data table ready');
-        }
-    });
+        // Free-text notes shown in the task details
+        addColumnIfMissing('calendar_tasks', 'notes', 'TEXT');
 
-    // Game settings table
-    db.run(`CREATE TABLE IF NOT EXISTS game_settings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER UNIQUE NOT NULL,
-        auto_sell_threshold INTEGER DEFAULT 100,
-        storage_sort TEXT DEFAULT 'Price',
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )`, (err) => {
-        if (err) {
-            console.error('Error creating game_settings table:', err.message);
-        } else {
-            console.log('Game settings table ready');
-        }
+        // Priority (low, medium or high) and comma-separated tags, e.g. "work,errands"
+        addColumnIfMissing('calendar_tasks', 'priority', "TEXT NOT NULL DEFAULT 'medium'");
+        addColumnIfMissing('calendar_tasks', 'tags', 'TEXT');
+
+        // Colour label for each of a user's tags
+        db.run(`CREATE TABLE IF NOT EXISTS task_tag_colors (
+            user_id INTEGER NOT NULL,
+            tag TEXT NOT NULL,
+            color TEXT NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            PRIMARY KEY (user_id, tag)
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating task_tag_colors table:', err.message);
+            } else {
+                console.log('Task tag colors table ready');
+            }
+        });
+
+        // Per-occurrence overrides for recurring tasks (skip, move, completion)
+        db.run(`CREATE TABLE IF NOT EXISTS calendar_task_exceptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            task_id INTEGER NOT NULL,
+            occurrence_date TEXT NOT NULL,
+            skipped INTEGER DEFAULT 0,
+            new_date_key TEXT,
+            new_time TEXT,
+            completed INTEGER DEFAULT 0,
+            FOREIGN KEY (task_id) REFERENCES calendar_tasks(id) ON DELETE CASCADE,
+            UNIQUE(task_id, occurrence_date)
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating calendar_task_exceptions table:', err.message);
+            } else {
+                console.log('Calendar task exceptions table ready');
+            }
+        });
+
+        // When a task or occurrence was last changed (milliseconds, server clock). Changes
+        // replayed from a client's offline outbox are rejected if the row changed after them.
+        addColumnIfMissing('calendar_tasks', 'updated_at', 'INTEGER');
+        addColumnIfMissing('calendar_task_exceptions', 'updated_at', 'INTEGER');
+
+        // User points table
+        db.run(`CREATE TABLE IF NOT EXISTS user_points (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER UNIQUE NOT NULL,
+            points INTEGER DEFAULT 0,
+            last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating user_points table:', err.message);
+            } else {
+                console.log('User points table ready');
+            }
+        });
+
+        // Points ledger table (append-only; the balance is the sum of all entries)
+        db.run(`CREATE TABLE IF NOT EXISTS points_ledger (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            amount INTEGER NOT NULL,
+            reason TEXT NOT NULL,
+            reference_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            UNIQUE(user_id, reason, reference_id)
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating points_ledger table:', err.message);
+            } else {
+                console.log('Points ledger table ready');
+            }
+        });
+
+        // Carry balances from the old user_points table over as an opening ledger entry
+        db.run(`INSERT OR IGNORE INTO points_ledger (user_id, amount, reason, reference_id)
+                SELECT user_id, points, 'opening_balance', 'user_points' FROM user_points WHERE points != 0`, (err) => {
+            if (err) {
+                console.error('Error migrating user_points to points_ledger:', err.message);
+            }
+        });
+
+        // Shop purchases table
+        db.run(`CREATE TABLE IF NOT EXISTS shop_purchases (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            purchase_type TEXT NOT NULL,
+            level INTEGER DEFAULT 1,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating shop_purchases table:', err.message);
+            } else {
+                console.log('Shop purchases table ready');
+            }
+        });
+
+        // Whether task completion points scale with the task's priority (see PRIORITY_POINT_MULTIPLIERS)
+        addColumnIfMissing('users', 'priority_points', 'INTEGER DEFAULT 0');
+
+        // Game data table
+        db.run(`CREATE TABLE IF NOT EXISTS game_data (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER UNIQUE NOT NULL,
+            data TEXT NOT NULL,
+            last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating game_data table:', err.message);
+            } else {
+                console.log('Game data table ready');
+            }
+        });
+
+        // Incremented on every save, so a client can tell whether its copy of the game is current
+        addColumnIfMissing('game_data', 'revision', 'INTEGER NOT NULL DEFAULT 0');
+
+        // Copies of saves that failed validation when loaded (see game-migrations.js), kept as
+        // they were stored, since the game itself only keeps the parts that passed.
+        // problems is a JSON list of what was wrong.
+        db.run(`CREATE TABLE IF NOT EXISTS game_data_quarantine (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            data TEXT NOT NULL,
+            revision INTEGER,
+            problems TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating game_data_quarantine table:', err.message);
+            } else {
+                console.log('Game data quarantine table ready');
+            }
+        });
+
+        // Earlier copies of each user's game (see recordGameSnapshot), so a bad save can be rolled back.
+        // kind is 'recent', 'daily' or 'restore' (the game as it was just before a restore);
+        // day is the UTC date of a daily snapshot.
+        db.run(`CREATE TABLE IF NOT EXISTS game_data_snapshots (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            kind TEXT NOT NULL,
+            day TEXT,
+            data TEXT NOT NULL,
+            revision INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating game_data_snapshots table:', err.message);
+            } else {
+                console.log('Game data snapshots table ready');
+            }
+        });
+
+        // Game settings table
+        db.run(`CREATE TABLE IF NOT EXISTS game_settings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER UNIQUE NOT NULL,
+            auto_sell_threshold INTEGER DEFAULT 100,
+            storage_sort TEXT DEFAULT 'Price',
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating game_settings table:', err.message);
+            } else {
+                console.log('Game settings table ready');
+            }
+        });
+
+        // Email verification codes table
+        db.run(`CREATE TABLE IF NOT EXISTS email_verification_codes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT NOT NULL,
+            code TEXT NOT NULL,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating email_verification_codes table:', err.message);
+            } else {
+                console.log('Email verification codes table ready');
+            }
+        });
+
+        // Codes belong to the user who requested them; wrong guesses are counted per code
+        addColumnIfMissing('email_verification_codes', 'user_id', 'INTEGER');
+        addColumnIfMissing('email_verification_codes', 'attempts', 'INTEGER DEFAULT 0');
+
+        // Password reset codes table
+        db.run(`CREATE TABLE IF NOT EXISTS password_reset_codes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            email TEXT NOT NULL,
+            code TEXT NOT NULL,
+            expires_at DATETIME NOT NULL,
+            used INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating password_reset_codes table:', err.message);
+            } else {
+                console.log('Password reset codes table ready');
+            }
+        });
+
+        // Failed login / reset code attempts, per username or email and per IP
+        db.run(`CREATE TABLE IF NOT EXISTS auth_attempts (
+            scope TEXT NOT NULL,
+            attempt_key TEXT NOT NULL,
+            failures INTEGER NOT NULL DEFAULT 0,
+            last_failure_at INTEGER NOT NULL,
+            locked_until INTEGER,
+            PRIMARY KEY (scope, attempt_key)
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating auth_attempts table:', err.message);
+            } else {
+                console.log('Auth attempts table ready');
+            }
+        });
+
+        // Audit log of failed authentication attempts and lockouts
+        db.run(`CREATE TABLE IF NOT EXISTS auth_audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            event TEXT NOT NULL,
+            identifier TEXT,
+            user_id INTEGER,
+            ip TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating auth_audit_log table:', err.message);
+            } else {
+                console.log('Auth audit log table ready');
+            }
+        });
+
+        // TOTP two-factor authentication: the base32 secret (set during enrollment, enabled
+        // once a code is confirmed) and the last time step used, so codes can't be replayed
+        addColumnIfMissing('users', 'totp_secret', 'TEXT');
+        addColumnIfMissing('users', 'totp_enabled', 'INTEGER DEFAULT 0');
+        addColumnIfMissing('users', 'totp_last_step', 'INTEGER');
+
+        // One-time recovery codes for two-factor login (SHA-256 hashes)
+        db.run(`CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            code_hash TEXT NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating totp_recovery_codes table:', err.message);
+            } else {
+                console.log('TOTP recovery codes table ready');
+            }
+        });
+
+        // Login sessions (express-session store); times are in milliseconds
+        db.run(`CREATE TABLE IF NOT EXISTS sessions (
+            sid TEXT PRIMARY KEY,
+            user_id INTEGER,
+            data TEXT NOT NULL,
+            expires_at INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            last_seen_at INTEGER NOT NULL,
+            user_agent TEXT,
+            ip TEXT
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating sessions table:', err.message);
+            } else {
+                console.log('Sessions table ready');
+            }
+        });
+        db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+
+        // Personal API tokens (SHA-256 hashes); scopes are space-separated, times in milliseconds
+        db.run(`CREATE TABLE IF NOT EXISTS api_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            token_prefix TEXT NOT NULL,
+            scopes TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            last_used_at INTEGER,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating api_tokens table:', err.message);
+            } else {
+                console.log('API tokens table ready');
+            }
+        });
+
+        // Responses to requests sent with an Idempotency-Key header, so retried requests aren't
+        // applied twice. status_code is NULL while the first request is still running.
+        db.run(`CREATE TABLE IF NOT EXISTS idempotency_keys (
+            user_id INTEGER NOT NULL,
+            idempotency_key TEXT NOT NULL,
+            method TEXT NOT NULL,
+            path TEXT NOT NULL,
+            request_hash TEXT,
+            status_code INTEGER,
+            response TEXT,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            PRIMARY KEY (user_id, idempotency_key)
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating idempotency_keys table:', err.message);
+            } else {
+                console.log('Idempotency keys table ready');
+            }
+        });
+        addColumnIfMissing('idempotency_keys', 'request_hash', 'TEXT');
+
+        // Keys the server generates for itself, e.g. for signing account exports
+        db.run(`CREATE TABLE IF NOT EXISTS server_keys (
+            name TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        )`, (err) => {
+            if (err) {
+                console.error('Error creating server_keys table:', err.message);
+            } else {
+                console.log('Server keys table ready');
+            }
+        });
     });
+}
 
-    // Email verification codes table
-    db.run(`CREATE TABLE IF NOT EXISTS email_verification_codes (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        email TEXT NOT NULL,
-        code TEXT NOT NULL,
-        expires_at DATETIME NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`, (err) => {
-        if (err) {
-            console.error('Error creating email_verification_codes table:', err.message);
-        } else {
-            console.log('Email verification codes table ready');
-        }
+// Run work(connection, done) in one transaction. It gets a connection of its own, since
+// statements other requests send through the shared db would otherwise end up inside the
+// transaction; they wait for it instead (DB_BUSY_TIMEOUT_MS). Commits if work calls
+// done(null, result) and rolls back if it calls done(err); callback gets (err, result).
+function runInTransaction(work, callback) {
+    const connection = new sqlite3.Database(DB_PATH, (err) => {
+        if (err) return callback(err);
+        connection.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+        const close = (err, result) => connection.close(() => callback(err, result));
+
+        connection.run('BEGIN IMMEDIATE', (err) => {
+            if (err) return close(err);
+            work(connection, (err, result) => {
+                if (err) {
+                    return connection.run('ROLLBACK', () => close(err));
+                }
+                connection.run('COMMIT', (err) => {
+                    if (err) {
+                        return connection.run('ROLLBACK', () => close(err));
+                    }
+                    close(null, result);
+                });
+            });
+        });
     });
+}
 
-    // Password reset codes table
-    db.run(`CREATE TABLE IF NOT EXISTS password_reset_codes (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        email TEXT NOT NULL,
-        code TEXT NOT NULL,
-        expires_at DATETIME NOT NULL,
-        used INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )`, (err) => {
-        if (err) {
-            console.error('Error creating password_reset_codes table:', err.message);
-        } else {
-            console.log('Password reset codes table ready');
+// Add a column to a table created by an older version of the schema
+function addColumnIfMissing(table, column, definition) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+        if (err && !/duplicate column/i.test(err.message)) {
+            console.error(`Error adding ${table}.${column} column:`, err.message);
         }
     });
 }
 
-// Middleware to check if user is authenticated
+// Log the session in as a user, remembering the device it came from for GET /api/sessions
+function startUserSession(req, userId, username) {
+    req.session.userId = userId;
+    req.session.username = username;
+    req.session.userAgent = (req.get('User-Agent') || '').slice(0, 300) || null;
+    req.session.ip = req.ip;
+}
+
+// Middleware to check if user is authenticated (with a cookie session; see requireScope for API tokens)
 function requireAuth(req, res, next) {
+    if (req.session && req.session.apiToken) {
+        return res.status(403).json({ error: "This endpoint can't be used with an API token" });
+    }
     if (req.session && req.session.userId) {
         next();
     } else {
@@ -181,6 +514,186 @@ function requireAuth(req, res, next) {
     }
 }
 
+// ==================== IDEMPOTENCY KEYS ====================
+
+// A client can send a write request with an Idempotency-Key header (e.g. a UUID) and safely
+// retry it: the first response is stored for IDEMPOTENCY_KEY_TTL_MS and sent again, with an
+// Idempotent-Replayed header, instead of repeating the request. Server errors aren't stored,
+// so those requests can be retried for real. A retry must be the same request: the method,
+// path, query and body are checked against the first one.
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// SHA-256 of a request's query and body, to tell a retry from a different request
+function hashIdempotentRequest(req) {
+    return crypto.createHash('sha256').update(JSON.stringify({ query: req.query, body: req.body })).digest('hex');
+}
+
+function handleIdempotencyKey(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined || req.method === 'GET' || !req.session || !req.session.userId) {
+        return next();
+    }
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        return res.status(400).json({ error: 'Idempotency-Key must be 1-100 letters, digits, dashes or underscores' });
+    }
+
+    const userId = req.session.userId;
+    const path = req.originalUrl.split('?')[0];
+    const requestHash = hashIdempotentRequest(req);
+    const now = Date.now();
+    db.run('DELETE FROM idempotency_keys WHERE created_at <= ?', [now - IDEMPOTENCY_KEY_TTL_MS]);
+    db.run(`INSERT INTO idempotency_keys (user_id, idempotency_key, method, path, request_hash, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, key, req.method, path, requestHash, now], (err) => {
+            if (err && err.code === 'SQLITE_CONSTRAINT') {
+                return db.get('SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+                    [userId, key], (err, stored) => {
+                        if (err || !stored) {
+                            return res.status(500).json({ error: 'Database error' });
+                        }
+                        if (stored.method !== req.method || stored.path !== path ||
+                            (stored.request_hash !== null && stored.request_hash !== requestHash)) {
+                            return res.status(422).json({ error: 'This Idempotency-Key was already used for a different request' });
+                        }
+                        if (stored.status_code === null) {
+                            return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed', inProgress: true });
+                        }
+                        res.set('Idempotent-Replayed', 'true');
+                        res.status(stored.status_code).type('json').send(stored.response);
+                    });
+            }
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            // Remember the JSON response once it has been sent
+            let responseBody;
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                responseBody = body;
+                return json(body);
+            };
+            res.on('close', () => {
+                if (res.writableFinished && responseBody !== undefined && res.statusCode < 500) {
+                    db.run('UPDATE idempotency_keys SET status_code = ?, response = ? WHERE user_id = ? AND idempotency_key = ?',
+                        [res.statusCode, JSON.stringify(responseBody), userId, key]);
+                } else {
+                    db.run('DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [userId, key]);
+                }
+            });
+            next();
+        });
+}
+
+// ==================== RATE LIMITING ====================
+
+// Failed logins and reset code guesses are counted per username (or email) and per IP.
+// After freeAttempts failures each further failure locks the key for an exponentially
+// growing delay; at lockoutAfter failures it is locked for AUTH_LOCKOUT_MS. Counts reset
+// on success, or once AUTH_ATTEMPT_WINDOW_MS passes without a failure.
+// Each attempt is counted as it starts, in the same statement that checks the lock, so
+// guesses sent in parallel can't all get in before the first failure is recorded.
+const AUTH_RATE_LIMITS = {
+    user: { freeAttempts: 5, lockoutAfter: 10 },
+    ip: { freeAttempts: 20, lockoutAfter: 50 }
+};
+const AUTH_BACKOFF_BASE_MS = 1000;
+const AUTH_LOCKOUT_MS = 15 * 60 * 1000;
+const AUTH_ATTEMPT_WINDOW_MS = 60 * 60 * 1000;
+
+// The keys an attempt is counted against: { user: 'alice', ip: '::1' }
+function getAttemptKeys(req, identifier) {
+    return { user: String(identifier).trim().toLowerCase(), ip: req.ip };
+}
+
+// SQL for the milliseconds a key stays locked after its `failures`th failure, or NULL
+// if it isn't locked (`failures` is an SQL expression; the limits are constants, not user input)
+function lockDurationSql(failures, limits) {
+    return `CASE WHEN ${failures} >= ${limits.lockoutAfter} THEN ${AUTH_LOCKOUT_MS}
+                 WHEN ${failures} < ${limits.freeAttempts} THEN NULL
+                 ELSE min(${AUTH_LOCKOUT_MS}, ${AUTH_BACKOFF_BASE_MS} << min(${failures} - ${limits.freeAttempts}, 30)) END`;
+}
+
+// Count an attempt against each key unless one of them is locked. Calls back with the
+// seconds until an attempt may be made (0 if it may go ahead) and, when it may, the
+// attempt to pass to recordAuthFailure if it fails: { keys, failures: { user, ip } }.
+// Successful attempts clear the count with clearAuthFailures.
+function beginAuthAttempt(scope, keys, callback) {
+    const now = Date.now();
+    const userKey = `user:${keys.user}`;
+    const ipKey = `ip:${keys.ip}`;
+
+    // Count against `attemptKey` if it isn't locked and (for the user key) the IP isn't
+    // either; calls back with the new count, or null if the attempt is locked out
+    const countAttempt = (attemptKey, limits, extraCondition, extraParams, done) => {
+        const newFailures = `(CASE WHEN excluded.last_failure_at - last_failure_at < ${AUTH_ATTEMPT_WINDOW_MS}
+                                   THEN failures + 1 ELSE 1 END)`;
+        db.get(`INSERT INTO auth_attempts (scope, attempt_key, failures, last_failure_at, locked_until)
+                SELECT ?, ?, 1, ?, ? + ${lockDurationSql('1', limits)} WHERE ${extraCondition}
+                ON CONFLICT(scope, attempt_key) DO UPDATE SET failures = ${newFailures},
+                    last_failure_at = excluded.last_failure_at,
+                    locked_until = excluded.last_failure_at + ${lockDurationSql(newFailures, limits)}
+                WHERE locked_until IS NULL OR locked_until <= excluded.last_failure_at
+                RETURNING failures`,
+            [scope, attemptKey, now, now, ...extraParams], (err, row) => done(err, row ? row.failures : null));
+    };
+
+    const sendLocked = () => {
+        db.all('SELECT locked_until FROM auth_attempts WHERE scope = ? AND attempt_key IN (?, ?) AND locked_until > ?',
+            [scope, userKey, ipKey, now], (err, rows) => {
+                if (err) return callback(err);
+                const lockedUntil = Math.max(now, ...rows.map(row => row.locked_until));
+                callback(null, Math.max(1, Math.ceil((lockedUntil - now) / 1000)));
+            });
+    };
+
+    const ipUnlocked = 'NOT EXISTS (SELECT 1 FROM auth_attempts WHERE scope = ? AND attempt_key = ? AND locked_until > ?)';
+    countAttempt(userKey, AUTH_RATE_LIMITS.user, ipUnlocked, [scope, ipKey, now], (err, userFailures) => {
+        if (err) return callback(err);
+        if (userFailures === null) return sendLocked();
+
+        countAttempt(ipKey, AUTH_RATE_LIMITS.ip, '1', [], (err, ipFailures) => {
+            if (err) return callback(err);
+            if (ipFailures === null) return sendLocked();
+            callback(null, 0, { keys, failures: { user: userFailures, ip: ipFailures } });
+        });
+    });
+}
+
+// Write a failed attempt (from beginAuthAttempt) to the audit log. Calls back with
+// whether it locked the user key out completely.
+function recordAuthFailure(scope, attempt, userId, callback) {
+    const { keys, failures } = attempt;
+    let lockedOut = false;
+
+    Object.entries(AUTH_RATE_LIMITS).forEach(([type, limits]) => {
+        if (failures[type] === limits.lockoutAfter) {
+            db.run('INSERT INTO auth_audit_log (event, identifier, user_id, ip) VALUES (?, ?, ?, ?)',
+                [`${scope}_lockout`, `${type}:${keys[type]}`, userId, keys.ip]);
+            if (type === 'user') lockedOut = true;
+        }
+    });
+
+    db.run('INSERT INTO auth_audit_log (event, identifier, user_id, ip) VALUES (?, ?, ?, ?)',
+        [`${scope}_failed`, keys.user, userId, keys.ip], (err) => callback(err, lockedOut));
+}
+
+// Forget the failures for a successful attempt's username (the IP's count is
+// cleared too, so a shared address isn't held back by a user who got it right)
+function clearAuthFailures(scope, keys) {
+    db.run('DELETE FROM auth_attempts WHERE scope = ? AND attempt_key IN (?, ?)',
+        [scope, `user:${keys.user}`, `ip:${keys.ip}`]);
+}
+
+function sendRateLimited(res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        error: `Too many failed attempts. Please try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+        retryAfter
+    });
+}
+
 // ==================== AUTHENTICATION ROUTES ====================
 
 // Register new user
@@ -225,17 +738,12 @@ app.post('/api/register', async (req, res) => {
                         return res.status(500).json({ error: 'Failed to create user' });
                     }
 
-                    // Initialize user points
-                    db.run('INSERT INTO user_points (user_id, points) VALUES (?, ?)', 
-                        [this.lastID, 0]);
-
                     // Initialize game settings
                     db.run('INSERT INTO game_settings (user_id) VALUES (?)', 
                         [this.lastID]);
 
                     // Set session
-                    req.session.userId = this.lastID;
-                    req.session.username = username;
+                    startUserSession(req, this.lastID, username);
 
                     res.json({ 
                         success: true, 
@@ -258,32 +766,58 @@ app.post('/api/login', async (req, res) => {
         return res.status(400).json({ error: 'Username and password are required' });
     }
 
-    db.get('SELECT id, username, password_hash FROM users WHERE username = ?', 
-        [username], async (err, user) => {
-            if (err) {
-                return res.status(500).json({ error: 'Database error' });
-            }
-
-            if (!user) {
-                return res.status(401).json({ error: 'Invalid username or password' });
-            }
+    const attemptKeys = getAttemptKeys(req, username);
+    beginAuthAttempt('login', attemptKeys, (err, retryAfter, attempt) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (retryAfter > 0) {
+            return sendRateLimited(res, retryAfter);
+        }
 
-            const isValidPassword = await bcrypt.compare(password, user.password_hash);
-            if (!isValidPassword) {
-                return res.status(401).json({ error: 'Invalid username or password' });
-            }
+        db.get('SELECT id, username, password_hash, totp_enabled FROM users WHERE username = ?', 
+            [username], async (err, user) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Database error' });
+                }
+
+                const isValidPassword = user && await bcrypt.compare(password, user.password_hash);
+                if (!isValidPassword) {
+                    return recordAuthFailure('login', attempt, user ? user.id : null, (err) => {
+                        if (err) {
+                            console.error('Failed to record login attempt:', err.message);
+                        }
+                        res.status(401).json({ error: 'Invalid username or password' });
+                    });
+                }
+
+                clearAuthFailures('login', attemptKeys);
+
+                if (user.totp_enabled) {
+                    // The password is right, but the session isn't logged in until /api/login/2fa
+                    req.session.pendingTwoFactor = {
+                        userId: user.id,
+                        username: user.username,
+                        expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS
+                    };
+                    return res.json({
+                        success: true,
+                        twoFactorRequired: true,
+                        message: 'Enter the code from your authenticator app'
+                    });
+                }
 
-            // Set session
-            req.session.userId = user.id;
-            req.session.username = user.username;
+                // Set session
+                startUserSession(req, user.id, user.username);
 
-            res.json({ 
-                success: true, 
-                message: 'Login successful',
-                userId: user.id,
-                username: user.username
+                res.json({ 
+                    success: true, 
+                    message: 'Login successful',
+                    userId: user.id,
+                    username: user.username
+                });
             });
-        });
+    });
 });
 
 // Logout
@@ -309,243 +843,2609 @@ app.get('/api/auth/status', (req, res) => {
     }
 });
 
-// ==================== USER DATA ROUTES ====================
+// ==================== TWO-FACTOR AUTHENTICATION ROUTES ====================
 
-// Get user info
-app.get('/api/user', requireAuth, (req, res) => {
-    db.get('SELECT id, username, email, email_verified FROM users WHERE id = ?', 
-        [req.session.userId], (err, user) => {
-            if (err) {
-                return res.status(500).json({ error: 'Database error' });
-            }
-            if (!user) {
-                return res.status(404).json({ error: 'User not found' });
-            }
-            res.json(user);
-        });
-});
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000;
 
-// Update user email
-app.put('/api/user/email', requireAuth, (req, res) => {
-    const { email, emailVerified } = req.body;
-    
-    db.run('UPDATE users SET email = ?, email_verified = ? WHERE id = ?',
-        [email || null, emailVerified ? 1 : 0, req.session.userId], (err) => {
-            if (err) {
-                return res.status(500).json({ error: 'Failed to update email' });
-            }
-            res.json({ success: true, message: 'Email updated' });
-        });
-});
+// Check a second factor for a users row (needs id, totp_secret, totp_last_step):
+// either a TOTP `code` or a one-time `recoveryCode`. Calls back with the method
+// that matched ('totp' or 'recovery'), or null. Both are used up on success.
+function verifySecondFactor(user, { code, recoveryCode }, callback) {
+    if (recoveryCode) {
+        return db.run(`UPDATE totp_recovery_codes SET used_at = CURRENT_TIMESTAMP
+                       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+            [user.id, hashRecoveryCode(recoveryCode)], function(err) {
+                if (err) return callback(err);
+                callback(null, this.changes > 0 ? 'recovery' : null);
+            });
+    }
 
-// Delete user account
-app.delete('/api/user', requireAuth, (req, res) => {
-    db.run('DELETE FROM users WHERE id = ?', [req.session.userId], (err) => {
-        if (err) {
-            return res.status(500).json({ error: 'Failed to delete account' });
-        }
-        req.session.destroy();
-        res.json({ success: true, message: 'Account deleted successfully' });
+    const step = user.totp_secret ? verifyTotp(user.totp_secret, code, { afterStep: user.totp_last_step }) : null;
+    if (step === null) {
+        return callback(null, null);
+    }
+    db.run('UPDATE users SET totp_last_step = ? WHERE id = ?', [step, user.id], (err) => {
+        callback(err, err ? null : 'totp');
     });
-});
+}
 
-// ==================== CALENDAR TASKS ROUTES ====================
+// Replace a user's recovery codes; calls back with the new plain-text codes
+function issueRecoveryCodes(userId, callback) {
+    const codes = generateRecoveryCodes();
+    db.serialize(() => {
+        db.run('DELETE FROM totp_recovery_codes WHERE user_id = ?', [userId]);
+        const stmt = db.prepare('INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES (?, ?)');
+        codes.forEach(code => stmt.run(userId, hashRecoveryCode(code)));
+        stmt.finalize((err) => callback(err, codes));
+    });
+}
 
-// Get all tasks for a user
-app.get('/api/calendar/tasks', requireAuth, (req, res) => {
-    db.all('SELECT * FROM calendar_tasks WHERE user_id = ? ORDER BY date_key, time',
-        [req.session.userId], (err, tasks) => {
-            if (err) {
-                return res.status(500).json({ error: 'Database error' });
+// Second login step for accounts with two-factor authentication
+app.post('/api/login/2fa', (req, res) => {
+    const pending = req.session.pendingTwoFactor;
+    const { code, recoveryCode } = req.body;
+
+    if (!pending || pending.expiresAt < Date.now()) {
+        delete req.session.pendingTwoFactor;
+        return res.status(401).json({ error: 'Your login has expired. Please log in again.' });
+    }
+    if (!code && !recoveryCode) {
+        return res.status(400).json({ error: 'Authentication code is required' });
+    }
+
+    const attemptKeys = getAttemptKeys(req, pending.username);
+    beginAuthAttempt('two_factor', attemptKeys, (err, retryAfter, attempt) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (retryAfter > 0) {
+            return sendRateLimited(res, retryAfter);
+        }
+
+        db.get('SELECT id, username, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?',
+            [pending.userId], (err, user) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                if (!user || !user.totp_enabled) {
+                    delete req.session.pendingTwoFactor;
+                    return res.status(401).json({ error: 'Your login has expired. Please log in again.' });
+                }
+
+                verifySecondFactor(user, { code, recoveryCode }, (err, method) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    if (!method) {
+                        return recordAuthFailure('two_factor', attempt, user.id, (err, lockedOut) => {
+                            if (err) {
+                                console.error('Failed to record two-factor attempt:', err.message);
+                            }
+                            if (lockedOut) {
+                                // Start over from the password after a lockout
+                                delete req.session.pendingTwoFactor;
+                            }
+                            res.status(401).json({ error: 'Invalid authentication code' });
+                        });
+                    }
+
+                    clearAuthFailures('two_factor', attemptKeys);
+                    delete req.session.pendingTwoFactor;
+                    startUserSession(req, user.id, user.username);
+
+                    db.get('SELECT COUNT(*) as remaining FROM totp_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+                        [user.id], (err, row) => {
+                            res.json({
+                                success: true,
+                                message: 'Login successful',
+                                userId: user.id,
+                                username: user.username,
+                                usedRecoveryCode: method === 'recovery',
+                                recoveryCodesRemaining: row ? row.remaining : null
+                            });
+                        });
+                });
+            });
+    });
+});
+
+// Two-factor status for the Settings page
+app.get('/api/2fa/status', requireAuth, (req, res) => {
+    db.get(`SELECT u.totp_enabled,
+                (SELECT COUNT(*) FROM totp_recovery_codes r WHERE r.user_id = u.id AND r.used_at IS NULL) as remaining
+            FROM users u WHERE u.id = ?`,
+        [req.session.userId], (err, row) => {
+            if (err || !row) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            res.json({ enabled: !!row.totp_enabled, recoveryCodesRemaining: row.remaining });
+        });
+});
+
+// Start enrollment: store a new secret (not yet enabled) and return it as an otpauth URI and QR code
+app.post('/api/2fa/setup', requireAuth, (req, res) => {
+    db.get('SELECT username, totp_enabled FROM users WHERE id = ?', [req.session.userId], (err, user) => {
+        if (err || !user) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = generateTotpSecret();
+        const otpauthUri = buildOtpauthUri(secret, user.username);
+        db.run('UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?', [secret, req.session.userId], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to start two-factor setup' });
+            }
+            QRCode.toString(otpauthUri, { type: 'svg', margin: 1 }).then((qrSvg) => {
+                res.json({ success: true, secret, otpauthUri, qrSvg });
+            }).catch(() => {
+                // The URI and secret are enough to enroll by hand
+                res.json({ success: true, secret, otpauthUri, qrSvg: null });
+            });
+        });
+    });
+});
+
+// Finish enrollment with a code from the authenticator app; returns the recovery codes (shown once)
+app.post('/api/2fa/enable', requireAuth, (req, res) => {
+    const userId = req.session.userId;
+    db.get('SELECT id, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?', [userId], (err, user) => {
+        if (err || !user) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        if (!user.totp_secret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        verifySecondFactor(user, { code: req.body.code }, (err, method) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (!method) {
+                return res.status(400).json({ error: 'Invalid authentication code. Check the time on your device and try again.' });
+            }
+
+            issueRecoveryCodes(userId, (err, recoveryCodes) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to create recovery codes' });
+                }
+                db.run('UPDATE users SET totp_enabled = 1 WHERE id = ?', [userId], (err) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+                    }
+                    res.json({ success: true, recoveryCodes });
+                });
+            });
+        });
+    });
+});
+
+// Turn two-factor off; needs the password and a current code or recovery code
+app.post('/api/2fa/disable', requireAuth, (req, res) => {
+    const userId = req.session.userId;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+        return res.status(400).json({ error: 'Password and authentication code are required' });
+    }
+
+    const attemptKeys = getAttemptKeys(req, req.session.username);
+    beginAuthAttempt('two_factor', attemptKeys, (err, retryAfter, attempt) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (retryAfter > 0) {
+            return sendRateLimited(res, retryAfter);
+        }
+
+        db.get('SELECT id, password_hash, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?',
+            [userId], async (err, user) => {
+                if (err || !user) {
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                if (!user.totp_enabled) {
+                    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+                }
+
+                const fail = (message) => recordAuthFailure('two_factor', attempt, userId, () => {
+                    res.status(401).json({ error: message });
+                });
+
+                if (!await bcrypt.compare(password, user.password_hash)) {
+                    return fail('Incorrect password');
+                }
+
+                verifySecondFactor(user, { code, recoveryCode }, (err, method) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    if (!method) {
+                        return fail('Invalid authentication code');
+                    }
+
+                    clearAuthFailures('two_factor', attemptKeys);
+                    db.serialize(() => {
+                        db.run('DELETE FROM totp_recovery_codes WHERE user_id = ?', [userId]);
+                        db.run('UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?',
+                            [userId], (err) => {
+                                if (err) {
+                                    return res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+                                }
+                                res.json({ success: true, message: 'Two-factor authentication disabled' });
+                            });
+                    });
+                });
+            });
+    });
+});
+
+// Replace the recovery codes (the old ones stop working); needs a current code
+app.post('/api/2fa/recovery-codes', requireAuth, (req, res) => {
+    const userId = req.session.userId;
+    db.get('SELECT id, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?', [userId], (err, user) => {
+        if (err || !user) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        verifySecondFactor(user, { code: req.body.code }, (err, method) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (!method) {
+                return res.status(400).json({ error: 'Invalid authentication code' });
+            }
+            issueRecoveryCodes(userId, (err, recoveryCodes) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to create recovery codes' });
+                }
+                res.json({ success: true, recoveryCodes });
+            });
+        });
+    });
+});
+
+// ==================== SESSION ROUTES ====================
+
+// Session ids are secrets (they're the cookie value), so clients see a hash of them instead
+function getPublicSessionId(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+}
+
+// The logged-in user's active sessions, most recently used first
+app.get('/api/sessions', requireAuth, (req, res) => {
+    db.all(`SELECT sid, created_at, last_seen_at, expires_at, user_agent, ip FROM sessions
+            WHERE user_id = ? AND expires_at > ? ORDER BY last_seen_at DESC`,
+        [req.session.userId, Date.now()], (err, rows) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to load sessions' });
+            }
+            res.json({
+                sessions: rows.map(row => ({
+                    id: getPublicSessionId(row.sid),
+                    current: row.sid === req.sessionID,
+                    createdAt: new Date(row.created_at).toISOString(),
+                    lastSeenAt: new Date(row.last_seen_at).toISOString(),
+                    expiresAt: new Date(row.expires_at).toISOString(),
+                    userAgent: row.user_agent,
+                    ip: row.ip
+                }))
+            });
+        });
+});
+
+// Sign out one of the user's sessions (revoking the current one is the same as logging out)
+app.delete('/api/sessions/:id', requireAuth, (req, res) => {
+    db.all('SELECT sid FROM sessions WHERE user_id = ?', [req.session.userId], (err, rows) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        const row = rows.find(row => getPublicSessionId(row.sid) === req.params.id);
+        if (!row) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (row.sid === req.sessionID) {
+            return req.session.destroy((err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to sign out session' });
+                }
+                res.json({ success: true, current: true, message: 'Signed out' });
+            });
+        }
+
+        db.run('DELETE FROM sessions WHERE sid = ?', [row.sid], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to sign out session' });
+            }
+            res.json({ success: true, current: false, message: 'Session signed out' });
+        });
+    });
+});
+
+// ==================== API TOKEN ROUTES ====================
+
+// Personal API tokens let scripts call the calendar and game endpoints with
+// `Authorization: Bearer <token>`. Only a hash of each token is stored.
+const API_TOKEN_SCOPES = ['calendar:read', 'calendar:write', 'game:read'];
+const API_TOKEN_PATHS = ['/api/calendar/', '/api/game/'];
+const API_TOKEN_PREFIX = 'rngc_';
+const MAX_API_TOKENS = 20;
+const MAX_API_TOKEN_NAME_LENGTH = 50;
+
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The token from an `Authorization: Bearer` header, or null
+function getBearerToken(req) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+// Stands in for the session middleware on token requests: req.session becomes a plain
+// object with the token's user and scopes, so routes read req.session.userId as usual
+// and nothing is saved. requireAuth rejects these; requireScope checks the scopes.
+function authenticateApiToken(req, res, next) {
+    if (!API_TOKEN_PATHS.some(prefix => req.path.startsWith(prefix))) {
+        return res.status(403).json({ error: 'API tokens can only be used with the calendar and game endpoints' });
+    }
+
+    db.get(`SELECT t.id, t.user_id, t.scopes, u.username FROM api_tokens t
+            JOIN users u ON u.id = t.user_id WHERE t.token_hash = ?`,
+        [hashApiToken(getBearerToken(req))], (err, token) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (!token) {
+                res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+                return res.status(401).json({ error: 'Invalid or revoked API token' });
+            }
+
+            db.run('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [Date.now(), token.id]);
+            req.session = {
+                userId: token.user_id,
+                username: token.username,
+                apiToken: { id: token.id, scopes: token.scopes.split(' ') }
+            };
+            next();
+        });
+}
+
+// Like requireAuth, but also accepts API tokens that were granted `scope`
+function requireScope(scope) {
+    return (req, res, next) => {
+        const apiToken = req.session && req.session.apiToken;
+        if (!apiToken) {
+            return requireAuth(req, res, next);
+        }
+        if (!apiToken.scopes.includes(scope)) {
+            return res.status(403).json({ error: `This API token doesn't have the ${scope} scope` });
+        }
+        next();
+    };
+}
+
+function formatApiToken(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.token_prefix,
+        scopes: row.scopes.split(' '),
+        createdAt: new Date(row.created_at).toISOString(),
+        lastUsedAt: row.last_used_at ? new Date(row.last_used_at).toISOString() : null
+    };
+}
+
+// List the user's API tokens (never the tokens themselves)
+app.get('/api/tokens', requireAuth, (req, res) => {
+    db.all('SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC',
+        [req.session.userId], (err, rows) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to load API tokens' });
+            }
+            res.json({ tokens: rows.map(formatApiToken), scopes: API_TOKEN_SCOPES });
+        });
+});
+
+// Create a token ({ name, scopes }); the token is only returned this once
+app.post('/api/tokens', requireAuth, (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const scopes = Array.isArray(req.body.scopes) ? [...new Set(req.body.scopes)] : [];
+
+    if (!name || name.length > MAX_API_TOKEN_NAME_LENGTH) {
+        return res.status(400).json({ error: `Token name must be 1-${MAX_API_TOKEN_NAME_LENGTH} characters` });
+    }
+    if (!scopes.length || scopes.some(scope => !API_TOKEN_SCOPES.includes(scope))) {
+        return res.status(400).json({ error: `Scopes must be one or more of ${API_TOKEN_SCOPES.join(', ')}` });
+    }
+
+    db.get('SELECT COUNT(*) as count FROM api_tokens WHERE user_id = ?', [req.session.userId], (err, row) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (row.count >= MAX_API_TOKENS) {
+            return res.status(400).json({ error: `You can have at most ${MAX_API_TOKENS} API tokens. Revoke one first.` });
+        }
+
+        const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const created = {
+            user_id: req.session.userId,
+            name,
+            token_prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+            scopes: API_TOKEN_SCOPES.filter(scope => scopes.includes(scope)).join(' '),
+            created_at: Date.now(),
+            last_used_at: null
+        };
+
+        db.run(`INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, created_at)
+                VALUES (?, ?, ?, ?, ?, ?)`,
+            [created.user_id, name, hashApiToken(token), created.token_prefix, created.scopes, created.created_at],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to create API token' });
+                }
+                res.json({ success: true, token, apiToken: formatApiToken({ ...created, id: this.lastID }) });
+            });
+    });
+});
+
+// Revoke a token
+app.delete('/api/tokens/:id', requireAuth, (req, res) => {
+    db.run('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [req.params.id, req.session.userId], function(err) {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to revoke API token' });
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+        res.json({ success: true, message: 'API token revoked' });
+    });
+});
+
+// ==================== USER DATA ROUTES ====================
+
+// Get user info
+app.get('/api/user', requireAuth, (req, res) => {
+    db.get('SELECT id, username, email, email_verified, priority_points FROM users WHERE id = ?', 
+        [req.session.userId], (err, user) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            res.json(user);
+        });
+});
+
+// Update user email
+app.put('/api/user/email', requireAuth, (req, res) => {
+    // Verification is only granted by /api/email/verify; changing the address here clears it
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    if (email && !isValidEmail(email)) {
+        return res.status(400).json({ error: 'A valid email address is required' });
+    }
+
+    db.run(`UPDATE users SET email = ?,
+                email_verified = CASE WHEN email IS ? THEN email_verified ELSE 0 END
+            WHERE id = ?`,
+        [email || null, email || null, req.session.userId], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to update email' });
+            }
+            db.run('DELETE FROM email_verification_codes WHERE user_id = ? AND email IS NOT ?', [req.session.userId, email || null]);
+            res.json({ success: true, message: 'Email updated' });
+        });
+});
+
+// Update account preferences: { priorityPoints } - whether task points scale with priority
+app.put('/api/user/preferences', requireAuth, (req, res) => {
+    const { priorityPoints } = req.body;
+    if (typeof priorityPoints !== 'boolean') {
+        return res.status(400).json({ error: 'priorityPoints must be true or false' });
+    }
+
+    db.run('UPDATE users SET priority_points = ? WHERE id = ?',
+        [priorityPoints ? 1 : 0, req.session.userId], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to update preferences' });
+            }
+            res.json({ success: true, priorityPoints });
+        });
+});
+
+// Delete user account
+app.delete('/api/user', requireAuth, (req, res) => {
+    db.run('DELETE FROM users WHERE id = ?', [req.session.userId], (err) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to delete account' });
+        }
+        db.run('DELETE FROM sessions WHERE user_id = ? AND sid != ?', [req.session.userId, req.sessionID]);
+        db.run('DELETE FROM api_tokens WHERE user_id = ?', [req.session.userId]);
+        db.run('DELETE FROM idempotency_keys WHERE user_id = ?', [req.session.userId]);
+        db.run('DELETE FROM game_data_quarantine WHERE user_id = ?', [req.session.userId]);
+        db.run('DELETE FROM game_data_snapshots WHERE user_id = ?', [req.session.userId]);
+        req.session.destroy();
+        res.json({ success: true, message: 'Account deleted successfully' });
+    });
+});
+
+// ==================== CALENDAR TASKS ROUTES ====================
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_TASK_RANGE_DAYS = 400;
+const MAX_TASK_DESCRIPTION_LENGTH = 500;
+const MAX_TASK_NOTES_LENGTH = 2000;
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+const MAX_TASK_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/;
+
+// Tags are stored lowercased and comma-separated, so they can't contain commas
+function normalizeTag(tag) {
+    const normalized = typeof tag === 'string' ? tag.trim().replace(/\s+/g, ' ').toLowerCase() : '';
+    if (!normalized || normalized.length > MAX_TAG_LENGTH || normalized.includes(',')) {
+        return null;
+    }
+    return normalized;
+}
+
+function formatDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function parseDateKey(dateKey) {
+    if (typeof dateKey !== 'string' || !DATE_KEY_PATTERN.test(dateKey)) {
+        return null;
+    }
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return formatDateKey(date) === dateKey ? date : null;
+}
+
+// SQLite CURRENT_TIMESTAMP values ("YYYY-MM-DD HH:MM:SS") are in UTC
+function parseSqlTimestamp(value) {
+    return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+// Whether a task at dateKey and time would already have started (times are server-local)
+function isPastTaskTime(dateKey, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = parseDateKey(dateKey);
+    date.setHours(hours, minutes, 0, 0);
+    return date <= new Date();
+}
+
+// Validate the task fields present in a request body
+// ({ description, time, dateKey, notes, priority, tags, completed }).
+// Returns { changes } keyed by column with normalized values, or { error }.
+function validateTaskChanges(body) {
+    const changes = {};
+
+    if (body.description !== undefined) {
+        const description = typeof body.description === 'string' ? body.description.trim() : '';
+        if (!description) {
+            return { error: 'Description is required' };
+        }
+        if (description.length > MAX_TASK_DESCRIPTION_LENGTH) {
+            return { error: `Description must be at most ${MAX_TASK_DESCRIPTION_LENGTH} characters` };
+        }
+        changes.description = description;
+    }
+    if (body.time !== undefined) {
+        if (typeof body.time !== 'string' || !TIME_PATTERN.test(body.time)) {
+            return { error: 'Invalid time' };
+        }
+        changes.time = body.time;
+    }
+    if (body.dateKey !== undefined) {
+        if (!parseDateKey(body.dateKey)) {
+            return { error: 'Invalid date' };
+        }
+        changes.date_key = body.dateKey;
+    }
+    if (body.notes !== undefined) {
+        if (body.notes !== null && typeof body.notes !== 'string') {
+            return { error: 'Notes must be text' };
+        }
+        const notes = (body.notes || '').trim();
+        if (notes.length > MAX_TASK_NOTES_LENGTH) {
+            return { error: `Notes must be at most ${MAX_TASK_NOTES_LENGTH} characters` };
+        }
+        changes.notes = notes || null;
+    }
+    if (body.priority !== undefined) {
+        if (!TASK_PRIORITIES.includes(body.priority)) {
+            return { error: `Priority must be one of ${TASK_PRIORITIES.join(', ')}` };
+        }
+        changes.priority = body.priority;
+    }
+    if (body.tags !== undefined) {
+        if (body.tags !== null && !Array.isArray(body.tags)) {
+            return { error: 'Tags must be a list' };
+        }
+        const tags = [];
+        for (const tag of body.tags || []) {
+            const normalized = normalizeTag(tag);
+            if (!normalized) {
+                return { error: `Tags must be 1-${MAX_TAG_LENGTH} characters without commas` };
+            }
+            if (!tags.includes(normalized)) {
+                tags.push(normalized);
+            }
+        }
+        if (tags.length > MAX_TASK_TAGS) {
+            return { error: `A task can have at most ${MAX_TASK_TAGS} tags` };
+        }
+        changes.tags = tags.length ? tags.join(',') : null;
+    }
+    if (body.completed !== undefined) {
+        changes.completed = body.completed ? 1 : 0;
+    }
+
+    return { changes };
+}
+
+// Changes replayed from a client's offline outbox carry changedAt: when the change was made,
+// in milliseconds on the server's clock. Returns null when it wasn't sent and undefined when
+// it's invalid. Times in the future are clamped to now, so one device can't make every other
+// device's changes look stale until then.
+function parseChangedAt(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const changedAt = Number(value);
+    return Number.isFinite(changedAt) && changedAt >= 0 ? Math.min(changedAt, Date.now()) : undefined;
+}
+
+// A replayed change loses to anything saved after it was made (last writer wins). Rows it
+// changes are stamped with changedAt, so later changes queued on the same device still apply.
+function isStaleChange(changedAt, row) {
+    return changedAt !== null && !!row && row.updated_at > changedAt;
+}
+
+// List a user's tasks between two date keys (inclusive), expanding recurring series
+// into one entry per occurrence with that occurrence's skip/move/completion applied
+function getTasksInRange(userId, from, to, callback) {
+    db.all(`SELECT * FROM calendar_tasks WHERE user_id = ?
+            AND ((recurrence_rule IS NULL AND date_key BETWEEN ? AND ?) OR recurrence_rule IS NOT NULL)`,
+        [userId, from, to], (err, rows) => {
+            if (err) {
+                return callback(err);
+            }
+            db.all(`SELECT e.* FROM calendar_task_exceptions e
+                    JOIN calendar_tasks t ON e.task_id = t.id WHERE t.user_id = ?`,
+                [userId], (err, exceptionRows) => {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    const exceptions = {};
+                    exceptionRows.forEach(exception => {
+                        exceptions[`${exception.task_id}@${exception.occurrence_date}`] = exception;
+                    });
+
+                    const tasks = [];
+                    rows.forEach(task => {
+                        if (!task.recurrence_rule) {
+                            tasks.push(task);
+                            return;
+                        }
+
+                        let dates;
+                        try {
+                            dates = expandRecurrence(task.date_key, task.recurrence_rule, from, to);
+                        } catch (error) {
+                            console.error(`Skipping task ${task.id} with invalid recurrence rule:`, error.message);
+                            return;
+                        }
+
+                        // Occurrences from outside the range that were moved into it
+                        exceptionRows.forEach(exception => {
+                            if (exception.task_id === task.id && exception.new_date_key &&
+                                !dates.includes(exception.occurrence_date)) {
+                                dates.push(exception.occurrence_date);
+                            }
+                        });
+
+                        dates.forEach(occurrenceDate => {
+                            const exception = exceptions[`${task.id}@${occurrenceDate}`];
+                            if (exception && exception.skipped) {
+                                return;
+                            }
+                            const dateKey = (exception && exception.new_date_key) || occurrenceDate;
+                            if (dateKey < from || dateKey > to) {
+                                return;
+                            }
+                            tasks.push({
+                                ...task,
+                                date_key: dateKey,
+                                time: (exception && exception.new_time) || task.time,
+                                completed: exception ? exception.completed : 0,
+                                series_id: task.id,
+                                occurrence_date: occurrenceDate
+                            });
+                        });
+                    });
+
+                    tasks.sort((a, b) => a.date_key.localeCompare(b.date_key) || a.time.localeCompare(b.time));
+                    callback(null, tasks);
+                });
+        });
+}
+
+// Get tasks for a user. With ?from=YYYY-MM-DD&to=YYYY-MM-DD recurring tasks are
+// expanded into occurrences; without a range the stored rows are returned as-is.
+app.get('/api/calendar/tasks', requireScope('calendar:read'), (req, res) => {
+    const { from, to } = req.query;
+
+    if (from || to) {
+        const fromDate = parseDateKey(from);
+        const toDate = parseDateKey(to);
+        if (!fromDate || !toDate || fromDate > toDate) {
+            return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) with from before to' });
+        }
+        if ((toDate - fromDate) / (24 * 60 * 60 * 1000) > MAX_TASK_RANGE_DAYS) {
+            return res.status(400).json({ error: `Date range cannot be longer than ${MAX_TASK_RANGE_DAYS} days` });
+        }
+
+        return getTasksInRange(req.session.userId, from, to, (err, tasks) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
             }
             res.json(tasks);
         });
+    }
+
+    db.all('SELECT * FROM calendar_tasks WHERE user_id = ? ORDER BY date_key, time',
+        [req.session.userId], (err, tasks) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            res.json(tasks);
+        });
+});
+
+// Add a task (optionally recurring, with an RRULE such as "FREQ=WEEKLY;BYDAY=MO;COUNT=10")
+app.post('/api/calendar/tasks', requireScope('calendar:write'), (req, res) => {
+    const { dateKey, description, time, notes, priority, tags, recurrence } = req.body;
+
+    if (!dateKey || !description || !time) {
+        return res.status(400).json({ error: 'Date, description, and time are required' });
+    }
+
+    const { changes, error } = validateTaskChanges({ dateKey, description, time, notes, priority: priority || 'medium', tags });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (isPastTaskTime(changes.date_key, changes.time)) {
+        return res.status(400).json({ error: 'Tasks cannot be added to a past date or time' });
+    }
+
+    let recurrenceRule = null;
+    if (recurrence) {
+        try {
+            recurrenceRule = normalizeRecurrenceRule(recurrence);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+    }
+
+    db.run(`INSERT INTO calendar_tasks (user_id, date_key, description, time, notes, priority, tags, recurrence_rule, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [req.session.userId, changes.date_key, changes.description, changes.time, changes.notes || null,
+            changes.priority, changes.tags || null, recurrenceRule, Date.now()], function(err) {
+            if (err && err.code === 'SQLITE_CONSTRAINT') {
+                return res.status(409).json({ error: 'This task already exists' });
+            }
+            if (err) {
+                return res.status(500).json({ error: 'Failed to add task' });
+            }
+            res.json({ success: true, taskId: this.lastID, recurrence: recurrenceRule });
+        });
+});
+
+// Update a task: { description?, time?, dateKey?, notes?, priority?, tags?, completed?, changedAt? }. A one-off
+// task can't be moved or rescheduled into the past. For recurring tasks the description, time and notes apply
+// to the whole series, while completing or moving is done per occurrence.
+// Returns the updated calendar_tasks row, or 409 with `conflict` and the current row when the task
+// was changed after changedAt.
+app.put('/api/calendar/tasks/:id', requireScope('calendar:write'), (req, res) => {
+    const taskId = req.params.id;
+
+    const { changes, error } = validateTaskChanges(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+    const changedAt = parseChangedAt(req.body.changedAt);
+    if (changedAt === undefined) {
+        return res.status(400).json({ error: 'changedAt must be a time in milliseconds' });
+    }
+
+    db.get('SELECT * FROM calendar_tasks WHERE id = ? AND user_id = ?',
+        [taskId, req.session.userId], (err, task) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (!task) {
+                return res.status(404).json({ error: 'Task not found' });
+            }
+            if (isStaleChange(changedAt, task)) {
+                return res.status(409).json({ error: 'This task was changed somewhere else', conflict: true, task });
+            }
+            if (task.recurrence_rule && changes.completed !== undefined) {
+                return res.status(400).json({ error: 'Recurring tasks are completed one occurrence at a time' });
+            }
+            if (task.recurrence_rule && changes.date_key !== undefined && changes.date_key !== task.date_key) {
+                return res.status(400).json({ error: 'Recurring tasks are moved one occurrence at a time' });
+            }
+
+            const rescheduled = (changes.date_key !== undefined && changes.date_key !== task.date_key) ||
+                (changes.time !== undefined && changes.time !== task.time);
+            if (!task.recurrence_rule && rescheduled &&
+                isPastTaskTime(changes.date_key || task.date_key, changes.time || task.time)) {
+                return res.status(400).json({ error: 'Tasks cannot be moved to a past date or time' });
+            }
+
+            const columns = [...Object.keys(changes), 'updated_at'];
+            const values = { ...changes, updated_at: changedAt !== null ? changedAt : Date.now() };
+            db.run(`UPDATE calendar_tasks SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ? AND user_id = ?`,
+                [...columns.map(column => values[column]), taskId, req.session.userId], (err) => {
+                    if (err && err.code === 'SQLITE_CONSTRAINT') {
+                        return res.status(409).json({ error: 'A task with this description and time already exists on that day' });
+                    }
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to update task' });
+                    }
+                    db.get('SELECT * FROM calendar_tasks WHERE id = ?', [taskId], (err, updated) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Database error' });
+                        }
+                        res.json({ success: true, task: updated });
+                    });
+                });
+        });
+});
+
+// Update one occurrence of a recurring task: complete it, skip it, or move it
+// to another date/time. Body: { completed?, skipped?, dateKey?, time?, changedAt? }
+app.put('/api/calendar/tasks/:id/occurrences/:date', requireScope('calendar:write'), (req, res) => {
+    const taskId = req.params.id;
+    const occurrenceDate = req.params.date;
+    const { completed, skipped, dateKey, time } = req.body;
+    const changedAt = parseChangedAt(req.body.changedAt);
+
+    if (changedAt === undefined) {
+        return res.status(400).json({ error: 'changedAt must be a time in milliseconds' });
+    }
+
+    if (dateKey !== undefined && dateKey !== null && !parseDateKey(dateKey)) {
+        return res.status(400).json({ error: 'Invalid date' });
+    }
+    if (time !== undefined && time !== null && !TIME_PATTERN.test(time)) {
+        return res.status(400).json({ error: 'Invalid time' });
+    }
+
+    db.get('SELECT * FROM calendar_tasks WHERE id = ? AND user_id = ?',
+        [taskId, req.session.userId], (err, task) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (!task || !task.recurrence_rule || !parseDateKey(occurrenceDate) ||
+                !isRecurrenceDate(task.date_key, task.recurrence_rule, occurrenceDate)) {
+                return res.status(404).json({ error: 'Occurrence not found' });
+            }
+
+            db.get('SELECT * FROM calendar_task_exceptions WHERE task_id = ? AND occurrence_date = ?',
+                [task.id, occurrenceDate], (err, existing) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    if (isStaleChange(changedAt, existing)) {
+                        return res.status(409).json({ error: 'This occurrence was changed somewhere else', conflict: true, task });
+                    }
+
+                    const exception = {
+                        skipped: existing ? existing.skipped : 0,
+                        new_date_key: existing ? existing.new_date_key : null,
+                        new_time: existing ? existing.new_time : null,
+                        completed: existing ? existing.completed : 0
+                    };
+                    if (completed !== undefined) exception.completed = completed ? 1 : 0;
+                    if (skipped !== undefined) exception.skipped = skipped ? 1 : 0;
+                    if (dateKey !== undefined) exception.new_date_key = dateKey === occurrenceDate ? null : dateKey;
+                    if (time !== undefined) exception.new_time = time === task.time ? null : time;
+
+                    // Like one-off tasks, an occurrence can't be moved to a date and time that has passed
+                    const movedTo = {
+                        dateKey: exception.new_date_key || occurrenceDate,
+                        time: exception.new_time || task.time
+                    };
+                    const movedFrom = {
+                        dateKey: (existing && existing.new_date_key) || occurrenceDate,
+                        time: (existing && existing.new_time) || task.time
+                    };
+                    if ((movedTo.dateKey !== movedFrom.dateKey || movedTo.time !== movedFrom.time) &&
+                        isPastTaskTime(movedTo.dateKey, movedTo.time)) {
+                        return res.status(400).json({ error: 'Tasks cannot be moved to a past date or time' });
+                    }
+
+                    db.run(`INSERT OR REPLACE INTO calendar_task_exceptions
+                            (task_id, occurrence_date, skipped, new_date_key, new_time, completed, updated_at)
+                            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                        [task.id, occurrenceDate, exception.skipped, exception.new_date_key, exception.new_time,
+                            exception.completed, changedAt !== null ? changedAt : Date.now()], (err) => {
+                            if (err) {
+                                return res.status(500).json({ error: 'Failed to update occurrence' });
+                            }
+                            res.json({
+                                success: true,
+                                occurrence: {
+                                    ...task,
+                                    date_key: exception.new_date_key || occurrenceDate,
+                                    time: exception.new_time || task.time,
+                                    completed: exception.completed,
+                                    skipped: exception.skipped,
+                                    series_id: task.id,
+                                    occurrence_date: occurrenceDate
+                                }
+                            });
+                        });
+                });
+        });
+});
+
+// Delete a task (for recurring tasks this deletes the whole series). With ?changedAt= the
+// task is kept, and 409 returned with `conflict`, if it was changed after that time.
+app.delete('/api/calendar/tasks/:id', requireScope('calendar:write'), (req, res) => {
+    const taskId = req.params.id;
+    const changedAt = parseChangedAt(req.query.changedAt);
+
+    if (changedAt === undefined) {
+        return res.status(400).json({ error: 'changedAt must be a time in milliseconds' });
+    }
+
+    db.get('SELECT * FROM calendar_tasks WHERE id = ? AND user_id = ?',
+        [taskId, req.session.userId], (err, task) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (isStaleChange(changedAt, task)) {
+                return res.status(409).json({ error: 'This task was changed somewhere else', conflict: true, task });
+            }
+
+            db.run('DELETE FROM calendar_tasks WHERE id = ? AND user_id = ?',
+                [taskId, req.session.userId], function(err) {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to delete task' });
+                    }
+                    if (this.changes > 0) {
+                        db.run('DELETE FROM calendar_task_exceptions WHERE task_id = ?', [taskId]);
+                    }
+                    res.json({ success: true });
+                });
+        });
+});
+
+// List the tags used on the user's tasks and any tags with a colour: [{ tag, color, taskCount }]
+app.get('/api/calendar/tags', requireScope('calendar:read'), (req, res) => {
+    db.all('SELECT tags FROM calendar_tasks WHERE user_id = ? AND tags IS NOT NULL',
+        [req.session.userId], (err, rows) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            db.all('SELECT tag, color FROM task_tag_colors WHERE user_id = ?',
+                [req.session.userId], (err, colorRows) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+
+                    const tags = {};
+                    colorRows.forEach(row => {
+                        tags[row.tag] = { tag: row.tag, color: row.color, taskCount: 0 };
+                    });
+                    rows.forEach(row => {
+                        row.tags.split(',').forEach(tag => {
+                            if (!tags[tag]) {
+                                tags[tag] = { tag, color: null, taskCount: 0 };
+                            }
+                            tags[tag].taskCount++;
+                        });
+                    });
+                    res.json(Object.values(tags).sort((a, b) => a.tag.localeCompare(b.tag)));
+                });
+        });
+});
+
+// Set a tag's colour ({ color: "#rrggbb" }), or remove it with { color: null }
+app.put('/api/calendar/tags/:tag', requireScope('calendar:write'), (req, res) => {
+    const tag = normalizeTag(req.params.tag);
+    const color = typeof req.body.color === 'string' ? req.body.color.toLowerCase() : req.body.color;
+
+    if (!tag) {
+        return res.status(400).json({ error: 'Invalid tag' });
+    }
+    if (color !== null && !TAG_COLOR_PATTERN.test(color || '')) {
+        return res.status(400).json({ error: 'Color must be a hex colour such as #3b82f6, or null' });
+    }
+
+    const done = (err) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to update tag colour' });
+        }
+        res.json({ success: true, tag, color });
+    };
+    if (color === null) {
+        db.run('DELETE FROM task_tag_colors WHERE user_id = ? AND tag = ?', [req.session.userId, tag], done);
+    } else {
+        db.run(`INSERT INTO task_tag_colors (user_id, tag, color) VALUES (?, ?, ?)
+                ON CONFLICT(user_id, tag) DO UPDATE SET color = excluded.color`,
+            [req.session.userId, tag, color], done);
+    }
+});
+
+// ==================== CALENDAR IMPORT/EXPORT ROUTES ====================
+
+const MAX_IMPORT_ENTRIES = 1000;
+
+// Export all of the user's tasks as an iCalendar file
+app.get('/api/calendar/export.ics', requireScope('calendar:read'), (req, res) => {
+    db.all('SELECT * FROM calendar_tasks WHERE user_id = ? ORDER BY date_key, time',
+        [req.session.userId], (err, tasks) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            db.all(`SELECT e.* FROM calendar_task_exceptions e
+                    JOIN calendar_tasks t ON e.task_id = t.id
+                    WHERE t.user_id = ? ORDER BY e.occurrence_date`,
+                [req.session.userId], (err, exceptions) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    res.set('Content-Type', 'text/calendar; charset=utf-8');
+                    res.set('Content-Disposition', 'attachment; filename="calendar.ics"');
+                    res.send(buildICalendar(tasks, exceptions));
+                });
+        });
+});
+
+// Import tasks from an .ics upload (sent as text/calendar, or JSON { ics })
+// Entries that already exist are reported as skipped; unreadable ones, and ones a new task couldn't
+// be created with (e.g. in the past), as invalid. Entries marked completed are imported as not done,
+// since points are only awarded for tasks completed here. The whole import is one transaction.
+app.post('/api/calendar/import', requireScope('calendar:write'),
+    bodyParser.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), (req, res) => {
+    const text = typeof req.body === 'string' ? req.body : req.body && req.body.ics;
+
+    if (!text || typeof text !== 'string') {
+        return res.status(400).json({ error: 'An .ics file is required' });
+    }
+
+    let parsed;
+    try {
+        parsed = parseICalendar(text);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    if (parsed.entries.length > MAX_IMPORT_ENTRIES) {
+        return res.status(400).json({ error: `Cannot import more than ${MAX_IMPORT_ENTRIES} entries at once` });
+    }
+
+    const userId = req.session.userId;
+    const report = { success: true, imported: 0, skipped: [], invalid: parsed.invalid };
+    const skip = (entry, reason) => report.skipped.push({ summary: entry.summary, date: entry.dateKey, reason });
+    const reject = (entry, reason) => report.invalid.push({ summary: entry.summary, reason });
+
+    // Import series and one-off tasks first so occurrence overrides can find their series
+    const entries = parsed.entries.filter(entry => !entry.recurrenceId)
+        .concat(parsed.entries.filter(entry => entry.recurrenceId));
+    const importedSeries = {};
+
+    const importOccurrence = (connection, entry, done) => {
+        const series = importedSeries[entry.uid];
+        if (!series) {
+            skip(entry, 'Occurrence of a series that was not imported');
+            return done();
+        }
+        if (!isRecurrenceDate(series.date_key, series.recurrence_rule, entry.recurrenceId)) {
+            reject(entry, 'RECURRENCE-ID is not an occurrence of its series');
+            return done();
+        }
+
+        const newDateKey = entry.dateKey === entry.recurrenceId ? null : entry.dateKey;
+        const newTime = entry.time === series.time ? null : entry.time;
+        if (!newDateKey && !newTime) {
+            skip(entry, 'Occurrence is not moved');
+            return done();
+        }
+        if (isPastTaskTime(entry.dateKey, entry.time)) {
+            reject(entry, 'Tasks cannot be moved to a past date or time');
+            return done();
+        }
+
+        connection.run(`INSERT OR REPLACE INTO calendar_task_exceptions
+                (task_id, occurrence_date, skipped, new_date_key, new_time, completed, updated_at)
+                VALUES (?, ?, 0, ?, ?, 0, ?)`,
+            [series.id, entry.recurrenceId, newDateKey, newTime, Date.now()], (err) => {
+                if (err) return done(err);
+                report.imported += 1;
+                done();
+            });
+    };
+
+    const importEntry = (connection, entry, done) => {
+        if (entry.recurrenceId) {
+            return importOccurrence(connection, entry, done);
+        }
+
+        // The same checks as adding a task
+        const { changes, error } = validateTaskChanges({
+            dateKey: entry.dateKey, description: entry.summary, time: entry.time, priority: 'medium'
+        });
+        if (error) {
+            reject(entry, error);
+            return done();
+        }
+        if (isPastTaskTime(changes.date_key, changes.time)) {
+            reject(entry, 'Tasks cannot be added to a past date or time');
+            return done();
+        }
+
+        connection.run(`INSERT INTO calendar_tasks (user_id, date_key, description, time, priority, recurrence_rule, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, changes.date_key, changes.description, changes.time, changes.priority, entry.recurrence, Date.now()], function(err) {
+                if (err && err.code === 'SQLITE_CONSTRAINT') {
+                    skip(entry, 'Task already exists');
+                    return done();
+                }
+                if (err) return done(err);
+
+                report.imported += 1;
+                if (!entry.recurrence) return done();
+
+                const taskId = this.lastID;
+                if (entry.uid) {
+                    importedSeries[entry.uid] = { id: taskId, date_key: changes.date_key, time: changes.time, recurrence_rule: entry.recurrence };
+                }
+
+                const exdates = entry.exdates.filter(date => isRecurrenceDate(changes.date_key, entry.recurrence, date));
+                if (exdates.length === 0) return done();
+
+                const updatedAt = Date.now();
+                const placeholders = exdates.map(() => '(?, ?, 1, ?)').join(', ');
+                const params = [].concat(...exdates.map(date => [taskId, date, updatedAt]));
+                connection.run(`INSERT OR IGNORE INTO calendar_task_exceptions (task_id, occurrence_date, skipped, updated_at)
+                        VALUES ${placeholders}`, params, done);
+            });
+    };
+
+    runInTransaction((connection, done) => {
+        const next = (index) => {
+            if (index >= entries.length) {
+                return done();
+            }
+            importEntry(connection, entries[index], (err) => {
+                if (err) return done(err);
+                next(index + 1);
+            });
+        };
+        next(0);
+    }, (err) => {
+        if (err) {
+            console.error('Error importing calendar:', err.message);
+            return res.status(500).json({ error: 'Failed to import calendar. Nothing was imported.' });
+        }
+        res.json(report);
+    });
+});
+
+// ==================== POINTS ROUTES ====================
+
+// Points granted for each kind of award
+const POINT_AWARDS = {
+    task: { reason: 'task_completion', amount: 1 },
+    day: { reason: 'day_completion', amount: 5 },
+    week: { reason: 'week_completion', amount: 25 }
+};
+
+// Task completion points are multiplied by these when the user has turned on priority points
+const PRIORITY_POINT_MULTIPLIERS = { low: 1, medium: 2, high: 3 };
+
+// Shop upgrades that can be bought with points (cost is for going from `level` to `level + 1`)
+const SHOP_UPGRADES = {
+    luck_multiplier: {
+        cost: (level) => 5 + (level - 1) * 10
+    },
+    spawn_interval: {
+        cost: (level) => 10 * Math.pow(2, level - 1),
+        maxLevel: 8 // 5.0s at level 1, minus 0.5s per level, minimum 1.5s
+    }
+};
+
+// Build the points summary cached by the client: balance, awarded references and shop levels
+function getPointsSummary(userId, callback) {
+    db.all('SELECT amount, reason, reference_id FROM points_ledger WHERE user_id = ?',
+        [userId], (err, entries) => {
+            if (err) {
+                return callback(err);
+            }
+            db.all('SELECT purchase_type, MAX(level) AS level FROM shop_purchases WHERE user_id = ? GROUP BY purchase_type',
+                [userId], (err, purchases) => {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    const summary = {
+                        points: 0,
+                        completedTasks: [],
+                        completedDays: [],
+                        completedWeeks: [],
+                        shop_luck_multiplier_level: 1,
+                        spawn_interval_level: 1
+                    };
+
+                    entries.forEach(entry => {
+                        summary.points += entry.amount;
+                        if (entry.reason === POINT_AWARDS.task.reason) {
+                            summary.completedTasks.push(entry.reference_id);
+                        } else if (entry.reason === POINT_AWARDS.day.reason) {
+                            summary.completedDays.push(entry.reference_id);
+                        } else if (entry.reason === POINT_AWARDS.week.reason) {
+                            summary.completedWeeks.push(entry.reference_id);
+                        }
+                    });
+
+                    purchases.forEach(purchase => {
+                        if (purchase.purchase_type === 'luck_multiplier') {
+                            summary.shop_luck_multiplier_level = purchase.level;
+                        } else if (purchase.purchase_type === 'spawn_interval') {
+                            summary.spawn_interval_level = purchase.level;
+                        }
+                    });
+
+                    callback(null, summary);
+                });
+        });
+}
+
+// Check that the thing being awarded has actually been earned.
+// Calls back with an error message when it has not, and for tasks with the task's priority.
+function validateAward(userId, type, referenceId, callback) {
+    if (type === 'task') {
+        // Occurrences of recurring tasks are referenced as "<task id>@<occurrence date>"
+        const [taskId, occurrenceDate] = referenceId.split('@');
+        const query = occurrenceDate
+            ? `SELECT e.completed, t.priority FROM calendar_task_exceptions e JOIN calendar_tasks t ON e.task_id = t.id
+               WHERE t.id = ? AND t.user_id = ? AND e.occurrence_date = ? AND e.skipped = 0`
+            : 'SELECT completed, priority FROM calendar_tasks WHERE id = ? AND user_id = ? AND recurrence_rule IS NULL';
+        const params = occurrenceDate ? [taskId, userId, occurrenceDate] : [taskId, userId];
+
+        db.get(query, params, (err, task) => {
+            if (err) return callback(err);
+            if (!task) return callback(null, 'Task not found');
+            if (!task.completed) return callback(null, 'Task is not completed');
+            callback(null, null, task.priority);
+        });
+        return;
+    }
+
+    const startDate = parseDateKey(referenceId);
+    if (!startDate) {
+        return callback(null, 'Invalid date');
+    }
+
+    let endDate = startDate;
+    if (type === 'week') {
+        if (startDate.getDay() !== 1) {
+            return callback(null, 'Week must start on a Monday');
+        }
+        endDate = new Date(startDate);
+        endDate.setDate(startDate.getDate() + 6);
+    }
+    const periodEnd = new Date(endDate);
+    periodEnd.setDate(endDate.getDate() + 1);
+
+    getTasksInRange(userId, referenceId, formatDateKey(endDate), (err, tasks) => {
+        if (err) return callback(err);
+        // Tasks added after the day or week was over don't count towards it
+        tasks = tasks.filter(task => task.created_at && parseSqlTimestamp(task.created_at) < periodEnd);
+        if (tasks.length === 0) return callback(null, `No tasks for this ${type}`);
+        if (tasks.some(task => !task.completed)) return callback(null, `Not all tasks for this ${type} are completed`);
+        callback(null, null);
+    });
+}
+
+// Get user points
+app.get('/api/points', requireAuth, (req, res) => {
+    getPointsSummary(req.session.userId, (err, summary) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json(summary);
+    });
+});
+
+// Get points ledger history
+app.get('/api/points/ledger', requireAuth, (req, res) => {
+    db.all('SELECT id, amount, reason, reference_id, created_at FROM points_ledger WHERE user_id = ? ORDER BY id DESC',
+        [req.session.userId], (err, entries) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            res.json(entries);
+        });
+});
+
+// Award points for a completed task, day or week
+app.post('/api/points/award', requireAuth, (req, res) => {
+    const { type } = req.body;
+    const award = POINT_AWARDS[type];
+    const referenceId = req.body.referenceId !== undefined ? String(req.body.referenceId) : '';
+
+    if (!award || !referenceId) {
+        return res.status(400).json({ error: 'A valid award type and reference are required' });
+    }
+
+    validateAward(req.session.userId, type, referenceId, (err, invalidReason, priority) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (invalidReason) {
+            return res.status(400).json({ error: invalidReason });
+        }
+
+        db.get('SELECT priority_points FROM users WHERE id = ?', [req.session.userId], (err, user) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            const amount = user && user.priority_points && priority
+                ? award.amount * PRIORITY_POINT_MULTIPLIERS[priority] : award.amount;
+            db.run('INSERT INTO points_ledger (user_id, amount, reason, reference_id) VALUES (?, ?, ?, ?)',
+                [req.session.userId, amount, award.reason, referenceId], (err) => {
+                    if (err && err.code === 'SQLITE_CONSTRAINT') {
+                        return res.status(409).json({ error: 'Points have already been awarded for this' });
+                    }
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to award points' });
+                    }
+                    getPointsSummary(req.session.userId, (err, summary) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Database error' });
+                        }
+                        res.json({ success: true, awarded: amount, ...summary });
+                    });
+                });
+        });
+    });
+});
+
+// Spend points on a shop upgrade. The spend and the purchase are written in one transaction.
+app.post('/api/points/spend', requireAuth, (req, res) => {
+    const { upgrade } = req.body;
+    const upgradeInfo = SHOP_UPGRADES[upgrade];
+    const userId = req.session.userId;
+
+    if (!upgradeInfo) {
+        return res.status(400).json({ error: 'Unknown upgrade' });
+    }
+
+    // Calls back with (err, outcome): outcome is { status, error } when nothing was bought
+    const buyUpgrade = (connection, done) => {
+        connection.get('SELECT MAX(level) AS level FROM shop_purchases WHERE user_id = ? AND purchase_type = ?',
+            [userId, upgrade], (err, row) => {
+                if (err) return done(err);
+
+                const level = (row && row.level) || 1;
+                if (upgradeInfo.maxLevel && level >= upgradeInfo.maxLevel) {
+                    return done(null, { status: 400, error: 'Upgrade is already at maximum level' });
+                }
+
+                const cost = upgradeInfo.cost(level);
+                const newLevel = level + 1;
+
+                // Only insert the spend if the balance covers it
+                connection.run(`INSERT INTO points_ledger (user_id, amount, reason, reference_id)
+                                SELECT ?, ?, 'shop_upgrade', ?
+                                WHERE (SELECT COALESCE(SUM(amount), 0) FROM points_ledger WHERE user_id = ?) >= ?`,
+                    [userId, -cost, `${upgrade}:${newLevel}`, userId, cost], function(err) {
+                        if (err && err.code === 'SQLITE_CONSTRAINT') {
+                            return done(null, { status: 409, error: 'This upgrade has already been purchased' });
+                        }
+                        if (err) return done(err);
+                        if (this.changes === 0) {
+                            return done(null, { status: 400, error: `Not enough points. You need ${cost} points.` });
+                        }
+
+                        connection.run('INSERT INTO shop_purchases (user_id, purchase_type, level) VALUES (?, ?, ?)',
+                            [userId, upgrade, newLevel], (err) => done(err, { cost, level: newLevel }));
+                    });
+            });
+    };
+
+    runInTransaction(buyUpgrade, (err, outcome) => {
+        if (err) {
+            console.error(`Error spending points for user ${userId}:`, err.message);
+            return res.status(500).json({ error: 'Failed to spend points. No points were spent.' });
+        }
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
+        }
+        getPointsSummary(userId, (err, summary) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            res.json({ success: true, spent: outcome.cost, level: outcome.level, ...summary });
+        });
+    });
+});
+
+// ==================== SHOP ROUTES ====================
+
+// Get shop purchases
+app.get('/api/shop/purchases', requireAuth, (req, res) => {
+    db.all('SELECT * FROM shop_purchases WHERE user_id = ?',
+        [req.session.userId], (err, purchases) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            res.json(purchases);
+        });
+});
+
+// ==================== GAME DATA ROUTES ====================
+
+// The server owns the game state. Clients read it here and change it only through
+// the action endpoints, which run the shared GameCore simulation (game-core.js).
+
+// Keep a copy of a save that failed validation. The same stored save is only copied once,
+// however many times it's loaded before the game is saved again.
+function quarantineGameData(userId, row, problems, callback) {
+    db.run(`INSERT INTO game_data_quarantine (user_id, data, revision, problems, created_at)
+            SELECT ?, ?, ?, ?, ?
+            WHERE NOT EXISTS (SELECT 1 FROM game_data_quarantine WHERE user_id = ? AND data = ? AND revision IS ?)`,
+        [userId, row.data, row.revision, JSON.stringify(problems), Date.now(), userId, row.data, row.revision],
+        function(err) {
+            if (!err && this.changes) {
+                console.warn(`Game data for user ${userId} failed validation; kept a copy in game_data_quarantine:`, problems);
+            }
+            callback(err);
+        });
+}
+
+// Build a user's GameCore from their saved data, shop upgrades and auto-sell threshold.
+// core.revision is the revision it was loaded from (null when there's no saved game yet).
+// Older saves are migrated as they load; one that fails validation is also quarantined.
+function loadGameCore(userId, username, callback) {
+    db.get('SELECT data, revision FROM game_data WHERE user_id = ?', [userId], (err, row) => {
+        if (err) return callback(err);
+
+        db.get('SELECT auto_sell_threshold FROM game_settings WHERE user_id = ?', [userId], (err, settings) => {
+            if (err) return callback(err);
+
+            getPointsSummary(userId, (err, summary) => {
+                if (err) return callback(err);
+
+                let saved = null;
+                let problems = [];
+                if (row) {
+                    try {
+                        saved = JSON.parse(row.data);
+                    } catch (error) {
+                        problems = [`data is not valid JSON: ${error.message}`];
+                    }
+                }
+
+                const core = new GameCore(username);
+                problems = problems.concat(core.loadState(saved));
+                core.revision = row ? row.revision : null;
+                core.setShopLevels(summary);
+                if (settings && settings.auto_sell_threshold > 0) {
+                    core.auto_sell_threshold = settings.auto_sell_threshold;
+                }
+                if (!problems.length) {
+                    return callback(null, core);
+                }
+                quarantineGameData(userId, row, problems, (err) => callback(err, err ? null : core));
+            });
+        });
+    });
+}
+
+// Save a game and bump its revision. Fails with a STALE_GAME_REVISION error, without saving,
+// if the game was saved by something else after it was loaded.
+function saveGameCore(userId, core, callback) {
+    const data = JSON.stringify(core.getSaveData());
+    const done = function(err) {
+        if (err) {
+            return callback(err);
+        }
+        if (this.changes === 0) {
+            const stale = new Error('The game was saved by another request');
+            stale.code = 'STALE_GAME_REVISION';
+            return callback(stale);
+        }
+        core.revision = (core.revision || 0) + 1;
+        recordGameSnapshot(userId, data, core.revision);
+        callback(null);
+    };
+
+    if (core.revision === null) {
+        return db.run(`INSERT INTO game_data (user_id, data, revision, last_updated) VALUES (?, ?, 1, CURRENT_TIMESTAMP)
+                       ON CONFLICT(user_id) DO NOTHING`, [userId, data], done);
+    }
+    db.run(`UPDATE game_data SET data = ?, revision = revision + 1, last_updated = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND revision = ?`, [data, userId, core.revision], done);
+}
+
+// Snapshots kept per user of each kind: the latest saves (at most one per
+// GAME_SNAPSHOT_INTERVAL_MS), the first save of each day, and the games replaced by restores
+const GAME_SNAPSHOT_LIMITS = { recent: 10, daily: 14, restore: 5 };
+const GAME_SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+
+// Store a snapshot and drop the oldest ones of its kind beyond the limit
+function insertGameSnapshot(userId, kind, data, revision, callback = () => {}) {
+    const now = Date.now();
+    const day = kind === 'daily' ? new Date(now).toISOString().slice(0, 10) : null;
+    db.run('INSERT INTO game_data_snapshots (user_id, kind, day, data, revision, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [userId, kind, day, data, revision, now], (err) => {
+            if (err) return callback(err);
+            db.run(`DELETE FROM game_data_snapshots WHERE user_id = ? AND kind = ? AND id NOT IN (
+                        SELECT id FROM game_data_snapshots WHERE user_id = ? AND kind = ?
+                        ORDER BY created_at DESC, id DESC LIMIT ?)`,
+                [userId, kind, userId, kind, GAME_SNAPSHOT_LIMITS[kind]], (err) => callback(err));
+        });
+}
+
+// Called after every save: keeps a 'recent' snapshot if the last one is old enough,
+// and a 'daily' one if there isn't one for today yet. Failures are only logged, since
+// the save itself has already gone through.
+function recordGameSnapshot(userId, data, revision) {
+    const now = Date.now();
+    const today = new Date(now).toISOString().slice(0, 10);
+    const logError = (err) => {
+        if (err) console.error(`Error saving game snapshot for user ${userId}:`, err.message);
+    };
+    db.get(`SELECT MAX(CASE WHEN kind = 'recent' THEN created_at END) AS last_recent,
+                   COUNT(CASE WHEN kind = 'daily' AND day = ? THEN 1 END) AS daily_today
+            FROM game_data_snapshots WHERE user_id = ?`, [today, userId], (err, row) => {
+        if (err) return logError(err);
+        if (!row.last_recent || now - row.last_recent >= GAME_SNAPSHOT_INTERVAL_MS) {
+            insertGameSnapshot(userId, 'recent', data, revision, logError);
+        }
+        if (!row.daily_today) {
+            insertGameSnapshot(userId, 'daily', data, revision, logError);
+        }
+    });
+}
+
+// Level, money and item count of a stored game, for listing snapshots
+function summarizeGameData(json) {
+    try {
+        const data = JSON.parse(json);
+        const equipped = Object.values((data.player && data.player.equipment) || {}).filter(Boolean).length;
+        const stored = Array.isArray(data.item_storage) ? data.item_storage.length : 0;
+        return {
+            level: data.player && data.player.level,
+            money: data.money,
+            itemCount: stored + equipped
+        };
+    } catch (error) {
+        return { level: null, money: null, itemCount: null };
+    }
+}
+
+// Game state as sent to the client. The RNG seed and state stay on the server
+// so upcoming rolls can't be predicted.
+function getGameState(core) {
+    const { rng_seed, rng_state, ...state } = core.getSaveData();
+    return {
+        ...state,
+        revision: core.revision || 0,
+        shop_luck_multiplier_level: core.shop_luck_multiplier,
+        spawn_interval_level: core.spawn_interval_level,
+        server_time: Date.now() / 1000
+    };
+}
+
+// Game actions for a user run one at a time so concurrent requests can't
+// both load the same state and overwrite each other's changes
+const gameLocks = new Map();
+
+function withGameLock(userId, task) {
+    const previous = gameLocks.get(userId) || Promise.resolve();
+    const current = previous.then(() => new Promise(resolve => task(resolve)));
+    gameLocks.set(userId, current);
+    current.then(() => {
+        if (gameLocks.get(userId) === current) {
+            gameLocks.delete(userId);
+        }
+    });
+}
+
+// Turn a GameCore { success, message } result into an action outcome
+function coreOutcome(result, status = 400) {
+    return result.success ? { result } : { error: result.message, status };
+}
+
+// Game actions. Each receives the user's GameCore (already advanced to the
+// current time), the request body and the events from that advance, and
+// returns { result } or { error, status }.
+const GAME_ACTIONS = {
+    // Advance the game: spawn due items and enemies and sell finished sell area items
+    roll: (core, params, ticked) => ({ result: ticked }),
+
+    fight: (core, { area, enemyId }) => {
+        const areaData = AREAS.find(a => a[0] === area);
+        if (!areaData) {
+            return { error: 'Unknown area', status: 400 };
+        }
+        const [areaName, , , levelRequirement, dropItems] = areaData;
+        if (core.player.level < levelRequirement) {
+            return { error: `You must be at least level ${levelRequirement} to enter ${areaName}.`, status: 400 };
+        }
+        if (!core.player.equipment.weapon) {
+            return { error: 'You cannot fight without a weapon. Please equip one first.', status: 400 };
+        }
+        const now = Date.now() / 1000;
+        const cooldown = core.getAreaCooldown(areaName, now);
+        if (cooldown > 0) {
+            return { error: `You can't re-enter ${areaName} for another ${Math.ceil(cooldown)} seconds.`, status: 400 };
+        }
+        if (core.player.health <= 0) {
+            return { error: 'You are too hurt to fight. Heal or wait for your health to regenerate.', status: 400 };
+        }
+        const enemy = core.spawned_enemies[areaName].find(e => e.id === enemyId);
+        if (!enemy) {
+            return { error: 'Enemy no longer exists!', status: 404 };
+        }
+        return { result: core.fightEnemy(areaName, enemy, dropItems, now) };
+    },
+
+    buy_healing: (core, { item, amount }) => {
+        if (!Number.isInteger(amount) || amount < 1 || amount > 1000) {
+            return { error: 'Amount must be a whole number between 1 and 1000', status: 400 };
+        }
+        return coreOutcome(core.buyHealingItem(item, amount));
+    },
+
+    heal: (core, { item }) => coreOutcome(core.useHealingItem(item)),
+
+    upgrade: (core, { type, amount }) => {
+        if (!Number.isInteger(amount) || amount < 1 || amount > 1000) {
+            return { error: 'Amount must be a whole number between 1 and 1000', status: 400 };
+        }
+        if (type === 'mold') return coreOutcome(core.upgradeMold(amount));
+        if (type === 'luck') return coreOutcome(core.upgradeLuck(amount));
+        return { error: 'Unknown upgrade', status: 400 };
+    },
+
+    sell: (core, { itemId }) => coreOutcome(core.sendToSellArea(itemId, Date.now() / 1000), 404),
+
+    unsell: (core, { itemId }) => coreOutcome(core.takeFromSellArea(itemId), 404),
+
+    // slot is optional; by default the item goes in the first free slot for its type
+    equip: (core, { itemId, slot }) => {
+        if (slot !== undefined && !Object.keys(EQUIPMENT_SLOTS).includes(slot)) {
+            return { error: 'Unknown equipment slot', status: 400 };
+        }
+        return coreOutcome(core.equipItem(itemId, slot || null), 404);
+    },
+
+    unequip: (core, { slot = 'weapon' }) => coreOutcome(core.unequipItem(slot)),
+
+    // Enchant a stored item or re-roll its mold, sacrificing other items of the same type
+    forge: (core, { itemId, mode, sacrifices }) => {
+        if (mode !== 'enchant' && mode !== 'reforge') {
+            return { error: 'Forge mode must be enchant or reforge', status: 400 };
+        }
+        if (!Array.isArray(sacrifices) || !sacrifices.every(Number.isInteger)) {
+            return { error: 'Sacrifices must be a list of item IDs', status: 400 };
+        }
+        return coreOutcome(core.forgeItem(itemId, mode, sacrifices));
+    }
+};
+
+// Get game state
+app.get('/api/game/data', requireScope('game:read'), (req, res) => {
+    loadGameCore(req.session.userId, req.session.username, (err, core) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json(getGameState(core));
+    });
 });
 
-// Add a task
-app.post('/api/calendar/tasks', requireAuth, (req, res) => {
-    const { dateKey, description, time } = req.body;
-
-    if (!dateKey || !description || !time) {
-        return res.status(400).json({ error: 'Date, description, and time are required' });
+// Run a game action. The game is advanced to the current time first, and the
+// resulting state is saved and returned even if the action itself is rejected.
+// With baseRevision (the revision of the state the player acted on), the action is refused
+// with 409, `conflict` and the current state if the game has been saved since.
+app.post('/api/game/actions/:action', requireAuth, (req, res) => {
+    const action = GAME_ACTIONS[req.params.action];
+    if (!action) {
+        return res.status(404).json({ error: 'Unknown game action' });
+    }
+    const { baseRevision, ...params } = req.body || {};
+    if (baseRevision !== undefined && (!Number.isInteger(baseRevision) || baseRevision < 0)) {
+        return res.status(400).json({ error: 'baseRevision must be a revision number' });
     }
 
-    db.run('INSERT INTO calendar_tasks (user_id, date_key, description, time) VALUES (?, ?, ?, ?)',
-        [req.session.userId, dateKey, description, time], function(err) {
+    const userId = req.session.userId;
+    withGameLock(userId, (release) => {
+        loadGameCore(userId, req.session.username, (err, core) => {
             if (err) {
-                return res.status(500).json({ error: 'Failed to add task' });
+                release();
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (baseRevision !== undefined && baseRevision !== (core.revision || 0)) {
+                release();
+                return res.status(409).json({
+                    error: 'Your game was changed in another tab or on another device',
+                    conflict: true,
+                    state: getGameState(core)
+                });
             }
-            res.json({ success: true, taskId: this.lastID });
+
+            const ticked = core.tick(Date.now() / 1000);
+            const outcome = action(core, params, ticked);
+
+            saveGameCore(userId, core, (err) => {
+                release();
+                if (err && err.code === 'STALE_GAME_REVISION') {
+                    return res.status(409).json({ error: 'Your game was changed by another request. Please try again.', conflict: true });
+                }
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to save game data' });
+                }
+                if (outcome.error) {
+                    return res.status(outcome.status).json({ error: outcome.error, state: getGameState(core) });
+                }
+                res.json({ success: true, result: outcome.result, state: getGameState(core) });
+            });
         });
+    });
 });
 
-// Update task (mark complete/incomplete)
-app.put('/api/calendar/tasks/:id', requireAuth, (req, res) => {
-    const { completed } = req.body;
-    const taskId = req.params.id;
-
-    db.run('UPDATE calendar_tasks SET completed = ? WHERE id = ? AND user_id = ?',
-        [completed ? 1 : 0, taskId, req.session.userId], (err) => {
+// List the user's game snapshots, newest first, with a summary of each
+app.get('/api/game/snapshots', requireScope('game:read'), (req, res) => {
+    db.all('SELECT * FROM game_data_snapshots WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+        [req.session.userId], (err, rows) => {
             if (err) {
-                return res.status(500).json({ error: 'Failed to update task' });
+                return res.status(500).json({ error: 'Failed to load snapshots' });
             }
-            res.json({ success: true });
+            res.json({
+                snapshots: rows.map(row => ({
+                    id: row.id,
+                    kind: row.kind,
+                    revision: row.revision,
+                    createdAt: new Date(row.created_at).toISOString(),
+                    ...summarizeGameData(row.data)
+                }))
+            });
         });
 });
 
-// Delete a task
-app.delete('/api/calendar/tasks/:id', requireAuth, (req, res) => {
-    const taskId = req.params.id;
+// Roll the game back to a snapshot. The current game is kept as a 'restore' snapshot first,
+// so a restore can itself be undone. The RNG and the last-active times stay as they are,
+// so restoring can't replay known rolls or pay out time away a second time.
+app.post('/api/game/snapshots/:id/restore', requireAuth, (req, res) => {
+    const snapshotId = parseInt(req.params.id, 10);
+    const userId = req.session.userId;
 
-    db.run('DELETE FROM calendar_tasks WHERE id = ? AND user_id = ?',
-        [taskId, req.session.userId], (err) => {
-            if (err) {
-                return res.status(500).json({ error: 'Failed to delete task' });
-            }
-            res.json({ success: true });
+    db.get('SELECT * FROM game_data_snapshots WHERE id = ? AND user_id = ?', [snapshotId, userId], (err, snapshot) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+
+        let restored;
+        try {
+            restored = JSON.parse(snapshot.data);
+        } catch (error) {
+            return res.status(422).json({ error: 'This snapshot can\'t be read' });
+        }
+
+        withGameLock(userId, (release) => {
+            loadGameCore(userId, req.session.username, (err, core) => {
+                if (err) {
+                    release();
+                    return res.status(500).json({ error: 'Database error' });
+                }
+
+                const current = core.getSaveData();
+                const restore = () => {
+                    const autoSellThreshold = core.auto_sell_threshold;
+                    core.loadState({
+                        ...restored,
+                        last_item_time: current.last_item_time,
+                        last_enemy_time: current.last_enemy_time,
+                        last_active_time: current.last_active_time,
+                        rng_seed: current.rng_seed,
+                        rng_state: current.rng_state
+                    });
+                    core.auto_sell_threshold = autoSellThreshold;
+
+                    saveGameCore(userId, core, (err) => {
+                        release();
+                        if (err && err.code === 'STALE_GAME_REVISION') {
+                            return res.status(409).json({ error: 'Your game was changed by another request. Please try again.', conflict: true });
+                        }
+                        if (err) {
+                            return res.status(500).json({ error: 'Failed to save game data' });
+                        }
+                        res.json({ success: true, state: getGameState(core) });
+                    });
+                };
+
+                if (core.revision === null) {
+                    return restore();
+                }
+                insertGameSnapshot(userId, 'restore', JSON.stringify(current), core.revision, (err) => {
+                    if (err) {
+                        release();
+                        return res.status(500).json({ error: 'Failed to save a snapshot of the current game' });
+                    }
+                    restore();
+                });
+            });
         });
+    });
 });
 
-// ==================== POINTS ROUTES ====================
+// ==================== GAME SETTINGS ROUTES ====================
 
-// Get user points
-app.get('/api/points', requireAuth, (req, res) => {
-    db.get('SELECT points FROM user_points WHERE user_id = ?',
-        [req.session.userId], (err, row) => {
+const GAME_STORAGE_SORTS = ['Rarity', 'Price', 'Damage', 'Defense', 'RNG'];
+
+// Get game settings
+app.get('/api/game/settings', requireScope('game:read'), (req, res) => {
+    db.get('SELECT auto_sell_threshold, storage_sort FROM game_settings WHERE user_id = ?',
+        [req.session.userId], (err, settings) => {
             if (err) {
                 return res.status(500).json({ error: 'Database error' });
             }
-            res.json({ points: row ? row.points : 0 });
+            res.json(settings || { auto_sell_threshold: 100, storage_sort: 'Price' });
         });
 });
 
-// Update user points
-app.put('/api/points', requireAuth, (req, res) => {
-    const { points } = req.body;
+// Update game settings (the auto-sell threshold is used by the server's game simulation)
+app.put('/api/game/settings', requireAuth, (req, res) => {
+    const { auto_sell_threshold, storage_sort } = req.body;
+
+    if (!Number.isInteger(auto_sell_threshold) || auto_sell_threshold < 1) {
+        return res.status(400).json({ error: 'Auto sell threshold must be a positive whole number' });
+    }
+    if (!GAME_STORAGE_SORTS.includes(storage_sort)) {
+        return res.status(400).json({ error: 'Invalid storage sort' });
+    }
 
-    db.run('UPDATE user_points SET points = ?, last_updated = CURRENT_TIMESTAMP WHERE user_id = ?',
-        [points, req.session.userId], (err) => {
+    db.run(`INSERT INTO game_settings (user_id, auto_sell_threshold, storage_sort) VALUES (?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET auto_sell_threshold = excluded.auto_sell_threshold,
+                storage_sort = excluded.storage_sort`,
+        [req.session.userId, auto_sell_threshold, storage_sort], (err) => {
             if (err) {
-                return res.status(500).json({ error: 'Failed to update points' });
+                return res.status(500).json({ error: 'Failed to update settings' });
             }
             res.json({ success: true });
         });
 });
 
-// ==================== SHOP ROUTES ====================
-
-// Get shop purchases
-app.get('/api/shop/purchases', requireAuth, (req, res) => {
-    db.all('SELECT * FROM shop_purchases WHERE user_id = ?',
-        [req.session.userId], (err, purchases) => {
-            if (err) {
-                return res.status(500).json({ error: 'Database error' });
-            }
-            res.json(purchases);
+// ==================== ACCOUNT EXPORT/IMPORT ROUTES ====================
+
+// GET /api/user/export returns everything an account holds as one JSON archive, and
+// POST /api/user/import restores an archive into a new account (one with no tasks, points
+// or shop purchases yet). Passwords, two-factor secrets, sessions and API tokens are never
+// exported, and neither is the game's RNG state, so an archive can't predict upcoming rolls.
+// Archives are signed by the server, and only unchanged archives from this server can be
+// imported: points, shop levels and the game are server-owned, so they can't come from a file.
+const ACCOUNT_ARCHIVE_FORMAT = 'rng-calendar-account';
+const ACCOUNT_ARCHIVE_VERSION = 1;
+const MAX_ARCHIVE_TASKS = 10000;
+const SQL_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const LEDGER_REASONS = Object.values(POINT_AWARDS).map(award => award.reason).concat(['shop_upgrade', 'opening_balance']);
+
+// Users with an import running, so two imports can't both find the account empty
+const importsInProgress = new Set();
+
+// HMAC key for archive signatures, generated on first use and kept in server_keys
+let accountArchiveKey = null;
+
+function getAccountArchiveKey(callback) {
+    if (accountArchiveKey) {
+        return callback(null, accountArchiveKey);
+    }
+    db.run('INSERT OR IGNORE INTO server_keys (name, value) VALUES (?, ?)',
+        ['account_archive', crypto.randomBytes(32).toString('hex')], (err) => {
+            if (err) return callback(err);
+            db.get('SELECT value FROM server_keys WHERE name = ?', ['account_archive'], (err, row) => {
+                if (err) return callback(err);
+                accountArchiveKey = row.value;
+                callback(null, accountArchiveKey);
+            });
         });
-});
+}
+
+// Signature of an archive: an HMAC of its JSON without the signature field
+function signAccountArchive(archive, key) {
+    return crypto.createHmac('sha256', key).update(JSON.stringify(archive)).digest('hex');
+}
 
-// Add shop purchase
-app.post('/api/shop/purchases', requireAuth, (req, res) => {
-    const { purchaseType, level } = req.body;
+function hasValidArchiveSignature(archive, key) {
+    const { signature, ...content } = archive;
+    if (typeof signature !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(signAccountArchive(content, key));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
 
-    db.run('INSERT INTO shop_purchases (user_id, purchase_type, level) VALUES (?, ?, ?)',
-        [req.session.userId, purchaseType, level || 1], function(err) {
-            if (err) {
-                return res.status(500).json({ error: 'Failed to record purchase' });
-            }
-            res.json({ success: true, purchaseId: this.lastID });
+const isJsonObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const ACCOUNT_EXPORT_QUERIES = [
+    ['user', 'get', 'SELECT username, email, email_verified, priority_points, created_at FROM users WHERE id = ?'],
+    ['tasks', 'all', 'SELECT * FROM calendar_tasks WHERE user_id = ? ORDER BY id'],
+    ['exceptions', 'all', `SELECT e.* FROM calendar_task_exceptions e JOIN calendar_tasks t ON e.task_id = t.id
+                           WHERE t.user_id = ? ORDER BY e.id`],
+    ['tagColors', 'all', 'SELECT tag, color FROM task_tag_colors WHERE user_id = ? ORDER BY tag'],
+    ['ledger', 'all', 'SELECT amount, reason, reference_id, created_at FROM points_ledger WHERE user_id = ? ORDER BY id'],
+    ['purchases', 'all', 'SELECT purchase_type, level FROM shop_purchases WHERE user_id = ? ORDER BY id'],
+    ['game', 'get', 'SELECT data, revision FROM game_data WHERE user_id = ?'],
+    ['gameSettings', 'get', 'SELECT auto_sell_threshold, storage_sort FROM game_settings WHERE user_id = ?']
+];
+
+// Read the rows to export for a user, keyed by the names in ACCOUNT_EXPORT_QUERIES
+function loadAccountRows(userId, callback) {
+    const rows = {};
+    const next = (index) => {
+        if (index >= ACCOUNT_EXPORT_QUERIES.length) {
+            return callback(null, rows);
+        }
+        const [name, method, sql] = ACCOUNT_EXPORT_QUERIES[index];
+        db[method](sql, [userId], (err, result) => {
+            if (err) return callback(err);
+            rows[name] = result;
+            next(index + 1);
         });
-});
+    };
+    next(0);
+}
 
-// ==================== GAME DATA ROUTES ====================
+function buildAccountArchive(rows) {
+    const occurrences = {};
+    rows.exceptions.forEach(exception => {
+        (occurrences[exception.task_id] = occurrences[exception.task_id] || []).push({
+            date: exception.occurrence_date,
+            skipped: !!exception.skipped,
+            dateKey: exception.new_date_key,
+            time: exception.new_time,
+            completed: !!exception.completed
+        });
+    });
 
-// Get game data
-app.get('/api/game/data', requireAuth, (req, res) => {
-    db.get('SELECT data FROM game_data WHERE user_id = ?',
-        [req.session.userId], (err, row) => {
-            if (err) {
-                return res.status(500).json({ error: 'Database error' });
+    let game = null;
+    if (rows.game) {
+        try {
+            const { rng_seed, rng_state, ...data } = JSON.parse(rows.game.data);
+            game = { revision: rows.game.revision, data };
+        } catch (error) {
+            // An unreadable save is left out; loading the game copies it to game_data_quarantine
+        }
+    }
+
+    return {
+        format: ACCOUNT_ARCHIVE_FORMAT,
+        version: ACCOUNT_ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        profile: {
+            username: rows.user.username,
+            email: rows.user.email,
+            emailVerified: !!rows.user.email_verified,
+            priorityPoints: !!rows.user.priority_points,
+            createdAt: rows.user.created_at
+        },
+        tasks: rows.tasks.map(task => ({
+            id: task.id,
+            dateKey: task.date_key,
+            description: task.description,
+            time: task.time,
+            completed: !!task.completed,
+            notes: task.notes,
+            priority: task.priority,
+            tags: task.tags ? task.tags.split(',') : [],
+            recurrence: task.recurrence_rule,
+            createdAt: task.created_at,
+            occurrences: occurrences[task.id] || []
+        })),
+        tagColors: rows.tagColors,
+        pointsLedger: rows.ledger.map(entry => ({
+            amount: entry.amount,
+            reason: entry.reason,
+            referenceId: entry.reference_id,
+            createdAt: entry.created_at
+        })),
+        shopPurchases: rows.purchases.map(purchase => ({ type: purchase.purchase_type, level: purchase.level })),
+        game,
+        gameSettings: rows.gameSettings ? {
+            autoSellThreshold: rows.gameSettings.auto_sell_threshold,
+            storageSort: rows.gameSettings.storage_sort
+        } : null
+    };
+}
+
+// Validate one archived task. Returns { error } or { task } with normalized columns;
+// occurrences that can't be restored are listed in task.occurrenceErrors.
+function parseArchiveTask(task) {
+    if (!isJsonObject(task)) {
+        return { error: 'Must be an object' };
+    }
+    if (!task.dateKey || !task.description || !task.time) {
+        return { error: 'Date, description, and time are required' };
+    }
+    const { changes, error } = validateTaskChanges({
+        dateKey: task.dateKey, description: task.description, time: task.time, notes: task.notes,
+        priority: task.priority || 'medium', tags: task.tags, completed: task.completed
+    });
+    if (error) {
+        return { error };
+    }
+
+    let recurrenceRule = null;
+    if (task.recurrence) {
+        try {
+            recurrenceRule = normalizeRecurrenceRule(task.recurrence);
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    const occurrences = [];
+    const occurrenceErrors = [];
+    const occurrenceDates = new Set();
+    const archivedOccurrences = Array.isArray(task.occurrences) ? task.occurrences : [];
+    archivedOccurrences.forEach(occurrence => {
+        const date = isJsonObject(occurrence) ? occurrence.date : null;
+        if (!recurrenceRule || !parseDateKey(date) || !isRecurrenceDate(changes.date_key, recurrenceRule, date)) {
+            occurrenceErrors.push(`${date || 'Occurrence'} is not an occurrence of this task`);
+        } else if (occurrenceDates.has(date)) {
+            occurrenceErrors.push(`${date}: Duplicate occurrence`);
+        } else if (occurrence.dateKey && !parseDateKey(occurrence.dateKey)) {
+            occurrenceErrors.push(`${date}: Invalid date`);
+        } else if (occurrence.time && !TIME_PATTERN.test(occurrence.time)) {
+            occurrenceErrors.push(`${date}: Invalid time`);
+        } else {
+            occurrenceDates.add(date);
+            occurrences.push([date, occurrence.skipped ? 1 : 0, occurrence.dateKey || null,
+                occurrence.time || null, occurrence.completed ? 1 : 0]);
+        }
+    });
+
+    return {
+        task: {
+            archivedId: task.id,
+            ...changes,
+            completed: changes.completed || 0,
+            recurrence_rule: recurrenceRule,
+            created_at: SQL_DATETIME_PATTERN.test(task.createdAt) ? task.createdAt : null,
+            occurrences,
+            occurrenceErrors
+        }
+    };
+}
+
+// Validate an archive for importing (key is the signing key). Returns { error } when it can't
+// be used at all, or { plan, report }: the plan holds what will be written, and the report what
+// will be imported, the entries left out as invalid ({ section, index?, reason }) and anything
+// else to know.
+function parseAccountArchive(archive, username, key) {
+    if (!isJsonObject(archive) || archive.format !== ACCOUNT_ARCHIVE_FORMAT) {
+        return { error: 'This is not an account export' };
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ACCOUNT_ARCHIVE_VERSION) {
+        return { error: `Unsupported export version: ${archive.version}` };
+    }
+    if (!hasValidArchiveSignature(archive, key)) {
+        return { error: 'This export was changed after it was downloaded, or comes from another server' };
+    }
+    // The username is covered by the signature, so an export can only restore the account it came from
+    if (!isJsonObject(archive.profile) || archive.profile.username !== username) {
+        return { error: 'This export belongs to another account and can only be imported into an account with the same username' };
+    }
+
+    const plan = { profile: null, tasks: [], tagColors: [], ledger: [], purchases: [], game: null, gameSettings: null };
+    const invalid = [];
+    const warnings = [];
+    const reject = (section, index, reason) => invalid.push(index === null ? { section, reason } : { section, index, reason });
+    const getList = (section) => {
+        const value = archive[section];
+        if (value === undefined || value === null) return [];
+        if (Array.isArray(value)) return value;
+        reject(section, null, 'Must be a list');
+        return [];
+    };
+
+    const profile = archive.profile;
+    if (isJsonObject(profile)) {
+        const email = typeof profile.email === 'string' ? profile.email.trim().toLowerCase() : null;
+        if (email && !isValidEmail(email)) {
+            reject('profile', null, 'Invalid email address');
+        } else {
+            plan.profile = { email, priorityPoints: profile.priorityPoints === true };
+            if (email) {
+                warnings.push(`The email address ${email} will need to be verified again`);
             }
-            if (row) {
-                res.json(JSON.parse(row.data));
+        }
+    } else if (profile !== undefined && profile !== null) {
+        reject('profile', null, 'Must be an object');
+    }
+
+    const tasks = getList('tasks');
+    if (tasks.length > MAX_ARCHIVE_TASKS) {
+        return { error: `Cannot import more than ${MAX_ARCHIVE_TASKS} tasks` };
+    }
+    const taskKeys = new Set();
+    const taskIndexes = {};
+    tasks.forEach((archived, index) => {
+        const { task, error } = parseArchiveTask(archived);
+        if (error) {
+            return reject('tasks', index, error);
+        }
+        const key = `${task.date_key}|${task.description}|${task.time}`;
+        if (taskKeys.has(key)) {
+            return reject('tasks', index, 'Duplicate task');
+        }
+        taskKeys.add(key);
+        task.occurrenceErrors.forEach(reason => reject('tasks', index, reason));
+        if (Number.isInteger(task.archivedId)) {
+            taskIndexes[task.archivedId] = plan.tasks.length;
+        }
+        plan.tasks.push(task);
+    });
+
+    const tags = new Set();
+    getList('tagColors').forEach((entry, index) => {
+        const tag = isJsonObject(entry) ? normalizeTag(entry.tag) : null;
+        const color = isJsonObject(entry) && typeof entry.color === 'string' ? entry.color.toLowerCase() : '';
+        if (!tag || !TAG_COLOR_PATTERN.test(color)) {
+            return reject('tagColors', index, 'Must be a tag and a colour like #1e90ff');
+        }
+        if (!tags.has(tag)) {
+            tags.add(tag);
+            plan.tagColors.push([tag, color]);
+        }
+    });
+
+    // Task points refer to task ids, which change on import: "<id>" or "<id>@<occurrence date>"
+    const ledgerKeys = new Set();
+    let unmatchedTaskPoints = 0;
+    getList('pointsLedger').forEach((entry, index) => {
+        if (!isJsonObject(entry)) {
+            return reject('pointsLedger', index, 'Must be an object');
+        }
+        if (!LEDGER_REASONS.includes(entry.reason)) {
+            return reject('pointsLedger', index, `Unknown reason: ${entry.reason}`);
+        }
+        if (!Number.isInteger(entry.amount)) {
+            return reject('pointsLedger', index, 'Amount must be a whole number');
+        }
+        if (typeof entry.referenceId !== 'string' || !entry.referenceId) {
+            return reject('pointsLedger', index, 'A reference is required');
+        }
+        const key = `${entry.reason}|${entry.referenceId}`;
+        if (ledgerKeys.has(key)) {
+            return reject('pointsLedger', index, 'Duplicate entry');
+        }
+        ledgerKeys.add(key);
+
+        const planned = {
+            amount: entry.amount,
+            reason: entry.reason,
+            referenceId: entry.referenceId,
+            taskIndex: null,
+            occurrenceDate: null,
+            created_at: SQL_DATETIME_PATTERN.test(entry.createdAt) ? entry.createdAt : null
+        };
+        if (entry.reason === POINT_AWARDS.task.reason) {
+            const [taskId, occurrenceDate] = entry.referenceId.split('@');
+            if (taskIndexes[taskId] !== undefined) {
+                planned.taskIndex = taskIndexes[taskId];
+                planned.occurrenceDate = occurrenceDate || null;
             } else {
-                res.json(null);
+                // Kept for the balance, under a reference no new task can have
+                planned.referenceId = `imported:${entry.referenceId}`;
+                unmatchedTaskPoints += 1;
             }
+        }
+        plan.ledger.push(planned);
+    });
+    if (unmatchedTaskPoints > 0) {
+        warnings.push(`${unmatchedTaskPoints} task point award(s) are for tasks that aren't in the export; the points are kept`);
+    }
+
+    const purchaseKeys = new Set();
+    getList('shopPurchases').forEach((purchase, index) => {
+        const upgrade = isJsonObject(purchase) ? SHOP_UPGRADES[purchase.type] : null;
+        if (!upgrade) {
+            return reject('shopPurchases', index, 'Unknown upgrade');
+        }
+        if (!Number.isInteger(purchase.level) || purchase.level < 2 || (upgrade.maxLevel && purchase.level > upgrade.maxLevel)) {
+            return reject('shopPurchases', index, 'Invalid level');
+        }
+        const key = `${purchase.type}|${purchase.level}`;
+        if (!purchaseKeys.has(key)) {
+            purchaseKeys.add(key);
+            plan.purchases.push([purchase.type, purchase.level]);
+        }
+    });
+
+    const game = archive.game;
+    if (isJsonObject(game) && isJsonObject(game.data)) {
+        // Time spent in the export doesn't count as time away from the game
+        const now = Date.now() / 1000;
+        const core = new GameCore(username);
+        const problems = core.loadState({
+            ...game.data, rng_seed: null, rng_state: null,
+            last_item_time: now, last_enemy_time: now, last_active_time: now
         });
-});
+        problems.forEach(problem => reject('game', null, `${problem} (the default is used instead)`));
+        plan.game = core;
+    } else if (game !== undefined && game !== null) {
+        reject('game', null, 'Must be an object with the saved game as data');
+    }
+
+    const settings = archive.gameSettings;
+    if (isJsonObject(settings)) {
+        if (!Number.isInteger(settings.autoSellThreshold) || settings.autoSellThreshold < 1) {
+            reject('gameSettings', null, 'Auto sell threshold must be a positive whole number');
+        } else if (!GAME_STORAGE_SORTS.includes(settings.storageSort)) {
+            reject('gameSettings', null, 'Invalid storage sort');
+        } else {
+            plan.gameSettings = [settings.autoSellThreshold, settings.storageSort];
+        }
+    } else if (settings !== undefined && settings !== null) {
+        reject('gameSettings', null, 'Must be an object');
+    }
 
-// Save game data
-app.put('/api/game/data', requireAuth, (req, res) => {
-    const gameData = JSON.stringify(req.body);
+    return {
+        plan,
+        report: {
+            counts: {
+                tasks: plan.tasks.length,
+                occurrences: plan.tasks.reduce((total, task) => total + task.occurrences.length, 0),
+                tagColors: plan.tagColors.length,
+                pointsLedger: plan.ledger.length,
+                shopPurchases: plan.purchases.length,
+                game: !!plan.game,
+                gameSettings: !!plan.gameSettings
+            },
+            points: plan.ledger.reduce((total, entry) => total + entry.amount, 0),
+            invalid,
+            warnings
+        }
+    };
+}
 
-    db.run('INSERT OR REPLACE INTO game_data (user_id, data, last_updated) VALUES (?, ?, CURRENT_TIMESTAMP)',
-        [req.session.userId, gameData], (err) => {
-            if (err) {
-                return res.status(500).json({ error: 'Failed to save game data' });
-            }
-            res.json({ success: true });
+// Run [sql, params] statements one after another on a database connection
+function runStatements(connection, statements, callback) {
+    const next = (index) => {
+        if (index >= statements.length) {
+            return callback(null);
+        }
+        const [sql, params] = statements[index];
+        connection.run(sql, params, (err) => err ? callback(err) : next(index + 1));
+    };
+    next(0);
+}
+
+// Write a parsed archive's plan into the user's account through connection. Tasks go
+// first so occurrences and task points can use their new ids; the game goes last.
+function writeAccountData(connection, userId, plan, callback) {
+    const now = Date.now();
+    const taskIds = [];
+
+    const insertTask = (index) => {
+        if (index < plan.tasks.length) {
+            const task = plan.tasks[index];
+            return connection.run(`INSERT INTO calendar_tasks (user_id, date_key, description, time, completed, notes, priority, tags,
+                                       recurrence_rule, created_at, updated_at)
+                                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)`,
+                [userId, task.date_key, task.description, task.time, task.completed, task.notes || null, task.priority,
+                    task.tags || null, task.recurrence_rule, task.created_at, now], function(err) {
+                    if (err) return callback(err);
+                    taskIds.push(this.lastID);
+                    insertTask(index + 1);
+                });
+        }
+
+        const statements = [];
+        if (plan.profile) {
+            statements.push([`UPDATE users SET email = COALESCE(?, email), priority_points = ?,
+                                  email_verified = CASE WHEN ? IS NULL OR email IS ? THEN email_verified ELSE 0 END
+                              WHERE id = ?`,
+                [plan.profile.email, plan.profile.priorityPoints ? 1 : 0, plan.profile.email, plan.profile.email, userId]]);
+        }
+        plan.tasks.forEach((task, taskIndex) => {
+            task.occurrences.forEach(([date, skipped, newDateKey, newTime, completed]) => {
+                statements.push([`INSERT INTO calendar_task_exceptions (task_id, occurrence_date, skipped, new_date_key, new_time, completed, updated_at)
+                                  VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [taskIds[taskIndex], date, skipped, newDateKey, newTime, completed, now]]);
+            });
         });
-});
+        plan.tagColors.forEach(([tag, color]) => {
+            statements.push(['INSERT OR REPLACE INTO task_tag_colors (user_id, tag, color) VALUES (?, ?, ?)', [userId, tag, color]]);
+        });
+        plan.ledger.forEach(entry => {
+            const referenceId = entry.taskIndex === null ? entry.referenceId
+                : `${taskIds[entry.taskIndex]}${entry.occurrenceDate ? `@${entry.occurrenceDate}` : ''}`;
+            statements.push([`INSERT INTO points_ledger (user_id, amount, reason, reference_id, created_at)
+                              VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+                [userId, entry.amount, entry.reason, referenceId, entry.created_at]]);
+        });
+        plan.purchases.forEach(([type, level]) => {
+            statements.push(['INSERT INTO shop_purchases (user_id, purchase_type, level) VALUES (?, ?, ?)', [userId, type, level]]);
+        });
+        if (plan.gameSettings) {
+            statements.push([`INSERT INTO game_settings (user_id, auto_sell_threshold, storage_sort) VALUES (?, ?, ?)
+                              ON CONFLICT(user_id) DO UPDATE SET auto_sell_threshold = excluded.auto_sell_threshold,
+                                  storage_sort = excluded.storage_sort`,
+                [userId, ...plan.gameSettings]]);
+        }
+        if (plan.game) {
+            // The replaced game is kept as a 'restore' snapshot, and the new revision makes any
+            // save based on it stale
+            statements.push([`INSERT INTO game_data_snapshots (user_id, kind, day, data, revision, created_at)
+                              SELECT user_id, 'restore', NULL, data, revision, ? FROM game_data WHERE user_id = ?`,
+                [now, userId]]);
+            statements.push([`DELETE FROM game_data_snapshots WHERE user_id = ? AND kind = 'restore' AND id NOT IN (
+                                  SELECT id FROM game_data_snapshots WHERE user_id = ? AND kind = 'restore'
+                                  ORDER BY created_at DESC, id DESC LIMIT ?)`,
+                [userId, userId, GAME_SNAPSHOT_LIMITS.restore]]);
+            statements.push([`INSERT INTO game_data (user_id, data, revision, last_updated) VALUES (?, ?, 1, CURRENT_TIMESTAMP)
+                              ON CONFLICT(user_id) DO UPDATE SET data = excluded.data, revision = game_data.revision + 1,
+                                  last_updated = CURRENT_TIMESTAMP`,
+                [userId, JSON.stringify(plan.game.getSaveData())]]);
+        }
 
-// ==================== GAME SETTINGS ROUTES ====================
+        runStatements(connection, statements, callback);
+    };
 
-// Get game settings
-app.get('/api/game/settings', requireAuth, (req, res) => {
-    db.get('SELECT auto_sell_threshold, storage_sort FROM game_settings WHERE user_id = ?',
-        [req.session.userId], (err, settings) => {
+    insertTask(0);
+}
+
+// Import a parsed archive's plan in one transaction, so a failed import leaves the account as
+// it was. The transaction runs on a connection of its own: other requests' statements can't end
+// up in it, they wait for it to finish instead.
+function importAccountData(userId, plan, callback) {
+    withGameLock(userId, (release) => {
+        runInTransaction((connection, done) => writeAccountData(connection, userId, plan, done), (err) => {
+            release();
+            callback(err);
+        });
+    });
+}
+
+// Download all of the user's data as a JSON archive
+app.get('/api/user/export', requireAuth, (req, res) => {
+    loadAccountRows(req.session.userId, (err, rows) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!rows.user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const date = new Date().toISOString().slice(0, 10);
+        getAccountArchiveKey((err, key) => {
             if (err) {
                 return res.status(500).json({ error: 'Database error' });
             }
-            res.json(settings || { auto_sell_threshold: 100, storage_sort: 'Price' });
+            const archive = buildAccountArchive(rows);
+            res.set('Content-Disposition', `attachment; filename="rng-calendar-${rows.user.username}-${date}.json"`);
+            res.json({ ...archive, signature: signAccountArchive(archive, key) });
         });
+    });
 });
 
-// Update game settings
-app.put('/api/game/settings', requireAuth, (req, res) => {
-    const { auto_sell_threshold, storage_sort } = req.body;
+// Import an archive from /api/user/export into this account, which must not have any tasks,
+// points or shop purchases yet (a game is replaced, and kept as a snapshot). With ?dryRun=true
+// nothing is written: the report says what would be imported and whether the import can run.
+// Invalid entries are left out and listed in the report rather than failing the import.
+app.post('/api/user/import', requireAuth, (req, res) => {
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+    const userId = req.session.userId;
 
-    db.run('UPDATE game_settings SET auto_sell_threshold = ?, storage_sort = ? WHERE user_id = ?',
-        [auto_sell_threshold, storage_sort, req.session.userId], (err) => {
-            if (err) {
-                return res.status(500).json({ error: 'Failed to update settings' });
-            }
-            res.json({ success: true });
-        });
+    getAccountArchiveKey((err, key) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        const { plan, report, error } = parseAccountArchive(req.body, req.session.username, key);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        db.get(`SELECT (SELECT COUNT(*) FROM calendar_tasks WHERE user_id = ?) AS tasks,
+                       (SELECT COUNT(*) FROM points_ledger WHERE user_id = ?) AS ledger,
+                       (SELECT COUNT(*) FROM shop_purchases WHERE user_id = ?) AS purchases,
+                       (SELECT COUNT(*) FROM game_data WHERE user_id = ?) AS games`,
+            [userId, userId, userId, userId], (err, existing) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Database error' });
+                }
+
+                const blockedBy = existing.tasks || existing.ledger || existing.purchases
+                    ? 'Data can only be imported into a new account without tasks, points or shop purchases'
+                    : null;
+                if (plan.game && existing.games) {
+                    report.warnings.push('Your current game will be replaced; it is kept in the game\'s backups');
+                }
+
+                if (dryRun) {
+                    return res.json({ success: true, dryRun: true, canImport: !blockedBy, reason: blockedBy, ...report });
+                }
+                if (blockedBy) {
+                    return res.status(409).json({ error: blockedBy, ...report });
+                }
+                if (importsInProgress.has(userId)) {
+                    return res.status(409).json({ error: 'An import is already running for this account' });
+                }
+
+                importsInProgress.add(userId);
+                importAccountData(userId, plan, (err) => {
+                    importsInProgress.delete(userId);
+                    if (err) {
+                        console.error(`Error importing data for user ${userId}:`, err.message);
+                        return res.status(500).json({ error: 'Failed to import data. Nothing was imported.' });
+                    }
+                    res.json({ success: true, dryRun: false, ...report });
+                });
+            });
+    });
 });
 
 // ==================== EMAIL VERIFICATION ROUTES ====================
 
-// Store verification code
-app.post('/api/email/verification-code', (req, res) => {
-    const { email, code } = req.body;
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+// 6-digit code for reset and verification emails
+function generateEmailCode() {
+    return crypto.randomInt(100000, 1000000).toString();
+}
+
+const VERIFICATION_CODE_TTL_MS = 10 * 60 * 1000;
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_VERIFICATION_ATTEMPTS = 5;
+
+function isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Generate a verification code for the logged-in user's new email address and email it
+// (the code is never returned). The address is saved to the account as unverified; it only
+// becomes verified through /api/email/verify. Any earlier code for the user is replaced.
+app.post('/api/email/verification-code', requireAuth, (req, res) => {
+    const userId = req.session.userId;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    if (!isValidEmail(email)) {
+        return res.status(400).json({ error: 'A valid email address is required' });
+    }
 
-    db.run('INSERT INTO email_verification_codes (email, code, expires_at) VALUES (?, ?, ?)',
-        [email, code, expiresAt.toISOString()], (err) => {
+    db.get('SELECT created_at FROM email_verification_codes WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+        [userId], (err, latest) => {
             if (err) {
-                return res.status(500).json({ error: 'Failed to store verification code' });
+                return res.status(500).json({ error: 'Database error' });
             }
-            res.json({ success: true });
+
+            const sentAgo = latest ? Date.now() - new Date(latest.created_at.replace(' ', 'T') + 'Z').getTime() : Infinity;
+            if (sentAgo < VERIFICATION_RESEND_COOLDOWN_MS) {
+                const retryAfter = Math.ceil((VERIFICATION_RESEND_COOLDOWN_MS - sentAgo) / 1000);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ error: `Please wait ${retryAfter} seconds before requesting another code`, retryAfter });
+            }
+
+            const code = generateEmailCode();
+            const expiresAt = new Date(Date.now() + VERIFICATION_CODE_TTL_MS);
+
+            db.serialize(() => {
+                db.run('DELETE FROM email_verification_codes WHERE user_id = ?', [userId]);
+                db.run('UPDATE users SET email = ?, email_verified = 0 WHERE id = ?', [email, userId]);
+                db.run('INSERT INTO email_verification_codes (user_id, email, code, expires_at) VALUES (?, ?, ?, ?)',
+                    [userId, email, code, expiresAt.toISOString()], function(err) {
+                        if (err) {
+                            return res.status(500).json({ error: 'Failed to store verification code' });
+                        }
+
+                        const codeId = this.lastID;
+                        mailer.sendVerificationEmail(email, code).then(() => {
+                            res.json({ success: true, message: 'Verification code sent to your email!' });
+                        }).catch((error) => {
+                            console.error(`Failed to send verification email via ${mailer.transport.name}:`, error.message);
+                            db.run('DELETE FROM email_verification_codes WHERE id = ?', [codeId]);
+                            res.status(500).json({ error: 'Failed to send verification email. Please try again later.' });
+                        });
+                    });
+            });
         });
 });
 
-// Verify code
-app.post('/api/email/verify', (req, res) => {
-    const { email, code } = req.body;
-
-    db.get('SELECT * FROM email_verification_codes WHERE email = ? AND code = ? AND expires_at > datetime("now") ORDER BY created_at DESC LIMIT 1',
-        [email, code], (err, row) => {
+// Check a code against the logged-in user's outstanding code and mark the email verified.
+// A code is voided after MAX_VERIFICATION_ATTEMPTS wrong guesses.
+app.post('/api/email/verify', requireAuth, (req, res) => {
+    const userId = req.session.userId;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const code = typeof req.body.code === 'string' ? req.body.code.trim() : '';
+
+    db.get(`SELECT * FROM email_verification_codes
+            WHERE user_id = ? AND expires_at > ?
+            ORDER BY created_at DESC, id DESC LIMIT 1`,
+        [userId, new Date().toISOString()], (err, row) => {
             if (err) {
                 return res.status(500).json({ error: 'Database error' });
             }
-            if (row) {
-                // Delete used code
-                db.run('DELETE FROM email_verification_codes WHERE id = ?', [row.id]);
-                res.json({ success: true, valid: true });
-            } else {
-                res.json({ success: false, valid: false, error: 'Invalid or expired code' });
+            if (!row) {
+                return res.json({ success: false, valid: false, error: 'No active verification code. Please request a new one.' });
             }
+
+            // Count the attempt before checking the code, in one statement, so guesses sent
+            // in parallel can't get past the limit
+            db.get(`UPDATE email_verification_codes SET attempts = attempts + 1
+                    WHERE id = ? AND attempts < ? RETURNING attempts`,
+                [row.id, MAX_VERIFICATION_ATTEMPTS], (err, counted) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    if (!counted) {
+                        return res.json({
+                            success: false,
+                            valid: false,
+                            attemptsRemaining: 0,
+                            error: 'Too many incorrect attempts. Please request a new code.'
+                        });
+                    }
+
+                    if (row.email !== email || row.code !== code) {
+                        const remaining = MAX_VERIFICATION_ATTEMPTS - counted.attempts;
+                        const done = (err) => {
+                            if (err) {
+                                return res.status(500).json({ error: 'Database error' });
+                            }
+                            res.json({
+                                success: false,
+                                valid: false,
+                                attemptsRemaining: Math.max(remaining, 0),
+                                error: remaining > 0
+                                    ? `Invalid verification code. ${remaining} attempt${remaining === 1 ? '' : 's'} remaining.`
+                                    : 'Too many incorrect attempts. Please request a new code.'
+                            });
+                        };
+                        if (remaining > 0) {
+                            return done(null);
+                        }
+                        return db.run('DELETE FROM email_verification_codes WHERE id = ?', [row.id], done);
+                    }
+
+                    db.serialize(() => {
+                        db.run('DELETE FROM email_verification_codes WHERE user_id = ?', [userId]);
+                        db.run('UPDATE users SET email = ?, email_verified = 1 WHERE id = ?', [row.email, userId], (err) => {
+                            if (err) {
+                                return res.status(500).json({ error: 'Failed to verify email' });
+                            }
+                            res.json({ success: true, valid: true });
+                        });
+                    });
+                });
         });
 });
 
@@ -572,6 +3472,13 @@ app.post('/api/password/reset-request', async (req, res) => {
     // Normalize email (lowercase and trim)
     email = email.trim().toLowerCase();
 
+    // The same answer whether or not the email has an account, and whether or not the email
+    // could be sent, so the response never reveals which addresses are registered
+    const sendGenericResponse = () => res.json({
+        success: true,
+        message: 'If that email is registered and verified, a password reset code has been sent.'
+    });
+
     // Find user by email (case-insensitive)
     db.get('SELECT id, email, email_verified FROM users WHERE LOWER(TRIM(email)) = ? AND email_verified = 1', 
         [email], async (err, user) => {
@@ -580,15 +3487,11 @@ app.post('/api/password/reset-request', async (req, res) => {
             }
 
             if (!user) {
-                // Don't reveal if email exists or not (security best practice)
-                return res.json({ 
-                    success: true, 
-                    message: 'If that email is registered and verified, a password reset code has been sent.' 
-                });
+                return sendGenericResponse();
             }
 
             // Generate 6-digit reset code
-            const resetCode = Math.floor(100000 + Math.random() * 900000).toString();
+            const resetCode = generateEmailCode();
             const expiresAt = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
 
             // Invalidate any existing reset codes for this user
@@ -596,26 +3499,55 @@ app.post('/api/password/reset-request', async (req, res) => {
 
             // Store new reset code (ensure email is normalized)
             db.run('INSERT INTO password_reset_codes (user_id, email, code, expires_at) VALUES (?, ?, ?, ?)',
-                [user.id, email.toLowerCase().trim(), resetCode, expiresAt.toISOString()], (err) => {
+                [user.id, email.toLowerCase().trim(), resetCode, expiresAt.toISOString()], function(err) {
                     if (err) {
                         return res.status(500).json({ error: 'Failed to create reset code' });
                     }
 
-                    // Password reset code generated and stored
-                    // Email will be sent from client-side using EmailJS
-                    // Return code so frontend can send it via EmailJS
-                    console.log(`Password reset code for ${email}: ${resetCode}`);
-                    console.log('Note: Email will be sent via EmailJS from the frontend');
-                    
-                    res.json({ 
-                        success: true, 
-                        message: 'Password reset code sent to your email! Please check your inbox (and spam folder).',
-                        code: resetCode  // Return code so frontend can send email via EmailJS
+                    // The code only ever goes out in the email. The response doesn't wait for it,
+                    // so its timing doesn't tell registered addresses apart either.
+                    const codeId = this.lastID;
+                    sendGenericResponse();
+                    mailer.sendPasswordResetEmail(email, resetCode).catch((error) => {
+                        console.error(`Failed to send password reset email via ${mailer.transport.name}:`, error.message);
+                        db.run('UPDATE password_reset_codes SET used = 1 WHERE id = ?', [codeId]);
                     });
                 });
         });
 });
 
+// Look up the email's current reset code, counting wrong guesses against the
+// reset code rate limits. Calls back with (err, row, retryAfter): row is null for
+// a wrong or expired code, and retryAfter is set instead if guesses are locked out.
+function findResetCode(req, email, code, callback) {
+    const attemptKeys = getAttemptKeys(req, email);
+    beginAuthAttempt('reset_code', attemptKeys, (err, retryAfter, attempt) => {
+        if (err) return callback(err);
+        if (retryAfter > 0) return callback(null, null, retryAfter);
+
+        db.get(`SELECT prc.*, u.id as user_id 
+                FROM password_reset_codes prc
+                JOIN users u ON prc.user_id = u.id
+                WHERE prc.email = ? AND prc.code = ? AND prc.used = 0 AND prc.expires_at > datetime("now")
+                ORDER BY prc.created_at DESC LIMIT 1`,
+            [email, code], (err, row) => {
+                if (err) return callback(err);
+                if (row) {
+                    clearAuthFailures('reset_code', attemptKeys);
+                    return callback(null, row, 0);
+                }
+
+                recordAuthFailure('reset_code', attempt, null, (err, lockedOut) => {
+                    if (lockedOut) {
+                        // Once an email is locked out its outstanding code is void, so guessing starts over
+                        db.run('UPDATE password_reset_codes SET used = 1 WHERE email = ? AND used = 0', [email]);
+                    }
+                    callback(err, null, 0);
+                });
+            });
+    });
+}
+
 // Verify reset code
 app.post('/api/password/verify-reset-code', (req, res) => {
     let { email, code } = req.body;
@@ -628,26 +3560,25 @@ app.post('/api/password/verify-reset-code', (req, res) => {
     email = email.trim().toLowerCase();
     code = code.trim();
 
-    db.get(`SELECT prc.*, u.id as user_id 
-            FROM password_reset_codes prc
-            JOIN users u ON prc.user_id = u.id
-            WHERE prc.email = ? AND prc.code = ? AND prc.used = 0 AND prc.expires_at > datetime("now")
-            ORDER BY prc.created_at DESC LIMIT 1`,
-        [email, code], (err, row) => {
-            if (err) {
-                console.error('Database error verifying reset code:', err);
-                return res.status(500).json({ error: 'Database error' });
-            }
+    findResetCode(req, email, code, (err, row, retryAfter) => {
+        if (err) {
+            console.error('Database error verifying reset code:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
 
-            if (!row) {
-                console.log(`Reset code verification failed for email: ${email}, code: ${code}`);
-                return res.json({ valid: false, error: 'Invalid or expired reset code' });
-            }
-            
-            console.log(`Reset code verified successfully for email: ${email}`);
+        if (retryAfter > 0) {
+            return sendRateLimited(res, retryAfter);
+        }
 
-            res.json({ valid: true, userId: row.user_id });
-        });
+        if (!row) {
+            console.log(`Reset code verification failed for email: ${email}, code: ${code}`);
+            return res.json({ valid: false, error: 'Invalid or expired reset code' });
+        }
+        
+        console.log(`Reset code verified successfully for email: ${email}`);
+
+        res.json({ valid: true, userId: row.user_id });
+    });
 });
 
 // Reset password with code
@@ -667,41 +3598,50 @@ app.post('/api/password/reset', async (req, res) => {
     }
 
     // Verify code
-    db.get(`SELECT prc.*, u.id as user_id 
-            FROM password_reset_codes prc
-            JOIN users u ON prc.user_id = u.id
-            WHERE prc.email = ? AND prc.code = ? AND prc.used = 0 AND prc.expires_at > datetime("now")
-            ORDER BY prc.created_at DESC LIMIT 1`,
-        [email, code], async (err, row) => {
-            if (err) {
-                console.error('Database error during password reset:', err);
-                return res.status(500).json({ error: 'Database error' });
-            }
+    findResetCode(req, email, code, async (err, row, retryAfter) => {
+        if (err) {
+            console.error('Database error during password reset:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
 
-            if (!row) {
-                console.log(`Password reset failed - invalid code for email: ${email}, code: ${code}`);
-                return res.status(400).json({ error: 'Invalid or expired reset code' });
-            }
-            
-            console.log(`Password reset code verified for email: ${email}`);
+        if (retryAfter > 0) {
+            return sendRateLimited(res, retryAfter);
+        }
 
-            // Hash new password
-            const saltRounds = 10;
-            const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+        if (!row) {
+            console.log(`Password reset failed - invalid code for email: ${email}, code: ${code}`);
+            return res.status(400).json({ error: 'Invalid or expired reset code' });
+        }
+        
+        console.log(`Password reset code verified for email: ${email}`);
 
-            // Update password
-            db.run('UPDATE users SET password_hash = ? WHERE id = ?',
-                [passwordHash, row.user_id], (err) => {
-                    if (err) {
-                        return res.status(500).json({ error: 'Failed to update password' });
-                    }
+        // Hash new password
+        const saltRounds = 10;
+        const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
+        // Update password
+        db.run('UPDATE users SET password_hash = ? WHERE id = ?',
+            [passwordHash, row.user_id], (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to update password' });
+                }
 
-                    // Mark reset code as used
-                    db.run('UPDATE password_reset_codes SET used = 1 WHERE id = ?', [row.id]);
+                // Mark reset code as used
+                db.run('UPDATE password_reset_codes SET used = 1 WHERE id = ?', [row.id]);
 
-                    res.json({ success: true, message: 'Password reset successfully' });
+                // Whoever knew the old password may still be logged in; sign out every other session
+                db.run('DELETE FROM sessions WHERE user_id = ? AND sid != ?', [row.user_id, req.sessionID], function(err) {
+                    if (err) {
+                        console.error('Failed to revoke sessions after password reset:', err.message);
+                    }
+                    res.json({
+                        success: true,
+                        message: 'Password reset successfully',
+                        sessionsRevoked: err ? 0 : this.changes
+                    });
                 });
-        });
+            });
+    });
 });
 
 // Serve index.html for all other routes (SPA support)
@@ -710,8 +3650,8 @@ app.get('*', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+const server = app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${server.address().port}`);
 });
 
 // Graceful shutdown
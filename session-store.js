@@ -0,0 +1,105 @@
+// ============================================
+// SESSION STORE - express-session store backed by SQLite
+// ============================================
+
+// Sessions live in the `sessions` table (created in server.js) so they survive
+// restarts and can be listed and revoked per user. Besides the serialized session,
+// each row keeps the user id, user agent and IP (copied from the session's
+// `userId`, `userAgent` and `ip` fields) and when the session was created and last used.
+
+const session = require('express-session');
+
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+class SqliteSessionStore extends session.Store {
+    constructor(db, { pruneInterval = PRUNE_INTERVAL_MS } = {}) {
+        super();
+        this.db = db;
+        if (pruneInterval) {
+            // Expired rows are also ignored by get(), so this only keeps the table small
+            this.pruneTimer = setInterval(() => this.pruneExpired(), pruneInterval);
+            this.pruneTimer.unref();
+        }
+    }
+
+    getExpiry(sess) {
+        const expires = sess && sess.cookie && sess.cookie.expires;
+        return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_SESSION_TTL_MS;
+    }
+
+    get(sid, callback) {
+        this.db.get('SELECT data, expires_at FROM sessions WHERE sid = ?', [sid], (err, row) => {
+            if (err) return callback(err);
+            if (!row) return callback(null, null);
+            if (row.expires_at <= Date.now()) {
+                return this.destroy(sid, (err) => callback(err, null));
+            }
+
+            let data;
+            try {
+                data = JSON.parse(row.data);
+            } catch (error) {
+                return callback(error);
+            }
+            callback(null, data);
+        });
+    }
+
+    set(sid, sess, callback = () => {}) {
+        const now = Date.now();
+        this.db.run(`INSERT INTO sessions (sid, user_id, data, expires_at, created_at, last_seen_at, user_agent, ip)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                     ON CONFLICT(sid) DO UPDATE SET user_id = excluded.user_id, data = excluded.data,
+                         expires_at = excluded.expires_at, last_seen_at = excluded.last_seen_at,
+                         user_agent = excluded.user_agent, ip = excluded.ip`,
+            [sid, sess.userId || null, JSON.stringify(sess), this.getExpiry(sess), now, now,
+                sess.userAgent || null, sess.ip || null],
+            (err) => callback(err));
+    }
+
+    // Called for requests that didn't change the session
+    touch(sid, sess, callback = () => {}) {
+        this.db.run('UPDATE sessions SET expires_at = ?, last_seen_at = ? WHERE sid = ?',
+            [this.getExpiry(sess), Date.now(), sid], (err) => callback(err));
+    }
+
+    destroy(sid, callback = () => {}) {
+        this.db.run('DELETE FROM sessions WHERE sid = ?', [sid], (err) => callback(err));
+    }
+
+    all(callback) {
+        this.db.all('SELECT sid, data FROM sessions WHERE expires_at > ?', [Date.now()], (err, rows) => {
+            if (err) return callback(err);
+            const sessions = {};
+            rows.forEach(row => {
+                try {
+                    sessions[row.sid] = JSON.parse(row.data);
+                } catch (error) {
+                    // Skip rows that can't be read
+                }
+            });
+            callback(null, sessions);
+        });
+    }
+
+    length(callback) {
+        this.db.get('SELECT COUNT(*) as count FROM sessions WHERE expires_at > ?', [Date.now()],
+            (err, row) => callback(err, row ? row.count : 0));
+    }
+
+    clear(callback = () => {}) {
+        this.db.run('DELETE FROM sessions', (err) => callback(err));
+    }
+
+    pruneExpired(callback = () => {}) {
+        this.db.run('DELETE FROM sessions WHERE expires_at <= ?', [Date.now()], (err) => {
+            if (err) {
+                console.error('Error pruning expired sessions:', err.message);
+            }
+            callback(err);
+        });
+    }
+}
+
+module.exports = { SqliteSessionStore };
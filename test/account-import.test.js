@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, registerUser, dateKeyInDays } = require('./helpers');
+
+let server;
+let owner;
+let archive;
+test.before(async () => {
+    server = await startServer();
+
+    // An export with a completed task, its points and a shop purchase
+    const client = owner = await registerUser(server.baseUrl, 'archive_owner');
+    const dateKey = dateKeyInDays(1);
+    const created = await client.post('/api/calendar/tasks', { dateKey, description: 'Plan the trip', time: '18:00' });
+    await client.put(`/api/calendar/tasks/${created.body.taskId}`, { completed: true });
+    await client.post('/api/points/award', { type: 'task', referenceId: created.body.taskId });
+    await client.post('/api/points/award', { type: 'day', referenceId: dateKey });
+    await client.post('/api/points/spend', { upgrade: 'luck_multiplier' });
+
+    const exported = await client.get('/api/user/export');
+    assert.equal(exported.status, 200);
+    archive = exported.body;
+});
+test.after(() => server.stop());
+
+test('a changed export is rejected', async () => {
+    const client = await registerUser(server.baseUrl, 'import_forged');
+    const forged = {
+        ...archive,
+        pointsLedger: [...archive.pointsLedger, { amount: 1000, reason: 'week_completion', referenceId: '2020-01-06', createdAt: archive.exportedAt }]
+    };
+
+    const response = await client.post('/api/user/import', forged);
+    assert.equal(response.status, 400);
+    assert.equal((await client.get('/api/points')).body.points, 0);
+});
+
+test('an unsigned export is rejected', async () => {
+    const client = await registerUser(server.baseUrl, 'import_unsigned');
+    const { signature, ...unsigned } = archive;
+
+    assert.equal((await client.post('/api/user/import', unsigned)).status, 400);
+    assert.equal((await client.post('/api/user/import', { ...archive, signature: '0'.repeat(64) })).status, 400);
+});
+
+test('files that are not exports are rejected', async () => {
+    const client = await registerUser(server.baseUrl, 'import_other');
+    assert.equal((await client.post('/api/user/import', { tasks: [] })).status, 400);
+    assert.equal((await client.post('/api/user/import', { ...archive, version: 99 })).status, 400);
+});
+
+test('an account with data of its own cannot import', async () => {
+    const dryRun = await owner.post('/api/user/import?dryRun=true', archive);
+    assert.equal(dryRun.body.canImport, false);
+    const response = await owner.post('/api/user/import', archive);
+    assert.equal(response.status, 409);
+    assert.equal((await owner.get('/api/calendar/tasks')).body.length, 1);
+});
+
+test('an export cannot be imported into another account', async () => {
+    for (const username of ['import_first', 'import_second']) {
+        const client = await registerUser(server.baseUrl, username);
+        const response = await client.post('/api/user/import', archive);
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /another account/);
+        assert.equal((await client.get('/api/calendar/tasks')).body.length, 0);
+        assert.equal((await client.get('/api/points')).body.points, 0);
+    }
+});
+
+test('an export can be restored after its account is deleted and registered again', async () => {
+    assert.equal((await owner.delete('/api/user')).status, 200);
+    const client = await registerUser(server.baseUrl, 'archive_owner');
+
+    const dryRun = await client.post('/api/user/import?dryRun=true', archive);
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.canImport, true);
+    assert.equal(dryRun.body.counts.tasks, 1);
+    assert.equal((await client.get('/api/calendar/tasks')).body.length, 0);
+
+    const imported = await client.post('/api/user/import', archive);
+    assert.equal(imported.status, 200);
+    assert.equal((await client.get('/api/calendar/tasks')).body.length, 1);
+    const points = await client.get('/api/points');
+    assert.equal(points.body.points, 1);
+    assert.equal(points.body.shop_luck_multiplier_level, 2);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, registerUser, dateKeyInDays } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+async function createToken(client, scopes) {
+    const response = await client.post('/api/tokens', { name: 'test', scopes });
+    assert.equal(response.status, 200);
+    return response.body;
+}
+
+// Requests made with `Authorization: Bearer <token>` and no session cookie
+function withToken(token) {
+    const client = createClient(server.baseUrl);
+    const headers = { Authorization: `Bearer ${token}` };
+    return {
+        get: (url) => client.get(url, { headers }),
+        post: (url, body) => client.post(url, body, { headers })
+    };
+}
+
+test('a read-only token can read the calendar but not change it', async () => {
+    const owner = await registerUser(server.baseUrl, 'token_read');
+    const { token } = await createToken(owner, ['calendar:read']);
+    const api = withToken(token);
+
+    const tasks = await api.get('/api/calendar/tasks');
+    assert.equal(tasks.status, 200);
+
+    const created = await api.post('/api/calendar/tasks', { dateKey: dateKeyInDays(1), description: 'From a token', time: '09:00' });
+    assert.equal(created.status, 403);
+    const after = await owner.get('/api/calendar/tasks');
+    assert.equal(after.body.length, 0);
+});
+
+test('a write token can add tasks', async () => {
+    const owner = await registerUser(server.baseUrl, 'token_write');
+    const { token } = await createToken(owner, ['calendar:read', 'calendar:write']);
+
+    const created = await withToken(token).post('/api/calendar/tasks', { dateKey: dateKeyInDays(1), description: 'From a token', time: '09:00' });
+    assert.equal(created.status, 200);
+});
+
+test('tokens are refused outside the calendar and game endpoints and on session-only ones', async () => {
+    const owner = await registerUser(server.baseUrl, 'token_paths');
+    const { token } = await createToken(owner, ['calendar:read', 'calendar:write', 'game:read']);
+    const api = withToken(token);
+
+    assert.equal((await api.get('/api/points')).status, 403);
+    assert.equal((await api.get('/api/tokens')).status, 403);
+    assert.equal((await api.get('/api/user/export')).status, 403);
+    assert.equal((await api.post('/api/game/actions/sell_all', {})).status, 403);
+    assert.equal((await api.get('/api/game/data')).status, 200);
+});
+
+test('unknown scopes are rejected when creating a token', async () => {
+    const owner = await registerUser(server.baseUrl, 'token_scopes');
+    const response = await owner.post('/api/tokens', { name: 'test', scopes: ['calendar:read', 'points:write'] });
+    assert.equal(response.status, 400);
+});
+
+test('revoked and made-up tokens get 401', async () => {
+    const owner = await registerUser(server.baseUrl, 'token_revoke');
+    const { token, apiToken } = await createToken(owner, ['calendar:read']);
+    assert.equal((await withToken(token).get('/api/calendar/tasks')).status, 200);
+
+    const revoked = await owner.delete(`/api/tokens/${apiToken.id}`);
+    assert.equal(revoked.status, 200);
+    assert.equal((await withToken(token).get('/api/calendar/tasks')).status, 401);
+    assert.equal((await withToken('rngc_not-a-real-token').get('/api/calendar/tasks')).status, 401);
+});
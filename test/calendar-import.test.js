@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, registerUser, dateKeyInDays, runSql } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+// An iCalendar file with one VEVENT per entry ({ uid?, summary, dateKey, time, ...extra properties })
+function buildIcs(events) {
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//test//EN'];
+    events.forEach(({ uid, summary, dateKey, time, ...extra }, index) => {
+        lines.push('BEGIN:VEVENT', `UID:${uid || `event-${index}`}`, `SUMMARY:${summary}`,
+            `DTSTART:${dateKey.replace(/-/g, '')}T${time.replace(':', '')}00`);
+        Object.entries(extra).forEach(([name, value]) => lines.push(`${name}:${value}`));
+        lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.join('\r\n');
+}
+
+const importIcs = (client, events) => client.post('/api/calendar/import', { ics: buildIcs(events) });
+
+test('entries a task could not be added with are reported as invalid', async () => {
+    const client = await registerUser(server.baseUrl, 'ics_checks');
+
+    const response = await importIcs(client, [
+        { summary: 'Dentist', dateKey: dateKeyInDays(2), time: '10:00' },
+        { summary: 'Last week', dateKey: dateKeyInDays(-7), time: '10:00' },
+        { summary: 'Weekly review', dateKey: dateKeyInDays(-14), time: '09:00', RRULE: 'FREQ=WEEKLY;COUNT=4' }
+    ]);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.imported, 1);
+    assert.deepEqual(response.body.invalid.map(entry => entry.summary), ['Last week', 'Weekly review']);
+    assert.ok(response.body.invalid.every(entry => /past/.test(entry.reason)));
+
+    const tasks = (await client.get('/api/calendar/tasks')).body;
+    assert.deepEqual(tasks.map(task => [task.description, task.priority]), [['Dentist', 'medium']]);
+});
+
+test('completed entries are imported as not done and earn no points', async () => {
+    const client = await registerUser(server.baseUrl, 'ics_completed');
+
+    const response = await importIcs(client, [
+        { summary: 'Already done', dateKey: dateKeyInDays(1), time: '08:00', STATUS: 'COMPLETED' }
+    ]);
+    assert.equal(response.body.imported, 1);
+
+    const [task] = (await client.get('/api/calendar/tasks')).body;
+    assert.equal(task.completed, 0);
+    assert.equal((await client.post('/api/points/award', { type: 'task', referenceId: task.id })).status, 400);
+    assert.equal((await client.get('/api/points')).body.points, 0);
+});
+
+test('a failed import leaves nothing behind', async () => {
+    const client = await registerUser(server.baseUrl, 'ics_rollback');
+
+    // Make the EXDATE insert fail after the one-off task and the series have been written
+    await runSql(server.dbPath, `CREATE TRIGGER fail_exception BEFORE INSERT ON calendar_task_exceptions
+                                 BEGIN SELECT RAISE(ABORT, 'exception failed'); END`);
+    try {
+        const response = await importIcs(client, [
+            { summary: 'One-off', dateKey: dateKeyInDays(1), time: '12:00' },
+            { summary: 'Daily stretch', dateKey: dateKeyInDays(1), time: '07:00',
+                RRULE: 'FREQ=DAILY;COUNT=5', EXDATE: `${dateKeyInDays(2).replace(/-/g, '')}T070000` }
+        ]);
+        assert.equal(response.status, 500);
+    } finally {
+        await runSql(server.dbPath, 'DROP TRIGGER fail_exception');
+    }
+
+    assert.equal((await client.get('/api/calendar/tasks')).body.length, 0);
+});
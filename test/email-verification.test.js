@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, registerUser } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+const MAX_VERIFICATION_ATTEMPTS = 5;
+
+// Ask for a verification code for `email` and read it from the emailed message
+async function requestCode(client, email) {
+    const response = await client.post('/api/email/verification-code', { email });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.code, undefined);
+    const emails = server.readEmails(email);
+    return /\b(\d{6})\b/.exec(emails[emails.length - 1].text)[1];
+}
+
+// A six-digit code that isn't `code`
+const wrongCode = code => String((Number(code) - 100000 + 1) % 900000 + 100000);
+
+test('the emailed code verifies the address', async () => {
+    const client = await registerUser(server.baseUrl, 'verify_ok');
+    const code = await requestCode(client, 'verify_ok@example.com');
+
+    const verified = await client.post('/api/email/verify', { email: 'verify_ok@example.com', code });
+    assert.equal(verified.body.valid, true);
+    const user = await client.get('/api/user');
+    assert.equal(user.body.email, 'verify_ok@example.com');
+    assert.equal(user.body.email_verified, 1);
+});
+
+test('a code only works for the address it was sent to', async () => {
+    const client = await registerUser(server.baseUrl, 'verify_other');
+    const code = await requestCode(client, 'verify_other@example.com');
+
+    const response = await client.post('/api/email/verify', { email: 'someone_else@example.com', code });
+    assert.equal(response.body.valid, false);
+    assert.equal((await client.get('/api/user')).body.email_verified, 0);
+});
+
+test('parallel wrong guesses use up the attempts and void the code', async () => {
+    const client = await registerUser(server.baseUrl, 'verify_race');
+    const email = 'verify_race@example.com';
+    const code = await requestCode(client, email);
+
+    const responses = await Promise.all(Array.from({ length: 20 }, () =>
+        client.post('/api/email/verify', { email, code: wrongCode(code) })));
+    assert.ok(responses.every(response => response.body.valid === false));
+    const stillValid = responses.filter(response => response.body.attemptsRemaining > 0);
+    assert.equal(stillValid.length, MAX_VERIFICATION_ATTEMPTS - 1);
+
+    const late = await client.post('/api/email/verify', { email, code });
+    assert.equal(late.body.valid, false);
+    assert.equal((await client.get('/api/user')).body.email_verified, 0);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameCore } = require('../game-core');
+
+test('a luck upgrade costs what was checked against the money', () => {
+    const core = new GameCore();
+    core.money = 5;
+    assert.equal(core.luck_cost, 5);
+    assert.equal(core.upgradeLuck(1).success, true);
+    assert.equal(core.money, 0);
+    assert.equal(core.luck_level, 2);
+    assert.equal(core.luck_cost, core.getLuckCost(2));
+
+    assert.equal(core.upgradeLuck(1).success, false);
+    assert.equal(core.money, 0);
+});
+
+test('several upgrades at once cost the sum of each level and never leave money negative', () => {
+    for (const [upgrade, getCost, levelField] of [['upgradeLuck', 'getLuckCost', 'luck_level'], ['upgradeMold', 'getMoldCost', 'mold_level']]) {
+        const core = new GameCore();
+        const total = core[getCost](1) + core[getCost](2) + core[getCost](3);
+        core.money = total - 1;
+        assert.equal(core[upgrade](3).success, false);
+
+        core.money = total;
+        assert.equal(core[upgrade](3).success, true);
+        assert.equal(core.money, 0);
+        assert.equal(core[levelField], 4);
+    }
+});
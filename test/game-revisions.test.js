@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, registerUser } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+test('every save moves the revision up by one', async () => {
+    const client = await registerUser(server.baseUrl, 'revision_count');
+    assert.equal((await client.get('/api/game/data')).body.revision, 0);
+
+    const first = await client.post('/api/game/actions/roll', { baseRevision: 0 });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.state.revision, 1);
+    const second = await client.post('/api/game/actions/roll', { baseRevision: 1 });
+    assert.equal(second.body.state.revision, 2);
+    assert.equal((await client.get('/api/game/data')).body.revision, 2);
+});
+
+test('an action on an outdated game is refused with the current state', async () => {
+    const client = await registerUser(server.baseUrl, 'revision_stale');
+    await client.post('/api/game/actions/roll');
+
+    const stale = await client.post('/api/game/actions/roll', { baseRevision: 0 });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.conflict, true);
+    assert.equal(stale.body.state.revision, 1);
+    assert.equal((await client.get('/api/game/data')).body.revision, 1);
+});
+
+test('an invalid baseRevision is rejected', async () => {
+    const client = await registerUser(server.baseUrl, 'revision_invalid');
+
+    assert.equal((await client.post('/api/game/actions/roll', { baseRevision: -1 })).status, 400);
+    assert.equal((await client.post('/api/game/actions/roll', { baseRevision: '0' })).status, 400);
+});
+
+test('parallel actions on the same revision: one goes through, the others conflict', async () => {
+    const client = await registerUser(server.baseUrl, 'revision_parallel');
+    await client.post('/api/game/actions/roll');
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () =>
+        client.post('/api/game/actions/roll', { baseRevision: 1 })));
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 409, 409, 409, 409]);
+    assert.equal((await client.get('/api/game/data')).body.revision, 2);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, registerUser, runSql } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+const listSnapshots = async (client) => (await client.get('/api/game/snapshots')).body.snapshots;
+
+test('the first save is kept as a recent and a daily snapshot', async () => {
+    const client = await registerUser(server.baseUrl, 'snapshot_first');
+    const saved = await client.post('/api/game/actions/roll');
+
+    const snapshots = await listSnapshots(client);
+    assert.deepEqual(snapshots.map(snapshot => snapshot.kind).sort(), ['daily', 'recent']);
+    snapshots.forEach(snapshot => {
+        assert.equal(snapshot.revision, 1);
+        assert.equal(snapshot.money, saved.body.state.money);
+        assert.equal(typeof snapshot.level, 'number');
+        assert.equal(typeof snapshot.itemCount, 'number');
+    });
+
+    // Saves within the snapshot interval don't add more
+    await client.post('/api/game/actions/roll');
+    assert.equal((await listSnapshots(client)).length, 2);
+});
+
+test('restoring rolls the game back and keeps the replaced game as a snapshot', async () => {
+    const client = await registerUser(server.baseUrl, 'snapshot_restore');
+    const saved = await client.post('/api/game/actions/roll');
+    const money = saved.body.state.money;
+    const recent = (await listSnapshots(client)).find(snapshot => snapshot.kind === 'recent');
+
+    const userId = (await client.get('/api/user')).body.id;
+    await runSql(server.dbPath, "UPDATE game_data SET data = json_set(data, '$.money', ?) WHERE user_id = ?", [money + 5000, userId]);
+    assert.equal((await client.get('/api/game/data')).body.money, money + 5000);
+
+    const restored = await client.post(`/api/game/snapshots/${recent.id}/restore`);
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.state.money, money);
+    assert.equal(restored.body.state.revision, 2);
+
+    // The restore can be undone
+    const replaced = (await listSnapshots(client)).find(snapshot => snapshot.kind === 'restore');
+    assert.equal(replaced.money, money + 5000);
+    const undone = await client.post(`/api/game/snapshots/${replaced.id}/restore`);
+    assert.equal(undone.body.state.money, money + 5000);
+});
+
+test('snapshots of other users cannot be restored', async () => {
+    const owner = await registerUser(server.baseUrl, 'snapshot_owner');
+    const other = await registerUser(server.baseUrl, 'snapshot_other');
+    await owner.post('/api/game/actions/roll');
+    const [snapshot] = await listSnapshots(owner);
+
+    assert.equal((await other.post(`/api/game/snapshots/${snapshot.id}/restore`)).status, 404);
+    assert.equal((await listSnapshots(other)).length, 0);
+});
@@ -0,0 +1,142 @@
+// ============================================
+// TEST HELPERS - A server per test file and a cookie-keeping client
+// ============================================
+
+const { spawn } = require('child_process');
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SERVER_START_TIMEOUT_MS = 15000;
+
+// Start server.js on a free port with a database and email outbox of its own in a temporary
+// directory, so database.sqlite is never touched. Resolves with { baseUrl, dbPath, outboxDir, readEmails, readLog, stop };
+// readLog() returns what the server has written to stderr so far.
+function startServer() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rng-calendar-test-'));
+    const dbPath = path.join(dir, 'database.sqlite');
+    const outboxDir = path.join(dir, 'outbox');
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: '0',
+            DB_PATH: dbPath,
+            EMAIL_TRANSPORT: 'file',
+            EMAIL_OUTBOX_DIR: outboxDir
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    // The emails sent so far to `to`, oldest first
+    const readEmails = (to) => {
+        const files = fs.existsSync(outboxDir) ? fs.readdirSync(outboxDir).sort() : [];
+        return files.map(file => JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8')))
+            .filter(message => message.to === to);
+    };
+
+    const stop = () => new Promise(resolve => {
+        const cleanUp = () => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            resolve();
+        };
+        if (child.exitCode !== null) {
+            return cleanUp();
+        }
+        child.once('exit', cleanUp);
+        child.kill();
+    });
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => {
+            stop().then(() => reject(new Error(`Server didn't start:\n${output}`)));
+        }, SERVER_START_TIMEOUT_MS);
+
+        const onOutput = (chunk) => {
+            output += chunk;
+            const match = /Server running on (http:\/\/localhost:\d+)/.exec(output);
+            if (match) {
+                clearTimeout(timer);
+                child.stdout.off('data', onOutput);
+                child.stdout.resume();
+                resolve({ baseUrl: match[1], dbPath, outboxDir, readEmails, readLog: () => output, stop });
+            }
+        };
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', onOutput);
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', (chunk) => {
+            output += chunk;
+        });
+        child.once('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+}
+
+// A client for one user: keeps the session cookie between requests.
+// request() resolves with { status, headers, body } (body parsed as JSON when it is JSON).
+function createClient(baseUrl) {
+    let cookie = null;
+
+    async function request(method, url, { body, headers = {} } = {}) {
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(cookie ? { Cookie: cookie } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) {
+            cookie = setCookie.split(';')[0];
+        }
+        const text = await response.text();
+        let parsed = text;
+        if ((response.headers.get('content-type') || '').includes('application/json')) {
+            parsed = JSON.parse(text);
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    return {
+        request,
+        get: (url, options) => request('GET', url, options),
+        post: (url, body, options = {}) => request('POST', url, { ...options, body }),
+        put: (url, body, options = {}) => request('PUT', url, { ...options, body }),
+        delete: (url, options) => request('DELETE', url, options)
+    };
+}
+
+// Register a user and return a client logged in as them
+async function registerUser(baseUrl, username, password = 'password123') {
+    const client = createClient(baseUrl);
+    const response = await client.post('/api/register', { username, password });
+    if (response.status !== 200) {
+        throw new Error(`Registering ${username} failed: ${JSON.stringify(response.body)}`);
+    }
+    return client;
+}
+
+// Date keys (YYYY-MM-DD, local time) relative to today
+function dateKeyInDays(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Run one statement on a test server's database from outside the server
+function runSql(dbPath, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        const connection = new sqlite3.Database(dbPath, (err) => {
+            if (err) return reject(err);
+            connection.run(sql, params, (err) => connection.close(() => err ? reject(err) : resolve()));
+        });
+    });
+}
+
+module.exports = { startServer, createClient, registerUser, dateKeyInDays, runSql };
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, registerUser, dateKeyInDays } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+const newTask = () => ({ dateKey: dateKeyInDays(1), description: 'Write the report', time: '10:00' });
+
+test('a retried request gets the first response and does not run again', async () => {
+    const client = await registerUser(server.baseUrl, 'idem_retry');
+    const headers = { 'Idempotency-Key': 'retry-1' };
+
+    const first = await client.post('/api/calendar/tasks', newTask(), { headers });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('Idempotent-Replayed'), null);
+
+    const retried = await client.post('/api/calendar/tasks', newTask(), { headers });
+    assert.equal(retried.status, 200);
+    assert.equal(retried.headers.get('Idempotent-Replayed'), 'true');
+    assert.deepEqual(retried.body, first.body);
+
+    const tasks = await client.get('/api/calendar/tasks');
+    assert.equal(tasks.body.length, 1);
+});
+
+test('a key used for one request is refused for another', async () => {
+    const client = await registerUser(server.baseUrl, 'idem_reuse');
+    const headers = { 'Idempotency-Key': 'reuse-1' };
+
+    assert.equal((await client.post('/api/calendar/tasks', newTask(), { headers })).status, 200);
+    const other = await client.put('/api/user/preferences', { priorityPoints: true }, { headers });
+    assert.equal(other.status, 422);
+});
+
+test('keys belong to one user', async () => {
+    const headers = { 'Idempotency-Key': 'shared-key' };
+    const first = await registerUser(server.baseUrl, 'idem_first');
+    const second = await registerUser(server.baseUrl, 'idem_second');
+
+    assert.equal((await first.post('/api/calendar/tasks', newTask(), { headers })).status, 200);
+    const response = await second.post('/api/calendar/tasks', newTask(), { headers });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Idempotent-Replayed'), null);
+    assert.equal((await second.get('/api/calendar/tasks')).body.length, 1);
+});
+
+test('badly formed keys are rejected before the request runs', async () => {
+    const client = await registerUser(server.baseUrl, 'idem_invalid');
+    const response = await client.post('/api/calendar/tasks', newTask(), { headers: { 'Idempotency-Key': 'not a key!' } });
+    assert.equal(response.status, 400);
+    assert.equal((await client.get('/api/calendar/tasks')).body.length, 0);
+});
+
+test('a key sent again with a different body is refused', async () => {
+    const client = await registerUser(server.baseUrl, 'idem_body');
+    const headers = { 'Idempotency-Key': 'body-1' };
+
+    assert.equal((await client.post('/api/calendar/tasks', newTask(), { headers })).status, 200);
+    const changed = await client.post('/api/calendar/tasks', { ...newTask(), description: 'Something else' }, { headers });
+    assert.equal(changed.status, 422);
+    assert.equal(changed.headers.get('Idempotent-Replayed'), null);
+    assert.equal((await client.get('/api/calendar/tasks')).body.length, 1);
+});
+
+test('a key sent again with a different query is refused', async () => {
+    const client = await registerUser(server.baseUrl, 'idem_query');
+    const created = await client.post('/api/calendar/tasks', newTask());
+    const headers = { 'Idempotency-Key': 'query-1' };
+    const url = `/api/calendar/tasks/${created.body.taskId}`;
+
+    assert.equal((await client.delete(`${url}?changedAt=${Date.now()}`, { headers })).status, 200);
+    assert.equal((await client.delete(`${url}?changedAt=${Date.now() + 1}`, { headers })).status, 422);
+});
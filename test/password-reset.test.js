@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startServer, registerUser } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+// Register `username` with `email` verified through the emailed code
+async function registerVerified(username, email) {
+    const client = await registerUser(server.baseUrl, username);
+    await client.post('/api/email/verification-code', { email });
+    const emails = server.readEmails(email);
+    const code = /\b(\d{6})\b/.exec(emails[emails.length - 1].text)[1];
+    assert.equal((await client.post('/api/email/verify', { email, code })).body.valid, true);
+    return client;
+}
+
+const waitFor = async (check) => {
+    for (let i = 0; i < 50 && !check(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return check();
+};
+
+test('a registered and an unknown email get the same answer', async () => {
+    const client = await registerVerified('reset_known', 'reset_known@example.com');
+
+    const known = await client.post('/api/password/reset-request', { email: 'reset_known@example.com' });
+    const unknown = await client.post('/api/password/reset-request', { email: 'reset_unknown@example.com' });
+    assert.equal(known.status, 200);
+    assert.deepEqual(unknown.body, known.body);
+    assert.ok(await waitFor(() => server.readEmails('reset_known@example.com').some(email => /reset/i.test(email.subject))));
+    assert.equal(server.readEmails('reset_unknown@example.com').length, 0);
+});
+
+test('a failed send gets the same answer and is logged on the server', async () => {
+    const client = await registerVerified('reset_unsent', 'reset_unsent@example.com');
+
+    // A file where the outbox directory should be makes every send fail
+    fs.rmSync(server.outboxDir, { recursive: true, force: true });
+    fs.writeFileSync(server.outboxDir, '');
+    try {
+        const failed = await client.post('/api/password/reset-request', { email: 'reset_unsent@example.com' });
+        const unknown = await client.post('/api/password/reset-request', { email: 'reset_nobody@example.com' });
+        assert.equal(failed.status, 200);
+        assert.deepEqual(failed.body, unknown.body);
+        assert.ok(await waitFor(() => server.readLog().includes('Failed to send password reset email')));
+    } finally {
+        fs.rmSync(server.outboxDir, { force: true });
+    }
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, registerUser, dateKeyInDays, runSql } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+// Add a task for tomorrow, complete it and claim the task and day awards (6 points)
+async function earnPoints(client) {
+    const dateKey = dateKeyInDays(1);
+    const created = await client.post('/api/calendar/tasks', { dateKey, description: 'Go for a run', time: '07:00' });
+    assert.equal(created.status, 200);
+    const completed = await client.put(`/api/calendar/tasks/${created.body.taskId}`, { completed: true });
+    assert.equal(completed.status, 200);
+
+    const task = await client.post('/api/points/award', { type: 'task', referenceId: created.body.taskId });
+    assert.equal(task.status, 200);
+    assert.equal(task.body.awarded, 1);
+    const day = await client.post('/api/points/award', { type: 'day', referenceId: dateKey });
+    assert.equal(day.status, 200);
+    assert.equal(day.body.awarded, 5);
+    return { taskId: created.body.taskId, dateKey };
+}
+
+test('tasks cannot be added to a past date', async () => {
+    const client = await registerUser(server.baseUrl, 'points_past');
+    const response = await client.post('/api/calendar/tasks', { dateKey: dateKeyInDays(-1), description: 'Already done', time: '09:00' });
+    assert.equal(response.status, 400);
+});
+
+test('awards are given once and only for completed tasks', async () => {
+    const client = await registerUser(server.baseUrl, 'points_awards');
+    const created = await client.post('/api/calendar/tasks', { dateKey: dateKeyInDays(2), description: 'Read a book', time: '20:00' });
+    const early = await client.post('/api/points/award', { type: 'task', referenceId: created.body.taskId });
+    assert.equal(early.status, 400);
+
+    const { taskId } = await earnPoints(client);
+    const again = await client.post('/api/points/award', { type: 'task', referenceId: taskId });
+    assert.equal(again.status, 409);
+    assert.equal((await client.get('/api/points')).body.points, 6);
+});
+
+test('spending takes points from the ledger and stops at the balance', async () => {
+    const client = await registerUser(server.baseUrl, 'points_spend');
+    await earnPoints(client);
+
+    const spent = await client.post('/api/points/spend', { upgrade: 'luck_multiplier' });
+    assert.equal(spent.status, 200);
+    assert.equal(spent.body.spent, 5);
+    assert.equal(spent.body.points, 1);
+    assert.equal(spent.body.shop_luck_multiplier_level, 2);
+
+    const tooExpensive = await client.post('/api/points/spend', { upgrade: 'luck_multiplier' });
+    assert.equal(tooExpensive.status, 400);
+    assert.equal((await client.get('/api/points')).body.points, 1);
+
+    const ledger = await client.get('/api/points/ledger');
+    assert.deepEqual(ledger.body.map(entry => entry.amount), [-5, 5, 1]);
+});
+
+test('spending the same points at once does not overdraw', async () => {
+    const client = await registerUser(server.baseUrl, 'points_race');
+    await earnPoints(client);
+
+    const responses = await Promise.all([1, 2, 3].map(() => client.post('/api/points/spend', { upgrade: 'luck_multiplier' })));
+    assert.equal(responses.filter(response => response.status === 200).length, 1);
+    assert.equal((await client.get('/api/points')).body.points, 1);
+});
+
+test('unknown upgrades are rejected', async () => {
+    const client = await registerUser(server.baseUrl, 'points_unknown');
+    const response = await client.post('/api/points/spend', { upgrade: 'free_points' });
+    assert.equal(response.status, 400);
+});
+
+test('a purchase that fails to save gives the points back', async () => {
+    const client = await registerUser(server.baseUrl, 'points_rollback');
+    await earnPoints(client);
+
+    // Make the shop_purchases insert fail after the spend has been written
+    await runSql(server.dbPath, `CREATE TRIGGER fail_purchase BEFORE INSERT ON shop_purchases
+                                 BEGIN SELECT RAISE(ABORT, 'purchase failed'); END`);
+    try {
+        const response = await client.post('/api/points/spend', { upgrade: 'luck_multiplier' });
+        assert.equal(response.status, 500);
+    } finally {
+        await runSql(server.dbPath, 'DROP TRIGGER fail_purchase');
+    }
+
+    const points = await client.get('/api/points');
+    assert.equal(points.body.points, 6);
+    assert.equal(points.body.shop_luck_multiplier_level, 1);
+    assert.equal((await client.get('/api/points/ledger')).body.length, 2);
+});
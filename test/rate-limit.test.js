@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, registerUser } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+// Five failures are free (see AUTH_RATE_LIMITS in server.js); the fifth locks the key for a second
+const FREE_ATTEMPTS = 5;
+
+test('parallel reset code guesses are stopped after the free attempts', async () => {
+    const client = createClient(server.baseUrl);
+    const guesses = Array.from({ length: 60 }, (_, index) =>
+        client.post('/api/password/verify-reset-code', { email: 'parallel@example.com', code: String(100000 + index) }));
+    const responses = await Promise.all(guesses);
+
+    const checked = responses.filter(response => response.status === 200);
+    const limited = responses.filter(response => response.status === 429);
+    assert.equal(checked.length, FREE_ATTEMPTS);
+    assert.equal(limited.length, responses.length - FREE_ATTEMPTS);
+    assert.ok(Number(limited[0].headers.get('Retry-After')) >= 1);
+});
+
+test('guesses one after another are stopped after the free attempts too', async () => {
+    const client = createClient(server.baseUrl);
+    const statuses = [];
+    for (let index = 0; index < FREE_ATTEMPTS + 1; index++) {
+        const response = await client.post('/api/password/verify-reset-code', { email: 'serial@example.com', code: '123456' });
+        statuses.push(response.status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+});
+
+test('parallel wrong passwords are stopped after the free attempts', async () => {
+    await registerUser(server.baseUrl, 'limit_login');
+    const attempts = Array.from({ length: 20 }, () =>
+        createClient(server.baseUrl).post('/api/login', { username: 'limit_login', password: 'wrong-password' }));
+    const responses = await Promise.all(attempts);
+
+    assert.equal(responses.filter(response => response.status === 401).length, FREE_ATTEMPTS);
+    assert.equal(responses.filter(response => response.status === 429).length, 20 - FREE_ATTEMPTS);
+});
+
+test('a successful login clears the count', async () => {
+    await registerUser(server.baseUrl, 'limit_clear');
+    const client = createClient(server.baseUrl);
+    for (let index = 0; index < FREE_ATTEMPTS - 1; index++) {
+        assert.equal((await client.post('/api/login', { username: 'limit_clear', password: 'wrong-password' })).status, 401);
+    }
+    assert.equal((await client.post('/api/login', { username: 'limit_clear', password: 'password123' })).status, 200);
+    for (let index = 0; index < FREE_ATTEMPTS - 1; index++) {
+        assert.equal((await client.post('/api/login', { username: 'limit_clear', password: 'wrong-password' })).status, 401);
+    }
+});
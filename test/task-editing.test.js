@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, registerUser, dateKeyInDays } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+async function addTask(client, task) {
+    const response = await client.post('/api/calendar/tasks', task);
+    assert.equal(response.status, 200);
+    return response.body.taskId;
+}
+
+test('description, time, date and notes can be edited', async () => {
+    const client = await registerUser(server.baseUrl, 'edit_fields');
+    const taskId = await addTask(client, { dateKey: dateKeyInDays(1), description: 'Call mum', time: '18:00' });
+
+    const response = await client.put(`/api/calendar/tasks/${taskId}`, {
+        description: '  Call mum and dad ', time: '19:30', dateKey: dateKeyInDays(2), notes: 'About the weekend'
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.task.description, 'Call mum and dad');
+    assert.equal(response.body.task.time, '19:30');
+    assert.equal(response.body.task.date_key, dateKeyInDays(2));
+    assert.equal(response.body.task.notes, 'About the weekend');
+
+    const cleared = await client.put(`/api/calendar/tasks/${taskId}`, { notes: '' });
+    assert.equal(cleared.body.task.notes, null);
+});
+
+test('invalid edits are rejected and change nothing', async () => {
+    const client = await registerUser(server.baseUrl, 'edit_invalid');
+    const taskId = await addTask(client, { dateKey: dateKeyInDays(1), description: 'Water plants', time: '09:00' });
+
+    assert.equal((await client.put(`/api/calendar/tasks/${taskId}`, { description: '   ' })).status, 400);
+    assert.equal((await client.put(`/api/calendar/tasks/${taskId}`, { time: '25:00' })).status, 400);
+    assert.equal((await client.put(`/api/calendar/tasks/${taskId}`, { notes: 'x'.repeat(2001) })).status, 400);
+    assert.equal((await client.put(`/api/calendar/tasks/${taskId}`, {})).status, 400);
+
+    const moved = await client.put(`/api/calendar/tasks/${taskId}`, { dateKey: dateKeyInDays(-1) });
+    assert.equal(moved.status, 400);
+    assert.match(moved.body.error, /past/);
+
+    const [task] = (await client.get('/api/calendar/tasks')).body;
+    assert.deepEqual([task.description, task.time, task.date_key], ['Water plants', '09:00', dateKeyInDays(1)]);
+});
+
+test('an edit that would duplicate another task is refused', async () => {
+    const client = await registerUser(server.baseUrl, 'edit_duplicate');
+    const dateKey = dateKeyInDays(3);
+    await addTask(client, { dateKey, description: 'Gym', time: '07:00' });
+    const taskId = await addTask(client, { dateKey, description: 'Gym', time: '08:00' });
+
+    assert.equal((await client.put(`/api/calendar/tasks/${taskId}`, { time: '07:00' })).status, 409);
+});
+
+test('an edit made before the task last changed is refused as a conflict', async () => {
+    const client = await registerUser(server.baseUrl, 'edit_conflict');
+    const taskId = await addTask(client, { dateKey: dateKeyInDays(1), description: 'Read', time: '21:00' });
+    const before = Date.now() - 60 * 1000;
+
+    await client.put(`/api/calendar/tasks/${taskId}`, { description: 'Read a chapter' });
+    const stale = await client.put(`/api/calendar/tasks/${taskId}`, { description: 'Read an article', changedAt: before });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.conflict, true);
+    assert.equal(stale.body.task.description, 'Read a chapter');
+});
+
+test('tasks of other users cannot be edited', async () => {
+    const owner = await registerUser(server.baseUrl, 'edit_owner');
+    const other = await registerUser(server.baseUrl, 'edit_other');
+    const taskId = await addTask(owner, { dateKey: dateKeyInDays(1), description: 'Private', time: '10:00' });
+
+    assert.equal((await other.put(`/api/calendar/tasks/${taskId}`, { description: 'Mine now' })).status, 404);
+});
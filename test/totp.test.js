@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    RFC6238_TEST_VECTORS, base32Encode, base32Decode, generateTotp, verifyTotp,
+    generateTotpSecret, hashRecoveryCode, checkRfc6238Vectors
+} = require('../totp');
+
+test('RFC 6238 test vectors pass for SHA-1, SHA-256 and SHA-512', () => {
+    assert.ok(RFC6238_TEST_VECTORS.length > 0);
+    assert.deepEqual(checkRfc6238Vectors(), []);
+});
+
+test('base32 encoding round-trips and rejects other characters', () => {
+    const bytes = Buffer.from('12345678901234567890', 'ascii');
+    assert.equal(base32Encode(bytes), 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.deepEqual(base32Decode('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq'), bytes);
+    assert.throws(() => base32Decode('GEZDGNBV1'), /Invalid base32 secret/);
+});
+
+test('verifyTotp accepts one step of clock drift either side and nothing further', () => {
+    const secret = generateTotpSecret();
+    const time = 1700000000;
+    const step = Math.floor(time / 30);
+
+    assert.equal(verifyTotp(secret, generateTotp(secret, time), { time }), step);
+    assert.equal(verifyTotp(secret, generateTotp(secret, time - 30), { time }), step - 1);
+    assert.equal(verifyTotp(secret, generateTotp(secret, time + 30), { time }), step + 1);
+    assert.equal(verifyTotp(secret, generateTotp(secret, time + 90), { time }), null);
+    assert.equal(verifyTotp(secret, 'abcdef', { time }), null);
+});
+
+test('verifyTotp rejects a code from a step that was already used', () => {
+    const secret = generateTotpSecret();
+    const time = 1700000000;
+    const step = Math.floor(time / 30);
+    const code = generateTotp(secret, time);
+
+    assert.equal(verifyTotp(secret, code, { time, afterStep: step }), null);
+    assert.equal(verifyTotp(secret, generateTotp(secret, time + 30), { time, afterStep: step }), step + 1);
+});
+
+test('recovery code hashes ignore case, spaces and the dash', () => {
+    assert.equal(hashRecoveryCode('ABCDE-12345'), hashRecoveryCode(' abcde 12345 '));
+    assert.notEqual(hashRecoveryCode('abcde-12345'), hashRecoveryCode('abcde-12346'));
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateTotp } = require('../totp');
+const { startServer, createClient, registerUser } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+// Register a user and turn on two-factor authentication; returns the secret, the
+// step of the code used to enable it and the recovery codes
+async function enableTwoFactor(username) {
+    const client = await registerUser(server.baseUrl, username);
+    const setup = await client.post('/api/2fa/setup', {});
+    assert.equal(setup.status, 200);
+
+    const now = Date.now() / 1000;
+    const enabled = await client.post('/api/2fa/enable', { code: generateTotp(setup.body.secret, now) });
+    assert.equal(enabled.status, 200);
+    assert.equal(enabled.body.recoveryCodes.length, 10);
+
+    await client.post('/api/logout', {});
+    return { secret: setup.body.secret, enabledAt: now, recoveryCodes: enabled.body.recoveryCodes };
+}
+
+async function loginWithPassword(username) {
+    const client = createClient(server.baseUrl);
+    const login = await client.post('/api/login', { username, password: 'password123' });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.twoFactorRequired, true);
+    return client;
+}
+
+test('the password alone does not log in when two-factor is on', async () => {
+    await enableTwoFactor('tfa_password');
+    const client = await loginWithPassword('tfa_password');
+
+    const tasks = await client.get('/api/calendar/tasks');
+    assert.equal(tasks.status, 401);
+    const status = await client.get('/api/auth/status');
+    assert.equal(status.body.authenticated, false);
+});
+
+test('a wrong code is rejected and a fresh code logs in', async () => {
+    const { secret, enabledAt } = await enableTwoFactor('tfa_code');
+    const client = await loginWithPassword('tfa_code');
+
+    const nearbyCodes = [-30, 0, 30, 60].map(offset => generateTotp(secret, enabledAt + offset));
+    const wrongCode = ['000000', '111111', '222222', '333333', '444444'].find(code => !nearbyCodes.includes(code));
+    const wrong = await client.post('/api/login/2fa', { code: wrongCode });
+    assert.equal(wrong.status, 401);
+
+    const login = await client.post('/api/login/2fa', { code: generateTotp(secret, enabledAt + 30) });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.usedRecoveryCode, false);
+    const tasks = await client.get('/api/calendar/tasks');
+    assert.equal(tasks.status, 200);
+});
+
+test('the code used to enable two-factor cannot be used again to log in', async () => {
+    const { secret, enabledAt } = await enableTwoFactor('tfa_replay');
+    const client = await loginWithPassword('tfa_replay');
+
+    const replayed = await client.post('/api/login/2fa', { code: generateTotp(secret, enabledAt) });
+    assert.equal(replayed.status, 401);
+});
+
+test('a recovery code logs in once', async () => {
+    const { recoveryCodes } = await enableTwoFactor('tfa_recovery');
+
+    const first = await loginWithPassword('tfa_recovery');
+    const login = await first.post('/api/login/2fa', { recoveryCode: recoveryCodes[0] });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.usedRecoveryCode, true);
+    assert.equal(login.body.recoveryCodesRemaining, recoveryCodes.length - 1);
+
+    const second = await loginWithPassword('tfa_recovery');
+    const reused = await second.post('/api/login/2fa', { recoveryCode: recoveryCodes[0] });
+    assert.equal(reused.status, 401);
+});
+
+test('the second step needs a password login first', async () => {
+    const client = createClient(server.baseUrl);
+    const response = await client.post('/api/login/2fa', { code: '123456' });
+    assert.equal(response.status, 401);
+});
@@ -0,0 +1,185 @@
+// ============================================
+// TOTP - Time-based one-time passwords (RFC 6238)
+// ============================================
+
+// Secrets are shared with authenticator apps as base32 in an otpauth:// URI.
+// Codes are HOTP (RFC 4226) values of the current 30-second time step.
+// `node totp.js` checks this implementation against the RFC 6238 test vectors.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_ISSUER = 'RNG Calendar';
+const TOTP_DEFAULTS = { step: 30, digits: 6, algorithm: 'sha1' };
+const TOTP_SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+
+// RFC 6238 Appendix B: the secret is the ASCII string "12345678901234567890"
+// repeated to the hash's block length, with 8-digit codes.
+const RFC6238_SECRETS = {
+    sha1: '12345678901234567890',
+    sha256: '12345678901234567890123456789012',
+    sha512: '1234567890123456789012345678901234567890123456789012345678901234'
+};
+const RFC6238_TEST_VECTORS = [
+    { time: 59, sha1: '94287082', sha256: '46119246', sha512: '90693936' },
+    { time: 1111111109, sha1: '07081804', sha256: '68084774', sha512: '25091201' },
+    { time: 1111111111, sha1: '14050471', sha256: '67062674', sha512: '99943326' },
+    { time: 1234567890, sha1: '89005924', sha256: '91819424', sha512: '93441116' },
+    { time: 2000000000, sha1: '69279037', sha256: '90698825', sha512: '38618901' },
+    { time: 20000000000, sha1: '65353130', sha256: '77737706', sha512: '47863826' }
+];
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+// Accepts lowercase, spaces and padding, as authenticator apps display them
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// RFC 4226 HOTP value of `counter` for a raw key
+function hotp(key, counter, { digits = TOTP_DEFAULTS.digits, algorithm = TOTP_DEFAULTS.algorithm } = {}) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+function getTimeStep(time = Date.now() / 1000, step = TOTP_DEFAULTS.step) {
+    return Math.floor(time / step);
+}
+
+// TOTP code for a base32 secret at `time` (Unix seconds)
+function generateTotp(secret, time = Date.now() / 1000, options = {}) {
+    const settings = { ...TOTP_DEFAULTS, ...options };
+    return hotp(base32Decode(secret), getTimeStep(time, settings.step), settings);
+}
+
+// Check a code against the current time step and `window` steps either side (clock drift).
+// Returns the matching time step, or null. Steps at or before `afterStep` are rejected so
+// a code can't be used twice.
+function verifyTotp(secret, code, { time = Date.now() / 1000, window = 1, afterStep = null, ...options } = {}) {
+    const settings = { ...TOTP_DEFAULTS, ...options };
+    const token = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${settings.digits}}$`).test(token)) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const current = getTimeStep(time, settings.step);
+    for (let offset = -window; offset <= window; offset++) {
+        const step = current + offset;
+        if (afterStep !== null && step <= afterStep) continue;
+        const expected = hotp(key, step, settings);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(TOTP_SECRET_BYTES));
+}
+
+// Key URI for authenticator apps, e.g. otpauth://totp/RNG%20Calendar:alice?secret=...&issuer=RNG%20Calendar
+function buildOtpauthUri(secret, accountName, issuer = TOTP_ISSUER) {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: TOTP_DEFAULTS.algorithm.toUpperCase(),
+        digits: String(TOTP_DEFAULTS.digits),
+        period: String(TOTP_DEFAULTS.step)
+    });
+    return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+// One-time recovery codes in the form "xxxxx-xxxxx"
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+// Recovery codes are random, so a plain hash is enough to store them.
+// Case, spaces and the dash are ignored when comparing.
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^0-9a-z]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Run the RFC 6238 test vectors; returns a list of mismatches (empty when all pass)
+function checkRfc6238Vectors() {
+    const failures = [];
+    RFC6238_TEST_VECTORS.forEach(vector => {
+        Object.keys(RFC6238_SECRETS).forEach(algorithm => {
+            const secret = base32Encode(Buffer.from(RFC6238_SECRETS[algorithm], 'ascii'));
+            const code = generateTotp(secret, vector.time, { digits: 8, algorithm });
+            if (code !== vector[algorithm]) {
+                failures.push({ time: vector.time, algorithm, expected: vector[algorithm], actual: code });
+            }
+        });
+    });
+    return failures;
+}
+
+if (require.main === module) {
+    const failures = checkRfc6238Vectors();
+    if (failures.length) {
+        failures.forEach(failure => console.error('FAIL', JSON.stringify(failure)));
+        process.exit(1);
+    }
+    console.log(`All ${RFC6238_TEST_VECTORS.length * Object.keys(RFC6238_SECRETS).length} RFC 6238 test vectors pass`);
+}
+
+module.exports = {
+    TOTP_ISSUER,
+    RECOVERY_CODE_COUNT,
+    RFC6238_TEST_VECTORS,
+    base32Encode,
+    base32Decode,
+    hotp,
+    generateTotp,
+    verifyTotp,
+    generateTotpSecret,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    checkRfc6238Vectors
+};